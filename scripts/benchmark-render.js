@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Preview render benchmark
+ * Types into a large generated document and measures how long each
+ * keystroke blocks the UI thread:
+ *
+ *   before - parse, highlight and sanitize the whole document, then replace
+ *            the preview's innerHTML (what the preview did on every key)
+ *   after  - sanitize and patch only the blocks that changed; parsing and
+ *            highlighting happen in the worker, reported separately
+ *
+ * Runs in Node with jsdom, so layout and paint are not included, and
+ * sanitizing is several times slower than in Electron; compare the rows
+ * with each other rather than with the app.
+ *
+ * Usage: npm run benchmark:render -- [--lines 5000] [--edits 10]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const createDOMPurify = require('dompurify');
+const marked = require('marked');
+const hljs = require('@highlightjs/cdn-assets/highlight.min.js');
+const { createMarkdownService } = require('../src/shared/markdownService');
+
+const PREVIEW_SCRIPT = path.join(
+  __dirname,
+  '../src/renderer/js/components/preview.js'
+);
+
+function parseArgs(argv) {
+  const options = { lines: 5000, edits: 10 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    const value = Number(argv[i + 1]);
+    if (!(key in options) || !Number.isInteger(value) || value < 1) {
+      throw new Error(`Unknown or invalid option: ${argv[i]}`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * Build a document of roughly the given number of lines that mixes the
+ * block types people write
+ * @param {number} lineCount
+ * @returns {string}
+ */
+function generateDocument(lineCount) {
+  const sections = [];
+  let lines = 0;
+
+  for (let i = 1; lines < lineCount; i += 1) {
+    const section = [
+      `## Section ${i}`,
+      '',
+      `Paragraph ${i} has **bold**, _italic_, \`code\` and a [link](https://example.com/${i}).`,
+      'It wraps onto a second line to look like real prose.',
+      '',
+      `- Item ${i}.1`,
+      `- Item ${i}.2 with ~~strikethrough~~`,
+      `- [ ] Task ${i}`,
+      '',
+      '```js',
+      `function section${i}(value) {`,
+      `  return value * ${i}; // comment`,
+      '}',
+      '```',
+      '',
+      '| Column | Value |',
+      '| ------ | ----- |',
+      `| row ${i} | ${i * 2} |`,
+      '',
+      `> Quote ${i}`,
+      '',
+    ];
+    sections.push(section.join('\n'));
+    lines += section.length;
+  }
+
+  return sections.join('\n');
+}
+
+function createPreview(window, service) {
+  window.document.body.innerHTML =
+    '<div id="previewPane"><div id="preview"></div></div>';
+  window.MarkdownService = service;
+  // jsdom has no media queries; the preview only watches the color scheme
+  window.matchMedia = () => ({ matches: false, addEventListener() {} });
+  window.eval(fs.readFileSync(PREVIEW_SCRIPT, 'utf8'));
+  window.Preview.init();
+  return window.Preview;
+}
+
+function time(task) {
+  const started = process.hrtime.bigint();
+  const result = task();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const pick = (fraction) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  return {
+    median: pick(0.5),
+    p95: pick(0.95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+function formatRow(label, samples) {
+  const { median, p95, max } = summarize(samples);
+  const cells = [median, p95, max].map((ms) => ms.toFixed(1).padStart(8));
+  return `${label.padEnd(34)}${cells.join('')}`;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { window } = new JSDOM('<!doctype html><body></body>', {
+    runScripts: 'outside-only',
+  });
+  const service = createMarkdownService(marked, createDOMPurify(window), {
+    highlighter: hljs,
+  });
+  const preview = createPreview(window, service);
+
+  const original = generateDocument(options.lines);
+  // Type in the middle of the document, where a full render costs the most
+  const cursor = original.indexOf('Paragraph', Math.floor(original.length / 2));
+  const edits = Array.from({ length: options.edits }, (_value, index) => {
+    const typed = 'x'.repeat(index + 1);
+    return `${original.slice(0, cursor)}${typed}${original.slice(cursor)}`;
+  });
+
+  // Both runs start from a filled preview with compiled code
+  const fullPage = window.document.createElement('div');
+  fullPage.innerHTML = service.parseMarkdown(original);
+  preview.render(service.renderBlocks(original));
+
+  const before = edits.map(
+    (markdown) =>
+      time(() => {
+        fullPage.innerHTML = service.parseMarkdown(markdown);
+      }).ms
+  );
+
+  const afterWorker = [];
+  const afterPage = [];
+  edits.forEach((markdown) => {
+    const parsed = time(() => service.renderBlocks(markdown));
+    afterWorker.push(parsed.ms);
+    afterPage.push(time(() => preview.render(parsed.result)).ms);
+  });
+
+  console.log(
+    `Document: ${original.split('\n').length} lines, ` +
+      `${(original.length / 1024).toFixed(0)} KB; ${options.edits} keystrokes`
+  );
+  console.log(
+    `${''.padEnd(34)}${['median', 'p95', 'max'].map((h) => h.padStart(8)).join('')}`
+  );
+  console.log(formatRow('Before: UI thread (ms)', before));
+  console.log(formatRow('After: UI thread (ms)', afterPage));
+  console.log(formatRow('After: worker, off UI thread (ms)', afterWorker));
+}
+
+main();
@@ -4,52 +4,122 @@
  */
 
 const fs = require('fs');
-const { app, BrowserWindow, dialog } = require('electron');
+const { app } = require('electron');
 
 // Import modules
-const { createMainWindow, getMainWindow } = require('./window/mainWindow');
+const {
+  createDocumentWindow,
+  getTargetWindow,
+  getDocumentWindows,
+  whenWindowReady,
+} = require('./window/mainWindow');
+const { showPreferencesWindow } = require('./window/preferencesWindow');
 const { buildMenu } = require('./menu/menuBuilder');
 const {
   setupIpcHandlers,
+  handleNewDocument,
+  showTemplateGallery,
+  showRecoveryDialog,
   handleOpenFile,
+  handleExportHtml,
+  showPdfExportDialog,
+  showVersionHistory,
+  showWorkspaceSearch,
+  handleOpenFolder,
+  handleCloseFolder,
+  sendFindCommand,
+  focusOpenFile,
   handleSaveFile,
   handleSaveFileAs,
-  getCurrentFile,
+  handleCloseDocument,
+  getActiveFile,
 } = require('./ipc/handlers');
 const dialogService = require('./services/dialogService');
+const assetProtocol = require('./services/assetProtocol');
+const settingsStore = require('./services/settingsStore');
+const workspaceService = require('./services/workspaceService');
 const logger = require('./utils/logger');
 const { setupGlobalErrorHandlers } = require('./utils/errorHandler');
-const { APP_INFO } = require('../shared/constants');
+const { setupQuitGuard } = require('./window/closeGuard');
+const { APP_INFO, OPEN_FILES_IN } = require('../shared/constants');
 
 const pendingOpenPaths = new Set();
 let isAppInitialized = false;
+let isFlushScheduled = false;
 
 // Setup global error handlers
 setupGlobalErrorHandlers();
 
+// Custom schemes must be declared before the app is ready
+assetProtocol.registerAssetScheme();
+
 /**
- * Menu action handlers
+ * Menu action handlers. Each command goes to the focused document window.
  */
 const menuHandlers = {
+  onNew: () => {
+    logger.info('New file menu clicked');
+    const window = getTargetWindow();
+
+    // A fresh window already starts with an untitled tab
+    if (window) {
+      handleNewDocument(window);
+    } else {
+      createDocumentWindow();
+    }
+  },
+
+  onNewFromTemplate: async () => {
+    logger.info('New from template menu clicked');
+    const window = getTargetWindow() || createDocumentWindow();
+
+    await whenWindowReady(window);
+    await showTemplateGallery(window);
+  },
+
+  onNewWindow: () => {
+    logger.info('New window menu clicked');
+    createDocumentWindow();
+  },
+
   onOpen: async () => {
     logger.info('Open file menu clicked');
-    const mainWindow = getMainWindow();
-    if (!mainWindow) return;
+    const window = getTargetWindow() || createDocumentWindow();
 
-    const filePath = await dialogService.showOpenDialog(mainWindow);
+    const filePath = await dialogService.showOpenDialog(window);
     if (filePath) {
-      await handleOpenFile(mainWindow, filePath);
+      await whenWindowReady(window);
+      await handleOpenFile(window, filePath);
+    }
+  },
+
+  onOpenFolder: async () => {
+    logger.info('Open folder menu clicked');
+    const window = getTargetWindow() || createDocumentWindow();
+
+    const folderPath = await dialogService.showOpenFolderDialog(window);
+    if (folderPath) {
+      await whenWindowReady(window);
+      await handleOpenFolder(window, folderPath);
+    }
+  },
+
+  onCloseFolder: () => {
+    logger.info('Close folder menu clicked');
+    const window = getTargetWindow();
+    if (window) {
+      handleCloseFolder(window);
     }
   },
 
   onSave: () => {
     logger.info('Save file menu clicked');
-    const mainWindow = getMainWindow();
-    if (!mainWindow) return;
+    const window = getTargetWindow();
+    if (!window) return;
 
-    const currentFile = getCurrentFile();
-    if (currentFile) {
-      handleSaveFile(mainWindow);
+    const activeFile = getActiveFile(window);
+    if (activeFile) {
+      handleSaveFile(window);
     } else {
       menuHandlers.onSaveAs();
     }
@@ -57,27 +127,69 @@ const menuHandlers = {
 
   onSaveAs: async () => {
     logger.info('Save as menu clicked');
-    const mainWindow = getMainWindow();
-    if (!mainWindow) return;
+    const window = getTargetWindow();
+    if (!window) return;
 
     const filePath = await dialogService.showSaveDialog(
-      mainWindow,
+      window,
       APP_INFO.UNTITLED_FILE
     );
     if (filePath) {
-      handleSaveFileAs(mainWindow, filePath);
+      handleSaveFileAs(window, filePath);
+    }
+  },
+
+  onExportHtml: async () => {
+    logger.info('Export HTML menu clicked');
+    const window = getTargetWindow();
+    if (!window) return;
+
+    await handleExportHtml(window);
+  },
+
+  onExportPdf: () => {
+    logger.info('Export PDF menu clicked');
+    const window = getTargetWindow();
+    if (window) {
+      showPdfExportDialog(window);
+    }
+  },
+
+  onShowVersionHistory: () => {
+    logger.info('Version history menu clicked');
+    const window = getTargetWindow();
+    if (window) {
+      showVersionHistory(window);
+    }
+  },
+
+  onFind: (command) => {
+    logger.info(`Find menu clicked: ${command}`);
+    const window = getTargetWindow();
+    if (window) {
+      sendFindCommand(window, command);
+    }
+  },
+
+  onFindInFolder: () => {
+    logger.info('Find in folder menu clicked');
+    const window = getTargetWindow();
+    if (window) {
+      showWorkspaceSearch(window);
     }
   },
 
+  onCloseTab: () => {
+    logger.info('Close tab menu clicked');
+    const window = getTargetWindow();
+    if (!window) return;
+
+    handleCloseDocument(window);
+  },
+
   onShowPreferences: () => {
-    const mainWindow = getMainWindow();
-    dialog.showMessageBox(mainWindow, {
-      type: 'info',
-      buttons: ['OK'],
-      title: 'Preferences',
-      message: 'Preferences are coming soon.',
-      detail: 'Markdown Viewer will support preferences in a future update.',
-    });
+    logger.info('Preferences menu clicked');
+    showPreferencesWindow();
   },
 };
 
@@ -87,17 +199,17 @@ const menuHandlers = {
 function initializeApp() {
   logger.info('Initializing application');
 
-  // Create main window
-  const mainWindow = createMainWindow();
-
   // Setup IPC handlers
-  setupIpcHandlers(mainWindow);
+  setupIpcHandlers();
 
   // Build application menu
   buildMenu(menuHandlers);
 
-  // Open any files queued before the window was ready
-  flushPendingOpenFiles(mainWindow);
+  // Create the first window and open any files queued before it was ready
+  const window = createDocumentWindow();
+  flushPendingOpenFiles(window);
+  restoreWorkspace(window);
+  offerRecovery(window);
 
   logger.info('Application initialized successfully');
 }
@@ -107,6 +219,8 @@ app.whenReady().then(() => {
   logger.info('App is ready');
 
   configureAboutPanel();
+  assetProtocol.registerAssetProtocol();
+  setupQuitGuard();
   initializeApp();
   isAppInitialized = true;
 
@@ -127,13 +241,10 @@ app.on('window-all-closed', () => {
 
 app.on('activate', () => {
   logger.info('App activated');
-  if (BrowserWindow.getAllWindows().length === 0) {
-    initializeApp();
+  if (getDocumentWindows().length === 0) {
+    flushPendingOpenFiles(createDocumentWindow());
   } else {
-    const mainWindow = getMainWindow();
-    if (mainWindow) {
-      flushPendingOpenFiles(mainWindow);
-    }
+    scheduleFlush();
   }
 });
 
@@ -149,17 +260,16 @@ if (!singleInstanceLock) {
   app.quit();
 } else {
   app.on('second-instance', (_event, commandLine) => {
-    logger.info('Second instance detected; focusing existing window');
-    const mainWindow = getMainWindow() || BrowserWindow.getAllWindows()[0];
+    const filePaths = extractFilePathsFromArgs(commandLine);
 
-    if (mainWindow) {
-      if (mainWindow.isMinimized()) {
-        mainWindow.restore();
-      }
-      mainWindow.focus();
+    if (filePaths.length === 0) {
+      logger.info('Second instance detected; focusing existing window');
+      focusWindow(getTargetWindow() || createDocumentWindow());
+      return;
     }
 
-    extractFilePathsFromArgs(commandLine).forEach((filePath) => {
+    logger.info('Second instance detected; opening its files');
+    filePaths.forEach((filePath) => {
       queueFileToOpen(filePath);
     });
   });
@@ -169,29 +279,100 @@ function queueFileToOpen(filePath) {
   if (!filePath) return;
   pendingOpenPaths.add(filePath);
 
-  const mainWindow = getMainWindow();
-  if (mainWindow) {
-    flushPendingOpenFiles(mainWindow);
-  } else if (isAppInitialized) {
-    initializeApp();
+  if (isAppInitialized) {
+    scheduleFlush();
+  }
+}
+
+/**
+ * Open queued files on the next tick so a burst of open-file events (one per
+ * file selected in Finder) lands in a single window
+ */
+function scheduleFlush() {
+  if (isFlushScheduled) return;
+  isFlushScheduled = true;
+
+  setImmediate(() => {
+    isFlushScheduled = false;
+    flushPendingOpenFiles();
+  });
+}
+
+/**
+ * Reopen the folder that was open when the app last quit
+ * @param {BrowserWindow} window
+ */
+async function restoreWorkspace(window) {
+  const folder = workspaceService.getLastWorkspace();
+  if (!folder) return;
+
+  try {
+    await whenWindowReady(window);
+    if (!(await handleOpenFolder(window, folder, { silent: true }))) {
+      workspaceService.rememberWorkspace(null);
+    }
+  } catch (error) {
+    logger.error('Unable to reopen the workspace:', error);
   }
 }
 
-async function flushPendingOpenFiles(mainWindow) {
-  if (!mainWindow) return;
+/**
+ * Offer the unsaved documents of a session that crashed in the first window
+ * @param {BrowserWindow} window
+ */
+async function offerRecovery(window) {
+  try {
+    await whenWindowReady(window);
+    showRecoveryDialog(window);
+  } catch (error) {
+    logger.error('Unable to offer document recovery:', error);
+  }
+}
 
-  const files = Array.from(pendingOpenPaths.values());
+/**
+ * Open every queued file. Files already open anywhere get their tab focused;
+ * the rest go to the given window, or to the one picked by the
+ * "open files in" preference.
+ * @param {BrowserWindow} [targetWindow]
+ */
+async function flushPendingOpenFiles(targetWindow) {
+  const files = Array.from(pendingOpenPaths.values()).filter(
+    (filePath) => !focusOpenFile(filePath)
+  );
   pendingOpenPaths.clear();
 
+  if (files.length === 0) return;
+
+  const window = targetWindow || getWindowForExternalFiles();
+  await whenWindowReady(window);
+  focusWindow(window);
+
   for (const filePath of files) {
     try {
-      await handleOpenFile(mainWindow, filePath);
+      await handleOpenFile(window, filePath);
     } catch (error) {
       logger.error(`Unable to open file ${filePath}:`, error);
     }
   }
 }
 
+function getWindowForExternalFiles() {
+  const window = getTargetWindow();
+  const reuseWindow =
+    settingsStore.getSetting('openFilesIn') === OPEN_FILES_IN.FOCUSED_WINDOW;
+
+  return window && reuseWindow ? window : createDocumentWindow();
+}
+
+function focusWindow(window) {
+  if (!window || window.isDestroyed()) return;
+
+  if (window.isMinimized()) {
+    window.restore();
+  }
+  window.focus();
+}
+
 function extractFilePathsFromArgs(args = []) {
   return (args || [])
     .filter((arg) => arg && !arg.startsWith('-'))
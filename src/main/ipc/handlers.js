@@ -3,22 +3,60 @@
  * Handles communication from renderer process
  */
 
-const { app, BrowserWindow, ipcMain } = require('electron');
-const { IPC_CHANNELS } = require('../../shared/constants');
+const path = require('path');
+const {
+  app,
+  BrowserWindow,
+  ipcMain,
+  Menu,
+  nativeTheme,
+  shell,
+  webContents,
+} = require('electron');
+const {
+  IPC_CHANNELS,
+  ASSET_PROTOCOL,
+  APP_INFO,
+  FILE_FILTERS,
+  THEMES,
+  EXTERNAL_CHANGE_KINDS,
+  EXTERNAL_CHANGE_ACTIONS,
+  WORKSPACE_OPERATIONS,
+  WORKSPACE_COMMANDS,
+} = require('../../shared/constants');
 const fileService = require('../services/fileService');
+const dialogService = require('../services/dialogService');
+const assetProtocol = require('../services/assetProtocol');
+const documentRegistry = require('../services/documentRegistry');
+const templateService = require('../services/templateService');
+const themeService = require('../services/themeService');
+const settingsStore = require('../services/settingsStore');
+const exportService = require('../services/exportService');
+const pdfExportService = require('../services/pdfExportService');
+const recoveryService = require('../services/recoveryService');
+const historyService = require('../services/historyService');
+const workspaceService = require('../services/workspaceService');
+const workspaceSearchService = require('../services/workspaceSearchService');
+const wikiLinkService = require('../services/wikiLinkService');
+const { requestFromRenderer } = require('./rendererRequest');
 const logger = require('../utils/logger');
+const { showErrorDialog } = require('../utils/errorHandler');
+
+const SAVE_TIMEOUT_MS = 30000;
 
-let currentFile = null;
-let mainWindowRef = null;
 let handlersRegistered = false;
 
+// document key -> resolvers waiting for the next save to finish
+const pendingSaves = new Map();
+
+// webContents id -> id of the workspace search the window is running
+const activeSearches = new Map();
+
 /**
- * Setup all IPC handlers
- * @param {BrowserWindow} mainWindow - The main window instance
+ * Setup all IPC handlers. Handlers are shared by every window and find the
+ * window a message belongs to from its sender.
  */
-function setupIpcHandlers(mainWindow) {
-  mainWindowRef = mainWindow;
-
+function setupIpcHandlers() {
   if (handlersRegistered) {
     return;
   }
@@ -27,131 +65,1667 @@ function setupIpcHandlers(mainWindow) {
   handlersRegistered = true;
 
   // Handle file content for save operation
-  ipcMain.on(IPC_CHANNELS.FILE_CONTENT, async (event, content) => {
+  ipcMain.on(IPC_CHANNELS.FILE_CONTENT, async (event, docId, content) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const doc = documentRegistry.ensureDocument(event.sender.id, docId);
+    let saved = false;
+
     try {
-      if (currentFile) {
-        logger.info(`Saving file: ${currentFile}`);
-        await fileService.writeFile(currentFile, content);
-        notifyFileSaved(currentFile);
+      if (doc.filePath) {
+        const canWrite = await confirmOverwriteIfChanged(window, doc);
+
+        if (canWrite) {
+          logger.info(`Saving file: ${doc.filePath}`);
+          await fileService.writeFile(doc.filePath, content);
+          await notifyFileSaved(window, doc);
+          saved = true;
+          addToHistory(doc.filePath, content);
+        }
       } else {
-        logger.warn('Save requested but no current file set');
+        logger.warn(`Save requested but ${docId} has no file path`);
       }
     } catch (error) {
       logger.error('Error in FILE_CONTENT handler:', error);
     }
+    settlePendingSaves(documentRegistry.getDocumentKey(doc), saved);
   });
 
   // Handle file content for save-as operation
   ipcMain.on(
     IPC_CHANNELS.FILE_CONTENT_SAVE_AS,
-    async (_event, content, filePath) => {
+    async (event, docId, content, filePath) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      const doc = documentRegistry.ensureDocument(event.sender.id, docId);
+      let saved = false;
+
       try {
         logger.info(`Saving file as: ${filePath}`);
         await fileService.writeFile(filePath, content);
-        currentFile = filePath;
-        notifyFileSaved(filePath);
+        doc.filePath = path.resolve(filePath);
+        await notifyFileSaved(window, doc);
+        saved = true;
+        addToHistory(doc.filePath, content);
       } catch (error) {
         logger.error('Error in FILE_CONTENT_SAVE_AS handler:', error);
       }
+      settlePendingSaves(documentRegistry.getDocumentKey(doc), saved);
     }
   );
 
   // Allow renderer to request native open-file for dropped files
-  ipcMain.on(IPC_CHANNELS.REQUEST_OPEN_PATH, async (_event, filePath) => {
+  ipcMain.on(IPC_CHANNELS.REQUEST_OPEN_PATH, async (event, filePath) => {
     if (!filePath) return;
-    const targetWindow =
-      mainWindowRef || BrowserWindow.fromWebContents(_event.sender);
+    const targetWindow = BrowserWindow.fromWebContents(event.sender);
 
     if (targetWindow) {
       await handleOpenFile(targetWindow, filePath);
     }
   });
 
+  // Resolve the "file changed on disk" banner
+  ipcMain.on(
+    IPC_CHANNELS.RESOLVE_EXTERNAL_CHANGE,
+    async (event, docId, action) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      const doc = documentRegistry.getDocument(event.sender.id, docId);
+      if (!window || !doc || !doc.filePath) return;
+
+      try {
+        if (action === EXTERNAL_CHANGE_ACTIONS.RELOAD) {
+          await reloadDocument(window, doc);
+        } else if (action === EXTERNAL_CHANGE_ACTIONS.KEEP) {
+          // The buffer now supersedes the disk version; saving may overwrite
+          doc.signature = await fileService.getFileSignature(doc.filePath);
+          logger.info(`Keeping editor version of ${doc.filePath}`);
+        }
+      } catch (error) {
+        logger.error('Error in RESOLVE_EXTERNAL_CHANGE handler:', error);
+      }
+    }
+  );
+
+  // Track which tab is in front for menu commands and the title bar
+  ipcMain.on(IPC_CHANNELS.SET_ACTIVE_DOCUMENT, (event, docId) => {
+    documentRegistry.setActiveDocument(event.sender.id, docId);
+
+    const doc = documentRegistry.getDocument(event.sender.id, docId);
+    setRepresentedFile(
+      BrowserWindow.fromWebContents(event.sender),
+      (doc && doc.filePath) || ''
+    );
+  });
+
+  // Close a tab once its unsaved changes are resolved
+  ipcMain.on(IPC_CHANNELS.REQUEST_CLOSE_DOCUMENT, async (event, docId) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+      await handleCloseDocument(window, docId);
+    }
+  });
+
   // Update the document edited indicator
-  ipcMain.on(IPC_CHANNELS.SET_DIRTY_STATE, (_event, isDirty) => {
-    if (mainWindowRef && !mainWindowRef.isDestroyed()) {
-      mainWindowRef.setDocumentEdited(Boolean(isDirty));
+  ipcMain.on(IPC_CHANNELS.SET_DIRTY_STATE, (event, docId, isDirty) => {
+    const doc = documentRegistry.ensureDocument(event.sender.id, docId);
+    doc.isDirty = Boolean(isDirty);
+    if (!doc.isDirty) {
+      // Undone back to the saved text; there is nothing left to recover
+      recoveryService.removeSnapshot(doc);
     }
+    updateDocumentEdited(BrowserWindow.fromWebContents(event.sender));
+  });
+
+  // Keep a copy of unsaved text in case the app crashes
+  ipcMain.on(
+    IPC_CHANNELS.SAVE_RECOVERY_SNAPSHOT,
+    (event, docId, filename, content) => {
+      const doc = documentRegistry.getDocument(event.sender.id, docId);
+      if (doc && doc.isDirty) {
+        recoveryService.saveSnapshot(doc, { filename, content });
+      }
+    }
+  );
+
+  ipcMain.on(
+    IPC_CHANNELS.RESTORE_RECOVERY_SNAPSHOT,
+    async (event, snapshotId) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (window) {
+        await restoreRecoverySnapshot(window, snapshotId);
+      }
+    }
+  );
+
+  ipcMain.on(IPC_CHANNELS.DISCARD_RECOVERY_SNAPSHOT, (_event, snapshotId) => {
+    recoveryService.discardOrphanedSnapshot(snapshotId);
+  });
+
+  // Fill in a template picked in the gallery and open it in a new tab
+  ipcMain.on(
+    IPC_CHANNELS.CREATE_FROM_TEMPLATE,
+    async (event, templateId, title) => {
+      try {
+        const values = title ? { title } : {};
+        const content = await templateService.createFromTemplate(
+          templateId,
+          values
+        );
+        event.sender.send(IPC_CHANNELS.NEW_DOCUMENT, content);
+      } catch (error) {
+        logger.error('Error in CREATE_FROM_TEMPLATE handler:', error);
+        showErrorDialog(
+          'Template Error',
+          `Failed to create a document from the template: ${error.message}`
+        );
+      }
+    }
+  );
+
+  ipcMain.on(IPC_CHANNELS.OPEN_TEMPLATES_FOLDER, async () => {
+    try {
+      const directory = await templateService.ensureTemplatesDirectory();
+      await shell.openPath(directory);
+    } catch (error) {
+      logger.error('Error opening templates folder:', error);
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.LIST_PREVIEW_THEMES, () =>
+    themeService.listPreviewThemes()
+  );
+
+  ipcMain.handle(IPC_CHANNELS.GET_PREVIEW_THEME_CSS, (_event, themeId) =>
+    themeService.getPreviewThemeCss(themeId)
+  );
+
+  ipcMain.on(IPC_CHANNELS.OPEN_THEMES_FOLDER, async () => {
+    try {
+      const directory = await themeService.ensureThemesDirectory();
+      await shell.openPath(directory);
+    } catch (error) {
+      logger.error('Error opening themes folder:', error);
+    }
+  });
+
+  // Custom themes apply as soon as they are saved
+  themeService.watchThemes(() => {
+    BrowserWindow.getAllWindows().forEach((window) => {
+      if (!window.isDestroyed()) {
+        window.webContents.send(IPC_CHANNELS.PREVIEW_THEMES_CHANGED);
+      }
+    });
+  });
+
+  // PNG drawn by the preview from one of its diagrams
+  ipcMain.handle(IPC_CHANNELS.SAVE_DIAGRAM_PNG, (event, docId, data) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window || !(data instanceof Uint8Array)) return false;
+    return handleSaveDiagramPng(window, docId, data);
   });
 
+  // Saved versions of a document, for the version history panel
+  ipcMain.handle(IPC_CHANNELS.LIST_REVISIONS, (event, docId) => {
+    const doc = documentRegistry.getDocument(event.sender.id, docId);
+    return doc && doc.filePath
+      ? historyService.listRevisions(doc.filePath)
+      : [];
+  });
+
+  ipcMain.handle(IPC_CHANNELS.GET_REVISION, (event, docId, revisionId) => {
+    const doc = documentRegistry.getDocument(event.sender.id, docId);
+    if (!doc || !doc.filePath) {
+      throw new Error(`Document ${docId} has no version history`);
+    }
+    return historyService.getRevisionContent(doc.filePath, revisionId);
+  });
+
+  // Page setup confirmed in the PDF export dialog
+  ipcMain.on(IPC_CHANNELS.EXPORT_PDF, (event, docId, options) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+      handleExportPdf(window, docId, options);
+    }
+  });
+
+  // Files and folders changed from the workspace sidebar
+  ipcMain.handle(IPC_CHANNELS.WORKSPACE_OPERATION, (event, operation) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window) return { ok: false, error: 'The window is gone.' };
+    return handleWorkspaceOperation(window, operation);
+  });
+
+  ipcMain.on(
+    IPC_CHANNELS.SHOW_WORKSPACE_MENU,
+    (event, targetPath, isDirectory) => {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (window) {
+        showWorkspaceMenu(window, targetPath, Boolean(isDirectory));
+      }
+    }
+  );
+
+  ipcMain.on(IPC_CHANNELS.CLOSE_WORKSPACE, (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+      handleCloseFolder(window);
+    }
+  });
+
+  // Search across the workspace; a new search replaces the running one
+  ipcMain.on(IPC_CHANNELS.SEARCH_WORKSPACE, (event, searchId, search) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (window) {
+      handleWorkspaceSearch(window, searchId, search);
+    }
+  });
+
+  ipcMain.on(IPC_CHANNELS.CANCEL_WORKSPACE_SEARCH, (event) => {
+    activeSearches.delete(event.sender.id);
+  });
+
+  ipcMain.handle(IPC_CHANNELS.REPLACE_IN_WORKSPACE, (event, request) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window) return { ok: false, error: 'The window is gone.' };
+    return handleReplaceInWorkspace(window, request);
+  });
+
+  ipcMain.handle(IPC_CHANNELS.LIST_BACKLINKS, (event, docId) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    return window ? listBacklinks(window, docId) : null;
+  });
+
+  setupSettingsHandlers();
+
   logger.info('IPC handlers set up successfully');
 }
 
 /**
- * Handle open file action
- * @param {BrowserWindow} mainWindow - The main window instance
+ * Serve settings to renderers and push every change to all windows
+ */
+function setupSettingsHandlers() {
+  ipcMain.handle(IPC_CHANNELS.GET_SETTINGS, () => settingsStore.getSettings());
+
+  ipcMain.handle(IPC_CHANNELS.SET_SETTING, (_event, key, value) => {
+    const error = settingsStore.validateSetting(key, value);
+    if (!error) {
+      settingsStore.setSetting(key, value);
+    }
+    return { ok: !error, error, settings: settingsStore.getSettings() };
+  });
+
+  ipcMain.on(IPC_CHANNELS.RESET_SETTINGS, () => {
+    logger.info('Restoring default settings');
+    settingsStore.resetSettings();
+  });
+
+  let showAllFiles = settingsStore.getSetting('workspaceShowAllFiles');
+
+  settingsStore.onSettingsChanged((settings) => {
+    applyNativeSettings(settings);
+    BrowserWindow.getAllWindows().forEach((window) => {
+      if (!window.isDestroyed()) {
+        window.webContents.send(IPC_CHANNELS.SETTINGS_CHANGED, settings);
+      }
+    });
+
+    // Workspaces list other files now
+    if (settings.workspaceShowAllFiles !== showAllFiles) {
+      showAllFiles = settings.workspaceShowAllFiles;
+      BrowserWindow.getAllWindows().forEach((window) => sendWorkspace(window));
+    }
+  });
+
+  applyNativeSettings(settingsStore.getSettings());
+}
+
+function applyNativeSettings(settings) {
+  // 'system', 'light' and 'dark' match nativeTheme.themeSource
+  nativeTheme.themeSource = settings.theme;
+}
+
+/**
+ * Open a new untitled tab
+ * @param {BrowserWindow} window - Window to open it in
+ */
+function handleNewDocument(window) {
+  logger.info('New document requested');
+  window.webContents.send(IPC_CHANNELS.NEW_DOCUMENT, '');
+}
+
+/**
+ * Show the template gallery with the built-in and user templates
+ * @param {BrowserWindow} window - Window to show it in
+ */
+async function showTemplateGallery(window) {
+  const templates = await templateService.listTemplates();
+  if (!window.isDestroyed()) {
+    window.webContents.send(IPC_CHANNELS.SHOW_TEMPLATE_GALLERY, templates);
+  }
+}
+
+/**
+ * Handle open file action. Files already open in the window get their tab
+ * focused; anything else opens in a new tab.
+ * @param {BrowserWindow} window - Window that owns the document
  * @param {string} filePath - Path to file to open
+ * @returns {Promise<boolean>} Whether the file was opened or focused
  */
-async function handleOpenFile(mainWindow, filePath) {
+async function handleOpenFile(window, filePath) {
   try {
-    const content = await fileService.readFile(filePath);
-    const filename = fileService.getFilename(filePath);
+    const resolvedPath = path.resolve(filePath);
+    const webContentsId = window.webContents.id;
+    const existing = documentRegistry.findDocumentByPath(
+      webContentsId,
+      resolvedPath
+    );
 
-    currentFile = filePath;
-    setRepresentedFile(mainWindow, filePath);
-    addRecentDocument(filePath);
-    mainWindow.webContents.send(IPC_CHANNELS.FILE_OPENED, content, filename);
-    mainWindow.setDocumentEdited(false);
+    if (existing) {
+      logger.info(`File already open, focusing tab: ${resolvedPath}`);
+      window.webContents.send(IPC_CHANNELS.FOCUS_DOCUMENT, existing.id);
+      return true;
+    }
+
+    const content = await fileService.readFile(resolvedPath);
+    const doc = await addFileDocument(window, resolvedPath);
+    addRecentDocument(resolvedPath);
+    sendFileOpened(window, doc, content);
 
-    logger.info(`File opened successfully: ${filePath}`);
+    logger.info(`File opened successfully: ${resolvedPath}`);
+    return true;
   } catch (error) {
     logger.error('Error opening file:', error);
+    return false;
   }
 }
 
+/**
+ * Offer to restore the unsaved documents an earlier session left behind
+ * when it did not exit normally
+ * @param {BrowserWindow} window - Window to show the offer in
+ */
+function showRecoveryDialog(window) {
+  const snapshots = recoveryService.listOrphanedSnapshots();
+  if (snapshots.length === 0 || window.isDestroyed()) return;
+
+  logger.info(`Offering to recover ${snapshots.length} unsaved document(s)`);
+  window.webContents.send(IPC_CHANNELS.SHOW_RECOVERY_DIALOG, snapshots);
+}
+
+/**
+ * Reopen a recovered document with its unsaved text in a new tab. A
+ * document that had a file opens as that file with the text as unsaved
+ * changes; untitled documents, and files that are gone or already open,
+ * open as untitled tabs so nothing is overwritten.
+ * @param {BrowserWindow} window - Window to open it in
+ * @param {string} snapshotId - Id from recoveryService.listOrphanedSnapshots
+ * @returns {Promise<boolean>} Whether the document was reopened
+ */
+async function restoreRecoverySnapshot(window, snapshotId) {
+  const snapshot = recoveryService.getOrphanedSnapshot(snapshotId);
+  if (!snapshot) {
+    logger.warn(`Recovery snapshot ${snapshotId} is no longer available`);
+    return false;
+  }
+
+  const { filePath, content } = snapshot;
+  const canOpenFile =
+    filePath &&
+    !documentRegistry.findDocumentByPath(window.webContents.id, filePath) &&
+    (await fileService.fileExists(filePath));
+
+  if (canOpenFile) {
+    const doc = await addFileDocument(window, filePath);
+    doc.isDirty = true;
+    sendFileOpened(window, doc, content, true);
+    updateDocumentEdited(window);
+  } else {
+    window.webContents.send(IPC_CHANNELS.NEW_DOCUMENT, content);
+  }
+
+  // The new tab is unsaved, so it gets a snapshot of its own
+  recoveryService.discardOrphanedSnapshot(snapshotId);
+  logger.info(`Recovered ${filePath || snapshot.filename || 'document'}`);
+  return true;
+}
+
+/**
+ * Export the front tab as a self-contained HTML file. The renderer supplies
+ * the source and the HTML its MarkdownService rendered, so the export
+ * matches the preview; exportService does the rest without a window.
+ * @param {BrowserWindow} window - Window showing the document
+ * @returns {Promise<boolean>} Whether a file was written
+ */
+async function handleExportHtml(window) {
+  const target = await prepareExport(
+    window,
+    getActiveDocumentId(window),
+    FILE_FILTERS.HTML
+  );
+  if (!target) return false;
+
+  try {
+    const html = await exportService.renderHtmlDocument({
+      ...target.renderOptions,
+      embedImages: settingsStore.getSetting('exportEmbedImages'),
+      theme: settingsStore.getSetting('theme'),
+      themeStyles: await themeService.getPreviewThemeCss(
+        settingsStore.getSetting('previewTheme')
+      ),
+      lineNumbers: settingsStore.getSetting('codeLineNumbers'),
+    });
+    await fileService.writeFile(target.exportPath, html);
+    logger.info(`Exported HTML: ${target.exportPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Error exporting HTML:', error);
+    showErrorDialog(
+      'Export Error',
+      `Failed to export the document: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Pass an Edit > Find command to the window
+ * @param {BrowserWindow} window - Window showing the document
+ * @param {string} command - One of FIND_COMMANDS
+ */
+function sendFindCommand(window, command) {
+  window.webContents.send(IPC_CHANNELS.FIND_COMMAND, command);
+}
+
+/**
+ * Show the version history of the tab in front
+ * @param {BrowserWindow} window - Window showing the document
+ */
+function showVersionHistory(window) {
+  window.webContents.send(IPC_CHANNELS.SHOW_VERSION_HISTORY);
+}
+
+/**
+ * Show the search panel for the window's workspace
+ * @param {BrowserWindow} window - Window showing the workspace
+ */
+function showWorkspaceSearch(window) {
+  window.webContents.send(IPC_CHANNELS.SHOW_WORKSPACE_SEARCH);
+}
+
+/**
+ * Open a folder as the window's workspace, replacing any open one, and
+ * remember it for the next launch
+ * @param {BrowserWindow} window - Window to show it in
+ * @param {string} folderPath - Folder to open
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] - Only log a folder that is gone,
+ *   e.g. when reopening last session's at launch
+ * @returns {Promise<boolean>} Whether the folder was opened
+ */
+async function handleOpenFolder(window, folderPath, { silent = false } = {}) {
+  // The folder may have been moved, deleted or replaced by a file since it
+  // was picked or remembered
+  if (!(await fileService.isDirectory(folderPath))) {
+    logger.warn(`Not a folder: ${folderPath}`);
+    if (!silent) {
+      showErrorDialog(
+        'Open Folder Error',
+        `${folderPath} is not a folder or no longer exists.`
+      );
+    }
+    return false;
+  }
+
+  const root = path.resolve(folderPath);
+  workspaceService.openWorkspace(window.webContents.id, root, () =>
+    sendWorkspace(window)
+  );
+  workspaceService.rememberWorkspace(root);
+  await sendWorkspace(window);
+  return true;
+}
+
+/**
+ * Close the window's workspace; the next launch starts without one
+ * @param {BrowserWindow} window
+ */
+function handleCloseFolder(window) {
+  workspaceService.closeWorkspace(window.webContents.id);
+  workspaceService.rememberWorkspace(null);
+  if (!window.isDestroyed()) {
+    window.webContents.send(IPC_CHANNELS.WORKSPACE_CHANGED, null);
+  }
+}
+
+/**
+ * Carry out a change the workspace sidebar asked for. Every path must be
+ * inside the window's workspace, and the workspace folder itself cannot be
+ * renamed, moved or deleted.
+ * @param {BrowserWindow} window - Window the workspace belongs to
+ * @param {Object} operation
+ * @param {string} operation.type - One of WORKSPACE_OPERATIONS
+ * @param {string} operation.path - File or folder to act on; the parent
+ *   folder when creating
+ * @param {string} [operation.name] - Name to create or rename to
+ * @param {string} [operation.destination] - Folder to move into
+ * @returns {Promise<{ok: boolean, error?: string, path?: string}>} The path
+ *   of the created, renamed or moved entry
+ */
+async function handleWorkspaceOperation(window, operation) {
+  const { type, name, destination } = operation || {};
+  const root = workspaceService.getWorkspaceRoot(window.webContents.id);
+  const targetPath = await resolveWorkspacePath(
+    root,
+    operation && operation.path
+  );
+  if (!targetPath) {
+    return { ok: false, error: 'That is not in the open folder.' };
+  }
+  const isRoot = targetPath === root;
+
+  try {
+    switch (type) {
+      case WORKSPACE_OPERATIONS.OPEN:
+        return { ok: await openWorkspaceFile(window, targetPath) };
+
+      case WORKSPACE_OPERATIONS.CREATE_FILE:
+      case WORKSPACE_OPERATIONS.CREATE_FOLDER: {
+        const error = getEntryNameError(name);
+        if (error) return { ok: false, error };
+
+        const isFile = type === WORKSPACE_OPERATIONS.CREATE_FILE;
+        const trimmed = name.trim();
+        // New files without an extension are markdown
+        const newPath = path.join(
+          targetPath,
+          isFile && !path.extname(trimmed) ? `${trimmed}.md` : trimmed
+        );
+        if (await fileService.fileExists(newPath)) {
+          return {
+            ok: false,
+            error: `${path.basename(newPath)} already exists.`,
+          };
+        }
+
+        if (isFile) {
+          await fileService.createFile(newPath);
+          await sendWorkspace(window);
+          await openWorkspaceFile(window, newPath);
+        } else {
+          await fileService.createDirectory(newPath);
+          await sendWorkspace(window);
+        }
+        return { ok: true, path: newPath };
+      }
+
+      case WORKSPACE_OPERATIONS.RENAME: {
+        const error = isRoot
+          ? 'The open folder cannot be renamed here.'
+          : getEntryNameError(name);
+        if (error) return { ok: false, error };
+
+        const newPath = path.join(path.dirname(targetPath), name.trim());
+        return moveWorkspaceEntry(window, targetPath, newPath);
+      }
+
+      case WORKSPACE_OPERATIONS.MOVE: {
+        const folder = await resolveWorkspacePath(root, destination);
+        if (isRoot || !folder) {
+          return { ok: false, error: 'That is not in the open folder.' };
+        }
+        if (workspaceService.isInsideWorkspace(targetPath, folder)) {
+          return { ok: false, error: 'A folder cannot be moved into itself.' };
+        }
+        const newPath = path.join(folder, path.basename(targetPath));
+        return moveWorkspaceEntry(window, targetPath, newPath);
+      }
+
+      case WORKSPACE_OPERATIONS.DELETE: {
+        if (isRoot) {
+          return {
+            ok: false,
+            error: 'The open folder cannot be deleted here.',
+          };
+        }
+        const isDirectory = await fileService.isDirectory(targetPath);
+        const confirmed = await dialogService.showDeleteConfirmDialog(
+          window,
+          path.basename(targetPath),
+          isDirectory
+        );
+        if (!confirmed) return { ok: false };
+
+        // Open tabs of deleted files get the "deleted on disk" banner
+        await fileService.trashPath(targetPath);
+        await sendWorkspace(window);
+        return { ok: true };
+      }
+
+      default:
+        return { ok: false, error: `Unknown workspace operation: ${type}` };
+    }
+  } catch (error) {
+    // fileService already reported the failure
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Search the window's workspace, sending results to the search panel as
+ * they are found and a summary once the search is over. Results of a
+ * search the window has since replaced or cancelled are dropped.
+ * @param {BrowserWindow} window - Window the workspace belongs to
+ * @param {number} searchId - Chosen by the renderer; sent back with every
+ *   message about this search
+ * @param {Object} search - Query and options, see WorkspaceQuery
+ */
+async function handleWorkspaceSearch(window, searchId, search) {
+  const webContentsId = window.webContents.id;
+  const root = workspaceService.getWorkspaceRoot(webContentsId);
+  activeSearches.set(webContentsId, searchId);
+
+  const isCancelled = () =>
+    window.isDestroyed() || activeSearches.get(webContentsId) !== searchId;
+  const send = (channel, payload) => {
+    if (!isCancelled()) {
+      window.webContents.send(channel, searchId, payload);
+    }
+  };
+
+  try {
+    if (!root) {
+      send(IPC_CHANNELS.WORKSPACE_SEARCH_DONE, {
+        error: 'Open a folder to search its files.',
+      });
+      return;
+    }
+
+    const summary = await workspaceSearchService.searchWorkspace(
+      root,
+      search || {},
+      {
+        onResults: (results) =>
+          send(IPC_CHANNELS.WORKSPACE_SEARCH_RESULTS, results),
+        isCancelled,
+      }
+    );
+    if (summary) {
+      send(IPC_CHANNELS.WORKSPACE_SEARCH_DONE, summary);
+    }
+  } catch (error) {
+    // Usually an invalid regular expression
+    send(IPC_CHANNELS.WORKSPACE_SEARCH_DONE, { error: error.message });
+  } finally {
+    if (activeSearches.get(webContentsId) === searchId) {
+      activeSearches.delete(webContentsId);
+    }
+  }
+}
+
+/**
+ * Replace search matches in the files of the window's workspace, after
+ * asking. Files with unsaved edits in a tab, and files that changed since
+ * the search, are left alone and reported. Open tabs of the other files
+ * reload, and the text before and after goes into each file's version
+ * history.
+ * @param {BrowserWindow} window - Window the workspace belongs to
+ * @param {Object} request
+ * @param {Object} request.search - The search that found the matches
+ * @param {string} request.replacement
+ * @param {Array<{filePath: string, hash: string, starts: number[]}>}
+ *   request.files - Matches to replace, by their offsets in each file
+ * @returns {Promise<{ok: boolean, error?: string, fileCount?: number,
+ *   matchCount?: number, skipped?: Array<{filePath: string,
+ *   error: string}>}>}
+ */
+async function handleReplaceInWorkspace(window, request) {
+  const { search, replacement, files } = request || {};
+  const root = workspaceService.getWorkspaceRoot(window.webContents.id);
+  if (!root) return { ok: false, error: 'Open a folder to search its files.' };
+  if (!search || typeof replacement !== 'string' || !Array.isArray(files)) {
+    return { ok: false, error: 'Nothing to replace.' };
+  }
+
+  const allowed = await Promise.all(
+    files.map(
+      async (target) =>
+        Array.isArray(target.starts) &&
+        target.starts.length > 0 &&
+        Boolean(await resolveWorkspacePath(root, target.filePath))
+    )
+  );
+  const targets = files.filter((target, index) => allowed[index]);
+  const total = targets.reduce((sum, target) => sum + target.starts.length, 0);
+  if (total === 0) return { ok: false, error: 'Nothing to replace.' };
+
+  const confirmed = await dialogService.showReplaceConfirmDialog(
+    window,
+    total,
+    targets.length
+  );
+  if (!confirmed) return { ok: false };
+
+  const result = { ok: true, fileCount: 0, matchCount: 0, skipped: [] };
+  const matcher = workspaceSearchService.createMatcher(search);
+  try {
+    for (const target of targets) {
+      const filePath = path.resolve(target.filePath);
+      const openDocs = getDocumentsForFile(filePath);
+      if (openDocs.some(({ doc }) => doc.isDirty)) {
+        result.skipped.push({
+          filePath,
+          error: 'It has unsaved changes in a tab.',
+        });
+        continue;
+      }
+
+      try {
+        const { original, content, count } =
+          await workspaceSearchService.prepareReplacement(
+            { ...target, filePath },
+            search,
+            replacement,
+            matcher
+          );
+        if (count === 0) continue;
+
+        addToHistory(filePath, original);
+        await fileService.writeFile(filePath, content);
+        addToHistory(filePath, content);
+        result.fileCount += 1;
+        result.matchCount += count;
+
+        await Promise.all(
+          openDocs.map(({ window: openWindow, doc }) =>
+            reloadDocument(openWindow, doc)
+          )
+        );
+      } catch (error) {
+        result.skipped.push({ filePath, error: error.message });
+      }
+    }
+  } finally {
+    matcher.stop();
+  }
+
+  logger.info(
+    `Replaced ${result.matchCount} matches in ${result.fileCount} files`
+  );
+  return result;
+}
+
+/**
+ * List the workspace documents with wiki links to one of the window's
+ * documents
+ * @param {BrowserWindow} window
+ * @param {string} docId
+ * @returns {Promise<{backlinks: Array, truncated: boolean}|null>} Null
+ *   without a workspace or for untitled documents
+ */
+async function listBacklinks(window, docId) {
+  const webContentsId = window.webContents.id;
+  const root = workspaceService.getWorkspaceRoot(webContentsId);
+  const doc = documentRegistry.getDocument(webContentsId, docId);
+  if (!root || !doc || !doc.filePath) return null;
+
+  try {
+    return await wikiLinkService.findBacklinks(root, doc.filePath);
+  } catch (error) {
+    logger.error('Unable to list backlinks:', error);
+    return null;
+  }
+}
+
+/**
+ * Pop up the context menu for a file or folder in the workspace sidebar
+ * @param {BrowserWindow} window - Window the workspace belongs to
+ * @param {string} targetPath - Entry that was right-clicked
+ * @param {boolean} isDirectory
+ */
+async function showWorkspaceMenu(window, targetPath, isDirectory) {
+  const root = workspaceService.getWorkspaceRoot(window.webContents.id);
+  const entryPath = await resolveWorkspacePath(root, targetPath);
+  if (!entryPath) return;
+
+  const isRoot = entryPath === root;
+  const folder = isDirectory ? entryPath : path.dirname(entryPath);
+  const send = (command, commandPath) => {
+    if (!window.isDestroyed()) {
+      window.webContents.send(
+        IPC_CHANNELS.WORKSPACE_COMMAND,
+        command,
+        commandPath
+      );
+    }
+  };
+
+  Menu.buildFromTemplate([
+    {
+      label: 'New File',
+      click: () => send(WORKSPACE_COMMANDS.NEW_FILE, folder),
+    },
+    {
+      label: 'New Folder',
+      click: () => send(WORKSPACE_COMMANDS.NEW_FOLDER, folder),
+    },
+    { type: 'separator' },
+    {
+      label: 'Rename',
+      enabled: !isRoot,
+      click: () => send(WORKSPACE_COMMANDS.RENAME, entryPath),
+    },
+    {
+      label: 'Delete',
+      enabled: !isRoot,
+      click: () =>
+        handleWorkspaceOperation(window, {
+          type: WORKSPACE_OPERATIONS.DELETE,
+          path: entryPath,
+        }),
+    },
+    { type: 'separator' },
+    {
+      label:
+        process.platform === 'darwin' ? 'Reveal in Finder' : 'Show in Folder',
+      click: () => shell.showItemInFolder(entryPath),
+    },
+  ]).popup({ window });
+}
+
+/**
+ * Ask the window for PDF page setup; the renderer answers on 'export-pdf'
+ * @param {BrowserWindow} window - Window showing the document
+ */
+function showPdfExportDialog(window) {
+  if (!getActiveDocumentId(window)) return;
+  window.webContents.send(IPC_CHANNELS.SHOW_PDF_EXPORT_DIALOG);
+}
+
+/**
+ * Export a document as PDF. Images are always embedded and the light
+ * variant of the preview theme is used, since the PDF is rendered from a
+ * temporary file and is meant for paper.
+ * @param {BrowserWindow} window - Window showing the document
+ * @param {string} docId - Document to export
+ * @param {Object} options - Page setup from the export dialog
+ * @returns {Promise<boolean>} Whether a file was written
+ */
+async function handleExportPdf(window, docId, options) {
+  const pageSetup = pdfExportService.normalizePdfOptions(options);
+  const target = await prepareExport(window, docId, FILE_FILTERS.PDF);
+  if (!target) return false;
+
+  try {
+    const html = await exportService.renderHtmlDocument({
+      ...target.renderOptions,
+      embedImages: true,
+      theme: THEMES.LIGHT,
+      themeStyles: await themeService.getPreviewThemeCss(
+        settingsStore.getSetting('previewTheme')
+      ),
+      tableOfContents: pageSetup.includeToc,
+      lineNumbers: settingsStore.getSetting('codeLineNumbers'),
+    });
+    const data = await pdfExportService.printHtmlToPdf(html, pageSetup);
+    await fileService.writeFile(target.exportPath, data);
+    logger.info(`Exported PDF: ${target.exportPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Error exporting PDF:', error);
+    showErrorDialog(
+      'Export Error',
+      `Failed to export the document: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Save a preview diagram as PNG, next to the document unless it is untitled
+ * @param {BrowserWindow} window - Window showing the document
+ * @param {string} docId - Document the diagram belongs to
+ * @param {Uint8Array} data - PNG file contents
+ * @returns {Promise<boolean>} Whether a file was written
+ */
+async function handleSaveDiagramPng(window, docId, data) {
+  const doc = documentRegistry.getDocument(window.webContents.id, docId);
+  const sourcePath = doc && doc.filePath;
+  const defaultName = exportService.getExportFilename(
+    sourcePath || APP_INFO.UNTITLED_FILE,
+    '-diagram.png'
+  );
+
+  try {
+    const exportPath = await dialogService.showExportDialog(
+      window,
+      sourcePath
+        ? path.join(fileService.getDirectory(sourcePath), defaultName)
+        : defaultName,
+      FILE_FILTERS.PNG
+    );
+    if (!exportPath) return false;
+
+    await fileService.writeFile(exportPath, Buffer.from(data));
+    logger.info(`Saved diagram: ${exportPath}`);
+    return true;
+  } catch (error) {
+    logger.error('Error saving diagram:', error);
+    showErrorDialog(
+      'Export Error',
+      `Failed to save the diagram: ${error.message}`
+    );
+    return false;
+  }
+}
+
+/**
+ * Fetch a document from the renderer and ask where to export it
+ * @param {BrowserWindow} window - Window showing the document
+ * @param {string|null} docId - Document to export
+ * @param {{name: string, extensions: string[]}} filter - Export format
+ * @returns {Promise<{exportPath: string, renderOptions: Object}|null>}
+ *   Null when there is nothing to export or the user cancels
+ */
+async function prepareExport(window, docId, filter) {
+  if (!docId) return null;
+
+  let content;
+  try {
+    content = await requestFromRenderer(
+      window,
+      IPC_CHANNELS.REQUEST_EXPORT_CONTENT,
+      { args: [docId] }
+    );
+  } catch (error) {
+    logger.error('Unable to get document for export:', error);
+    return null;
+  }
+  if (!content) return null;
+
+  const doc = documentRegistry.getDocument(window.webContents.id, docId);
+  const sourcePath = doc && doc.filePath;
+  const baseDirectory = sourcePath
+    ? fileService.getDirectory(sourcePath)
+    : null;
+  const extension = `.${filter.extensions[0]}`;
+  const defaultName = exportService.getExportFilename(
+    content.filename || APP_INFO.UNTITLED_FILE,
+    extension
+  );
+
+  const exportPath = await dialogService.showExportDialog(
+    window,
+    baseDirectory ? path.join(baseDirectory, defaultName) : defaultName,
+    filter
+  );
+  if (!exportPath) return null;
+
+  return {
+    exportPath,
+    renderOptions: {
+      markdown: content.markdown,
+      bodyHtml: content.html,
+      metadata: content.metadata || null,
+      baseDirectory,
+      fallbackTitle: path.basename(defaultName, extension),
+    },
+  };
+}
+
+/**
+ * Bring the tab showing a file to the front, in whichever window has it
+ * @param {string} filePath - Path to look for
+ * @returns {BrowserWindow|null} The window that has the file open
+ */
+function focusOpenFile(filePath) {
+  const doc = documentRegistry.findOpenDocument(path.resolve(filePath));
+  if (!doc) return null;
+
+  const contents = webContents.fromId(doc.webContentsId);
+  const window = contents ? BrowserWindow.fromWebContents(contents) : null;
+  if (!window || window.isDestroyed()) return null;
+
+  if (window.isMinimized()) {
+    window.restore();
+  }
+  window.focus();
+  window.webContents.send(IPC_CHANNELS.FOCUS_DOCUMENT, doc.id);
+  return window;
+}
+
 /**
  * Handle save file action
- * @param {BrowserWindow} mainWindow - The main window instance
+ * @param {BrowserWindow} window - Window that owns the document
+ * @param {string} [docId] - Document to save; defaults to the active tab
+ * @returns {Promise<boolean>} Resolves once the write succeeded or failed
  */
-function handleSaveFile(mainWindow) {
+function handleSaveFile(window, docId = getActiveDocumentId(window)) {
   logger.info('Save file requested');
-  mainWindow.webContents.send(IPC_CHANNELS.SAVE_FILE);
+  const saved = waitForSave(window, docId);
+  window.webContents.send(IPC_CHANNELS.SAVE_FILE, docId);
+  return saved;
 }
 
 /**
  * Handle save as action
- * @param {BrowserWindow} mainWindow - The main window instance
+ * @param {BrowserWindow} window - Window that owns the document
  * @param {string} filePath - Path to save file to
+ * @param {string} [docId] - Document to save; defaults to the active tab
+ * @returns {Promise<boolean>} Resolves once the write succeeded or failed
  */
-function handleSaveFileAs(mainWindow, filePath) {
+function handleSaveFileAs(
+  window,
+  filePath,
+  docId = getActiveDocumentId(window)
+) {
   logger.info(`Save file as requested: ${filePath}`);
-  mainWindow.webContents.send(IPC_CHANNELS.SAVE_FILE_AS, filePath);
+  const saved = waitForSave(window, docId);
+  window.webContents.send(IPC_CHANNELS.SAVE_FILE_AS, docId, filePath);
+  return saved;
 }
 
 /**
- * Get current file path
- * @returns {string|null}
+ * Close a tab, confirming unsaved changes first
+ * @param {BrowserWindow} window - Window that owns the tab
+ * @param {string} [docId] - Document to close; defaults to the active tab
+ * @returns {Promise<boolean>} Whether the tab was closed
+ */
+async function handleCloseDocument(
+  window,
+  docId = getActiveDocumentId(window)
+) {
+  if (!docId) return false;
+
+  const states = await getDocumentStates(window);
+  const state = states.find((candidate) => candidate.docId === docId);
+
+  if (state && state.isDirty) {
+    const canClose = await confirmDocumentChanges(window, state);
+    if (!canClose) return false;
+  }
+
+  const doc = documentRegistry.getDocument(window.webContents.id, docId);
+  if (doc) {
+    recoveryService.removeSnapshot(doc);
+  }
+  documentRegistry.removeDocument(window.webContents.id, docId);
+  window.webContents.send(IPC_CHANNELS.CLOSE_DOCUMENT, docId);
+  updateDocumentEdited(window);
+  logger.info(`Closed document ${docId}`);
+  return true;
+}
+
+/**
+ * Make sure unsaved edits in a window are not silently lost. Asks the
+ * renderer which tabs are dirty and offers Save / Don't Save / Cancel for
+ * each of them.
+ * @param {BrowserWindow} window - Window about to close
+ * @returns {Promise<boolean>} True when it is safe to continue
+ */
+async function confirmDiscardChanges(window) {
+  if (!window || window.isDestroyed()) return true;
+
+  const states = await getDocumentStates(window);
+  for (const state of states.filter((candidate) => candidate.isDirty)) {
+    const canContinue = await confirmDocumentChanges(window, state);
+    if (!canContinue) return false;
+  }
+  return true;
+}
+
+/**
+ * Ask about one dirty document. Untitled documents go through Save As.
+ * @param {BrowserWindow} window
+ * @param {{docId: string, filename: string}} state
+ * @returns {Promise<boolean>} True when it is safe to discard the buffer
+ */
+async function confirmDocumentChanges(window, state) {
+  window.webContents.send(IPC_CHANNELS.FOCUS_DOCUMENT, state.docId);
+
+  const choice = await dialogService.showUnsavedChangesDialog(
+    window,
+    state.filename
+  );
+
+  if (choice === dialogService.UNSAVED_CHANGES_CHOICE.CANCEL) {
+    return false;
+  }
+  if (choice === dialogService.UNSAVED_CHANGES_CHOICE.DISCARD) {
+    return true;
+  }
+
+  const doc = documentRegistry.getDocument(window.webContents.id, state.docId);
+  if (doc && doc.filePath) {
+    return handleSaveFile(window, state.docId);
+  }
+
+  const filePath = await dialogService.showSaveDialog(
+    window,
+    state.filename || APP_INFO.UNTITLED_FILE
+  );
+  if (!filePath) return false;
+
+  return handleSaveFileAs(window, filePath, state.docId);
+}
+
+/**
+ * Handle a link followed inside the preview. External URLs open in the
+ * default browser; document-relative links open markdown files in the app
+ * and reveal anything else in the file manager, never opening it, since a
+ * document can link to programs next to it. Wiki links open the page they
+ * name.
+ * @param {BrowserWindow} window - Window the navigation started in
+ * @param {string} url - Target URL
+ */
+async function handlePreviewNavigation(window, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return;
+  }
+
+  try {
+    if (['http:', 'https:', 'mailto:'].includes(parsed.protocol)) {
+      await shell.openExternal(url);
+      return;
+    }
+
+    if (parsed.protocol === 'wiki:') {
+      await followWikiLink(window, parsed);
+      return;
+    }
+
+    if (parsed.protocol !== `${ASSET_PROTOCOL.SCHEME}:`) {
+      logger.warn(`Blocked navigation to ${url}`);
+      return;
+    }
+
+    // Only the folder of the document the preview shows is reachable
+    const doc = documentRegistry.getActiveDocument(window.webContents.id);
+    const filePath =
+      doc &&
+      (await assetProtocol.resolveAssetPath(
+        url,
+        documentRegistry.getDocumentKey(doc)
+      ));
+    if (!filePath) {
+      logger.warn(`Refused to open link outside document folder: ${url}`);
+      return;
+    }
+
+    if (fileService.isMarkdownFile(filePath)) {
+      await handleOpenFile(window, filePath);
+    } else {
+      shell.showItemInFolder(filePath);
+    }
+  } catch (error) {
+    logger.error('Error following preview link:', error);
+  }
+}
+
+/**
+ * Follow a [[Page]] link from the preview: open the page it names,
+ * offering to create it when there is none, and scroll to the heading it
+ * names
+ * @param {BrowserWindow} window - Window the link was clicked in
+ * @param {URL} url - wiki:Page#heading-id
  */
-function getCurrentFile() {
-  return currentFile;
+async function followWikiLink(window, url) {
+  const target = decodeURIComponent(url.pathname).trim();
+  const headingId = decodeURIComponent(url.hash.slice(1));
+  if (!target) return;
+
+  // Links are followed from the preview, which shows the tab in front
+  const webContentsId = window.webContents.id;
+  const root = workspaceService.getWorkspaceRoot(webContentsId);
+  const fromDoc = documentRegistry.getActiveDocument(webContentsId);
+  const fromPath = fromDoc ? fromDoc.filePath : null;
+
+  const filePath =
+    (await wikiLinkService.resolveWikiLink(root, target, fromPath)) ||
+    (await createWikiPage(window, root, target, fromPath));
+  if (!filePath || !(await handleOpenFile(window, filePath))) return;
+
+  const doc = documentRegistry.findDocumentByPath(webContentsId, filePath);
+  if (doc && headingId) {
+    window.webContents.send(IPC_CHANNELS.REVEAL_HEADING, doc.id, headingId);
+  }
 }
 
 /**
- * Set current file path
- * @param {string|null} filePath
+ * Offer to create the page a wiki link names, titled with its name
+ * @param {BrowserWindow} window
+ * @param {string|null} root - Workspace folder
+ * @param {string} target - The link's target
+ * @param {string|null} fromPath - Document the link is in
+ * @returns {Promise<string|null>} Path of the new page; null when it was
+ *   not created
  */
-function setCurrentFile(filePath) {
-  currentFile = filePath;
+async function createWikiPage(window, root, target, fromPath) {
+  const newPath = wikiLinkService.getNewPagePath(root, target, fromPath);
+  if (!newPath) {
+    logger.warn(`No folder to create the wiki page ${target} in`);
+    return null;
+  }
+  if (!(await dialogService.showCreatePageDialog(window, target, newPath))) {
+    return null;
+  }
+
+  const title = path.basename(newPath, path.extname(newPath));
+  await fileService.createFile(newPath, `# ${title}\n`);
+  await sendWorkspace(window);
+  return newPath;
 }
 
 /**
- * Update the primary BrowserWindow reference.
- * @param {BrowserWindow|null} window
+ * Watch a document's file so external edits, renames and deletion are
+ * noticed
+ * @param {BrowserWindow} window - Window showing the document
+ * @param {Object} doc - Document record
  */
-function setMainWindow(window) {
-  mainWindowRef = window;
+function watchDocument(window, doc) {
+  if (doc.watcher && doc.watchedPath === doc.filePath) return;
+
+  if (doc.watcher) {
+    doc.watcher.close();
+  }
+  if (!doc.filePath) return;
+
+  const filePath = doc.filePath;
+  doc.watchedPath = filePath;
+  doc.watcher = fileService.watchFile(filePath, () => {
+    handleExternalChange(window, doc.id, filePath).catch((error) => {
+      logger.error('Error handling external file change:', error);
+    });
+  });
 }
 
-function notifyFileSaved(filePath) {
-  if (!mainWindowRef || mainWindowRef.isDestroyed()) return;
+/**
+ * Reconcile a tab with a change made to its file by another program.
+ * Clean buffers reload silently; dirty ones get a banner in the renderer.
+ * @param {BrowserWindow} window - Window showing the file
+ * @param {string} docId - Document the watcher belongs to
+ * @param {string} filePath - Path the watcher was started for
+ */
+async function handleExternalChange(window, docId, filePath) {
+  if (!window || window.isDestroyed()) return;
 
-  const filename = fileService.getFilename(filePath);
-  if (process.platform === 'darwin') {
-    setRepresentedFile(mainWindowRef, filePath);
-    mainWindowRef.setDocumentEdited(false);
+  const doc = documentRegistry.getDocument(window.webContents.id, docId);
+  if (!doc || doc.filePath !== filePath) return;
+
+  const snapshot = await fileService.readFileSnapshot(filePath);
+
+  if (!snapshot) {
+    const renamedTo = await fileService.findRenamedFile(
+      filePath,
+      doc.signature
+    );
+    if (renamedTo) {
+      handleExternalRename(window, doc, renamedTo);
+    } else {
+      logger.info(`File deleted on disk: ${filePath}`);
+      window.webContents.send(
+        IPC_CHANNELS.FILE_CHANGED_ON_DISK,
+        doc.id,
+        EXTERNAL_CHANGE_KINDS.DELETED
+      );
+    }
+    return;
+  }
+
+  if (fileService.signaturesMatch(snapshot.signature, doc.signature)) {
+    return;
+  }
+
+  const states = await getDocumentStates(window);
+  const state = states.find((candidate) => candidate.docId === doc.id);
+  if (!state || !state.isDirty) {
+    logger.info(`Reloading externally changed file: ${filePath}`);
+    doc.signature = snapshot.signature;
+    sendFileOpened(window, doc, snapshot.content);
+    return;
+  }
+
+  logger.info(`File changed on disk with unsaved edits: ${filePath}`);
+  window.webContents.send(
+    IPC_CHANNELS.FILE_CHANGED_ON_DISK,
+    doc.id,
+    EXTERNAL_CHANGE_KINDS.MODIFIED,
+    snapshot.content
+  );
+}
+
+function handleExternalRename(window, doc, newPath) {
+  logger.info(`File renamed on disk: ${doc.filePath} -> ${newPath}`);
+
+  doc.filePath = newPath;
+  watchDocument(window, doc);
+
+  const directory = fileService.getDirectory(newPath);
+  const key = documentRegistry.getDocumentKey(doc);
+  assetProtocol.setDocumentRoot(key, directory);
+  syncRepresentedFile(window);
+  window.webContents.send(
+    IPC_CHANNELS.FILE_RENAMED,
+    doc.id,
+    newPath,
+    fileService.getFilename(newPath),
+    directory,
+    assetProtocol.getAssetHost(key)
+  );
+}
+
+/**
+ * Replace a tab's buffer with the current disk version, skipping the
+ * unsaved-changes prompt (the user already chose to reload)
+ * @param {BrowserWindow} window
+ * @param {Object} doc - Document record
+ */
+async function reloadDocument(window, doc) {
+  const snapshot = await fileService.readFileSnapshot(doc.filePath);
+  if (!snapshot) {
+    logger.warn(`Cannot reload missing file: ${doc.filePath}`);
+    return;
+  }
+
+  doc.signature = snapshot.signature;
+  sendFileOpened(window, doc, snapshot.content);
+}
+
+/**
+ * Refuse to blindly overwrite a file that changed since it was loaded
+ * @param {BrowserWindow|null} window - Parent for the confirmation dialog
+ * @param {Object} doc - Document about to be written
+ * @returns {Promise<boolean>} True when the write may proceed
+ */
+async function confirmOverwriteIfChanged(window, doc) {
+  const diskSignature = await fileService.getFileSignature(doc.filePath);
+
+  // Deleted files are simply recreated
+  if (!diskSignature || !doc.signature) return true;
+  if (fileService.signaturesMatch(diskSignature, doc.signature)) return true;
+
+  logger.warn(
+    `Save conflict: ${doc.filePath} changed on disk since it was loaded`
+  );
+  return dialogService.showOverwriteConflictDialog(
+    window,
+    fileService.getFilename(doc.filePath)
+  );
+}
+
+/**
+ * Track a file opened in a new tab: watch it and let the preview load
+ * assets next to it
+ * @param {BrowserWindow} window - Window that owns the document
+ * @param {string} filePath - Resolved path
+ * @returns {Promise<Object>} The new document record
+ */
+async function addFileDocument(window, filePath) {
+  const doc = documentRegistry.ensureDocument(
+    window.webContents.id,
+    documentRegistry.createDocumentId()
+  );
+
+  doc.filePath = filePath;
+  doc.signature = await fileService.getFileSignature(filePath);
+  watchDocument(window, doc);
+  assetProtocol.setDocumentRoot(
+    documentRegistry.getDocumentKey(doc),
+    fileService.getDirectory(filePath)
+  );
+  return doc;
+}
+
+/**
+ * Send the window's workspace tree to its sidebar
+ * @param {BrowserWindow} window
+ */
+async function sendWorkspace(window) {
+  if (!window || window.isDestroyed()) return;
+
+  try {
+    const snapshot = await workspaceService.scanWorkspace(
+      window.webContents.id,
+      { showAllFiles: settingsStore.getSetting('workspaceShowAllFiles') }
+    );
+    if (snapshot && !window.isDestroyed()) {
+      window.webContents.send(IPC_CHANNELS.WORKSPACE_CHANGED, snapshot);
+    }
+  } catch (error) {
+    logger.error('Unable to list the workspace:', error);
+  }
+}
+
+/**
+ * Resolve a path from the sidebar, refusing anything outside the workspace,
+ * including paths that only get out through a symlink
+ * @param {string|null} root - Workspace folder
+ * @param {*} targetPath
+ * @returns {Promise<string|null>}
+ */
+async function resolveWorkspacePath(root, targetPath) {
+  if (!root || typeof targetPath !== 'string' || !targetPath) return null;
+  return workspaceService.resolveInsideWorkspace(root, targetPath);
+}
+
+/**
+ * Why a name cannot be used for a new or renamed entry
+ * @param {*} name
+ * @returns {string|null} Null when the name is fine
+ */
+function getEntryNameError(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return 'Enter a name.';
+  if (trimmed === '.' || trimmed === '..' || /[\\/]/.test(trimmed)) {
+    return `"${trimmed}" is not a valid name.`;
+  }
+  return null;
+}
+
+/**
+ * Open a workspace file: markdown in a tab, anything else in the program
+ * the system uses for it
+ * @param {BrowserWindow} window
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function openWorkspaceFile(window, filePath) {
+  if (fileService.isMarkdownFile(filePath)) {
+    return handleOpenFile(window, filePath);
+  }
+
+  const error = await shell.openPath(filePath);
+  if (error) {
+    logger.warn(`Unable to open ${filePath}:`, error);
+  }
+  return !error;
+}
+
+/**
+ * Rename or move a workspace entry, keeping tabs of the files it affects
+ * pointed at their new paths
+ * @param {BrowserWindow} window
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @returns {Promise<{ok: boolean, error?: string, path?: string}>}
+ */
+async function moveWorkspaceEntry(window, fromPath, toPath) {
+  if (toPath === fromPath) return { ok: true, path: toPath };
+  if (await fileService.fileExists(toPath)) {
+    return { ok: false, error: `${path.basename(toPath)} already exists.` };
+  }
+
+  await fileService.movePath(fromPath, toPath);
+
+  BrowserWindow.getAllWindows().forEach((openWindow) => {
+    documentRegistry
+      .getDocuments(openWindow.webContents.id)
+      .filter(
+        (doc) =>
+          doc.filePath &&
+          workspaceService.isInsideWorkspace(fromPath, doc.filePath)
+      )
+      .forEach((doc) => {
+        const relative = path.relative(fromPath, doc.filePath);
+        handleExternalRename(openWindow, doc, path.join(toPath, relative));
+      });
+  });
+
+  await sendWorkspace(window);
+  return { ok: true, path: toPath };
+}
+
+/**
+ * Tabs showing a file, in any window
+ * @param {string} filePath
+ * @returns {Array<{window: BrowserWindow, doc: Object}>}
+ */
+function getDocumentsForFile(filePath) {
+  return BrowserWindow.getAllWindows().flatMap((openWindow) =>
+    documentRegistry
+      .getDocuments(openWindow.webContents.id)
+      .filter((doc) => doc.filePath === filePath)
+      .map((doc) => ({ window: openWindow, doc }))
+  );
+}
+
+function sendFileOpened(window, doc, content, recovered = false) {
+  if (!window || window.isDestroyed()) return;
+
+  window.webContents.send(
+    IPC_CHANNELS.FILE_OPENED,
+    doc.id,
+    content,
+    fileService.getFilename(doc.filePath),
+    fileService.getDirectory(doc.filePath),
+    doc.filePath,
+    recovered,
+    assetProtocol.getAssetHost(documentRegistry.getDocumentKey(doc))
+  );
+}
+
+/**
+ * Get the file path of the tab in front
+ * @param {BrowserWindow} window
+ * @returns {string|null}
+ */
+function getActiveFile(window) {
+  if (!window || window.isDestroyed()) return null;
+
+  const doc = documentRegistry.getActiveDocument(window.webContents.id);
+  return doc ? doc.filePath : null;
+}
+
+function getActiveDocumentId(window) {
+  const doc = documentRegistry.getActiveDocument(window.webContents.id);
+  return doc ? doc.id : null;
+}
+
+async function getDocumentStates(window) {
+  try {
+    const states = await requestFromRenderer(
+      window,
+      IPC_CHANNELS.REQUEST_DOCUMENT_STATE
+    );
+    return (Array.isArray(states) ? states : []).map((state) => ({
+      docId: state.docId,
+      isDirty: Boolean(state.isDirty),
+      filename: state.filename || APP_INFO.UNTITLED_FILE,
+    }));
+  } catch (error) {
+    logger.warn('Falling back to last known dirty state:', error.message);
+    return documentRegistry.getDocuments(window.webContents.id).map((doc) => ({
+      docId: doc.id,
+      isDirty: doc.isDirty,
+      filename: doc.filePath
+        ? fileService.getFilename(doc.filePath)
+        : APP_INFO.UNTITLED_FILE,
+    }));
   }
+}
+
+function waitForSave(window, docId) {
+  const doc = documentRegistry.ensureDocument(window.webContents.id, docId);
+  const key = documentRegistry.getDocumentKey(doc);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn('Timed out waiting for save to finish');
+      settlePendingSaves(key, false);
+    }, SAVE_TIMEOUT_MS);
+
+    const waiting = pendingSaves.get(key) || [];
+    waiting.push((saved) => {
+      clearTimeout(timer);
+      resolve(saved);
+    });
+    pendingSaves.set(key, waiting);
+  });
+}
+
+function settlePendingSaves(key, saved) {
+  const waiting = pendingSaves.get(key);
+  if (!waiting) return;
+
+  pendingSaves.delete(key);
+  waiting.forEach((resolve) => resolve(saved));
+}
+
+async function notifyFileSaved(window, doc) {
+  doc.signature = await fileService.getFileSignature(doc.filePath);
+  doc.isDirty = false;
+  recoveryService.removeSnapshot(doc);
+  if (!window || window.isDestroyed()) return;
+
+  watchDocument(window, doc);
+
+  const filename = fileService.getFilename(doc.filePath);
+  const directory = fileService.getDirectory(doc.filePath);
+  const key = documentRegistry.getDocumentKey(doc);
+  assetProtocol.setDocumentRoot(key, directory);
+
+  syncRepresentedFile(window);
+  updateDocumentEdited(window);
+
+  window.webContents.send(
+    IPC_CHANNELS.FILE_SAVED,
+    doc.id,
+    doc.filePath,
+    filename,
+    directory,
+    assetProtocol.getAssetHost(key)
+  );
+}
+
+/**
+ * Keep a saved version in the file's history. Failures are logged; the
+ * save itself already succeeded.
+ * @param {string} filePath
+ * @param {string} content
+ */
+function addToHistory(filePath, content) {
+  historyService
+    .recordRevision(
+      filePath,
+      content,
+      settingsStore.getSetting('historyRevisions')
+    )
+    .catch((error) => {
+      logger.error(`Unable to add ${filePath} to the version history:`, error);
+    });
+}
+
+function updateDocumentEdited(window) {
+  if (!window || window.isDestroyed()) return;
+
+  const isEdited = documentRegistry
+    .getDocuments(window.webContents.id)
+    .some((doc) => doc.isDirty);
+  window.setDocumentEdited(isEdited);
+}
 
-  mainWindowRef.webContents.send(IPC_CHANNELS.FILE_SAVED, filePath, filename);
+function syncRepresentedFile(window) {
+  setRepresentedFile(window, getActiveFile(window) || '');
 }
 
 function addRecentDocument(filePath) {
@@ -168,10 +1742,22 @@ function setRepresentedFile(window, filePath) {
 
 module.exports = {
   setupIpcHandlers,
+  handleNewDocument,
+  showTemplateGallery,
+  showRecoveryDialog,
   handleOpenFile,
+  handleExportHtml,
+  showPdfExportDialog,
+  showVersionHistory,
+  showWorkspaceSearch,
+  handleOpenFolder,
+  handleCloseFolder,
+  sendFindCommand,
+  focusOpenFile,
   handleSaveFile,
   handleSaveFileAs,
-  getCurrentFile,
-  setCurrentFile,
-  setMainWindow,
+  handleCloseDocument,
+  handlePreviewNavigation,
+  confirmDiscardChanges,
+  getActiveFile,
 };
@@ -0,0 +1,65 @@
+/**
+ * Renderer request helper
+ * Lets the main process ask a renderer a question and await its answer
+ */
+
+const { ipcMain } = require('electron');
+const { IPC_CHANNELS } = require('../../shared/constants');
+const logger = require('../utils/logger');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const pendingRequests = new Map();
+let nextRequestId = 1;
+let responseListenerRegistered = false;
+
+function ensureResponseListener() {
+  if (responseListenerRegistered) return;
+  responseListenerRegistered = true;
+
+  ipcMain.on(IPC_CHANNELS.RENDERER_RESPONSE, (event, requestId, result) => {
+    const pending = pendingRequests.get(requestId);
+    if (!pending || pending.webContentsId !== event.sender.id) return;
+
+    pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+    pending.resolve(result);
+  });
+}
+
+/**
+ * Send a request to a window's renderer and wait for the reply
+ * @param {BrowserWindow} window - Target window
+ * @param {string} channel - Request channel from IPC_CHANNELS
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before the request fails
+ * @param {Array} [options.args] - Extra arguments sent with the request
+ * @returns {Promise<*>} Value the renderer answered with
+ */
+function requestFromRenderer(window, channel, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT_MS, args = [] } = options;
+
+  if (!window || window.isDestroyed()) {
+    return Promise.reject(new Error('Window is not available'));
+  }
+
+  ensureResponseListener();
+
+  const requestId = nextRequestId++;
+  const webContentsId = window.webContents.id;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingRequests.delete(requestId);
+      logger.warn(`Renderer request timed out: ${channel}`);
+      reject(new Error(`Renderer did not answer ${channel}`));
+    }, timeout);
+
+    pendingRequests.set(requestId, { resolve, timer, webContentsId });
+    window.webContents.send(channel, requestId, ...args);
+  });
+}
+
+module.exports = {
+  requestFromRenderer,
+};
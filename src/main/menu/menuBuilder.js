@@ -3,16 +3,29 @@
  * Constructs the application menu
  */
 
-const { Menu, app, dialog } = require('electron');
+const { Menu, app } = require('electron');
+const { FIND_COMMANDS } = require('../../shared/constants');
 const logger = require('../utils/logger');
 
 /**
  * Build and set the application menu
  * @param {Object} handlers - Menu action handlers
+ * @param {Function} handlers.onNew - New untitled document handler
+ * @param {Function} handlers.onNewFromTemplate - Template gallery handler
+ * @param {Function} handlers.onNewWindow - New window handler
  * @param {Function} handlers.onOpen - Open file handler
+ * @param {Function} handlers.onOpenFolder - Open folder as workspace handler
+ * @param {Function} handlers.onCloseFolder - Close workspace handler
  * @param {Function} handlers.onSave - Save file handler
  * @param {Function} handlers.onSaveAs - Save as handler
- * @param {Function} [handlers.onShowPreferences] - Preferences handler
+ * @param {Function} handlers.onExportHtml - Export as HTML handler
+ * @param {Function} handlers.onExportPdf - Export as PDF handler
+ * @param {Function} handlers.onShowVersionHistory - Version history handler
+ * @param {Function} handlers.onFind - Find handler, called with one of
+ *   FIND_COMMANDS
+ * @param {Function} handlers.onFindInFolder - Workspace search handler
+ * @param {Function} handlers.onCloseTab - Close active tab handler
+ * @param {Function} handlers.onShowPreferences - Preferences handler
  */
 function buildMenu(handlers) {
   logger.info('Building application menu');
@@ -28,7 +41,7 @@ function buildMenu(handlers) {
         {
           label: 'Preferences…',
           accelerator: 'CmdOrCtrl+,',
-          click: handlers.onShowPreferences || showDefaultPreferencesDialog,
+          click: handlers.onShowPreferences,
         },
         { type: 'separator' },
         { role: 'services' },
@@ -45,11 +58,36 @@ function buildMenu(handlers) {
   template.push({
     label: 'File',
     submenu: [
+      {
+        label: 'New',
+        accelerator: 'CmdOrCtrl+N',
+        click: handlers.onNew,
+      },
+      {
+        label: 'New from Template…',
+        accelerator: 'CmdOrCtrl+Alt+N',
+        click: handlers.onNewFromTemplate,
+      },
+      {
+        label: 'New Window',
+        accelerator: 'CmdOrCtrl+Shift+N',
+        click: handlers.onNewWindow,
+      },
+      { type: 'separator' },
       {
         label: 'Open…',
         accelerator: 'CmdOrCtrl+O',
         click: handlers.onOpen,
       },
+      {
+        label: 'Open Folder…',
+        accelerator: 'CmdOrCtrl+Shift+O',
+        click: handlers.onOpenFolder,
+      },
+      {
+        label: 'Close Folder',
+        click: handlers.onCloseFolder,
+      },
       {
         label: 'Save',
         accelerator: 'CmdOrCtrl+S',
@@ -60,14 +98,48 @@ function buildMenu(handlers) {
         accelerator: 'CmdOrCtrl+Shift+S',
         click: handlers.onSaveAs,
       },
+      {
+        label: 'Export',
+        submenu: [
+          {
+            label: 'HTML…',
+            accelerator: 'CmdOrCtrl+Shift+E',
+            click: handlers.onExportHtml,
+          },
+          {
+            label: 'PDF…',
+            accelerator: 'CmdOrCtrl+Shift+P',
+            click: handlers.onExportPdf,
+          },
+        ],
+      },
+      {
+        label: 'Version History…',
+        click: handlers.onShowVersionHistory,
+      },
       { type: 'separator' },
       {
         role: 'recentdocuments',
         submenu: [{ role: 'clearrecentdocuments' }],
       },
       { type: 'separator' },
+      {
+        label: 'Close Tab',
+        accelerator: 'CmdOrCtrl+W',
+        click: handlers.onCloseTab,
+      },
+      // macOS lists Preferences in the app menu instead
+      ...(process.platform === 'darwin'
+        ? []
+        : [
+            {
+              label: 'Preferences…',
+              accelerator: 'CmdOrCtrl+,',
+              click: handlers.onShowPreferences,
+            },
+          ]),
       process.platform === 'darwin'
-        ? { role: 'close' }
+        ? { role: 'close', accelerator: 'CmdOrCtrl+Shift+W' }
         : {
             label: 'Exit',
             accelerator: 'Alt+F4',
@@ -89,6 +161,38 @@ function buildMenu(handlers) {
       { role: 'delete' },
       { role: 'selectAll' },
       { type: 'separator' },
+      {
+        label: 'Find',
+        submenu: [
+          {
+            label: 'Find…',
+            accelerator: 'CmdOrCtrl+F',
+            click: () => handlers.onFind(FIND_COMMANDS.FIND),
+          },
+          {
+            label: 'Find and Replace…',
+            accelerator: 'CmdOrCtrl+Alt+F',
+            click: () => handlers.onFind(FIND_COMMANDS.REPLACE),
+          },
+          {
+            label: 'Find Next',
+            accelerator: 'CmdOrCtrl+G',
+            click: () => handlers.onFind(FIND_COMMANDS.FIND_NEXT),
+          },
+          {
+            label: 'Find Previous',
+            accelerator: 'CmdOrCtrl+Shift+G',
+            click: () => handlers.onFind(FIND_COMMANDS.FIND_PREVIOUS),
+          },
+          { type: 'separator' },
+          {
+            label: 'Find in Folder…',
+            accelerator: 'CmdOrCtrl+Shift+F',
+            click: handlers.onFindInFolder,
+          },
+        ],
+      },
+      { type: 'separator' },
       { role: 'startSpeaking' },
       { role: 'stopSpeaking' },
     ],
@@ -138,16 +242,6 @@ function buildMenu(handlers) {
   logger.info('Application menu built successfully');
 }
 
-function showDefaultPreferencesDialog() {
-  dialog.showMessageBox({
-    type: 'info',
-    title: 'Preferences',
-    message: 'Preferences are not yet configurable.',
-    detail:
-      'Add preference options in the future to customize Markdown Viewer.',
-  });
-}
-
 module.exports = {
   buildMenu,
 };
@@ -0,0 +1,157 @@
+/**
+ * Document asset protocol
+ * Serves images and other files that markdown documents reference with
+ * relative paths. Each document gets a random host name, and a URL only
+ * reaches files in the folder of the document whose host it names, so one
+ * document cannot load files from another's folder.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { protocol, net } = require('electron');
+const { ASSET_PROTOCOL } = require('../../shared/constants');
+const logger = require('../utils/logger');
+
+// owner id -> { directory, host } of the owner's document
+const documentRoots = new Map();
+
+/**
+ * Register the asset scheme as privileged. Must run before the app is ready.
+ */
+function registerAssetScheme() {
+  protocol.registerSchemesAsPrivileged([
+    {
+      scheme: ASSET_PROTOCOL.SCHEME,
+      privileges: {
+        standard: true,
+        secure: true,
+        supportFetchAPI: true,
+        stream: true,
+      },
+    },
+  ]);
+}
+
+/**
+ * Install the request handler for the asset scheme. Call once the app is ready.
+ */
+function registerAssetProtocol() {
+  protocol.handle(ASSET_PROTOCOL.SCHEME, async (request) => {
+    const filePath = await resolveAssetPath(request.url);
+
+    if (!filePath) {
+      logger.warn(`Refused asset request: ${request.url}`);
+      return new Response('Forbidden', { status: 403 });
+    }
+
+    return net.fetch(pathToFileURL(filePath).toString());
+  });
+
+  logger.info(`Registered ${ASSET_PROTOCOL.SCHEME}:// protocol`);
+}
+
+/**
+ * Allow assets under a document's directory to be served. The document
+ * keeps its host name when its directory changes.
+ * @param {string|number} ownerId - Identifier of the document owner
+ * @param {string|null} directory - Absolute directory, or null to revoke
+ */
+function setDocumentRoot(ownerId, directory) {
+  if (!directory) {
+    documentRoots.delete(ownerId);
+    return;
+  }
+
+  const existing = documentRoots.get(ownerId);
+  documentRoots.set(ownerId, {
+    directory: path.resolve(directory),
+    host: existing ? existing.host : crypto.randomBytes(16).toString('hex'),
+  });
+}
+
+/**
+ * Host name of a document's asset URLs
+ * @param {string|number} ownerId
+ * @returns {string|null} Null when the document has no directory
+ */
+function getAssetHost(ownerId) {
+  const root = documentRoots.get(ownerId);
+  return root ? root.host : null;
+}
+
+/**
+ * Revoke access to an owner's document directory
+ * @param {string|number} ownerId
+ */
+function clearDocumentRoot(ownerId) {
+  documentRoots.delete(ownerId);
+}
+
+/**
+ * Map an asset URL to a file path inside the folder of the document its
+ * host names
+ * @param {string} url - md-asset:// URL
+ * @param {string|number} [ownerId] - When given, the URL must also be this
+ *   document's
+ * @returns {Promise<string|null>} Real file path, or null if it is not allowed
+ */
+async function resolveAssetPath(url, ownerId) {
+  let filePath;
+  let root;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== `${ASSET_PROTOCOL.SCHEME}:`) {
+      return null;
+    }
+    root = findRootByHost(parsed.host);
+    filePath = decodeURIComponent(parsed.pathname);
+  } catch {
+    return null;
+  }
+  if (!root || (ownerId !== undefined && documentRoots.get(ownerId) !== root)) {
+    return null;
+  }
+
+  if (process.platform === 'win32') {
+    filePath = filePath.replace(/^\/([a-zA-Z]:)/, '$1');
+  }
+
+  try {
+    const [realPath, realRoot] = await Promise.all([
+      fs.promises.realpath(path.resolve(filePath)),
+      fs.promises.realpath(root.directory),
+    ]);
+    return isPathInside(realPath, realRoot) ? realPath : null;
+  } catch {
+    return null;
+  }
+}
+
+function findRootByHost(host) {
+  if (!host) return null;
+  for (const root of documentRoots.values()) {
+    if (root.host === host) return root;
+  }
+  return null;
+}
+
+function isPathInside(filePath, directory) {
+  const relative = path.relative(directory, filePath);
+  return (
+    relative !== '' &&
+    relative !== '..' &&
+    !relative.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relative)
+  );
+}
+
+module.exports = {
+  registerAssetScheme,
+  registerAssetProtocol,
+  setDocumentRoot,
+  clearDocumentRoot,
+  getAssetHost,
+  resolveAssetPath,
+};
@@ -1,12 +1,18 @@
 /**
  * System dialog service
- * Handles native file dialogs (open, save)
+ * Handles native file dialogs (open, save) and confirmation prompts
  */
 
 const { dialog } = require('electron');
 const { FILE_FILTERS } = require('../../shared/constants');
 const logger = require('../utils/logger');
 
+const UNSAVED_CHANGES_CHOICE = {
+  SAVE: 'save',
+  DISCARD: 'discard',
+  CANCEL: 'cancel',
+};
+
 /**
  * Show open file dialog
  * @param {BrowserWindow} window - Parent window
@@ -35,6 +41,33 @@ async function showOpenDialog(window) {
   }
 }
 
+/**
+ * Show the dialog for picking a folder to open as a workspace
+ * @param {BrowserWindow} window - Parent window
+ * @returns {Promise<string|null>} Selected folder path or null
+ */
+async function showOpenFolderDialog(window) {
+  try {
+    logger.info('Showing open folder dialog');
+
+    const result = await dialog.showOpenDialog(window, {
+      properties: ['openDirectory', 'createDirectory'],
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      logger.info('Open folder dialog canceled by user');
+      return null;
+    }
+
+    const folderPath = result.filePaths[0];
+    logger.info(`Folder selected: ${folderPath}`);
+    return folderPath;
+  } catch (error) {
+    logger.error('Error showing open folder dialog:', error);
+    throw error;
+  }
+}
+
 /**
  * Show save file dialog
  * @param {BrowserWindow} window - Parent window
@@ -64,7 +97,200 @@ async function showSaveDialog(window, defaultPath = 'untitled.md') {
   }
 }
 
+/**
+ * Show the save dialog for an export
+ * @param {BrowserWindow} window - Parent window
+ * @param {string} defaultPath - Suggested file name or path
+ * @param {{name: string, extensions: string[]}} filter - Export format
+ * @returns {Promise<string|null>} Selected save path or null
+ */
+async function showExportDialog(window, defaultPath, filter) {
+  try {
+    logger.info(`Showing export dialog for ${filter.name}`);
+
+    const result = await dialog.showSaveDialog(window, {
+      title: 'Export',
+      buttonLabel: 'Export',
+      defaultPath,
+      filters: [filter],
+    });
+
+    if (result.canceled || !result.filePath) {
+      logger.info('Export dialog canceled by user');
+      return null;
+    }
+
+    logger.info(`Export path selected: ${result.filePath}`);
+    return result.filePath;
+  } catch (error) {
+    logger.error('Error showing export dialog:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask what to do with unsaved changes before they would be lost
+ * @param {BrowserWindow} window - Parent window
+ * @param {string} filename - Name of the edited document
+ * @returns {Promise<string>} One of UNSAVED_CHANGES_CHOICE
+ */
+async function showUnsavedChangesDialog(window, filename) {
+  try {
+    logger.info(`Showing unsaved changes dialog for ${filename}`);
+
+    const choices = [
+      UNSAVED_CHANGES_CHOICE.SAVE,
+      UNSAVED_CHANGES_CHOICE.DISCARD,
+      UNSAVED_CHANGES_CHOICE.CANCEL,
+    ];
+    const result = await dialog.showMessageBox(window, {
+      type: 'warning',
+      buttons: ['Save', "Don't Save", 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      noLink: true,
+      message: `Do you want to save the changes you made to ${filename}?`,
+      detail: "Your changes will be lost if you don't save them.",
+    });
+
+    const choice = choices[result.response] || UNSAVED_CHANGES_CHOICE.CANCEL;
+    logger.info(`Unsaved changes choice: ${choice}`);
+    return choice;
+  } catch (error) {
+    logger.error('Error showing unsaved changes dialog:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask before overwriting a file that another program changed
+ * @param {BrowserWindow|null} window - Parent window
+ * @param {string} filename - Name of the conflicting file
+ * @returns {Promise<boolean>} True to overwrite the disk version
+ */
+async function showOverwriteConflictDialog(window, filename) {
+  try {
+    logger.info(`Showing overwrite conflict dialog for ${filename}`);
+
+    const options = {
+      type: 'warning',
+      buttons: ['Overwrite', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      noLink: true,
+      message: `${filename} has been changed by another application.`,
+      detail:
+        'Saving will replace the version on disk with your edits. Reload from the banner to review the other changes first.',
+    };
+    const result = window
+      ? await dialog.showMessageBox(window, options)
+      : await dialog.showMessageBox(options);
+
+    return result.response === 0;
+  } catch (error) {
+    logger.error('Error showing overwrite conflict dialog:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask before moving a workspace file or folder to the trash
+ * @param {BrowserWindow} window - Parent window
+ * @param {string} name - Name of the file or folder
+ * @param {boolean} isDirectory
+ * @returns {Promise<boolean>} True to delete
+ */
+async function showDeleteConfirmDialog(window, name, isDirectory) {
+  try {
+    logger.info(`Showing delete confirmation for ${name}`);
+
+    const result = await dialog.showMessageBox(window, {
+      type: 'warning',
+      buttons: ['Move to Trash', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      noLink: true,
+      message: `Are you sure you want to delete ${name}?`,
+      detail: isDirectory
+        ? 'The folder and everything in it will be moved to the trash.'
+        : 'The file will be moved to the trash.',
+    });
+
+    return result.response === 0;
+  } catch (error) {
+    logger.error('Error showing delete confirmation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask before replacing matches across the files of a workspace
+ * @param {BrowserWindow} window - Parent window
+ * @param {number} matchCount
+ * @param {number} fileCount
+ * @returns {Promise<boolean>} Whether to go ahead
+ */
+async function showReplaceConfirmDialog(window, matchCount, fileCount) {
+  try {
+    logger.info(`Showing replace confirmation for ${matchCount} matches`);
+
+    const matches = matchCount === 1 ? '1 match' : `${matchCount} matches`;
+    const files = fileCount === 1 ? '1 file' : `${fileCount} files`;
+    const result = await dialog.showMessageBox(window, {
+      type: 'warning',
+      buttons: ['Replace', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      noLink: true,
+      message: `Replace ${matches} in ${files}?`,
+      detail:
+        "The files are changed on disk right away. Each file's previous text is kept in its version history.",
+    });
+
+    return result.response === 0;
+  } catch (error) {
+    logger.error('Error showing replace confirmation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Offer to create the page a wiki link names when there is none yet
+ * @param {BrowserWindow} window - Parent window
+ * @param {string} name - The link's target
+ * @param {string} filePath - Where the page would be created
+ * @returns {Promise<boolean>} True to create it
+ */
+async function showCreatePageDialog(window, name, filePath) {
+  try {
+    logger.info(`Offering to create wiki page ${name}`);
+
+    const result = await dialog.showMessageBox(window, {
+      type: 'question',
+      buttons: ['Create', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      noLink: true,
+      message: `There is no page called "${name}". Create it?`,
+      detail: `The new page is saved as ${filePath}.`,
+    });
+
+    return result.response === 0;
+  } catch (error) {
+    logger.error('Error offering to create a page:', error);
+    throw error;
+  }
+}
+
 module.exports = {
+  UNSAVED_CHANGES_CHOICE,
   showOpenDialog,
+  showOpenFolderDialog,
   showSaveDialog,
+  showExportDialog,
+  showUnsavedChangesDialog,
+  showOverwriteConflictDialog,
+  showDeleteConfirmDialog,
+  showReplaceConfirmDialog,
+  showCreatePageDialog,
 };
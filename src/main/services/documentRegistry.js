@@ -0,0 +1,187 @@
+/**
+ * Document registry
+ * Tracks the documents (tabs) open in each window on the main process side
+ */
+
+const assetProtocol = require('./assetProtocol');
+
+// webContents id -> { documents: Map<docId, record>, activeId }
+const windows = new Map();
+let nextDocumentId = 1;
+
+/**
+ * @typedef {Object} DocumentRecord
+ * @property {string} id - Document id shared with the renderer
+ * @property {number} webContentsId - Owning renderer
+ * @property {string|null} filePath - Path on disk, null while untitled
+ * @property {Object|null} signature - Disk version the buffer is based on
+ * @property {{close: Function}|null} watcher - Active file watcher
+ * @property {string|null} watchedPath - Path the watcher was started for
+ * @property {boolean} isDirty - Last dirty state reported by the renderer
+ */
+
+function getWindowEntry(webContentsId) {
+  if (!windows.has(webContentsId)) {
+    windows.set(webContentsId, { documents: new Map(), activeId: null });
+  }
+  return windows.get(webContentsId);
+}
+
+/**
+ * Allocate an id for a document opened by the main process
+ * @returns {string}
+ */
+function createDocumentId() {
+  return `file-${nextDocumentId++}`;
+}
+
+/**
+ * Get a document, creating an untitled record if the renderer made it
+ * @param {number} webContentsId
+ * @param {string} docId
+ * @returns {DocumentRecord}
+ */
+function ensureDocument(webContentsId, docId) {
+  const { documents } = getWindowEntry(webContentsId);
+
+  if (!documents.has(docId)) {
+    documents.set(docId, {
+      id: docId,
+      webContentsId,
+      filePath: null,
+      signature: null,
+      watcher: null,
+      watchedPath: null,
+      isDirty: false,
+    });
+  }
+  return documents.get(docId);
+}
+
+/**
+ * Get a document if it exists
+ * @param {number} webContentsId
+ * @param {string} docId
+ * @returns {DocumentRecord|null}
+ */
+function getDocument(webContentsId, docId) {
+  const entry = windows.get(webContentsId);
+  return (entry && entry.documents.get(docId)) || null;
+}
+
+/**
+ * List the documents open in a window
+ * @param {number} webContentsId
+ * @returns {DocumentRecord[]}
+ */
+function getDocuments(webContentsId) {
+  const entry = windows.get(webContentsId);
+  return entry ? Array.from(entry.documents.values()) : [];
+}
+
+/**
+ * Find the document showing a file in a window
+ * @param {number} webContentsId
+ * @param {string} filePath
+ * @returns {DocumentRecord|null}
+ */
+function findDocumentByPath(webContentsId, filePath) {
+  return (
+    getDocuments(webContentsId).find((doc) => doc.filePath === filePath) || null
+  );
+}
+
+/**
+ * Find the document showing a file in any window
+ * @param {string} filePath
+ * @returns {DocumentRecord|null}
+ */
+function findOpenDocument(filePath) {
+  for (const webContentsId of windows.keys()) {
+    const doc = findDocumentByPath(webContentsId, filePath);
+    if (doc) return doc;
+  }
+  return null;
+}
+
+/**
+ * Record which tab is in front
+ * @param {number} webContentsId
+ * @param {string} docId
+ */
+function setActiveDocument(webContentsId, docId) {
+  ensureDocument(webContentsId, docId);
+  getWindowEntry(webContentsId).activeId = docId;
+}
+
+/**
+ * Get the tab that is in front
+ * @param {number} webContentsId
+ * @returns {DocumentRecord|null}
+ */
+function getActiveDocument(webContentsId) {
+  const entry = windows.get(webContentsId);
+  return entry && entry.activeId
+    ? entry.documents.get(entry.activeId) || null
+    : null;
+}
+
+/**
+ * Forget a document and release its watcher and asset root
+ * @param {number} webContentsId
+ * @param {string} docId
+ */
+function removeDocument(webContentsId, docId) {
+  const entry = windows.get(webContentsId);
+  if (!entry) return;
+
+  const doc = entry.documents.get(docId);
+  if (doc) {
+    disposeDocument(doc);
+    entry.documents.delete(docId);
+  }
+  if (entry.activeId === docId) {
+    entry.activeId = null;
+  }
+}
+
+/**
+ * Forget every document of a closed window
+ * @param {number} webContentsId
+ */
+function removeWindowDocuments(webContentsId) {
+  getDocuments(webContentsId).forEach(disposeDocument);
+  windows.delete(webContentsId);
+}
+
+/**
+ * Key used for per-document resources such as asset roots
+ * @param {DocumentRecord} doc
+ * @returns {string}
+ */
+function getDocumentKey(doc) {
+  return `${doc.webContentsId}:${doc.id}`;
+}
+
+function disposeDocument(doc) {
+  if (doc.watcher) {
+    doc.watcher.close();
+    doc.watcher = null;
+    doc.watchedPath = null;
+  }
+  assetProtocol.clearDocumentRoot(getDocumentKey(doc));
+}
+
+module.exports = {
+  createDocumentId,
+  ensureDocument,
+  getDocument,
+  getDocuments,
+  findDocumentByPath,
+  findOpenDocument,
+  setActiveDocument,
+  getActiveDocument,
+  removeDocument,
+  removeWindowDocuments,
+  getDocumentKey,
+};
@@ -0,0 +1,487 @@
+/**
+ * Export service
+ * Turns a markdown document into a single self-contained HTML file. Nothing
+ * here needs a window: callers pass HTML already rendered by MarkdownService,
+ * or a MarkdownService instance to render with (see renderHtmlDocument).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { lexer } = require('marked');
+const { CODE_THEMES } = require('../../shared/constants');
+const { slugify, splitFrontMatter } = require('../../shared/markdownService');
+const logger = require('../utils/logger');
+
+const PREVIEW_CSS_PATH = path.join(__dirname, '../../renderer/css/preview.css');
+
+// Larger images stay linked rather than bloating the export
+const MAX_EMBEDDED_IMAGE_BYTES = 20 * 1024 * 1024;
+
+const IMAGE_MIME_TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+// Page chrome around the preview styles for each theme
+const PAGE_STYLES = `
+body {
+  margin: 0;
+  padding: 32px 20px;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen,
+    Ubuntu, Cantarell, sans-serif;
+  background: var(--preview-background);
+  color: var(--preview-text);
+}
+@media print {
+  body {
+    padding: 0;
+  }
+}
+`;
+
+const TOC_STYLES = `
+.toc {
+  max-width: 800px;
+  margin: 0 auto 2em;
+  break-after: page;
+}
+.toc h2 {
+  font-size: 1.5em;
+  margin: 0.75em 0;
+}
+.toc ul {
+  list-style: none;
+  padding: 0;
+  margin: 0;
+}
+.toc li {
+  margin: 0.3em 0;
+}
+.toc a {
+  color: inherit;
+  text-decoration: none;
+}
+.toc .toc-level-2 { padding-left: 1.5em; }
+.toc .toc-level-3 { padding-left: 3em; }
+.toc .toc-level-4 { padding-left: 4.5em; }
+.toc .toc-level-5 { padding-left: 6em; }
+.toc .toc-level-6 { padding-left: 7.5em; }
+`;
+
+// Stand-ins for a prefers-color-scheme query once the theme is fixed
+const ALWAYS_MATCHES = '(min-width: 0)';
+const NEVER_MATCHES = '((max-width: 0) and (min-width: 1px))';
+
+/**
+ * @typedef {Object} HtmlExportOptions
+ * @property {string} markdown - Document source
+ * @property {string} [bodyHtml] - Sanitized HTML from MarkdownService; when
+ *   omitted it is rendered with markdownService
+ * @property {Object} [markdownService] - Service from
+ *   createMarkdownService(), used when bodyHtml is omitted
+ * @property {string|null} [baseDirectory] - Folder relative image paths
+ *   resolve against; null for untitled documents
+ * @property {boolean} [embedImages] - Inline local images as data URIs
+ * @property {string} [theme] - 'light', 'dark' or 'system' (follows the
+ *   reader's color scheme)
+ * @property {string} [themeStyles] - Preview theme CSS (see themeService)
+ * @property {string} [title] - Overrides the title taken from the
+ *   metadata or the first heading
+ * @property {Object|null} [metadata] - Parsed front matter (see
+ *   MarkdownService.getFrontMatter); supplies the title, author,
+ *   description and keywords
+ * @property {string} [fallbackTitle] - Title when the document has no heading
+ * @property {boolean} [tableOfContents] - Start with a list of links to the
+ *   headings
+ * @property {boolean} [lineNumbers] - Number the lines of code blocks
+ */
+
+/**
+ * Build a standalone HTML document
+ * @param {HtmlExportOptions} options
+ * @returns {Promise<string>} Complete HTML file contents
+ */
+async function renderHtmlDocument({
+  markdown,
+  bodyHtml,
+  markdownService,
+  baseDirectory = null,
+  embedImages = false,
+  theme = 'light',
+  themeStyles = '',
+  title,
+  metadata = null,
+  fallbackTitle = 'Untitled',
+  tableOfContents = false,
+  lineNumbers = true,
+}) {
+  let body = bodyHtml;
+  if (body === undefined) {
+    if (!markdownService) {
+      throw new Error('Either bodyHtml or markdownService is required');
+    }
+    body = markdownService.parseMarkdown(markdown);
+  }
+
+  if (embedImages && baseDirectory) {
+    body = await inlineLocalImages(body, baseDirectory);
+  }
+
+  let toc = '';
+  if (tableOfContents) {
+    const numbered = addHeadingIds(body);
+    body = numbered.html;
+    toc = buildTableOfContents(numbered.headings);
+  }
+
+  const [previewStyles, codeStyles] = await Promise.all([
+    fs.readFile(PREVIEW_CSS_PATH, 'utf8'),
+    getCodeThemeStyles(),
+  ]);
+  const styles = [PAGE_STYLES, previewStyles, themeStyles, codeStyles];
+  if (toc) {
+    styles.push(TOC_STYLES);
+  }
+  if (!lineNumbers) {
+    styles.push('#preview .code-line::before { display: none; }');
+  }
+
+  return buildHtmlDocument({
+    bodyHtml: body,
+    beforeBody: toc,
+    title:
+      title ||
+      getMetadataText(metadata, 'title') ||
+      getDocumentTitle(markdown, fallbackTitle),
+    meta: {
+      author: getMetadataText(metadata, 'author'),
+      description: getMetadataText(metadata, 'description'),
+      keywords:
+        getMetadataText(metadata, 'keywords') ||
+        getMetadataText(metadata, 'tags'),
+    },
+    styles: applyColorScheme(styles.join('\n'), theme),
+    colorScheme: getColorScheme(theme),
+  });
+}
+
+/**
+ * Wrap rendered HTML in a complete page
+ * @param {Object} options
+ * @param {string} options.bodyHtml - Sanitized document HTML
+ * @param {string} [options.beforeBody] - HTML placed before the article,
+ *   such as a table of contents
+ * @param {string} options.title - Plain-text page title
+ * @param {Object<string, string>} [options.meta] - Named meta tags; empty
+ *   values are left out
+ * @param {string} options.styles - CSS to inline
+ * @param {string} options.colorScheme - Value for the color-scheme meta tag
+ * @returns {string}
+ */
+function buildHtmlDocument({
+  bodyHtml,
+  beforeBody = '',
+  title,
+  meta = {},
+  styles,
+  colorScheme,
+}) {
+  // The content was sanitized, but the file will be opened by people who
+  // never ran it through the app, so script stays blocked there too
+  const csp =
+    "default-src 'none'; style-src 'unsafe-inline'; img-src data: https: http: file:";
+
+  const metaTags = Object.keys(meta)
+    .filter((name) => meta[name])
+    .map(
+      (name) =>
+        `\n    <meta name="${name}" content="${escapeHtml(meta[name])}" />`
+    )
+    .join('');
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta http-equiv="Content-Security-Policy" content="${csp}" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="color-scheme" content="${colorScheme}" />
+    <meta name="generator" content="Markdown Viewer" />${metaTags}
+    <title>${escapeHtml(title)}</title>
+    <style>
+${styles}
+    </style>
+  </head>
+  <body>
+${beforeBody}
+    <article id="preview">
+${bodyHtml}
+    </article>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Plain text of the first heading, or the fallback
+ * @param {string} markdown
+ * @param {string} fallback
+ * @returns {string}
+ */
+function getDocumentTitle(markdown, fallback) {
+  const frontMatter = splitFrontMatter(markdown || '');
+  const body = frontMatter
+    ? markdown.replace(/\r\n?/g, '\n').slice(frontMatter.raw.length)
+    : markdown || '';
+  const heading = lexer(body).find((token) => token.type === 'heading');
+  const text = heading ? tokensToText(heading.tokens).trim() : '';
+  return text || fallback;
+}
+
+/**
+ * A front matter field as plain text; lists are joined with commas
+ * @param {Object|null} metadata
+ * @param {string} field
+ * @returns {string}
+ */
+function getMetadataText(metadata, field) {
+  const value = metadata ? metadata[field] : null;
+  if (Array.isArray(value)) {
+    return value.filter(isPlainValue).join(', ');
+  }
+  return isPlainValue(value) ? String(value).trim() : '';
+}
+
+function isPlainValue(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+/**
+ * Give every heading an id so it can be linked to. Ids already present are
+ * kept; new ones are slugs of the heading text, made unique.
+ * @param {string} html - Sanitized HTML
+ * @returns {{html: string, headings: Array<{level: number, id: string,
+ *   text: string}>}}
+ */
+function addHeadingIds(html) {
+  const headings = [];
+  const used = new Set();
+
+  const result = html.replace(
+    /<h([1-6])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi,
+    (match, level, attributes = '', inner) => {
+      const text = decodeEntities(inner.replace(/<[^>]*>/g, '')).trim();
+      const existing = attributes.match(/\sid="([^"]*)"/i);
+      let id = existing ? decodeEntities(existing[1]) : slugify(text, used);
+      used.add(id);
+      headings.push({ level: Number(level), id, text });
+
+      if (existing) return match;
+      id = escapeHtml(id);
+      return `<h${level} id="${id}"${attributes}>${inner}</h${level}>`;
+    }
+  );
+
+  return { html: result, headings };
+}
+
+/**
+ * List of links to the headings found by addHeadingIds
+ * @param {Array<{level: number, id: string, text: string}>} headings
+ * @returns {string} HTML, or an empty string when there are no headings
+ */
+function buildTableOfContents(headings) {
+  if (headings.length === 0) return '';
+
+  const items = headings
+    .map(
+      ({ level, id, text }) =>
+        `<li class="toc-level-${level}"><a href="#${escapeHtml(
+          encodeURIComponent(id)
+        )}">${escapeHtml(text)}</a></li>`
+    )
+    .join('\n');
+
+  return `<nav class="toc">
+<h2>Contents</h2>
+<ul>
+${items}
+</ul>
+</nav>`;
+}
+
+/**
+ * Replace src attributes of local images with data URIs. Only files inside
+ * the document's folder are embedded, matching what the preview may load;
+ * anything else keeps its original src.
+ * @param {string} html - Sanitized HTML (attributes are double-quoted)
+ * @param {string} baseDirectory - Folder of the document
+ * @returns {Promise<string>}
+ */
+async function inlineLocalImages(html, baseDirectory) {
+  const pattern = /(<img\b[^>]*?\ssrc=")([^"]*)(")/gi;
+  const sources = new Set();
+  html.replace(pattern, (_match, _before, src) => sources.add(src));
+
+  const dataUris = new Map();
+  for (const src of sources) {
+    const dataUri = await readImageAsDataUri(src, baseDirectory);
+    if (dataUri) {
+      dataUris.set(src, dataUri);
+    }
+  }
+
+  return html.replace(pattern, (match, before, src, after) =>
+    dataUris.has(src) ? `${before}${dataUris.get(src)}${after}` : match
+  );
+}
+
+async function readImageAsDataUri(src, baseDirectory) {
+  const filePath = resolveLocalImage(decodeEntities(src), baseDirectory);
+  if (!filePath) return null;
+
+  const mimeType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!mimeType) return null;
+
+  try {
+    const [realPath, realBase] = await Promise.all([
+      fs.realpath(filePath),
+      fs.realpath(baseDirectory),
+    ]);
+    if (!isPathInside(realBase, realPath)) {
+      logger.warn(`Not embedding image outside the document folder: ${src}`);
+      return null;
+    }
+
+    const stats = await fs.stat(realPath);
+    if (!stats.isFile() || stats.size > MAX_EMBEDDED_IMAGE_BYTES) {
+      return null;
+    }
+
+    const data = await fs.readFile(realPath);
+    return `data:${mimeType};base64,${data.toString('base64')}`;
+  } catch (error) {
+    logger.warn(`Unable to embed image ${src}:`, error.message);
+    return null;
+  }
+}
+
+function resolveLocalImage(src, baseDirectory) {
+  if (!src || src.startsWith('#') || src.startsWith('//')) return null;
+
+  if (/^file:/i.test(src)) {
+    try {
+      return decodeURIComponent(new URL(src).pathname);
+    } catch {
+      return null;
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(src)) return null;
+
+  const [withoutQuery] = src.split(/[?#]/);
+  try {
+    return path.resolve(baseDirectory, decodeURIComponent(withoutQuery));
+  } catch {
+    return null;
+  }
+}
+
+function isPathInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return (
+    relative !== '..' &&
+    !relative.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relative)
+  );
+}
+
+function getCodeThemePath(name) {
+  return require.resolve(`@highlightjs/cdn-assets/styles/${name}.min.css`);
+}
+
+async function getCodeThemeStyles() {
+  const [light, dark] = await Promise.all(
+    [CODE_THEMES.LIGHT, CODE_THEMES.DARK].map((name) =>
+      fs.readFile(getCodeThemePath(name), 'utf8')
+    )
+  );
+  return `${light}\n@media (prefers-color-scheme: dark) {\n${dark}\n}`;
+}
+
+/**
+ * The stylesheets switch colors with prefers-color-scheme, like the
+ * preview. For a fixed theme, make those queries always or never match so
+ * the reader's setting makes no difference.
+ * @param {string} css
+ * @param {string} theme - 'light', 'dark' or 'system'
+ * @returns {string}
+ */
+function applyColorScheme(css, theme) {
+  if (theme !== 'light' && theme !== 'dark') {
+    return css;
+  }
+  return css.replace(
+    /\(\s*prefers-color-scheme\s*:\s*(light|dark)\s*\)/g,
+    (_query, scheme) => (scheme === theme ? ALWAYS_MATCHES : NEVER_MATCHES)
+  );
+}
+
+function getColorScheme(theme) {
+  if (theme === 'dark') return 'dark';
+  if (theme === 'system') return 'light dark';
+  return 'light';
+}
+
+function tokensToText(tokens = []) {
+  return tokens
+    .map((token) =>
+      token.tokens ? tokensToText(token.tokens) : decodeEntities(token.text)
+    )
+    .join('');
+}
+
+function decodeEntities(text = '') {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Suggested file name for an export
+ * @param {string} filename - Name of the document
+ * @param {string} extension - Extension including the dot
+ * @returns {string}
+ */
+function getExportFilename(filename, extension) {
+  const base = path.basename(filename, path.extname(filename)) || 'untitled';
+  return `${base}${extension}`;
+}
+
+module.exports = {
+  renderHtmlDocument,
+  buildHtmlDocument,
+  getDocumentTitle,
+  addHeadingIds,
+  buildTableOfContents,
+  inlineLocalImages,
+  getExportFilename,
+};
@@ -3,10 +3,16 @@
  * Handles reading and writing files to disk
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { shell } = require('electron');
 const logger = require('../utils/logger');
 const { handleFileError } = require('../utils/errorHandler');
+const { FILE_FILTERS } = require('../../shared/constants');
+
+// Editors and git often touch a file several times per write; wait for quiet
+const WATCH_DEBOUNCE_MS = 150;
 
 /**
  * Read file content from disk
@@ -28,7 +34,7 @@ async function readFile(filePath) {
 /**
  * Write file content to disk
  * @param {string} filePath - Path to file
- * @param {string} content - Content to write
+ * @param {string|Buffer} content - Content to write
  * @returns {Promise<void>}
  */
 async function writeFile(filePath, content) {
@@ -42,6 +48,74 @@ async function writeFile(filePath, content) {
   }
 }
 
+/**
+ * Create a file; fails if something already has that name
+ * @param {string} filePath - Path of the new file
+ * @param {string} [content] - Empty unless given
+ * @returns {Promise<void>}
+ */
+async function createFile(filePath, content = '') {
+  try {
+    logger.info(`Creating file: ${filePath}`);
+    await fs.promises.writeFile(filePath, content, {
+      encoding: 'utf8',
+      flag: 'wx',
+    });
+  } catch (error) {
+    handleFileError(error, 'create');
+    throw error;
+  }
+}
+
+/**
+ * Create a folder; fails if something already has that name
+ * @param {string} directoryPath - Path of the new folder
+ * @returns {Promise<void>}
+ */
+async function createDirectory(directoryPath) {
+  try {
+    logger.info(`Creating folder: ${directoryPath}`);
+    await fs.promises.mkdir(directoryPath);
+  } catch (error) {
+    handleFileError(error, 'create');
+    throw error;
+  }
+}
+
+/**
+ * Rename or move a file or folder. Never replaces an existing file.
+ * @param {string} fromPath - Current path
+ * @param {string} toPath - New path
+ * @returns {Promise<void>}
+ */
+async function movePath(fromPath, toPath) {
+  try {
+    logger.info(`Moving ${fromPath} to ${toPath}`);
+    if (await fileExists(toPath)) {
+      throw new Error(`${path.basename(toPath)} already exists`);
+    }
+    await fs.promises.rename(fromPath, toPath);
+  } catch (error) {
+    handleFileError(error, 'move');
+    throw error;
+  }
+}
+
+/**
+ * Move a file or folder to the trash
+ * @param {string} targetPath - Path to delete
+ * @returns {Promise<void>}
+ */
+async function trashPath(targetPath) {
+  try {
+    logger.info(`Moving to trash: ${targetPath}`);
+    await shell.trashItem(targetPath);
+  } catch (error) {
+    handleFileError(error, 'delete');
+    throw error;
+  }
+}
+
 /**
  * Get filename from path
  * @param {string} filePath - Full file path
@@ -51,6 +125,25 @@ function getFilename(filePath) {
   return path.basename(filePath);
 }
 
+/**
+ * Get the directory that contains a file
+ * @param {string} filePath - Full file path
+ * @returns {string} Absolute directory path
+ */
+function getDirectory(filePath) {
+  return path.dirname(path.resolve(filePath));
+}
+
+/**
+ * Check whether a path has one of the supported markdown extensions
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+function isMarkdownFile(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return FILE_FILTERS.MARKDOWN.extensions.includes(extension);
+}
+
 /**
  * Check if file exists
  * @param {string} filePath - Path to check
@@ -65,9 +158,162 @@ async function fileExists(filePath) {
   }
 }
 
+/**
+ * Check whether a path is a folder
+ * @param {string} targetPath - Path to check
+ * @returns {Promise<boolean>} False when it is a file or does not exist
+ */
+async function isDirectory(targetPath) {
+  try {
+    const stats = await fs.promises.stat(targetPath);
+    return stats.isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a file's content together with a signature describing that version.
+ * Never shows error dialogs, so it is safe to call from background checks.
+ * @param {string} filePath - Path to file
+ * @returns {Promise<{content: string, signature: Object}|null>} Null if missing
+ */
+async function readFileSnapshot(filePath) {
+  try {
+    const [content, stats] = await Promise.all([
+      fs.promises.readFile(filePath, 'utf8'),
+      fs.promises.stat(filePath),
+    ]);
+    return {
+      content,
+      signature: {
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        ino: stats.ino,
+        hash: hashContent(content),
+      },
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Unable to read snapshot of ${filePath}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Get the signature (mtime, size, inode, content hash) of a file on disk
+ * @param {string} filePath - Path to file
+ * @returns {Promise<Object|null>} Null if the file does not exist
+ */
+async function getFileSignature(filePath) {
+  const snapshot = await readFileSnapshot(filePath);
+  return snapshot ? snapshot.signature : null;
+}
+
+/**
+ * Compare two file signatures. Matching mtime and size short-circuit; a
+ * touched but unchanged file still matches on content hash.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function signaturesMatch(a, b) {
+  if (!a || !b) return a === b;
+  if (a.mtimeMs === b.mtimeMs && a.size === b.size) return true;
+  return a.hash === b.hash;
+}
+
+/**
+ * Look for the new location of a file that was renamed within its folder
+ * @param {string} filePath - Old path of the file
+ * @param {Object|null} signature - Last known signature (needs the inode)
+ * @returns {Promise<string|null>} New path, or null if it was deleted
+ */
+async function findRenamedFile(filePath, signature) {
+  if (!signature || !signature.ino) return null;
+
+  const directory = path.dirname(filePath);
+  try {
+    const entries = await fs.promises.readdir(directory);
+    for (const entry of entries) {
+      const candidate = path.join(directory, entry);
+      if (candidate === filePath) continue;
+
+      const stats = await fs.promises.stat(candidate).catch(() => null);
+      if (stats && stats.isFile() && stats.ino === signature.ino) {
+        return candidate;
+      }
+    }
+  } catch (error) {
+    logger.warn(`Unable to scan ${directory} for renames:`, error.message);
+  }
+  return null;
+}
+
+/**
+ * Watch a single file for changes, renames and deletion. The parent folder
+ * is watched so atomic saves (write temp + rename) are still noticed.
+ * @param {string} filePath - File to watch
+ * @param {Function} onChange - Called (debounced) after the file changes
+ * @returns {{close: Function}} Handle that stops watching
+ */
+function watchFile(filePath, onChange) {
+  const basename = path.basename(filePath);
+  let timer = null;
+  let watcher = null;
+
+  try {
+    watcher = fs.watch(path.dirname(filePath), (_eventType, filename) => {
+      if (filename && filename.toString() !== basename) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(onChange, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', (error) => {
+      logger.warn(`File watcher error for ${filePath}:`, error.message);
+    });
+    logger.info(`Watching file: ${filePath}`);
+  } catch (error) {
+    logger.warn(`Unable to watch ${filePath}:`, error.message);
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      if (watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    },
+  };
+}
+
+/**
+ * Hash text the way file signatures do
+ * @param {string} content
+ * @returns {string} Hex SHA-256
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
 module.exports = {
   readFile,
   writeFile,
+  createFile,
+  createDirectory,
+  movePath,
+  trashPath,
   getFilename,
+  getDirectory,
+  isMarkdownFile,
   fileExists,
+  isDirectory,
+  readFileSnapshot,
+  getFileSignature,
+  signaturesMatch,
+  hashContent,
+  findRenamedFile,
+  watchFile,
 };
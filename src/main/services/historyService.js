@@ -0,0 +1,183 @@
+/**
+ * History service
+ * Keeps earlier versions of saved files in a folder in userData. Each file
+ * has its own folder, named after a hash of its path, holding one file per
+ * version and an index listing them newest first. Saving text identical to
+ * the newest version adds nothing, and the oldest versions are dropped
+ * beyond the limit the caller passes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+const logger = require('../utils/logger');
+
+const HISTORY_FOLDER_NAME = 'history';
+const INDEX_FILE_NAME = 'index.json';
+const REVISION_EXTENSION = '.md';
+const INDEX_VERSION = 1;
+
+// file path -> promise of the last queued change to its history
+const queues = new Map();
+
+/**
+ * @typedef {Object} Revision
+ * @property {string} id - Identifies the version within its file's history
+ * @property {number} savedAt - When it was saved (ms since epoch)
+ * @property {number} size - Size in bytes
+ */
+
+/**
+ * Folder the history of every file is kept in
+ * @returns {string}
+ */
+function getHistoryDirectory() {
+  return path.join(app.getPath('userData'), HISTORY_FOLDER_NAME);
+}
+
+/**
+ * Add a saved version of a file to its history
+ * @param {string} filePath - Path the text was saved to
+ * @param {string} content - The saved text
+ * @param {number} limit - Most versions to keep for the file
+ * @returns {Promise<Revision|null>} The new version, or null when the text
+ *   matches the newest one
+ */
+function recordRevision(filePath, content, limit) {
+  return enqueue(filePath, async () => {
+    const directory = getFileHistoryDirectory(filePath);
+    const index = await readIndex(filePath);
+    const hash = hashContent(content);
+    const [latest] = index.revisions;
+    if (latest && latest.hash === hash) return null;
+
+    // Ids are timestamps; two saves in the same millisecond still differ
+    let savedAt = Date.now();
+    if (latest && savedAt <= latest.savedAt) {
+      savedAt = latest.savedAt + 1;
+    }
+    const revision = {
+      id: String(savedAt),
+      savedAt,
+      size: Buffer.byteLength(content, 'utf8'),
+      hash,
+    };
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(getRevisionPath(filePath, revision.id), content, 'utf8');
+    index.revisions.unshift(revision);
+    const dropped = index.revisions.splice(Math.max(1, Math.floor(limit)));
+    await fs.writeFile(
+      path.join(directory, INDEX_FILE_NAME),
+      JSON.stringify(index, null, 2),
+      'utf8'
+    );
+
+    await Promise.all(
+      dropped.map((old) =>
+        fs.rm(getRevisionPath(filePath, old.id), { force: true })
+      )
+    );
+    return toRevision(revision);
+  });
+}
+
+/**
+ * List the saved versions of a file, newest first
+ * @param {string} filePath
+ * @returns {Promise<Revision[]>}
+ */
+function listRevisions(filePath) {
+  return enqueue(filePath, async () => {
+    const index = await readIndex(filePath);
+    return index.revisions.map(toRevision);
+  });
+}
+
+/**
+ * Read the text of a saved version
+ * @param {string} filePath
+ * @param {string} revisionId - Id from listRevisions
+ * @returns {Promise<string>}
+ * @throws {Error} When the file has no such version
+ */
+function getRevisionContent(filePath, revisionId) {
+  return enqueue(filePath, async () => {
+    const index = await readIndex(filePath);
+    if (!index.revisions.some((revision) => revision.id === revisionId)) {
+      throw new Error(`Unknown version: ${revisionId}`);
+    }
+    return fs.readFile(getRevisionPath(filePath, revisionId), 'utf8');
+  });
+}
+
+/**
+ * Run changes to one file's history one after another
+ * @param {string} filePath
+ * @param {Function} task - Returns a promise
+ * @returns {Promise<*>} Settles with the task
+ */
+function enqueue(filePath, task) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+  queues.set(filePath, settled);
+  settled.then(() => {
+    if (queues.get(filePath) === settled) {
+      queues.delete(filePath);
+    }
+  });
+  return result;
+}
+
+async function readIndex(filePath) {
+  const indexPath = path.join(
+    getFileHistoryDirectory(filePath),
+    INDEX_FILE_NAME
+  );
+  const empty = { version: INDEX_VERSION, filePath, revisions: [] };
+
+  try {
+    const stored = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    if (
+      stored.version !== INDEX_VERSION ||
+      stored.filePath !== filePath ||
+      !Array.isArray(stored.revisions)
+    ) {
+      throw new Error('Unrecognized history index');
+    }
+    return stored;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Starting a new history for ${filePath}:`, error.message);
+    }
+    return empty;
+  }
+}
+
+function getFileHistoryDirectory(filePath) {
+  return path.join(getHistoryDirectory(), hashContent(filePath).slice(0, 32));
+}
+
+function getRevisionPath(filePath, revisionId) {
+  return path.join(
+    getFileHistoryDirectory(filePath),
+    `${revisionId}${REVISION_EXTENSION}`
+  );
+}
+
+function toRevision({ id, savedAt, size }) {
+  return { id, savedAt, size };
+}
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+module.exports = {
+  getHistoryDirectory,
+  recordRevision,
+  listRevisions,
+  getRevisionContent,
+};
@@ -0,0 +1,146 @@
+/**
+ * PDF export service
+ * Prints a standalone HTML page (see exportService) to PDF from a hidden,
+ * script-less window. The page is loaded from a temporary file so relative
+ * and file: URLs behave as they do in an exported HTML file.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { BrowserWindow } = require('electron');
+const { PDF_PAGE_SIZES, PDF_MARGINS } = require('../../shared/constants');
+const logger = require('../utils/logger');
+
+// Remote images can keep a page loading indefinitely
+const LOAD_TIMEOUT_MS = 30000;
+
+const DEFAULT_PDF_OPTIONS = {
+  pageSize: 'A4',
+  landscape: false,
+  margins: 'normal',
+  showTitle: false,
+  showPageNumbers: true,
+  showDate: false,
+  includeToc: false,
+};
+
+/**
+ * Fill in and validate page setup coming from the renderer; unknown or
+ * malformed values fall back to the defaults
+ * @param {Object} [options]
+ * @returns {Object} Complete page setup
+ */
+function normalizePdfOptions(options = {}) {
+  const result = { ...DEFAULT_PDF_OPTIONS };
+  if (!options || typeof options !== 'object') return result;
+
+  if (PDF_PAGE_SIZES.includes(options.pageSize)) {
+    result.pageSize = options.pageSize;
+  }
+  if (Object.prototype.hasOwnProperty.call(PDF_MARGINS, options.margins)) {
+    result.margins = options.margins;
+  }
+  ['landscape', 'showTitle', 'showPageNumbers', 'showDate', 'includeToc']
+    .filter((key) => typeof options[key] === 'boolean')
+    .forEach((key) => {
+      result[key] = options[key];
+    });
+
+  return result;
+}
+
+/**
+ * Render an HTML page to PDF
+ * @param {string} html - Complete HTML document
+ * @param {Object} options - Page setup from normalizePdfOptions
+ * @returns {Promise<Buffer>} PDF data
+ */
+async function printHtmlToPdf(html, options) {
+  const directory = await fs.mkdtemp(
+    path.join(os.tmpdir(), 'markdown-viewer-pdf-')
+  );
+  const pagePath = path.join(directory, 'export.html');
+  let window = null;
+
+  try {
+    await fs.writeFile(pagePath, html, 'utf8');
+
+    window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        offscreen: true,
+        javascript: false,
+        sandbox: true,
+        contextIsolation: true,
+        nodeIntegration: false,
+      },
+    });
+    window.webContents.on('will-navigate', (event) => event.preventDefault());
+    window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+    await withTimeout(window.loadFile(pagePath), LOAD_TIMEOUT_MS);
+    return await window.webContents.printToPDF(getPrintSettings(options));
+  } finally {
+    if (window && !window.isDestroyed()) {
+      window.destroy();
+    }
+    fs.rm(directory, { recursive: true, force: true }).catch((error) =>
+      logger.warn('Unable to remove PDF export files:', error.message)
+    );
+  }
+}
+
+/**
+ * Map page setup to webContents.printToPDF settings
+ * @param {Object} options - Page setup from normalizePdfOptions
+ * @returns {Object}
+ */
+function getPrintSettings(options) {
+  const margin = PDF_MARGINS[options.margins];
+  const header = [
+    options.showTitle && '<span class="title"></span>',
+    options.showDate && '<span class="date"></span>',
+  ].filter(Boolean);
+  const footer = options.showPageNumbers
+    ? ['<span class="pageNumber"></span> / <span class="totalPages"></span>']
+    : [];
+
+  return {
+    pageSize: options.pageSize,
+    landscape: options.landscape,
+    printBackground: true,
+    margins: { top: margin, bottom: margin, left: margin, right: margin },
+    displayHeaderFooter: header.length > 0 || footer.length > 0,
+    headerTemplate: buildMarginTemplate(header, 'space-between'),
+    footerTemplate: buildMarginTemplate(footer, 'center'),
+    // Headings become bookmarks on Electron versions that support these
+    generateTaggedPDF: true,
+    generateDocumentOutline: true,
+  };
+}
+
+// Chromium renders header and footer templates at a zero font size unless
+// one is set, and falls back to its own template when given an empty one
+function buildMarginTemplate(parts, justify) {
+  const spans = parts.map((part) => `<span>${part}</span>`).join('');
+  return `<div style="box-sizing: border-box; width: 100%; display: flex; justify-content: ${justify}; padding: 0 0.4in; font-size: 9px; color: #666;">${spans}</div>`;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error('Timed out rendering the document')),
+      ms
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  DEFAULT_PDF_OPTIONS,
+  normalizePdfOptions,
+  printHtmlToPdf,
+  getPrintSettings,
+};
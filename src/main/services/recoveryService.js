@@ -0,0 +1,213 @@
+/**
+ * Recovery service
+ * Keeps a copy of every unsaved buffer in a folder in userData so edits
+ * survive a crash. Each document has one snapshot file, replaced as it
+ * changes and removed once the document is saved, made clean again or
+ * closed. Snapshot files are named after the session that wrote them;
+ * any left by an earlier session were never cleaned up, so the app did not
+ * exit normally, and they are offered for restoring on the next launch.
+ *
+ * File operations are synchronous, like the settings store's: a snapshot
+ * and its removal can never overtake each other, and removals finish while
+ * the app is quitting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const logger = require('../utils/logger');
+
+const RECOVERY_FOLDER_NAME = 'recovery';
+const SNAPSHOT_EXTENSION = '.json';
+const SNAPSHOT_VERSION = 1;
+
+// Only one instance runs at a time, so a different prefix means an
+// earlier launch
+const SESSION_ID = `${Date.now().toString(36)}-${process.pid}`;
+
+/**
+ * @typedef {Object} RecoverySnapshot
+ * @property {string} id - Snapshot file name, used to restore or discard it
+ * @property {string|null} filePath - File the buffer belongs to, null for
+ *   untitled documents
+ * @property {string} filename - Name shown in the tab
+ * @property {string} content - The unsaved text
+ * @property {number} savedAt - When the snapshot was taken (ms since epoch)
+ */
+
+/**
+ * Folder snapshots are kept in
+ * @returns {string}
+ */
+function getRecoveryDirectory() {
+  return path.join(app.getPath('userData'), RECOVERY_FOLDER_NAME);
+}
+
+/**
+ * Store the current text of an unsaved document, replacing its previous
+ * snapshot
+ * @param {import('./documentRegistry').DocumentRecord} doc
+ * @param {{filename: string, content: string}} buffer
+ */
+function saveSnapshot(doc, { filename, content }) {
+  const snapshotPath = getSnapshotPath(doc);
+  const temporaryPath = `${snapshotPath}.tmp`;
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    filePath: doc.filePath,
+    filename: String(filename || ''),
+    content: String(content),
+    savedAt: Date.now(),
+  };
+
+  try {
+    fs.mkdirSync(getRecoveryDirectory(), { recursive: true });
+    // Written aside and renamed so a crash mid-write keeps the last copy
+    fs.writeFileSync(temporaryPath, JSON.stringify(snapshot), 'utf8');
+    fs.renameSync(temporaryPath, snapshotPath);
+  } catch (error) {
+    logger.error(`Unable to save a recovery snapshot of ${doc.id}:`, error);
+  }
+}
+
+/**
+ * Remove a document's snapshot, e.g. after it was saved
+ * @param {import('./documentRegistry').DocumentRecord} doc
+ */
+function removeSnapshot(doc) {
+  removeFile(getSnapshotPath(doc));
+}
+
+/**
+ * Remove the snapshots of every document in a closed window
+ * @param {number} webContentsId
+ */
+function removeWindowSnapshots(webContentsId) {
+  const prefix = `${SESSION_ID}_${webContentsId}_`;
+  listSnapshotFiles()
+    .filter((fileName) => fileName.startsWith(prefix))
+    .forEach((fileName) =>
+      removeFile(path.join(getRecoveryDirectory(), fileName))
+    );
+}
+
+/**
+ * List the snapshots left behind by earlier sessions, newest first.
+ * Unreadable snapshots are skipped.
+ * @returns {RecoverySnapshot[]}
+ */
+function listOrphanedSnapshots() {
+  return listSnapshotFiles()
+    .filter((fileName) => !fileName.startsWith(`${SESSION_ID}_`))
+    .map((fileName) => getOrphanedSnapshot(fileName))
+    .filter(Boolean)
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Read a snapshot left behind by an earlier session
+ * @param {string} snapshotId - Id from listOrphanedSnapshots
+ * @returns {RecoverySnapshot|null} Null when it is gone or unreadable
+ */
+function getOrphanedSnapshot(snapshotId) {
+  const snapshotPath = resolveOrphanedPath(snapshotId);
+  if (!snapshotPath) return null;
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    if (
+      !stored ||
+      stored.version !== SNAPSHOT_VERSION ||
+      typeof stored.content !== 'string'
+    ) {
+      throw new Error('Unrecognized snapshot format');
+    }
+    return {
+      id: snapshotId,
+      filePath: typeof stored.filePath === 'string' ? stored.filePath : null,
+      filename: String(stored.filename || ''),
+      content: stored.content,
+      savedAt: Number(stored.savedAt) || 0,
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(
+        `Unable to read recovery snapshot ${snapshotId}:`,
+        error.message
+      );
+    }
+    return null;
+  }
+}
+
+/**
+ * Delete a snapshot left behind by an earlier session, once it was
+ * restored or the user gave it up
+ * @param {string} snapshotId - Id from listOrphanedSnapshots
+ */
+function discardOrphanedSnapshot(snapshotId) {
+  const snapshotPath = resolveOrphanedPath(snapshotId);
+  if (snapshotPath) {
+    removeFile(snapshotPath);
+  }
+}
+
+function getSnapshotPath(doc) {
+  // Document ids are generated by the app; keep them file-name safe anyway
+  const docId = String(doc.id).replace(/[^\w-]/g, '_');
+  return path.join(
+    getRecoveryDirectory(),
+    `${SESSION_ID}_${doc.webContentsId}_${docId}${SNAPSHOT_EXTENSION}`
+  );
+}
+
+function resolveOrphanedPath(snapshotId) {
+  const fileName = String(snapshotId || '');
+
+  // Only plain snapshot names inside the recovery folder are accepted
+  if (
+    !fileName ||
+    path.basename(fileName) !== fileName ||
+    path.extname(fileName) !== SNAPSHOT_EXTENSION ||
+    fileName.startsWith(`${SESSION_ID}_`)
+  ) {
+    return null;
+  }
+  return path.join(getRecoveryDirectory(), fileName);
+}
+
+function listSnapshotFiles() {
+  try {
+    return fs
+      .readdirSync(getRecoveryDirectory())
+      .filter((fileName) => path.extname(fileName) === SNAPSHOT_EXTENSION);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Unable to list recovery snapshots:', error);
+    }
+    return [];
+  }
+}
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(
+        `Unable to remove recovery snapshot ${filePath}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = {
+  getRecoveryDirectory,
+  saveSnapshot,
+  removeSnapshot,
+  removeWindowSnapshots,
+  listOrphanedSnapshots,
+  getOrphanedSnapshot,
+  discardOrphanedSnapshot,
+};
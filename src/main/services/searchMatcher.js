@@ -0,0 +1,122 @@
+/**
+ * Search matcher
+ * Runs a workspace search pattern over file text in a worker thread, so a
+ * regular expression that backtracks badly only stalls the worker. The
+ * worker is terminated when the search is cancelled or one text takes too
+ * long.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+
+const SEARCH_WORKER_PATH = path.join(__dirname, '../workers/searchWorker.js');
+
+// Matching one text may take this long before the worker is stopped
+const MATCH_TIMEOUT_MS = 5000;
+
+// How often a waiting search checks whether it was cancelled
+const CANCEL_CHECK_MS = 100;
+
+const TIMEOUT_MESSAGE =
+  'The search took too long. Try a simpler regular expression.';
+
+/**
+ * Run a search's pattern in a worker thread, one text at a time. The
+ * worker starts on first use and again after it was stopped; call stop()
+ * once done with it.
+ * @param {WorkspaceQuery} search
+ * @param {Function} [isCancelled] - Checked while a text is matched; the
+ *   worker is stopped once it returns true
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - How long one text may take
+ * @returns {{findMatches: Function, stop: Function}} findMatches(text,
+ *   limit) resolves like SearchService.findMatches, or to null when
+ *   cancelled; it rejects when the text takes too long
+ */
+function createMatcher(
+  search,
+  isCancelled = () => false,
+  { timeoutMs = MATCH_TIMEOUT_MS } = {}
+) {
+  const { query, caseSensitive, wholeWord, regex } = search;
+  let worker = null;
+  let nextId = 1;
+  // The request being matched: { id, resolve, reject, timer, check }
+  let inFlight = null;
+
+  function finish(callback) {
+    const request = inFlight;
+    inFlight = null;
+    clearTimeout(request.timer);
+    clearInterval(request.check);
+    callback(request);
+  }
+
+  function stop() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  function startWorker() {
+    const started = new Worker(SEARCH_WORKER_PATH);
+    worker = started;
+    worker.on('message', ({ id, matches, truncated, error }) => {
+      if (!inFlight || inFlight.id !== id) return;
+      finish((request) =>
+        error
+          ? request.reject(new Error(error))
+          : request.resolve({ matches, truncated })
+      );
+    });
+    worker.on('error', (error) => {
+      logger.error('Search worker failed:', error);
+      if (worker === started) {
+        worker = null;
+      }
+      if (inFlight) {
+        finish((request) => request.reject(error));
+      }
+    });
+  }
+
+  function findMatches(text, limit) {
+    return new Promise((resolve, reject) => {
+      if (!worker) {
+        startWorker();
+      }
+
+      const id = nextId++;
+      inFlight = {
+        id,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          stop();
+          finish((request) => request.reject(new Error(TIMEOUT_MESSAGE)));
+        }, timeoutMs),
+        check: setInterval(() => {
+          if (isCancelled()) {
+            stop();
+            finish((request) => request.resolve(null));
+          }
+        }, CANCEL_CHECK_MS),
+      };
+      worker.postMessage({
+        id,
+        text,
+        search: { query, caseSensitive, wholeWord, regex },
+        limit,
+      });
+    });
+  }
+
+  return { findMatches, stop };
+}
+
+module.exports = {
+  createMatcher,
+  TIMEOUT_MESSAGE,
+};
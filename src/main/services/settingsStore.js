@@ -0,0 +1,281 @@
+/**
+ * Settings store
+ * Persists user preferences as JSON in the userData folder. Every setting is
+ * declared in SETTINGS_SCHEMA with its default and constraints; stored values
+ * that fail validation fall back to the default.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const {
+  OPEN_FILES_IN,
+  VIEW_MODES,
+  THEMES,
+  PREVIEW_THEMES,
+  CUSTOM_THEME_PREFIX,
+  AUTOSAVE_MODES,
+} = require('../../shared/constants');
+const logger = require('../utils/logger');
+
+const SETTINGS_FILE_NAME = 'settings.json';
+const SCHEMA_VERSION = 2;
+
+const SETTINGS_SCHEMA = {
+  editorFontFamily: {
+    type: 'string',
+    default: "'SF Mono', Monaco, 'Courier New', monospace",
+    maxLength: 200,
+    // Keeps the value a plain font list when it is used as a CSS value
+    pattern: /^[^;{}<>]*$/,
+  },
+  editorFontSize: { type: 'number', default: 14, min: 9, max: 36 },
+  editorLineHeight: { type: 'number', default: 1.6, min: 1, max: 3 },
+  defaultViewMode: {
+    type: 'string',
+    default: VIEW_MODES.EDIT,
+    values: Object.values(VIEW_MODES),
+  },
+  markdownGfm: { type: 'boolean', default: true },
+  markdownBreaks: { type: 'boolean', default: false },
+  codeLineNumbers: { type: 'boolean', default: true },
+  // Keep editor and preview aligned in split mode (toolbar toggle)
+  syncScroll: { type: 'boolean', default: true },
+  // Outline sidebar next to the editor and preview (toolbar toggle)
+  showOutline: { type: 'boolean', default: false },
+  // Backlinks sidebar for documents in the open folder (toolbar toggle)
+  showBacklinks: { type: 'boolean', default: false },
+  // List every file in the workspace sidebar, not just markdown (its toggle)
+  workspaceShowAllFiles: { type: 'boolean', default: false },
+  theme: {
+    type: 'string',
+    default: THEMES.SYSTEM,
+    values: Object.values(THEMES),
+  },
+  // A built-in theme, or a CSS file in the user's themes folder
+  previewTheme: {
+    type: 'string',
+    default: PREVIEW_THEMES.GITHUB,
+    maxLength: 200,
+    pattern: new RegExp(
+      `^(?:${Object.values(PREVIEW_THEMES).join('|')}|${CUSTOM_THEME_PREFIX}[^/\\\\]+\\.css)$`
+    ),
+  },
+  autosave: {
+    type: 'string',
+    default: AUTOSAVE_MODES.OFF,
+    values: Object.values(AUTOSAVE_MODES),
+  },
+  // Seconds of inactivity before an autosave
+  autosaveDelay: { type: 'number', default: 30, min: 1, max: 3600 },
+  // Saved versions kept per file in the version history
+  historyRevisions: { type: 'number', default: 50, min: 1, max: 500 },
+  openFilesIn: {
+    type: 'string',
+    default: OPEN_FILES_IN.FOCUSED_WINDOW,
+    values: Object.values(OPEN_FILES_IN),
+  },
+  // Inline local images as data URIs when exporting
+  exportEmbedImages: { type: 'boolean', default: true },
+  // Fills {{author}} in templates; empty means the OS user name
+  author: { type: 'string', default: '', maxLength: 200 },
+};
+
+// Each entry upgrades the stored file from the previous version
+const MIGRATIONS = {
+  // Version 1 stored the settings as a flat object without a version
+  2: (stored) => ({ version: 2, settings: stored }),
+};
+
+let cachedSettings = null;
+const listeners = new Set();
+
+function getStorePath() {
+  const userDataPath = app.getPath('userData');
+  return path.join(userDataPath, SETTINGS_FILE_NAME);
+}
+
+/**
+ * Check a value against the schema
+ * @param {string} key
+ * @param {*} value
+ * @returns {string|null} Why the value is rejected, or null when valid
+ */
+function validateSetting(key, value) {
+  const rule = SETTINGS_SCHEMA[key];
+  if (!rule) {
+    return `Unknown setting: ${key}`;
+  }
+  if (typeof value !== rule.type) {
+    return `Expected a ${rule.type}`;
+  }
+  if (rule.type === 'number') {
+    if (!Number.isFinite(value)) {
+      return 'Expected a number';
+    }
+    if (value < rule.min || value > rule.max) {
+      return `Must be between ${rule.min} and ${rule.max}`;
+    }
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    return `Must be one of: ${rule.values.join(', ')}`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `Must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return 'Contains characters that are not allowed';
+  }
+  return null;
+}
+
+function getDefaults() {
+  const defaults = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, rule]) => {
+    defaults[key] = rule.default;
+  });
+  return defaults;
+}
+
+/**
+ * Bring a parsed settings file up to the current version
+ * @param {Object} stored - Parsed file contents
+ * @returns {{data: Object, migrated: boolean}}
+ */
+function migrate(stored) {
+  let data = stored;
+  let version = typeof stored.version === 'number' ? stored.version : 1;
+  const startVersion = version;
+
+  while (version < SCHEMA_VERSION && MIGRATIONS[version + 1]) {
+    data = MIGRATIONS[version + 1](data);
+    version += 1;
+  }
+
+  return { data, migrated: version !== startVersion };
+}
+
+function loadSettings() {
+  const settings = getDefaults();
+  let stored;
+
+  try {
+    stored = JSON.parse(fs.readFileSync(getStorePath(), 'utf8'));
+  } catch {
+    // Ignore corrupted or missing settings; fall back to defaults.
+    return settings;
+  }
+  if (typeof stored !== 'object' || stored === null) {
+    return settings;
+  }
+
+  const { data, migrated } = migrate(stored);
+  const values = data.settings || {};
+
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    if (!(key in values)) return;
+
+    const error = validateSetting(key, values[key]);
+    if (error) {
+      logger.warn(`Ignoring stored setting ${key}: ${error}`);
+    } else {
+      settings[key] = values[key];
+    }
+  });
+
+  if (migrated) {
+    logger.info(`Migrated settings to version ${SCHEMA_VERSION}`);
+    saveSettings(settings);
+  }
+  return settings;
+}
+
+function saveSettings(settings) {
+  try {
+    const storePath = getStorePath();
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(
+      storePath,
+      JSON.stringify({ version: SCHEMA_VERSION, settings }, null, 2),
+      'utf8'
+    );
+  } catch (error) {
+    // The in-memory value still applies for this session.
+    logger.error('Unable to save settings:', error);
+  }
+}
+
+function getCache() {
+  if (!cachedSettings) {
+    cachedSettings = loadSettings();
+  }
+  return cachedSettings;
+}
+
+function notifyListeners() {
+  const settings = getSettings();
+  listeners.forEach((listener) => listener(settings));
+}
+
+/**
+ * Read a setting
+ * @param {string} key
+ * @returns {*} The stored value, or its default
+ */
+function getSetting(key) {
+  return getCache()[key];
+}
+
+/**
+ * Read every setting
+ * @returns {Object} A copy of the current settings
+ */
+function getSettings() {
+  return { ...getCache() };
+}
+
+/**
+ * Change a setting, persist it and notify listeners
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} Whether the value was accepted
+ */
+function setSetting(key, value) {
+  if (validateSetting(key, value)) return false;
+
+  const settings = getCache();
+  if (settings[key] === value) return true;
+
+  settings[key] = value;
+  saveSettings(settings);
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Restore every setting to its default
+ */
+function resetSettings() {
+  cachedSettings = getDefaults();
+  saveSettings(cachedSettings);
+  notifyListeners();
+}
+
+/**
+ * Register a listener for setting changes
+ * @param {Function} listener - Called with the full settings object
+ * @returns {Function} Removes the listener
+ */
+function onSettingsChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  getSetting,
+  getSettings,
+  setSetting,
+  resetSettings,
+  validateSetting,
+  onSettingsChanged,
+};
@@ -0,0 +1,188 @@
+/**
+ * Template service
+ * Lists document templates and fills in their placeholders. The built-in
+ * template ships in resources/; user templates live in a folder in userData.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { app } = require('electron');
+const settingsStore = require('./settingsStore');
+const logger = require('../utils/logger');
+
+const TEMPLATES_FOLDER_NAME = 'templates';
+const BUILT_IN_TEMPLATE_PATH = path.join(
+  __dirname,
+  '../../../resources/defaultTemplate.md'
+);
+const BUILT_IN_ID = 'builtin:default';
+const USER_ID_PREFIX = 'user:';
+const TEMPLATE_EXTENSIONS = ['.md', '.markdown'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * @typedef {Object} TemplateInfo
+ * @property {string} id - Stable id passed back to createFromTemplate
+ * @property {string} name - Display name
+ * @property {string} description - First heading or line of the template
+ * @property {boolean} builtIn - Whether the template ships with the app
+ */
+
+/**
+ * Folder user templates are read from
+ * @returns {string}
+ */
+function getTemplatesDirectory() {
+  return path.join(app.getPath('userData'), TEMPLATES_FOLDER_NAME);
+}
+
+/**
+ * Create the user templates folder if needed
+ * @returns {Promise<string>} The folder path
+ */
+async function ensureTemplatesDirectory() {
+  const directory = getTemplatesDirectory();
+  await fs.mkdir(directory, { recursive: true });
+  return directory;
+}
+
+/**
+ * List the built-in template followed by user templates sorted by name
+ * @returns {Promise<TemplateInfo[]>}
+ */
+async function listTemplates() {
+  const templates = [];
+
+  try {
+    const content = await fs.readFile(BUILT_IN_TEMPLATE_PATH, 'utf8');
+    templates.push({
+      id: BUILT_IN_ID,
+      name: 'Default',
+      description: describeTemplate(content),
+      builtIn: true,
+    });
+  } catch (error) {
+    logger.error('Unable to read built-in template:', error);
+  }
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(getTemplatesDirectory(), {
+      withFileTypes: true,
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Unable to list user templates:', error);
+    }
+  }
+
+  const userTemplates = await Promise.all(
+    entries
+      .filter((entry) => entry.isFile() && isTemplateFile(entry.name))
+      .map(async (entry) => {
+        try {
+          const content = await fs.readFile(
+            path.join(getTemplatesDirectory(), entry.name),
+            'utf8'
+          );
+          return {
+            id: `${USER_ID_PREFIX}${entry.name}`,
+            name: path.basename(entry.name, path.extname(entry.name)),
+            description: describeTemplate(content),
+            builtIn: false,
+          };
+        } catch (error) {
+          logger.error(`Unable to read template ${entry.name}:`, error);
+          return null;
+        }
+      })
+  );
+
+  return templates.concat(
+    userTemplates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name))
+  );
+}
+
+/**
+ * Read a template and fill in its placeholders
+ * @param {string} templateId - Id from listTemplates
+ * @param {Object} [values] - Extra or overriding placeholder values
+ * @returns {Promise<string>} The document text
+ */
+async function createFromTemplate(templateId, values = {}) {
+  const content = await fs.readFile(resolveTemplatePath(templateId), 'utf8');
+  return fillPlaceholders(content, { ...getDefaultValues(), ...values });
+}
+
+/**
+ * Replace {{name}} placeholders; unknown names are left as they are
+ * @param {string} content
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function fillPlaceholders(content, values) {
+  return content.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+function resolveTemplatePath(templateId) {
+  if (templateId === BUILT_IN_ID) {
+    return BUILT_IN_TEMPLATE_PATH;
+  }
+
+  const fileName = String(templateId || '').startsWith(USER_ID_PREFIX)
+    ? templateId.slice(USER_ID_PREFIX.length)
+    : '';
+
+  // Only plain file names inside the templates folder are accepted
+  if (
+    !fileName ||
+    path.basename(fileName) !== fileName ||
+    !isTemplateFile(fileName)
+  ) {
+    throw new Error(`Unknown template: ${templateId}`);
+  }
+  return path.join(getTemplatesDirectory(), fileName);
+}
+
+function getDefaultValues() {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    title: 'Untitled',
+    author: settingsStore.getSetting('author') || getUserName(),
+  };
+}
+
+function getUserName() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return '';
+  }
+}
+
+function isTemplateFile(fileName) {
+  return TEMPLATE_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+function describeTemplate(content) {
+  const firstLine = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .find(Boolean);
+  return firstLine ? firstLine.replace(/^#+\s*/, '') : '';
+}
+
+module.exports = {
+  getTemplatesDirectory,
+  ensureTemplatesDirectory,
+  listTemplates,
+  createFromTemplate,
+  fillPlaceholders,
+};
@@ -0,0 +1,156 @@
+/**
+ * Theme service
+ * Lists preview themes and reads their stylesheets. Built-in themes ship in
+ * src/renderer/css/themes/; custom themes are CSS files in a folder in
+ * userData, watched so edits apply while the app is open.
+ */
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+const {
+  PREVIEW_THEMES,
+  CUSTOM_THEME_PREFIX,
+} = require('../../shared/constants');
+const logger = require('../utils/logger');
+
+const THEMES_FOLDER_NAME = 'themes';
+const BUILT_IN_THEMES_PATH = path.join(__dirname, '../../renderer/css/themes');
+const BUILT_IN_NAMES = {
+  [PREVIEW_THEMES.GITHUB]: 'GitHub',
+  [PREVIEW_THEMES.ACADEMIC]: 'Academic',
+  [PREVIEW_THEMES.HIGH_CONTRAST]: 'High Contrast',
+};
+
+// Editors save in several steps; report the folder once they are done
+const WATCH_DEBOUNCE_MS = 200;
+
+let watcher = null;
+
+/**
+ * @typedef {Object} PreviewThemeInfo
+ * @property {string} id - Value of the previewTheme setting
+ * @property {string} name - Display name
+ * @property {boolean} builtIn - Whether the theme ships with the app
+ */
+
+/**
+ * Folder custom themes are read from
+ * @returns {string}
+ */
+function getThemesDirectory() {
+  return path.join(app.getPath('userData'), THEMES_FOLDER_NAME);
+}
+
+/**
+ * Create the custom themes folder if needed
+ * @returns {Promise<string>} The folder path
+ */
+async function ensureThemesDirectory() {
+  const directory = getThemesDirectory();
+  await fs.mkdir(directory, { recursive: true });
+  return directory;
+}
+
+/**
+ * List the built-in themes followed by custom themes sorted by name
+ * @returns {Promise<PreviewThemeInfo[]>}
+ */
+async function listPreviewThemes() {
+  const themes = Object.values(PREVIEW_THEMES).map((id) => ({
+    id,
+    name: BUILT_IN_NAMES[id],
+    builtIn: true,
+  }));
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(getThemesDirectory(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Unable to list custom themes:', error);
+    }
+  }
+
+  const customThemes = entries
+    .filter((entry) => entry.isFile() && isThemeFile(entry.name))
+    .map((entry) => ({
+      id: `${CUSTOM_THEME_PREFIX}${entry.name}`,
+      name: path.basename(entry.name, path.extname(entry.name)),
+      builtIn: false,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return themes.concat(customThemes);
+}
+
+/**
+ * Read a theme's stylesheet. A custom theme that cannot be read yields no
+ * CSS, so the preview falls back to its base look.
+ * @param {string} themeId - Id from listPreviewThemes
+ * @returns {Promise<string>}
+ */
+async function getPreviewThemeCss(themeId) {
+  try {
+    return await fs.readFile(resolveThemePath(themeId), 'utf8');
+  } catch (error) {
+    logger.warn(`Unable to read preview theme ${themeId}:`, error.message);
+    return '';
+  }
+}
+
+/**
+ * Call back when files in the custom themes folder change
+ * @param {Function} callback - Called with no arguments
+ */
+async function watchThemes(callback) {
+  if (watcher) return;
+
+  try {
+    const directory = await ensureThemesDirectory();
+    let timer = null;
+    watcher = fsSync.watch(directory, () => {
+      clearTimeout(timer);
+      timer = setTimeout(callback, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', (error) => {
+      logger.warn('Stopped watching the themes folder:', error.message);
+      watcher.close();
+    });
+  } catch (error) {
+    logger.warn('Unable to watch the themes folder:', error.message);
+  }
+}
+
+function resolveThemePath(themeId) {
+  if (BUILT_IN_NAMES[themeId]) {
+    return path.join(BUILT_IN_THEMES_PATH, `${themeId}.css`);
+  }
+
+  const fileName = String(themeId || '').startsWith(CUSTOM_THEME_PREFIX)
+    ? themeId.slice(CUSTOM_THEME_PREFIX.length)
+    : '';
+
+  // Only plain file names inside the themes folder are accepted
+  if (
+    !fileName ||
+    path.basename(fileName) !== fileName ||
+    !isThemeFile(fileName)
+  ) {
+    throw new Error(`Unknown theme: ${themeId}`);
+  }
+  return path.join(getThemesDirectory(), fileName);
+}
+
+function isThemeFile(fileName) {
+  return path.extname(fileName).toLowerCase() === '.css';
+}
+
+module.exports = {
+  getThemesDirectory,
+  ensureThemesDirectory,
+  listPreviewThemes,
+  getPreviewThemeCss,
+  watchThemes,
+};
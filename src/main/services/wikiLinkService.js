@@ -0,0 +1,237 @@
+/**
+ * Wiki link service
+ * Resolves [[Page]] links to files and finds the documents that link to a
+ * file. Links resolve against the markdown files of the open folder, or
+ * only the document's own folder when no folder is open. When several
+ * pages share a name, one in the linking document's folder wins, then the
+ * one with the shortest path.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const fileService = require('./fileService');
+const workspaceService = require('./workspaceService');
+const { getLinePreview } = require('./workspaceSearchService');
+const {
+  findWikiLinks,
+  matchesWikiPage,
+} = require('../../shared/markdownService');
+
+// Files read at once while looking for backlinks
+const READ_CONCURRENCY = 8;
+
+/**
+ * @typedef {Object} Backlink
+ * @property {string} filePath - Absolute path of the linking document
+ * @property {string} relativePath - Relative to the workspace, "/"
+ *   separators
+ * @property {Array<{line: number, column: number, preview: string,
+ *   previewStart: number, previewEnd: number}>} matches - The links, shaped
+ *   like workspace search matches
+ */
+
+/**
+ * Find the file a wiki link points at
+ * @param {string|null} root - Workspace folder
+ * @param {string} target - Link target, e.g. "Page Name" or "notes/Idea"
+ * @param {string|null} fromPath - Document the link is in
+ * @returns {Promise<string|null>} Null when no page has that name
+ */
+async function resolveWikiLink(root, target, fromPath) {
+  const base = root || (fromPath ? path.dirname(fromPath) : null);
+  if (!base) return null;
+
+  const files = root
+    ? (await workspaceService.listMarkdownFiles(root)).files
+    : await listFolderPages(base);
+  return pickPage(files, base, target, fromPath);
+}
+
+/**
+ * Where a page a wiki link names would be created: next to the linking
+ * document when it is in the workspace, otherwise at the workspace's top
+ * @param {string|null} root - Workspace folder
+ * @param {string} target - Link target
+ * @param {string|null} fromPath - Document the link is in
+ * @returns {string|null} Null when there is nowhere to put it or the
+ *   target leads out of that folder
+ */
+function getNewPagePath(root, target, fromPath) {
+  const fromFolder = fromPath ? path.dirname(fromPath) : null;
+  const nextToDocument =
+    Boolean(fromFolder) &&
+    (!root || workspaceService.isInsideWorkspace(root, fromFolder));
+  const folder = nextToDocument ? fromFolder : root;
+  if (!folder) return null;
+
+  const name = fileService.isMarkdownFile(target) ? target : `${target}.md`;
+  const newPath = path.resolve(folder, name);
+  const isInside =
+    newPath !== folder && workspaceService.isInsideWorkspace(folder, newPath);
+  return isInside ? newPath : null;
+}
+
+/**
+ * Find the workspace documents with wiki links to a file
+ * @param {string} root - Workspace folder
+ * @param {string} filePath - The linked file
+ * @returns {Promise<{backlinks: Backlink[], truncated: boolean}>} truncated
+ *   when the workspace has more files than are listed
+ */
+async function findBacklinks(root, filePath) {
+  const { files, truncated } = await workspaceService.listMarkdownFiles(root);
+  const pages = toPages(files, root);
+  const pagePath = toRelativePath(root, filePath);
+  // Many links share a target, so each target's pages are looked up once
+  const candidatesByTarget = new Map();
+  const linksToFile = (target, sourcePath) => {
+    // Most links name another page; skip them before any lookup
+    if (!target || !matchesWikiPage(target, pagePath)) return false;
+    if (!candidatesByTarget.has(target)) {
+      candidatesByTarget.set(target, findCandidates(pages, target));
+    }
+    return choosePage(candidatesByTarget.get(target), sourcePath) === filePath;
+  };
+
+  const results = await mapWithLimit(
+    files.filter((sourcePath) => sourcePath !== filePath),
+    READ_CONCURRENCY,
+    async (sourcePath) => {
+      let text;
+      try {
+        text = await fs.readFile(sourcePath, 'utf8');
+      } catch {
+        // Deleted or unreadable since the folder was listed
+        return null;
+      }
+      if (!text.includes('[[')) return null;
+
+      const lines = text.split('\n');
+      const matches = findWikiLinks(text)
+        .filter((link) => linksToFile(link.target, sourcePath))
+        .map((link) => {
+          const lineText = lines[link.line].replace(/\r$/, '');
+          return {
+            line: link.line,
+            column: link.column,
+            ...getLinePreview(lineText, link.column, link.length),
+          };
+        });
+      return matches.length > 0
+        ? {
+            filePath: sourcePath,
+            relativePath: toRelativePath(root, sourcePath),
+            matches,
+          }
+        : null;
+    }
+  );
+
+  return { backlinks: results.filter(Boolean), truncated };
+}
+
+/**
+ * Choose the page a target names among a list of files
+ * @param {string[]} files - Absolute paths
+ * @param {string} base - Folder the page names are relative to
+ * @param {string} target
+ * @param {string|null} fromPath - Document the link is in
+ * @returns {string|null}
+ */
+function pickPage(files, base, target, fromPath) {
+  return choosePage(findCandidates(toPages(files, base), target), fromPath);
+}
+
+/**
+ * Pair files with their page paths, so a list can be searched for several
+ * targets without working them out again
+ * @param {string[]} files - Absolute paths
+ * @param {string} base - Folder the page names are relative to
+ * @returns {Array<{filePath: string, pagePath: string}>}
+ */
+function toPages(files, base) {
+  return files.map((filePath) => ({
+    filePath,
+    pagePath: toRelativePath(base, filePath),
+  }));
+}
+
+/**
+ * Files whose page path a target names
+ * @param {Array<{filePath: string, pagePath: string}>} pages
+ * @param {string} target
+ * @returns {string[]}
+ */
+function findCandidates(pages, target) {
+  return pages
+    .filter((page) => matchesWikiPage(target, page.pagePath))
+    .map((page) => page.filePath);
+}
+
+/**
+ * Pick among pages with the same name: one in the linking document's
+ * folder, otherwise the shortest path
+ * @param {string[]} candidates
+ * @param {string|null} fromPath - Document the link is in
+ * @returns {string|null}
+ */
+function choosePage(candidates, fromPath) {
+  const folder = fromPath ? path.dirname(fromPath) : null;
+
+  return (
+    candidates.find((filePath) => path.dirname(filePath) === folder) ||
+    candidates.reduce(
+      (best, filePath) =>
+        !best || filePath.length < best.length ? filePath : best,
+      null
+    )
+  );
+}
+
+/**
+ * Run an async function over a list, at most a few at a time
+ * @param {Array} items
+ * @param {number} limit - Calls running at once
+ * @param {Function} fn - Called with each item
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+/**
+ * Markdown files directly in a folder
+ * @param {string} folder
+ * @returns {Promise<string[]>}
+ */
+async function listFolderPages(folder) {
+  try {
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+    return entries
+      .filter(
+        (entry) => entry.isFile() && fileService.isMarkdownFile(entry.name)
+      )
+      .map((entry) => path.join(folder, entry.name));
+  } catch {
+    return [];
+  }
+}
+
+function toRelativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+  resolveWikiLink,
+  getNewPagePath,
+  findBacklinks,
+};
@@ -0,0 +1,286 @@
+/**
+ * Workspace search service
+ * Searches every markdown file of a workspace with the find bar's options
+ * and replaces matches across files. Results are handed over a few files at
+ * a time while the search runs, so the list fills in as a large folder is
+ * read instead of all at once at the end.
+ *
+ * The patterns come from the user, so they run in a worker thread: one that
+ * backtracks badly on a long line cannot freeze the app, and the worker is
+ * terminated when the search is cancelled or a file takes too long
+ * (searchMatcher.js).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const SearchService = require('../../shared/searchService');
+const fileService = require('./fileService');
+const workspaceService = require('./workspaceService');
+const { createMatcher } = require('./searchMatcher');
+const { parseGlobList, matchesPath } = require('../utils/gitignore');
+
+// The whole search stops here, like the find bar's count
+const MAX_MATCHES = 10000;
+
+// Results found since the last batch are sent this often
+const BATCH_INTERVAL_MS = 100;
+
+// Long lines are cut down to the text around the match
+const PREVIEW_BEFORE = 40;
+const PREVIEW_LENGTH = 200;
+
+/**
+ * @typedef {Object} WorkspaceQuery
+ * @property {string} query
+ * @property {boolean} caseSensitive
+ * @property {boolean} wholeWord
+ * @property {boolean} regex
+ * @property {string} [include] - Comma-separated globs; when set, only
+ *   files matching one are searched
+ * @property {string} [exclude] - Comma-separated globs of files to skip
+ */
+
+/**
+ * @typedef {Object} LineMatch
+ * @property {number} start - Offset of the match in the file
+ * @property {number} end - Offset after the match
+ * @property {number} line - Zero-based line the match starts on
+ * @property {number} column - Offset of the match in its line
+ * @property {string} preview - The line, shortened around the match when
+ *   it is long
+ * @property {number} previewStart - Where the match starts in preview
+ * @property {number} previewEnd - Where it ends in preview; matches that
+ *   span lines stop at the end of the first
+ * @property {Array<string|undefined>} captures - For replacement previews
+ * @property {Object<string, string|undefined>} namedGroups
+ */
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} filePath - Absolute path
+ * @property {string} relativePath - Relative to the workspace, "/"
+ *   separators
+ * @property {string} hash - Hash of the text that was searched; replacing
+ *   checks the file still has it
+ * @property {LineMatch[]} matches
+ */
+
+/**
+ * Search the markdown files of a workspace
+ * @param {string} root - Workspace folder
+ * @param {WorkspaceQuery} search
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onResults - Called with FileResult[] as
+ *   files with matches are found
+ * @param {Function} callbacks.isCancelled - Checked between files and
+ *   while one is matched; the search stops once it returns true
+ * @returns {Promise<{fileCount: number, matchCount: number,
+ *   truncated: boolean}|null>} Null when cancelled
+ * @throws {SyntaxError} When search.regex is set and the query is not a
+ *   valid regular expression
+ * @throws {Error} When matching one file takes too long
+ */
+async function searchWorkspace(root, search, { onResults, isCancelled }) {
+  const pattern = SearchService.createPattern(search.query, search);
+  const summary = { fileCount: 0, matchCount: 0, truncated: false };
+  if (!pattern) return summary;
+
+  const { files, truncated } = await listSearchFiles(root, search);
+  summary.truncated = truncated;
+
+  const matcher = createMatcher(search, isCancelled);
+  try {
+    let batch = [];
+    let lastBatchAt = Date.now();
+    for (const filePath of files) {
+      if (isCancelled()) return null;
+
+      let text;
+      try {
+        text = await fs.readFile(filePath, 'utf8');
+      } catch {
+        // Deleted or unreadable since the folder was listed
+        continue;
+      }
+
+      const found = await matcher.findMatches(
+        text,
+        MAX_MATCHES - summary.matchCount
+      );
+      if (!found) return null;
+
+      const { matches, truncated: stopped } = found;
+      if (matches.length > 0) {
+        batch.push({
+          filePath,
+          relativePath: toRelativePath(root, filePath),
+          hash: fileService.hashContent(text),
+          matches: toLineMatches(text, matches),
+        });
+        summary.fileCount += 1;
+        summary.matchCount += matches.length;
+      }
+      if (stopped) {
+        summary.truncated = true;
+        break;
+      }
+
+      if (batch.length > 0 && Date.now() - lastBatchAt >= BATCH_INTERVAL_MS) {
+        onResults(batch);
+        batch = [];
+        lastBatchAt = Date.now();
+      }
+    }
+
+    if (isCancelled()) return null;
+    if (batch.length > 0) {
+      onResults(batch);
+    }
+    return summary;
+  } finally {
+    matcher.stop();
+  }
+}
+
+/**
+ * Work out the new text of a searched file with some of its matches
+ * replaced. Nothing is written.
+ * @param {Object} target
+ * @param {string} target.filePath
+ * @param {string} target.hash - From the FileResult
+ * @param {number[]} target.starts - Offsets of the matches to replace
+ * @param {WorkspaceQuery} search - The search that found them
+ * @param {string} replacement - Replacement text, expanded as in the find
+ *   bar
+ * @param {Object} matcher - From createMatcher(search); one can serve a
+ *   whole batch of files
+ * @returns {Promise<{original: string, content: string, count: number}>}
+ * @throws {Error} When the file is gone or changed since the search, or
+ *   matching it takes too long
+ */
+async function prepareReplacement(target, search, replacement, matcher) {
+  const snapshot = await fileService.readFileSnapshot(target.filePath);
+  if (!snapshot) {
+    throw new Error('The file no longer exists.');
+  }
+  if (snapshot.signature.hash !== target.hash) {
+    throw new Error('The file changed since the search.');
+  }
+
+  const original = snapshot.content;
+  const pattern = SearchService.createPattern(search.query, search);
+  if (!pattern) {
+    throw new Error('Enter something to search for.');
+  }
+
+  const starts = new Set(target.starts);
+  const { matches } = await matcher.findMatches(original, Infinity);
+  let content = '';
+  let last = 0;
+  let count = 0;
+  matches
+    .filter((match) => starts.has(match.start))
+    .forEach((match) => {
+      content +=
+        original.slice(last, match.start) +
+        SearchService.expandReplacement(replacement, match, search.regex);
+      last = match.end;
+      count += 1;
+    });
+  content += original.slice(last);
+
+  return { original, content, count };
+}
+
+/**
+ * Markdown files of the workspace that the include and exclude globs let
+ * through
+ * @returns {Promise<{files: string[], truncated: boolean}>}
+ */
+async function listSearchFiles(root, { include, exclude }) {
+  const { files, truncated } = await workspaceService.listMarkdownFiles(root);
+  const includeRules = parseGlobList(include);
+  const excludeRules = parseGlobList(exclude);
+  if (includeRules.length === 0 && excludeRules.length === 0) {
+    return { files, truncated };
+  }
+
+  return {
+    files: files.filter((filePath) => {
+      const relativePath = toRelativePath(root, filePath);
+      return (
+        (includeRules.length === 0 ||
+          matchesPath(includeRules, relativePath)) &&
+        !matchesPath(excludeRules, relativePath)
+      );
+    }),
+    truncated,
+  };
+}
+
+/**
+ * Place matches on their lines
+ * @param {string} text
+ * @param {SearchMatch[]} matches - In order, as from findMatches
+ * @returns {LineMatch[]}
+ */
+function toLineMatches(text, matches) {
+  let line = 0;
+  let lineStart = 0;
+
+  return matches.map((match) => {
+    let newline = text.indexOf('\n', lineStart);
+    while (newline !== -1 && newline < match.start) {
+      line += 1;
+      lineStart = newline + 1;
+      newline = text.indexOf('\n', lineStart);
+    }
+
+    const lineEnd = newline === -1 ? text.length : newline;
+    const lineText = text.slice(lineStart, lineEnd).replace(/\r$/, '');
+    const column = match.start - lineStart;
+    // A match can start on the line break itself
+    const length = Math.max(
+      0,
+      Math.min(match.end, lineStart + lineText.length) - match.start
+    );
+
+    return {
+      start: match.start,
+      end: match.end,
+      line,
+      column,
+      ...getLinePreview(lineText, column, length),
+      captures: match.captures,
+      namedGroups: match.namedGroups,
+    };
+  });
+}
+
+/**
+ * Cut a long line down to the text around a match on it
+ * @param {string} lineText - The whole line
+ * @param {number} column - Where the match starts
+ * @param {number} length - Length of the match, within the line
+ * @returns {{preview: string, previewStart: number, previewEnd: number}}
+ */
+function getLinePreview(lineText, column, length) {
+  const offset =
+    lineText.length > PREVIEW_LENGTH ? Math.max(0, column - PREVIEW_BEFORE) : 0;
+  return {
+    preview: lineText.slice(offset, offset + PREVIEW_LENGTH),
+    previewStart: column - offset,
+    previewEnd: Math.min(column - offset + length, PREVIEW_LENGTH),
+  };
+}
+
+function toRelativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+  searchWorkspace,
+  prepareReplacement,
+  createMatcher,
+  getLinePreview,
+};
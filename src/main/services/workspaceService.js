@@ -0,0 +1,394 @@
+/**
+ * Workspace service
+ * A window can have a folder open as its workspace. This service lists the
+ * folder's files as a tree for the sidebar, skipping what the folder's
+ * .gitignore files exclude, watches the folder so the tree follows changes
+ * made on disk, and remembers the last workspace for the next launch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const fileService = require('./fileService');
+const { parseGitignore, isIgnored } = require('../utils/gitignore');
+const { isInsideFolder, resolveInsideFolder } = require('../utils/paths');
+const logger = require('../utils/logger');
+
+const STATE_FILE_NAME = 'workspace.json';
+const GITIGNORE_FILE_NAME = '.gitignore';
+
+// Never listed, whatever the .gitignore files say
+const SKIPPED_NAMES = new Set(['.git', 'node_modules', '.DS_Store']);
+
+// Larger folders are listed up to here and flagged as truncated
+const MAX_ENTRIES = 5000;
+
+// Checkouts and builds change many files at once; rescan once it is quiet
+const WATCH_DEBOUNCE_MS = 300;
+
+// webContents id -> { root, onChange, timer, watchers, recursive, scanId }
+const workspaces = new Map();
+
+/**
+ * @typedef {Object} WorkspaceEntry
+ * @property {string} name
+ * @property {string} path - Absolute path
+ * @property {'file'|'directory'} type
+ * @property {WorkspaceEntry[]} [children] - Folders only, sorted
+ */
+
+/**
+ * @typedef {Object} WorkspaceSnapshot
+ * @property {string} root - Absolute path of the folder
+ * @property {string} name - Folder name
+ * @property {WorkspaceEntry[]} tree - Top-level entries
+ * @property {string[]} pages - Markdown files as wiki link targets:
+ *   relative paths with "/" separators and no extension
+ * @property {boolean} truncated - The folder had more than MAX_ENTRIES
+ */
+
+/**
+ * Make a folder the workspace of a window and watch it for changes
+ * @param {number} webContentsId - Window the workspace belongs to
+ * @param {string} root - Folder to open
+ * @param {Function} onChange - Called (debounced) after files in the folder
+ *   change on disk
+ */
+function openWorkspace(webContentsId, root, onChange) {
+  closeWorkspace(webContentsId);
+
+  const workspace = {
+    root: path.resolve(root),
+    onChange,
+    timer: null,
+    watchers: new Map(),
+    recursive: true,
+    scanId: 0,
+  };
+  workspaces.set(webContentsId, workspace);
+
+  try {
+    addWatcher(workspace, workspace.root, { recursive: true });
+  } catch (error) {
+    // Linux has no recursive watching; folders are watched one by one as
+    // scans find them
+    logger.info(`Watching ${workspace.root} folder by folder:`, error.message);
+    workspace.recursive = false;
+  }
+  logger.info(`Opened workspace: ${workspace.root}`);
+}
+
+/**
+ * Close a window's workspace and stop watching it
+ * @param {number} webContentsId
+ */
+function closeWorkspace(webContentsId) {
+  const workspace = workspaces.get(webContentsId);
+  if (!workspace) return;
+
+  clearTimeout(workspace.timer);
+  workspace.watchers.forEach((watcher) => watcher.close());
+  workspaces.delete(webContentsId);
+  logger.info(`Closed workspace: ${workspace.root}`);
+}
+
+/**
+ * Get the folder open in a window
+ * @param {number} webContentsId
+ * @returns {string|null}
+ */
+function getWorkspaceRoot(webContentsId) {
+  const workspace = workspaces.get(webContentsId);
+  return workspace ? workspace.root : null;
+}
+
+/**
+ * List the files of a window's workspace
+ * @param {number} webContentsId
+ * @param {Object} options
+ * @param {boolean} options.showAllFiles - List every file instead of only
+ *   markdown files
+ * @returns {Promise<WorkspaceSnapshot|null>} Null without a workspace, or
+ *   when a newer scan superseded this one
+ */
+async function scanWorkspace(webContentsId, { showAllFiles }) {
+  const workspace = workspaces.get(webContentsId);
+  if (!workspace) return null;
+
+  workspace.scanId += 1;
+  const scanId = workspace.scanId;
+  const scan = { showAllFiles, count: 0, truncated: false, directories: [] };
+  const { children } = await scanDirectory(workspace.root, '', [], scan);
+
+  // The workspace may have been closed, replaced or rescanned meanwhile
+  if (
+    workspaces.get(webContentsId) !== workspace ||
+    workspace.scanId !== scanId
+  ) {
+    return null;
+  }
+
+  if (!workspace.recursive) {
+    syncWatchers(workspace, scan.directories);
+  }
+  return {
+    root: workspace.root,
+    name: path.basename(workspace.root),
+    tree: children,
+    pages: collectFiles(children)
+      .filter((filePath) => fileService.isMarkdownFile(filePath))
+      .map((filePath) =>
+        path
+          .relative(workspace.root, filePath)
+          .slice(0, -path.extname(filePath).length)
+          .split(path.sep)
+          .join('/')
+      ),
+    truncated: scan.truncated,
+  };
+}
+
+/**
+ * List the markdown files in a folder and its subfolders, skipping what its
+ * .gitignore files exclude
+ * @param {string} root - Folder to list
+ * @returns {Promise<{files: string[], truncated: boolean}>} Absolute paths
+ *   in sidebar order; truncated as for scanWorkspace
+ */
+async function listMarkdownFiles(root) {
+  const scan = {
+    showAllFiles: false,
+    count: 0,
+    truncated: false,
+    directories: [],
+  };
+  const { children } = await scanDirectory(path.resolve(root), '', [], scan);
+  return { files: collectFiles(children), truncated: scan.truncated };
+}
+
+/**
+ * Check that a path is the workspace folder or inside it, from its text
+ * @param {string} root - Workspace folder
+ * @param {string} targetPath
+ * @returns {boolean}
+ */
+function isInsideWorkspace(root, targetPath) {
+  return isInsideFolder(root, targetPath);
+}
+
+/**
+ * Resolve a path that must be the workspace folder or inside it once
+ * symlinks are followed, so a linked folder cannot reach outside it
+ * @param {string} root - Workspace folder
+ * @param {string} targetPath
+ * @returns {Promise<string|null>} Null when it leads out of the workspace
+ */
+function resolveInsideWorkspace(root, targetPath) {
+  return resolveInsideFolder(root, targetPath);
+}
+
+/**
+ * Folder that was open when the app last ran
+ * @returns {string|null}
+ */
+function getLastWorkspace() {
+  try {
+    const state = JSON.parse(fs.readFileSync(getStorePath(), 'utf8'));
+    if (state && typeof state.folder === 'string') {
+      return state.folder;
+    }
+  } catch {
+    // Ignore corrupted or missing state; start without a workspace.
+  }
+  return null;
+}
+
+/**
+ * Remember the folder to reopen on the next launch
+ * @param {string|null} folder - Null forgets it
+ */
+function rememberWorkspace(folder) {
+  try {
+    fs.writeFileSync(getStorePath(), JSON.stringify({ folder }, null, 2));
+  } catch (error) {
+    logger.error('Failed to persist workspace:', error);
+  }
+}
+
+/**
+ * List one folder, recursing into subfolders
+ * @returns {Promise<{children: WorkspaceEntry[], isEmpty: boolean}>}
+ */
+async function scanDirectory(directory, relativePath, rules, scan) {
+  scan.directories.push(directory);
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    logger.warn(`Unable to list ${directory}:`, error.message);
+    return { children: [], isEmpty: true };
+  }
+
+  const folderRules = entries.some(
+    (entry) => entry.name === GITIGNORE_FILE_NAME && entry.isFile()
+  )
+    ? rules.concat(await readGitignore(directory, relativePath))
+    : rules;
+
+  const children = [];
+  for (const entry of entries) {
+    if (scan.truncated) break;
+    if (SKIPPED_NAMES.has(entry.name)) continue;
+
+    const entryPath = path.join(directory, entry.name);
+    const entryRelativePath = relativePath
+      ? `${relativePath}/${entry.name}`
+      : entry.name;
+    const type = await getEntryType(entry, entryPath);
+    if (!type) continue;
+
+    const isDirectory = type === 'directory';
+    if (isIgnored(folderRules, entryRelativePath, isDirectory)) continue;
+
+    if (isDirectory) {
+      const folder = await scanDirectory(
+        entryPath,
+        entryRelativePath,
+        folderRules,
+        scan
+      );
+      // Folders without markdown are left out, but a new empty folder shows
+      const hidden =
+        !scan.showAllFiles && folder.children.length === 0 && !folder.isEmpty;
+      if (hidden) continue;
+
+      children.push({
+        name: entry.name,
+        path: entryPath,
+        type,
+        children: folder.children,
+      });
+    } else {
+      if (!scan.showAllFiles && !fileService.isMarkdownFile(entry.name)) {
+        continue;
+      }
+      children.push({ name: entry.name, path: entryPath, type });
+    }
+
+    scan.count += 1;
+    if (scan.count >= MAX_ENTRIES) {
+      scan.truncated = true;
+    }
+  }
+
+  return {
+    children: children.sort(compareEntries),
+    isEmpty: entries.length === 0,
+  };
+}
+
+/**
+ * Paths of the files in a tree, in tree order
+ * @param {WorkspaceEntry[]} entries
+ * @returns {string[]}
+ */
+function collectFiles(entries) {
+  return entries.flatMap((entry) =>
+    entry.children ? collectFiles(entry.children) : [entry.path]
+  );
+}
+
+/**
+ * Classify a folder entry. Symbolic links to files count as files; links
+ * to folders are skipped so a loop cannot make the scan run forever.
+ * @returns {Promise<'file'|'directory'|null>}
+ */
+async function getEntryType(entry, entryPath) {
+  if (entry.isDirectory()) return 'directory';
+  if (entry.isFile()) return 'file';
+  if (!entry.isSymbolicLink()) return null;
+
+  const stats = await fs.promises.stat(entryPath).catch(() => null);
+  return stats && stats.isFile() ? 'file' : null;
+}
+
+async function readGitignore(directory, relativePath) {
+  try {
+    const text = await fs.promises.readFile(
+      path.join(directory, GITIGNORE_FILE_NAME),
+      'utf8'
+    );
+    return parseGitignore(text, relativePath);
+  } catch (error) {
+    logger.warn(`Unable to read .gitignore in ${directory}:`, error.message);
+    return [];
+  }
+}
+
+function compareEntries(a, b) {
+  if (a.type !== b.type) {
+    return a.type === 'directory' ? -1 : 1;
+  }
+  return a.name.localeCompare(b.name, undefined, {
+    numeric: true,
+    sensitivity: 'base',
+  });
+}
+
+function addWatcher(workspace, directory, options = {}) {
+  const watcher = fs.watch(directory, options, (_eventType, filename) => {
+    const changed = filename ? filename.toString() : '';
+    // Git updates its own folder constantly; none of it is listed
+    if (changed.split(/[\\/]/)[0] === '.git') return;
+
+    clearTimeout(workspace.timer);
+    workspace.timer = setTimeout(workspace.onChange, WATCH_DEBOUNCE_MS);
+  });
+  watcher.on('error', (error) => {
+    logger.warn(`Workspace watcher error for ${directory}:`, error.message);
+    watcher.close();
+    workspace.watchers.delete(directory);
+  });
+  workspace.watchers.set(directory, watcher);
+}
+
+/**
+ * Watch exactly the folders the last scan found
+ * @param {Object} workspace
+ * @param {string[]} directories
+ */
+function syncWatchers(workspace, directories) {
+  const wanted = new Set(directories);
+
+  workspace.watchers.forEach((watcher, directory) => {
+    if (!wanted.has(directory)) {
+      watcher.close();
+      workspace.watchers.delete(directory);
+    }
+  });
+  wanted.forEach((directory) => {
+    if (workspace.watchers.has(directory)) return;
+    try {
+      addWatcher(workspace, directory);
+    } catch (error) {
+      logger.warn(`Unable to watch ${directory}:`, error.message);
+    }
+  });
+}
+
+function getStorePath() {
+  return path.join(app.getPath('userData'), STATE_FILE_NAME);
+}
+
+module.exports = {
+  openWorkspace,
+  closeWorkspace,
+  getWorkspaceRoot,
+  scanWorkspace,
+  listMarkdownFiles,
+  isInsideWorkspace,
+  resolveInsideWorkspace,
+  getLastWorkspace,
+  rememberWorkspace,
+};
@@ -0,0 +1,171 @@
+/**
+ * .gitignore matching
+ * Turns .gitignore files into rules and checks paths against them the way
+ * git does: the last matching rule wins, "!" re-includes, a trailing "/"
+ * matches only folders, and a pattern with a "/" before its end is
+ * relative to the folder of its .gitignore rather than matching at any
+ * depth.
+ */
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {RegExp} pattern - Matches a path relative to the workspace
+ * @property {boolean} negate - The rule re-includes what it matches
+ * @property {boolean} directoryOnly - The rule only matches folders
+ */
+
+/**
+ * Parse the text of a .gitignore file
+ * @param {string} text
+ * @param {string} [base] - Folder of the file relative to the workspace,
+ *   with "/" separators; empty for the workspace itself
+ * @returns {IgnoreRule[]}
+ */
+function parseGitignore(text, base = '') {
+  const prefix = base ? `${escapeRegExp(base)}/` : '';
+
+  return text
+    .split(/\r?\n/)
+    .map((line) => parseLine(line, prefix))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a path is ignored. Paths inside an ignored folder are not
+ * checked here; callers skip the folder instead.
+ * @param {IgnoreRule[]} rules - In file order, outer .gitignore files first
+ * @param {string} relativePath - Relative to the workspace, "/" separators
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  rules.forEach((rule) => {
+    if (rule.directoryOnly && !isDirectory) return;
+    if (rule.pattern.test(relativePath)) {
+      ignored = !rule.negate;
+    }
+  });
+  return ignored;
+}
+
+/**
+ * Parse a comma-separated list of globs, as typed in the include and
+ * exclude fields of a search. Each glob works like a line of a .gitignore
+ * at the top of the workspace.
+ * @param {string} text - e.g. "docs/**, *.md"
+ * @returns {IgnoreRule[]}
+ */
+function parseGlobList(text) {
+  return parseGitignore(
+    String(text || '')
+      .split(',')
+      .map((glob) => glob.trim())
+      .join('\n')
+  );
+}
+
+/**
+ * Whether rules cover a file, either directly or through a folder it is in
+ * @param {IgnoreRule[]} rules
+ * @param {string} relativePath - Path of a file relative to the workspace,
+ *   "/" separators
+ * @returns {boolean}
+ */
+function matchesPath(rules, relativePath) {
+  const parts = relativePath.split('/');
+  return parts.some((_part, index) =>
+    isIgnored(
+      rules,
+      parts.slice(0, index + 1).join('/'),
+      index < parts.length - 1
+    )
+  );
+}
+
+function parseLine(line, prefix) {
+  // Trailing spaces are ignored unless escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+  if (!pattern) return null;
+
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  }
+
+  const source = globToRegExp(pattern);
+  return {
+    pattern: new RegExp(
+      anchored ? `^${prefix}${source}$` : `^${prefix}(?:.*/)?${source}$`
+    ),
+    negate,
+    directoryOnly,
+  };
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (glob.startsWith('**/', i) && (i === 0 || glob[i - 1] === '/')) {
+      // Zero or more folders
+      source += '(?:.*/)?';
+      i += 3;
+    } else if (glob.startsWith('**', i) && i + 2 === glob.length) {
+      source += '.*';
+      i += 2;
+    } else if (char === '*') {
+      source += '[^/]*';
+      i += 1;
+    } else if (char === '?') {
+      source += '[^/]';
+      i += 1;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        i += 1;
+      } else {
+        const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += `[${body.replace(/^!/, '^')}]`;
+        i = end + 1;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[i + 1]);
+      i += 2;
+    } else {
+      source += escapeRegExp(char);
+      i += 1;
+    }
+  }
+  return source;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseGitignore,
+  isIgnored,
+  parseGlobList,
+  matchesPath,
+};
@@ -0,0 +1,76 @@
+/**
+ * Folder containment checks
+ * Decides whether a path is a folder or inside it. The lexical check only
+ * looks at the path's text; the resolving one also follows symlinks, so a
+ * link inside the folder that points elsewhere does not count as inside.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Check from the path's text that it is the folder or inside it
+ * @param {string} folder
+ * @param {string} targetPath
+ * @returns {boolean}
+ */
+function isInsideFolder(folder, targetPath) {
+  const relative = path.relative(folder, path.resolve(targetPath));
+  return (
+    relative === '' ||
+    (relative !== '..' &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Resolve a path that must be the folder or inside it once symlinks are
+ * followed. A path that does not exist yet, such as a name about to be
+ * created, is judged by the folder that would hold it.
+ * @param {string} folder
+ * @param {string} targetPath
+ * @returns {Promise<string|null>} The absolute path as given, or null when
+ *   it leads out of the folder
+ */
+async function resolveInsideFolder(folder, targetPath) {
+  const resolved = path.resolve(targetPath);
+  if (!isInsideFolder(folder, resolved)) return null;
+
+  try {
+    const [realPath, realFolder] = await Promise.all([
+      realpathOfExisting(resolved),
+      fs.promises.realpath(folder),
+    ]);
+    return isInsideFolder(realFolder, realPath) ? resolved : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Real path of the deepest part of a path that exists, with the missing
+ * names after it added back
+ * @param {string} targetPath - Absolute path
+ * @returns {Promise<string>}
+ */
+async function realpathOfExisting(targetPath) {
+  const missing = [];
+  let existing = targetPath;
+  for (;;) {
+    try {
+      const realPath = await fs.promises.realpath(existing);
+      return path.join(realPath, ...missing);
+    } catch (error) {
+      const parent = path.dirname(existing);
+      if (error.code !== 'ENOENT' || parent === existing) throw error;
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+}
+
+module.exports = {
+  isInsideFolder,
+  resolveInsideFolder,
+};
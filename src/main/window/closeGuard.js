@@ -0,0 +1,97 @@
+/**
+ * Close and quit guard
+ * Holds window close and app quit until unsaved changes are resolved
+ */
+
+const { app } = require('electron');
+const { confirmDiscardChanges } = require('../ipc/handlers');
+const logger = require('../utils/logger');
+
+// Windows whose close has already been confirmed
+const confirmedWindows = new WeakSet();
+// Windows currently showing the unsaved changes prompt
+const promptingWindows = new WeakSet();
+// Document windows that get asked before the app quits
+const guardedWindows = new Set();
+
+let quitConfirmed = false;
+let quitGuardInstalled = false;
+
+/**
+ * Intercept a window's close event to confirm unsaved changes
+ * @param {BrowserWindow} window
+ */
+function attachCloseGuard(window) {
+  if (!window) return;
+
+  guardedWindows.add(window);
+  window.on('closed', () => guardedWindows.delete(window));
+
+  window.on('close', (event) => {
+    if (quitConfirmed || confirmedWindows.has(window)) return;
+
+    event.preventDefault();
+    if (promptingWindows.has(window)) return;
+
+    promptingWindows.add(window);
+    confirmDiscardChanges(window)
+      .then((canClose) => {
+        if (canClose && !window.isDestroyed()) {
+          confirmedWindows.add(window);
+          window.close();
+        }
+      })
+      .catch((error) => {
+        logger.error('Error confirming window close:', error);
+      })
+      .finally(() => {
+        promptingWindows.delete(window);
+      });
+  });
+}
+
+/**
+ * Intercept app quit so every window gets a chance to save first
+ */
+function setupQuitGuard() {
+  if (quitGuardInstalled) return;
+  quitGuardInstalled = true;
+
+  app.on('before-quit', (event) => {
+    if (quitConfirmed) return;
+
+    event.preventDefault();
+    confirmAllWindows()
+      .then((canQuit) => {
+        if (canQuit) {
+          quitConfirmed = true;
+          app.quit();
+        } else {
+          logger.info('Quit canceled to keep unsaved changes');
+        }
+      })
+      .catch((error) => {
+        logger.error('Error confirming quit:', error);
+      });
+  });
+}
+
+async function confirmAllWindows() {
+  for (const window of Array.from(guardedWindows)) {
+    if (window.isDestroyed() || confirmedWindows.has(window)) continue;
+
+    if (window.isMinimized()) {
+      window.restore();
+    }
+    window.focus();
+
+    const canClose = await confirmDiscardChanges(window);
+    if (!canClose) return false;
+  }
+  return true;
+}
+
+module.exports = {
+  attachCloseGuard,
+  setupQuitGuard,
+};
@@ -1,32 +1,48 @@
 /**
- * Main window management
- * Creates and configures the application's main window
+ * Document window management
+ * Creates and configures the application's windows. Every window owns its
+ * own set of documents.
  */
 
 const { BrowserWindow } = require('electron');
 const path = require('path');
 const os = require('os');
 const { WINDOW_CONFIG } = require('../../shared/constants');
-const { restoreWindowState, trackWindow } = require('./windowState');
+const {
+  restoreWindowState,
+  cascadeWindowState,
+  trackWindow,
+} = require('./windowState');
+const { attachCloseGuard } = require('./closeGuard');
 const logger = require('../utils/logger');
-const { setMainWindow } = require('../ipc/handlers');
+const { handlePreviewNavigation } = require('../ipc/handlers');
+const { removeWindowDocuments } = require('../services/documentRegistry');
+const { removeWindowSnapshots } = require('../services/recoveryService');
+const { closeWorkspace } = require('../services/workspaceService');
 
-let mainWindow = null;
+// Open document windows, least recently focused first
+const documentWindows = [];
+// window -> promise that settles once its page has loaded
+const windowLoads = new WeakMap();
 
 /**
- * Create the main application window
+ * Create a document window. The first one restores the saved bounds; later
+ * ones cascade from the window in front.
  * @returns {BrowserWindow} The created window
  */
-function createMainWindow() {
-  logger.info('Creating main window');
+function createDocumentWindow() {
+  logger.info('Creating document window');
 
-  const restoredState = restoreWindowState();
+  const reference = getTargetWindow();
+  const initialState = reference
+    ? cascadeWindowState(reference.getBounds(), WINDOW_CONFIG.CASCADE_OFFSET)
+    : restoreWindowState();
 
   const windowOptions = {
-    width: restoredState.width ?? WINDOW_CONFIG.DEFAULT_WIDTH,
-    height: restoredState.height ?? WINDOW_CONFIG.DEFAULT_HEIGHT,
-    x: restoredState.x,
-    y: restoredState.y,
+    width: initialState.width ?? WINDOW_CONFIG.DEFAULT_WIDTH,
+    height: initialState.height ?? WINDOW_CONFIG.DEFAULT_HEIGHT,
+    x: initialState.x,
+    y: initialState.y,
     minWidth: WINDOW_CONFIG.MIN_WIDTH,
     minHeight: WINDOW_CONFIG.MIN_HEIGHT,
     webPreferences: {
@@ -45,49 +61,98 @@ function createMainWindow() {
     windowOptions.trafficLightPosition = { x: 12, y: 16 };
   }
 
-  mainWindow = new BrowserWindow(windowOptions);
+  const window = new BrowserWindow(windowOptions);
+
+  windowLoads.set(
+    window,
+    new Promise((resolve) => {
+      window.webContents.once('did-finish-load', resolve);
+      window.webContents.once('did-fail-load', resolve);
+    })
+  );
 
   // Load the index.html
   const indexPath = path.join(__dirname, '../../renderer/index.html');
-  mainWindow.loadFile(indexPath);
+  window.loadFile(indexPath);
 
   // Open DevTools in development
   if (process.env.NODE_ENV === 'development') {
-    mainWindow.webContents.openDevTools();
+    window.webContents.openDevTools();
   }
 
-  mainWindow.on('closed', () => {
-    logger.info('Main window closed');
-    mainWindow = null;
-    setMainWindow(null);
+  // Links in the preview must never replace the app's own page
+  const webContentsId = window.webContents.id;
+  window.webContents.on('will-navigate', (event, url) => {
+    event.preventDefault();
+    handlePreviewNavigation(window, url);
+  });
+  window.webContents.setWindowOpenHandler(({ url }) => {
+    handlePreviewNavigation(window, url);
+    return { action: 'deny' };
   });
 
-  trackWindow(mainWindow);
-  setMainWindow(mainWindow);
+  window.on('focus', () => {
+    removeFromList(window);
+    documentWindows.push(window);
+  });
 
-  logger.info('Main window created successfully');
-  return mainWindow;
+  window.on('closed', () => {
+    logger.info('Document window closed');
+    removeWindowDocuments(webContentsId);
+    // The close guard settled every unsaved change first
+    removeWindowSnapshots(webContentsId);
+    closeWorkspace(webContentsId);
+    removeFromList(window);
+  });
+
+  documentWindows.push(window);
+  trackWindow(window);
+  attachCloseGuard(window);
+
+  logger.info('Document window created successfully');
+  return window;
 }
 
 /**
- * Get the main window instance
+ * Get the window that menu commands and opened files should go to: the
+ * focused document window, or the one focused most recently
  * @returns {BrowserWindow|null}
  */
-function getMainWindow() {
-  return mainWindow;
+function getTargetWindow() {
+  const focused = BrowserWindow.getFocusedWindow();
+  if (focused && documentWindows.includes(focused)) {
+    return focused;
+  }
+  return documentWindows[documentWindows.length - 1] || null;
 }
 
 /**
- * Close the main window
+ * List the open document windows
+ * @returns {BrowserWindow[]}
  */
-function closeMainWindow() {
-  if (mainWindow) {
-    mainWindow.close();
+function getDocumentWindows() {
+  return documentWindows.slice();
+}
+
+/**
+ * Wait until a window's page has loaded and can receive documents
+ * @param {BrowserWindow} window
+ * @returns {Promise<void>}
+ */
+function whenWindowReady(window) {
+  return windowLoads.get(window) || Promise.resolve();
+}
+
+function removeFromList(window) {
+  const index = documentWindows.indexOf(window);
+  if (index !== -1) {
+    documentWindows.splice(index, 1);
   }
 }
 
 module.exports = {
-  createMainWindow,
-  getMainWindow,
-  closeMainWindow,
+  createDocumentWindow,
+  getTargetWindow,
+  getDocumentWindows,
+  whenWindowReady,
 };
@@ -0,0 +1,61 @@
+/**
+ * Preferences window management
+ * A single window for editing the settings store. Changes apply as soon as
+ * a field is edited; there is no Save button.
+ */
+
+const { BrowserWindow } = require('electron');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const PREFERENCES_WIDTH = 520;
+const PREFERENCES_HEIGHT = 640;
+
+let preferencesWindow = null;
+
+/**
+ * Show the preferences window, creating it on first use
+ * @returns {BrowserWindow}
+ */
+function showPreferencesWindow() {
+  if (preferencesWindow && !preferencesWindow.isDestroyed()) {
+    preferencesWindow.show();
+    preferencesWindow.focus();
+    return preferencesWindow;
+  }
+
+  logger.info('Creating preferences window');
+
+  preferencesWindow = new BrowserWindow({
+    width: PREFERENCES_WIDTH,
+    height: PREFERENCES_HEIGHT,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    title: 'Preferences',
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, '../../preload/preferencesPreload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+    },
+  });
+
+  const window = preferencesWindow;
+  window.loadFile(path.join(__dirname, '../../renderer/preferences.html'));
+  window.once('ready-to-show', () => window.show());
+
+  window.webContents.on('will-navigate', (event) => event.preventDefault());
+  window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+  window.on('closed', () => {
+    preferencesWindow = null;
+  });
+
+  return window;
+}
+
+module.exports = {
+  showPreferencesWindow,
+};
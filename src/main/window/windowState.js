@@ -5,7 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+const { app, screen } = require('electron');
 
 const STATE_FILE_NAME = 'window-state.json';
 const DEFAULT_STATE = {
@@ -49,6 +49,31 @@ function restoreWindowState() {
   return { ...DEFAULT_STATE };
 }
 
+/**
+ * Bounds for a window opened while another is on screen: the same size,
+ * shifted down and right, wrapping to the top-left of the work area when
+ * it would run off the display.
+ * @param {{width:number,height:number,x:number,y:number}} bounds - Bounds of
+ *   the window to cascade from
+ * @param {number} offset - Distance to shift in each direction
+ * @returns {{width:number,height:number,x:number,y:number}}
+ */
+function cascadeWindowState(bounds, offset) {
+  const { workArea } = screen.getDisplayMatching(bounds);
+  let x = bounds.x + offset;
+  let y = bounds.y + offset;
+
+  if (
+    x + bounds.width > workArea.x + workArea.width ||
+    y + bounds.height > workArea.y + workArea.height
+  ) {
+    x = workArea.x;
+    y = workArea.y;
+  }
+
+  return { width: bounds.width, height: bounds.height, x, y };
+}
+
 /**
  * Persist the current window bounds to disk.
  * @param {BrowserWindow} window
@@ -89,5 +114,6 @@ function trackWindow(window) {
 
 module.exports = {
   restoreWindowState,
+  cascadeWindowState,
   trackWindow,
 };
@@ -0,0 +1,25 @@
+/**
+ * Search Worker
+ * Runs workspace search patterns over file text off the main process. A
+ * regular expression that backtracks badly only stalls this thread, which
+ * the main process terminates (see searchMatcher.createMatcher).
+ *
+ * Request: { id, text, search: { query, caseSensitive, wholeWord, regex },
+ *   limit }
+ * Reply: { id, matches, truncated } or { id, error }
+ */
+
+const { parentPort } = require('worker_threads');
+const SearchService = require('../../shared/searchService');
+
+parentPort.on('message', ({ id, text, search, limit }) => {
+  try {
+    const pattern = SearchService.createPattern(search.query, search);
+    const { matches, truncated } = pattern
+      ? SearchService.findMatches(text, pattern, limit)
+      : { matches: [], truncated: false };
+    parentPort.postMessage({ id, matches, truncated });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * Preload script for the preferences window
+ * Exposes only the settings and theme APIs to the renderer via contextBridge
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+const { IPC_CHANNELS } = require('../shared/constants');
+
+contextBridge.exposeInMainWorld('preferencesAPI', {
+  /**
+   * Read every setting
+   * @returns {Promise<Object>}
+   */
+  getSettings: () => ipcRenderer.invoke(IPC_CHANNELS.GET_SETTINGS),
+
+  /**
+   * Change one setting
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<{ok: boolean, error: string|null, settings: Object}>}
+   */
+  setSetting: (key, value) =>
+    ipcRenderer.invoke(IPC_CHANNELS.SET_SETTING, key, value),
+
+  /**
+   * Restore every setting to its default
+   */
+  resetSettings: () => {
+    ipcRenderer.send(IPC_CHANNELS.RESET_SETTINGS);
+  },
+
+  /**
+   * List the preview themes the previewTheme setting can take
+   * @returns {Promise<Array<{id: string, name: string, builtIn: boolean}>>}
+   */
+  listPreviewThemes: () => ipcRenderer.invoke(IPC_CHANNELS.LIST_PREVIEW_THEMES),
+
+  /**
+   * Reveal the custom themes folder, creating it if needed
+   */
+  openThemesFolder: () => {
+    ipcRenderer.send(IPC_CHANNELS.OPEN_THEMES_FOLDER);
+  },
+
+  /**
+   * Listen for themes added to or removed from the custom themes folder
+   * @param {Function} callback - Called with no arguments
+   */
+  onPreviewThemesChanged: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.PREVIEW_THEMES_CHANGED, () => {
+      callback();
+    });
+  },
+
+  /**
+   * Listen for settings changed anywhere in the app
+   * @param {Function} callback - Called with the full settings object
+   */
+  onSettingsChanged: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SETTINGS_CHANGED, (_event, settings) => {
+      callback(settings);
+    });
+  },
+});
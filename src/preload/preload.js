@@ -9,68 +9,526 @@ const { IPC_CHANNELS } = require('../shared/constants');
 // Expose protected methods that allow the renderer to use the IPC
 contextBridge.exposeInMainWorld('electronAPI', {
   /**
-   * Request to save current file content
+   * Request to save a document's content
+   * @param {string} docId - Document being saved
    * @param {string} content - The file content to save
    */
-  saveFile: (content) => {
-    ipcRenderer.send(IPC_CHANNELS.FILE_CONTENT, content);
+  saveFile: (docId, content) => {
+    ipcRenderer.send(IPC_CHANNELS.FILE_CONTENT, docId, content);
   },
 
   /**
-   * Request to save file with a new path
+   * Request to save a document with a new path
+   * @param {string} docId - Document being saved
    * @param {string} content - The file content to save
    * @param {string} filePath - The file path to save to
    */
-  saveFileAs: (content, filePath) => {
-    ipcRenderer.send(IPC_CHANNELS.FILE_CONTENT_SAVE_AS, content, filePath);
+  saveFileAs: (docId, content, filePath) => {
+    ipcRenderer.send(
+      IPC_CHANNELS.FILE_CONTENT_SAVE_AS,
+      docId,
+      content,
+      filePath
+    );
   },
 
   /**
-   * Listen for file opened event
-   * @param {Function} callback - Called with (content, filename)
+   * Listen for file opened event (new tab or reload of an existing one)
+   * @param {Function} callback - Called with
+   *   (docId, content, filename, directory, filePath, recovered,
+   *   assetHost); recovered is set when content is unsaved text restored
+   *   after a crash
    */
   onFileOpened: (callback) => {
-    ipcRenderer.on(IPC_CHANNELS.FILE_OPENED, (_event, content, filename) => {
-      callback(content, filename);
-    });
+    ipcRenderer.on(
+      IPC_CHANNELS.FILE_OPENED,
+      (
+        _event,
+        docId,
+        content,
+        filename,
+        directory,
+        filePath,
+        recovered,
+        assetHost
+      ) => {
+        callback(
+          docId,
+          content,
+          filename,
+          directory,
+          filePath,
+          recovered,
+          assetHost
+        );
+      }
+    );
   },
 
   /**
    * Listen for file-saved confirmation
-   * @param {Function} callback - Called with (filePath, filename)
+   * @param {Function} callback - Called with
+   *   (docId, filePath, filename, directory, assetHost)
    */
   onFileSaved: (callback) => {
-    ipcRenderer.on(IPC_CHANNELS.FILE_SAVED, (_event, filePath, filename) => {
-      callback(filePath, filename);
-    });
+    ipcRenderer.on(
+      IPC_CHANNELS.FILE_SAVED,
+      (_event, docId, filePath, filename, directory, assetHost) => {
+        callback(docId, filePath, filename, directory, assetHost);
+      }
+    );
   },
 
   /**
    * Listen for save file event
-   * @param {Function} callback - Called when save is requested
+   * @param {Function} callback - Called with (docId)
    */
   onSaveFile: (callback) => {
-    ipcRenderer.on(IPC_CHANNELS.SAVE_FILE, () => {
-      callback();
+    ipcRenderer.on(IPC_CHANNELS.SAVE_FILE, (_event, docId) => {
+      callback(docId);
     });
   },
 
   /**
    * Listen for save file as event
-   * @param {Function} callback - Called with (filePath)
+   * @param {Function} callback - Called with (docId, filePath)
    */
   onSaveFileAs: (callback) => {
-    ipcRenderer.on(IPC_CHANNELS.SAVE_FILE_AS, (_event, filePath) => {
-      callback(filePath);
+    ipcRenderer.on(IPC_CHANNELS.SAVE_FILE_AS, (_event, docId, filePath) => {
+      callback(docId, filePath);
+    });
+  },
+
+  /**
+   * Answer the main process when it asks for the document state (for
+   * example before closing the window).
+   * @param {Function} callback - Returns [{ docId, isDirty, filename }]
+   */
+  onDocumentStateRequest: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.REQUEST_DOCUMENT_STATE, (_event, requestId) => {
+      ipcRenderer.send(IPC_CHANNELS.RENDERER_RESPONSE, requestId, callback());
+    });
+  },
+
+  /**
+   * Listen for requests to show the PDF page setup dialog
+   * @param {Function} callback - Called with no arguments
+   */
+  onShowPdfExportDialog: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SHOW_PDF_EXPORT_DIALOG, () => callback());
+  },
+
+  /**
+   * Export a document as PDF with the chosen page setup
+   * @param {string} docId - Document id
+   * @param {Object} options - Page setup
+   */
+  exportPdf: (docId, options) => {
+    ipcRenderer.send(IPC_CHANNELS.EXPORT_PDF, docId, options);
+  },
+
+  /**
+   * Listen for Edit > Find menu commands
+   * @param {Function} callback - Called with the command ('find',
+   *   'replace', 'find-next' or 'find-previous')
+   */
+  onFindCommand: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.FIND_COMMAND, (_event, command) =>
+      callback(command)
+    );
+  },
+
+  /**
+   * Answer the main process when it needs a document for export
+   * @param {Function} callback - Called with (docId); returns
+   *   { markdown, html, filename, metadata } or null
+   */
+  onExportContentRequest: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.REQUEST_EXPORT_CONTENT,
+      (_event, requestId, docId) => {
+        ipcRenderer.send(
+          IPC_CHANNELS.RENDERER_RESPONSE,
+          requestId,
+          callback(docId)
+        );
+      }
+    );
+  },
+
+  /**
+   * Listen for changes made to an open file by other programs
+   * @param {Function} callback - Called with (docId, kind, diskContent)
+   */
+  onFileChangedOnDisk: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.FILE_CHANGED_ON_DISK,
+      (_event, docId, kind, diskContent) => {
+        callback(docId, kind, diskContent);
+      }
+    );
+  },
+
+  /**
+   * Listen for an open file being renamed on disk
+   * @param {Function} callback - Called with
+   *   (docId, filePath, filename, directory, assetHost)
+   */
+  onFileRenamed: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.FILE_RENAMED,
+      (_event, docId, filePath, filename, directory, assetHost) => {
+        callback(docId, filePath, filename, directory, assetHost);
+      }
+    );
+  },
+
+  /**
+   * Listen for requests to bring a tab to the front
+   * @param {Function} callback - Called with (docId)
+   */
+  onFocusDocument: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.FOCUS_DOCUMENT, (_event, docId) => {
+      callback(docId);
     });
   },
 
+  /**
+   * Listen for a tab being closed by the main process
+   * @param {Function} callback - Called with (docId)
+   */
+  onCloseDocument: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.CLOSE_DOCUMENT, (_event, docId) => {
+      callback(docId);
+    });
+  },
+
+  /**
+   * Listen for requests to open a new untitled tab
+   * @param {Function} callback - Called with (content); content is empty
+   *   for a blank document or the filled-in template
+   */
+  onNewDocument: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.NEW_DOCUMENT, (_event, content) => {
+      callback(content);
+    });
+  },
+
+  /**
+   * Listen for requests to show the template gallery
+   * @param {Function} callback - Called with
+   *   ([{ id, name, description, builtIn }])
+   */
+  onShowTemplateGallery: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SHOW_TEMPLATE_GALLERY, (_event, templates) => {
+      callback(templates);
+    });
+  },
+
+  /**
+   * Ask the main process to fill in a template; the result arrives as a
+   * new-document message
+   * @param {string} templateId
+   * @param {string} title - Value for the {{title}} placeholder
+   */
+  createFromTemplate: (templateId, title) => {
+    ipcRenderer.send(IPC_CHANNELS.CREATE_FROM_TEMPLATE, templateId, title);
+  },
+
+  /**
+   * Reveal the user templates folder, creating it if needed
+   */
+  openTemplatesFolder: () => {
+    ipcRenderer.send(IPC_CHANNELS.OPEN_TEMPLATES_FOLDER);
+  },
+
+  /**
+   * Listen for unsaved documents recovered from an earlier session
+   * @param {Function} callback - Called with
+   *   ([{ id, filePath, filename, content, savedAt }])
+   */
+  onShowRecoveryDialog: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SHOW_RECOVERY_DIALOG, (_event, snapshots) => {
+      callback(snapshots);
+    });
+  },
+
+  /**
+   * Keep a copy of an unsaved document in case the app crashes
+   * @param {string} docId
+   * @param {string} filename - Name shown in the tab
+   * @param {string} content
+   */
+  saveRecoverySnapshot: (docId, filename, content) => {
+    ipcRenderer.send(
+      IPC_CHANNELS.SAVE_RECOVERY_SNAPSHOT,
+      docId,
+      filename,
+      content
+    );
+  },
+
+  /**
+   * Reopen a recovered document; it arrives as a file-opened or
+   * new-document message
+   * @param {string} snapshotId
+   */
+  restoreRecoverySnapshot: (snapshotId) => {
+    ipcRenderer.send(IPC_CHANNELS.RESTORE_RECOVERY_SNAPSHOT, snapshotId);
+  },
+
+  /**
+   * Delete a recovered document without opening it
+   * @param {string} snapshotId
+   */
+  discardRecoverySnapshot: (snapshotId) => {
+    ipcRenderer.send(IPC_CHANNELS.DISCARD_RECOVERY_SNAPSHOT, snapshotId);
+  },
+
+  /**
+   * Read a preview theme's stylesheet
+   * @param {string} themeId - Value of the previewTheme setting
+   * @returns {Promise<string>} CSS; empty when the theme cannot be read
+   */
+  getPreviewThemeCss: (themeId) =>
+    ipcRenderer.invoke(IPC_CHANNELS.GET_PREVIEW_THEME_CSS, themeId),
+
+  /**
+   * Listen for changes to the custom themes folder
+   * @param {Function} callback - Called with no arguments
+   */
+  onPreviewThemesChanged: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.PREVIEW_THEMES_CHANGED, () => {
+      callback();
+    });
+  },
+
+  /**
+   * Ask where to save a diagram drawn as PNG and write it there
+   * @param {string} docId - Document the diagram belongs to
+   * @param {Uint8Array} data - PNG file contents
+   * @returns {Promise<boolean>} Whether a file was written
+   */
+  saveDiagramPng: (docId, data) =>
+    ipcRenderer.invoke(IPC_CHANNELS.SAVE_DIAGRAM_PNG, docId, data),
+
+  /**
+   * Listen for requests to show the active document's version history
+   * @param {Function} callback - Called with no arguments
+   */
+  onShowVersionHistory: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SHOW_VERSION_HISTORY, () => callback());
+  },
+
+  /**
+   * List the saved versions of a document's file, newest first
+   * @param {string} docId
+   * @returns {Promise<Array<{id: string, savedAt: number, size: number}>>}
+   *   Empty for untitled documents
+   */
+  listRevisions: (docId) =>
+    ipcRenderer.invoke(IPC_CHANNELS.LIST_REVISIONS, docId),
+
+  /**
+   * Read the text of a saved version
+   * @param {string} docId
+   * @param {string} revisionId - Id from listRevisions
+   * @returns {Promise<string>}
+   */
+  getRevision: (docId, revisionId) =>
+    ipcRenderer.invoke(IPC_CHANNELS.GET_REVISION, docId, revisionId),
+
+  /**
+   * Listen for the window's workspace folder being opened, changed on disk
+   * or closed
+   * @param {Function} callback - Called with
+   *   ({ root, name, tree, truncated }), or null once it is closed
+   */
+  onWorkspaceChanged: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.WORKSPACE_CHANGED, (_event, workspace) => {
+      callback(workspace);
+    });
+  },
+
+  /**
+   * Listen for workspace context menu items the sidebar carries out
+   * @param {Function} callback - Called with (command, path)
+   */
+  onWorkspaceCommand: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.WORKSPACE_COMMAND,
+      (_event, command, targetPath) => {
+        callback(command, targetPath);
+      }
+    );
+  },
+
+  /**
+   * Open, create, rename, move or delete a file or folder in the workspace
+   * @param {{type: string, path: string, name?: string,
+   *   destination?: string}} operation
+   * @returns {Promise<{ok: boolean, error?: string, path?: string}>}
+   */
+  workspaceOperation: (operation) =>
+    ipcRenderer.invoke(IPC_CHANNELS.WORKSPACE_OPERATION, operation),
+
+  /**
+   * Show the native context menu for a workspace entry
+   * @param {string} targetPath
+   * @param {boolean} isDirectory
+   */
+  showWorkspaceMenu: (targetPath, isDirectory) => {
+    ipcRenderer.send(IPC_CHANNELS.SHOW_WORKSPACE_MENU, targetPath, isDirectory);
+  },
+
+  /**
+   * Close the window's workspace folder
+   */
+  closeWorkspace: () => {
+    ipcRenderer.send(IPC_CHANNELS.CLOSE_WORKSPACE);
+  },
+
+  /**
+   * Listen for Edit > Find > Find in Folder
+   * @param {Function} callback - Called with no arguments
+   */
+  onShowWorkspaceSearch: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SHOW_WORKSPACE_SEARCH, () => callback());
+  },
+
+  /**
+   * Search the markdown files of the workspace. Results arrive through
+   * onWorkspaceSearchResults and onWorkspaceSearchDone; starting another
+   * search cancels this one.
+   * @param {number} searchId - Sent back with the results
+   * @param {{query: string, caseSensitive: boolean, wholeWord: boolean,
+   *   regex: boolean, include: string, exclude: string}} search
+   */
+  searchWorkspace: (searchId, search) => {
+    ipcRenderer.send(IPC_CHANNELS.SEARCH_WORKSPACE, searchId, search);
+  },
+
+  /**
+   * Stop the running workspace search
+   */
+  cancelWorkspaceSearch: () => {
+    ipcRenderer.send(IPC_CHANNELS.CANCEL_WORKSPACE_SEARCH);
+  },
+
+  /**
+   * Listen for files with matches, sent while a workspace search runs
+   * @param {Function} callback - Called with (searchId, results)
+   */
+  onWorkspaceSearchResults: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.WORKSPACE_SEARCH_RESULTS,
+      (_event, searchId, results) => {
+        callback(searchId, results);
+      }
+    );
+  },
+
+  /**
+   * Listen for the end of a workspace search
+   * @param {Function} callback - Called with (searchId, summary); summary
+   *   is { fileCount, matchCount, truncated } or { error }
+   */
+  onWorkspaceSearchDone: (callback) => {
+    ipcRenderer.on(
+      IPC_CHANNELS.WORKSPACE_SEARCH_DONE,
+      (_event, searchId, summary) => {
+        callback(searchId, summary);
+      }
+    );
+  },
+
+  /**
+   * Replace search matches in the workspace's files, after asking
+   * @param {{search: Object, replacement: string, files: Array<{filePath:
+   *   string, hash: string, starts: number[]}>}} request
+   * @returns {Promise<{ok: boolean, error?: string, fileCount?: number,
+   *   matchCount?: number, skipped?: Array}>}
+   */
+  replaceInWorkspace: (request) =>
+    ipcRenderer.invoke(IPC_CHANNELS.REPLACE_IN_WORKSPACE, request),
+
+  /**
+   * Listen for a followed [[Page#Heading]] link that should scroll to its
+   * heading
+   * @param {Function} callback - Called with (docId, headingId)
+   */
+  onRevealHeading: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.REVEAL_HEADING, (_event, docId, headingId) => {
+      callback(docId, headingId);
+    });
+  },
+
+  /**
+   * List the workspace documents that link to a document
+   * @param {string} docId
+   * @returns {Promise<{backlinks: Array, truncated: boolean}|null>} Null
+   *   without a workspace or for untitled documents
+   */
+  listBacklinks: (docId) =>
+    ipcRenderer.invoke(IPC_CHANNELS.LIST_BACKLINKS, docId),
+
+  /**
+   * Read every setting
+   * @returns {Promise<Object>}
+   */
+  getSettings: () => ipcRenderer.invoke(IPC_CHANNELS.GET_SETTINGS),
+
+  /**
+   * Change a setting; every window is told through onSettingsChanged
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<{ok: boolean, error: string|null, settings: Object}>}
+   */
+  setSetting: (key, value) =>
+    ipcRenderer.invoke(IPC_CHANNELS.SET_SETTING, key, value),
+
+  /**
+   * Listen for settings changed in the preferences window
+   * @param {Function} callback - Called with the full settings object
+   */
+  onSettingsChanged: (callback) => {
+    ipcRenderer.on(IPC_CHANNELS.SETTINGS_CHANGED, (_event, settings) => {
+      callback(settings);
+    });
+  },
+
+  /**
+   * Tell the main process how an external change was resolved
+   * @param {string} docId - Document the change belongs to
+   * @param {string} action - 'reload' or 'keep'
+   */
+  resolveExternalChange: (docId, action) => {
+    ipcRenderer.send(IPC_CHANNELS.RESOLVE_EXTERNAL_CHANGE, docId, action);
+  },
+
+  /**
+   * Tell the main process which tab is in front
+   * @param {string} docId
+   */
+  setActiveDocument: (docId) => {
+    ipcRenderer.send(IPC_CHANNELS.SET_ACTIVE_DOCUMENT, docId);
+  },
+
+  /**
+   * Ask the main process to close a tab (it confirms unsaved changes)
+   * @param {string} docId
+   */
+  requestCloseDocument: (docId) => {
+    ipcRenderer.send(IPC_CHANNELS.REQUEST_CLOSE_DOCUMENT, docId);
+  },
+
   /**
    * Update the native "document edited" indicator.
+   * @param {string} docId
    * @param {boolean} isDirty
    */
-  setDirtyState: (isDirty) => {
-    ipcRenderer.send(IPC_CHANNELS.SET_DIRTY_STATE, isDirty);
+  setDirtyState: (docId, isDirty) => {
+    ipcRenderer.send(IPC_CHANNELS.SET_DIRTY_STATE, docId, isDirty);
   },
 
   /**
@@ -3,30 +3,65 @@
  * Coordinates all renderer components
  */
 
-/* global Editor, Preview, Toolbar, IPCService */
+/* global Editor, Preview, Toolbar, Tabs, ChangeBanner, CompareView,
+   TemplateGallery, PdfExportDialog, RecoveryDialog, HistoryPanel, WorkspaceTree,
+   WorkspaceSearch, WORKSPACE_OPERATION_TYPES, BacklinksPanel, WikiPages,
+   ScrollSync, Outline, FindBar, DocumentManager, MarkdownService, RenderService, AutosaveService,
+   IPCService */
+
+// Typing faster than this re-renders the preview once, after the last key
+const PREVIEW_DELAY_MS = 100;
 
 const App = {
-  isDirty: false,
+  settings: null,
+  previewTimer: null,
+  outlineTimer: null,
+  // Tab whose version history is open
+  historyDocId: null,
+  themeRequest: 0,
+  backlinksRequest: 0,
 
   /**
    * Initialize the application
    */
-  init() {
+  async init() {
     console.log('Initializing Markdown Viewer');
 
     // Initialize components
+    RenderService.init();
     Editor.init();
     Preview.init();
     Toolbar.init();
+    Tabs.init();
+    ChangeBanner.init();
+    CompareView.init();
+    TemplateGallery.init();
+    PdfExportDialog.init();
+    RecoveryDialog.init();
+    HistoryPanel.init();
+    ScrollSync.init();
+    Outline.init();
+    WorkspaceTree.init();
+    WorkspaceSearch.init();
+    BacklinksPanel.init();
+    FindBar.init();
 
     // Setup event handlers
     this.setupEventHandlers();
 
-    // Initial preview update
-    this.updatePreview();
+    // Settings decide the editor font and the mode of the first tab
+    try {
+      this.applySettings(await IPCService.getSettings());
+    } catch (error) {
+      console.error('Unable to load settings:', error);
+    }
+
+    // Start with an empty untitled tab unless a file arrived meanwhile
+    if (DocumentManager.getAll().length === 0) {
+      this.newDocument();
+    }
 
     console.log('Markdown Viewer initialized');
-    IPCService.setDirtyState(false);
   },
 
   /**
@@ -34,86 +69,835 @@ const App = {
    */
   setupEventHandlers() {
     // Handle editor input
-    Editor.onInput(() => {
-      const mode = Toolbar.getMode();
-      if (mode === 'split') {
-        this.updatePreview();
+    Editor.onInput((docId) => {
+      if (docId === DocumentManager.activeId && Toolbar.getMode() === 'split') {
+        this.schedulePreviewUpdate();
+      }
+      this.markDirty(docId);
+      AutosaveService.documentChanged(docId);
+    });
+
+    // Every change, including reloads from disk, can move headings
+    Editor.onChange((docId) => {
+      if (docId === DocumentManager.activeId) {
+        this.scheduleOutlineUpdate();
       }
-      this.markDirty();
     });
 
-    // Handle mode changes
+    // Handle mode changes; each tab remembers its own mode
     Toolbar.onModeChange = (mode) => {
+      const doc = DocumentManager.getActive();
+      if (doc) {
+        doc.viewMode = mode;
+      }
+      if (mode === 'edit' || mode === 'split') {
+        // CodeMirror cannot measure itself while its pane is hidden
+        Editor.refresh();
+      }
+      ScrollSync.setSplitMode(mode === 'split');
+      FindBar.setPreviewMode(mode === 'preview');
       if (mode === 'preview' || mode === 'split') {
         this.updatePreview();
       }
+      this.updateOutlinePosition();
+    };
+
+    // The toggle is a setting so every window and the next launch agree
+    Toolbar.onSyncScrollToggle = (enabled) =>
+      IPCService.setSetting('syncScroll', enabled);
+    Toolbar.onOutlineToggle = (visible) =>
+      IPCService.setSetting('showOutline', visible);
+    Toolbar.onBacklinksToggle = (visible) =>
+      IPCService.setSetting('showBacklinks', visible);
+
+    Outline.onSelect = (heading) => this.revealLine(heading.line);
+    Outline.onMoveSection = (id, targetId) => this.moveSection(id, targetId);
+    Editor.onScroll(() => this.updateOutlinePosition());
+    Preview.onScroll(() => this.updateOutlinePosition());
+    Preview.onSaveDiagram = (data) =>
+      IPCService.saveDiagramPng(DocumentManager.activeId, data);
+
+    // Handle the tab strip
+    Tabs.onSelect = (docId) => this.activateDocument(docId);
+    Tabs.onClose = (docId) => IPCService.requestCloseDocument(docId);
+    Tabs.onNew = () => this.newDocument();
+
+    // Handle File > New and File > New from Template
+    IPCService.onNewDocument((content) => this.newDocument(content));
+    IPCService.onShowTemplateGallery((templates) =>
+      TemplateGallery.show(templates)
+    );
+    TemplateGallery.onSelect = (templateId, title) =>
+      IPCService.createFromTemplate(templateId, title);
+    TemplateGallery.onOpenFolder = () => IPCService.openTemplatesFolder();
+
+    // Unsaved documents left behind by a crash
+    IPCService.onShowRecoveryDialog((snapshots) =>
+      RecoveryDialog.show(snapshots)
+    );
+    RecoveryDialog.onRestore = (snapshotId) =>
+      IPCService.restoreRecoverySnapshot(snapshotId);
+    RecoveryDialog.onDiscard = (snapshotId) =>
+      IPCService.discardRecoverySnapshot(snapshotId);
+
+    IPCService.onShowVersionHistory(() => this.showVersionHistory());
+    HistoryPanel.onRestore = (content) => this.restoreVersion(content);
+
+    // The folder open as the window's workspace
+    IPCService.onWorkspaceChanged((workspace) => {
+      WorkspaceTree.update(workspace);
+      WorkspaceSearch.setWorkspace(workspace);
+      WikiPages.setWorkspace(workspace);
+      Preview.markMissingPages();
+      this.updateBacklinks();
+    });
+    IPCService.onWorkspaceCommand((command, targetPath) =>
+      WorkspaceTree.handleCommand(command, targetPath)
+    );
+    WorkspaceTree.onOperation = (operation) =>
+      IPCService.workspaceOperation(operation);
+    WorkspaceTree.onContextMenu = (targetPath, isDirectory) =>
+      IPCService.showWorkspaceMenu(targetPath, isDirectory);
+    WorkspaceTree.onShowAllFilesToggle = (showAll) =>
+      IPCService.setSetting('workspaceShowAllFiles', showAll);
+    WorkspaceTree.onSearch = () => WorkspaceSearch.show();
+    WorkspaceTree.onClose = () => IPCService.closeWorkspace();
+
+    // Search and replace across the workspace's files
+    IPCService.onShowWorkspaceSearch(() => WorkspaceSearch.show());
+    IPCService.onWorkspaceSearchResults((searchId, results) =>
+      WorkspaceSearch.addResults(searchId, results)
+    );
+    IPCService.onWorkspaceSearchDone((searchId, summary) =>
+      WorkspaceSearch.finishSearch(searchId, summary)
+    );
+    WorkspaceSearch.onSearch = (searchId, search) =>
+      IPCService.searchWorkspace(searchId, search);
+    WorkspaceSearch.onCancel = () => IPCService.cancelWorkspaceSearch();
+    WorkspaceSearch.onOpenMatch = (filePath, match) =>
+      this.openSearchMatch(filePath, match);
+    WorkspaceSearch.onReplace = (request) =>
+      IPCService.replaceInWorkspace(request);
+
+    // [[Page]] links between the folder's documents
+    Editor.setCompletionSource(
+      (before, after) => WikiPages.getCompletions(before, after),
+      { closeCharacters: /[[\]|#]/ }
+    );
+    IPCService.onRevealHeading((docId, headingId) =>
+      this.revealHeading(docId, headingId)
+    );
+    BacklinksPanel.onRefresh = () => this.updateBacklinks();
+    BacklinksPanel.onOpenLink = (filePath, match) =>
+      this.openSearchMatch(filePath, match);
+
+    IPCService.onShowPdfExportDialog(() => PdfExportDialog.show());
+    IPCService.onFindCommand((command) => FindBar.handleCommand(command));
+    PdfExportDialog.onExport = (options) => {
+      if (DocumentManager.activeId) {
+        IPCService.exportPdf(DocumentManager.activeId, options);
+      }
     };
 
     // Handle native drag-and-drop from Finder
     this.setupDragAndDrop();
 
+    this.setupAutosave();
+    IPCService.onSettingsChanged((settings) => this.applySettings(settings));
+    // The selected custom theme may have been edited
+    IPCService.onPreviewThemesChanged(() => this.applyPreviewTheme());
+
     // Handle IPC events from main process
-    IPCService.onFileOpened((content, filename) => {
-      console.log(`File opened: ${filename}`);
-      Editor.setContent(content);
-      Toolbar.setFilename(filename);
-      this.updatePreview();
-      this.markClean();
+    IPCService.onFileOpened(
+      (docId, content, filename, directory, filePath, recovered, assetHost) => {
+        const existing = DocumentManager.get(docId);
+
+        if (existing) {
+          // Reload of an open tab from disk
+          console.log(`File reloaded: ${filename}`);
+          Editor.setContent(content, docId);
+          existing.externalChange = null;
+          this.markClean(docId);
+          if (docId === DocumentManager.activeId) {
+            this.dismissExternalChange();
+            this.updatePreview();
+          }
+          return;
+        }
+
+        console.log(`File opened: ${filename}`);
+        this.closePristineDocument();
+        const doc = DocumentManager.create({
+          id: docId,
+          filePath,
+          filename,
+          directory,
+          assetHost,
+          viewMode: this.getDefaultViewMode(),
+        });
+        Editor.createSession(doc.id, content);
+        this.activateDocument(doc.id);
+
+        // Recovered text differs from the file until it is saved
+        if (recovered) {
+          this.markDirty(doc.id);
+        }
+      }
+    );
+
+    IPCService.onFocusDocument((docId) => this.activateDocument(docId));
+
+    IPCService.onCloseDocument((docId) => this.removeDocument(docId));
+
+    // Main process asks before closing or quitting
+    IPCService.onDocumentStateRequest(() =>
+      DocumentManager.getAll().map((doc) => ({
+        docId: doc.id,
+        isDirty: doc.isDirty,
+        filename: doc.filename,
+      }))
+    );
+
+    // Main process renders exports from the same HTML as the preview
+    IPCService.onExportContentRequest((docId) => {
+      const doc = DocumentManager.get(docId);
+      if (!doc) return null;
+
+      const markdown = Editor.getContent(docId);
+      const frontMatter = MarkdownService.getFrontMatter(markdown);
+      return {
+        markdown,
+        html: MarkdownService.parseMarkdown(markdown),
+        filename: doc.filename,
+        metadata: frontMatter && frontMatter.data,
+      };
     });
 
-    IPCService.onSaveFile(() => {
-      console.log('Save file requested');
-      const content = Editor.getContent();
-      IPCService.saveFile(content);
+    IPCService.onSaveFile((docId) => {
+      const id = docId || DocumentManager.activeId;
+      console.log(`Save file requested: ${id}`);
+      IPCService.saveFile(id, Editor.getContent(id));
     });
 
-    IPCService.onSaveFileAs((filePath) => {
+    IPCService.onSaveFileAs((docId, filePath) => {
+      const id = docId || DocumentManager.activeId;
       console.log(`Save file as requested: ${filePath}`);
-      const content = Editor.getContent();
-      IPCService.saveFileAs(content, filePath);
+      IPCService.saveFileAs(id, Editor.getContent(id), filePath);
+    });
+
+    this.setupExternalChangeHandlers();
+
+    IPCService.onFileSaved(
+      (docId, filePath, filename, directory, assetHost) => {
+        console.log(`File saved: ${filename}`);
+        const doc = DocumentManager.get(docId);
+        if (!doc) return;
+
+        AutosaveService.cancel(docId);
+        const pathChanged = doc.filePath !== filePath;
+        doc.filePath = filePath;
+        doc.filename = filename || doc.filename;
+        doc.externalChange = null;
+
+        // Untitled documents gain a base path on first save
+        const directoryChanged = doc.directory !== directory;
+        doc.directory = directory;
+        doc.assetHost = assetHost;
+
+        if (docId === DocumentManager.activeId) {
+          this.dismissExternalChange();
+          this.updateTitle();
+          if (directoryChanged) {
+            Preview.setBaseDirectory(directory, assetHost);
+            this.updatePreview();
+          }
+          if (pathChanged) {
+            this.updateBacklinks();
+          }
+        }
+        this.markClean(docId);
+      }
+    );
+  },
+
+  /**
+   * Wire up the "file changed on disk" banner and rename notifications
+   */
+  setupExternalChangeHandlers() {
+    IPCService.onFileChangedOnDisk((docId, kind, diskContent) => {
+      const doc = DocumentManager.get(docId);
+      if (!doc) return;
+
+      console.log(`File ${kind} on disk: ${doc.filename}`);
+      doc.externalChange = {
+        kind,
+        diskContent: kind === 'deleted' ? null : diskContent,
+      };
+
+      // A deleted file's buffer is now the only copy; saving recreates it
+      if (kind === 'deleted') {
+        this.markDirty(docId);
+      }
+      if (docId === DocumentManager.activeId) {
+        ChangeBanner.show(kind, doc.filename);
+      }
+    });
+
+    IPCService.onFileRenamed(
+      (docId, filePath, filename, directory, assetHost) => {
+        const doc = DocumentManager.get(docId);
+        if (!doc) return;
+
+        console.log(`File renamed on disk: ${filename}`);
+        doc.filePath = filePath;
+        doc.filename = filename;
+        doc.directory = directory;
+        doc.assetHost = assetHost;
+        this.renderTabs();
+
+        if (docId === DocumentManager.activeId) {
+          this.updateTitle();
+          Preview.setBaseDirectory(directory, assetHost);
+          this.updatePreview();
+        }
+      }
+    );
 
-      // Optimistically update filename display until confirmation arrives
-      const filename = filePath.split(/[\\/]/).pop();
-      if (filename) {
-        Toolbar.setFilename(filename);
+    ChangeBanner.onReload = () => this.resolveExternalChange('reload');
+    ChangeBanner.onKeep = () => this.resolveExternalChange('keep');
+    ChangeBanner.onDismiss = () => {
+      const doc = DocumentManager.getActive();
+      if (doc) {
+        doc.externalChange = null;
       }
+    };
+
+    ChangeBanner.onCompare = () => {
+      const doc = DocumentManager.getActive();
+      if (!doc || !doc.externalChange) return;
+
+      CompareView.show({
+        title: `${doc.filename}: disk version (−) vs your edits (+)`,
+        oldText: doc.externalChange.diskContent || '',
+        newText: Editor.getContent(doc.id),
+        actions: [
+          { label: 'Reload', onClick: () => ChangeBanner.onReload() },
+          { label: 'Keep mine', onClick: () => ChangeBanner.onKeep() },
+        ],
+      });
+    };
+  },
+
+  /**
+   * Answer the banner for the active tab
+   * @param {string} action - 'reload' or 'keep'
+   */
+  resolveExternalChange(action) {
+    const doc = DocumentManager.getActive();
+    if (!doc) return;
+
+    IPCService.resolveExternalChange(doc.id, action);
+    doc.externalChange = null;
+    this.dismissExternalChange();
+  },
+
+  /**
+   * Close the external change banner and compare view
+   */
+  dismissExternalChange() {
+    ChangeBanner.hide();
+    CompareView.hide();
+  },
+
+  /**
+   * Open a new untitled tab
+   * @param {string} [content] - Initial text, e.g. a filled-in template.
+   *   Non-empty content exists nowhere else, so the tab starts dirty.
+   */
+  newDocument(content = '') {
+    if (content) {
+      this.closePristineDocument();
+    }
+
+    const doc = DocumentManager.create({
+      viewMode: this.getDefaultViewMode(),
+    });
+    Editor.createSession(doc.id, content);
+    this.activateDocument(doc.id);
+
+    if (content) {
+      this.markDirty(doc.id);
+    }
+  },
+
+  /**
+   * Bring a tab to the front, restoring its mode and scroll positions
+   * @param {string} docId
+   */
+  activateDocument(docId) {
+    const doc = DocumentManager.get(docId);
+    if (!doc) return;
+
+    const previous = DocumentManager.getActive();
+    if (previous && previous.id !== docId) {
+      previous.editorScrollTop = Editor.getScrollTop();
+      previous.previewScrollTop = Preview.getScrollTop();
+    }
+
+    DocumentManager.setActive(docId);
+    Editor.activateSession(docId);
+    Preview.setBaseDirectory(doc.directory, doc.assetHost);
+    Toolbar.setMode(doc.viewMode);
+
+    Editor.setScrollTop(doc.editorScrollTop);
+    Preview.setScrollTop(doc.previewScrollTop);
+    this.updateOutline();
+    this.updateBacklinks();
+
+    if (doc.externalChange) {
+      ChangeBanner.show(doc.externalChange.kind, doc.filename);
+    } else {
+      this.dismissExternalChange();
+    }
+
+    this.updateTitle();
+    this.renderTabs();
+    Editor.focus();
+    FindBar.refresh();
+    IPCService.setActiveDocument(docId);
+  },
+
+  /**
+   * Drop a tab that the main process closed
+   * @param {string} docId
+   */
+  removeDocument(docId) {
+    AutosaveService.cancel(docId);
+    const nextId = DocumentManager.remove(docId);
+    Editor.destroySession(docId);
+
+    if (DocumentManager.getAll().length === 0) {
+      this.newDocument();
+    } else if (nextId && nextId !== DocumentManager.activeId) {
+      this.activateDocument(nextId);
+    } else {
+      this.renderTabs();
+    }
+  },
+
+  /**
+   * Close the front tab if it is an untouched, empty untitled document so
+   * opening a file replaces it instead of piling up blank tabs
+   */
+  closePristineDocument() {
+    const doc = DocumentManager.getActive();
+    if (doc && !doc.filePath && !doc.isDirty && !Editor.getContent(doc.id)) {
+      IPCService.requestCloseDocument(doc.id);
+    }
+  },
+
+  renderTabs() {
+    Tabs.render(DocumentManager.getAll(), DocumentManager.activeId);
+
+    // Tabs re-render whenever the active file or its path changes
+    const active = DocumentManager.getActive();
+    WorkspaceTree.setActiveFile(active ? active.filePath : null);
+  },
+
+  /**
+   * Apply settings from the main process (on startup and whenever they are
+   * changed in the preferences window)
+   * @param {Object} settings
+   */
+  applySettings(settings) {
+    this.settings = settings;
+
+    const rootStyle = document.documentElement.style;
+    rootStyle.setProperty('--editor-font-family', settings.editorFontFamily);
+    rootStyle.setProperty('--editor-font-size', `${settings.editorFontSize}px`);
+    rootStyle.setProperty(
+      '--editor-line-height',
+      String(settings.editorLineHeight)
+    );
+    document.documentElement.dataset.theme = settings.theme;
+    document.documentElement.classList.toggle(
+      'hide-code-line-numbers',
+      !settings.codeLineNumbers
+    );
+
+    MarkdownService.setMarkdownOptions({
+      gfm: settings.markdownGfm,
+      breaks: settings.markdownBreaks,
     });
+    AutosaveService.configure(settings);
+    this.applyPreviewTheme();
+    Toolbar.setOutline(settings.showOutline);
+    Outline.setVisible(settings.showOutline);
+    Toolbar.setBacklinks(settings.showBacklinks);
+    BacklinksPanel.setVisible(settings.showBacklinks);
+    // Font settings change line heights and the sidebars change the width
+    Editor.refresh();
+    Toolbar.setSyncScroll(settings.syncScroll);
+    ScrollSync.setEnabled(settings.syncScroll);
+    WorkspaceTree.setShowAllFiles(settings.workspaceShowAllFiles);
+    this.updateOutline();
+    this.updateBacklinks();
+
+    if (DocumentManager.activeId && Toolbar.getMode() !== 'edit') {
+      this.updatePreview();
+    }
+  },
+
+  /**
+   * Load the preview theme picked in preferences. Requests can finish out
+   * of order, so only the newest one is applied.
+   */
+  async applyPreviewTheme() {
+    const themeId = this.settings && this.settings.previewTheme;
+    if (!themeId) return;
 
-    IPCService.onFileSaved((_filePath, filename) => {
-      console.log(`File saved: ${filename}`);
-      if (filename) {
-        Toolbar.setFilename(filename);
+    const request = this.themeRequest + 1;
+    this.themeRequest = request;
+    try {
+      const css = await IPCService.getPreviewThemeCss(themeId);
+      if (request === this.themeRequest) {
+        Preview.setThemeStyles(css);
       }
-      this.markClean();
+    } catch (error) {
+      console.error('Unable to load the preview theme:', error);
+    }
+  },
+
+  /**
+   * View mode for new tabs
+   * @returns {string}
+   */
+  getDefaultViewMode() {
+    return (this.settings && this.settings.defaultViewMode) || 'edit';
+  },
+
+  /**
+   * Show the saved versions of the front tab
+   */
+  async showVersionHistory() {
+    const doc = DocumentManager.getActive();
+    if (!doc) return;
+
+    let revisions = [];
+    try {
+      revisions = await IPCService.listRevisions(doc.id);
+    } catch (error) {
+      console.error('Unable to list versions:', error);
+    }
+    if (doc !== DocumentManager.getActive()) return;
+
+    this.historyDocId = doc.id;
+    HistoryPanel.show({
+      filename: doc.filename,
+      revisions,
+      currentText: Editor.getContent(doc.id),
+      loadRevision: (revisionId) => IPCService.getRevision(doc.id, revisionId),
+    });
+  },
+
+  /**
+   * Replace the front tab's text with a saved version. This is an ordinary
+   * edit: the tab becomes dirty and Undo brings the text back.
+   * @param {string} content
+   */
+  restoreVersion(content) {
+    if (this.historyDocId !== DocumentManager.activeId) return;
+
+    const current = Editor.getContent();
+    if (content === current) return;
+
+    Editor.replaceRange(
+      content,
+      { line: 0, ch: 0 },
+      Editor.posFromOffset(current.length)
+    );
+    Editor.focus();
+  },
+
+  /**
+   * Save documents automatically when the autosave preference asks for it
+   */
+  setupAutosave() {
+    AutosaveService.onSave = (docId) => this.autosaveDocument(docId);
+    AutosaveService.onSaveAll = () => {
+      DocumentManager.getAll().forEach((doc) => this.autosaveDocument(doc.id));
+    };
+    window.addEventListener('blur', () => AutosaveService.focusLost());
+    AutosaveService.onSnapshot = (docId) => this.snapshotDocument(docId);
+  },
+
+  /**
+   * Copy a document's unsaved text to the recovery folder
+   * @param {string} docId
+   */
+  snapshotDocument(docId) {
+    const doc = DocumentManager.get(docId);
+    if (!doc || !doc.isDirty) return;
+
+    IPCService.saveRecoverySnapshot(
+      docId,
+      doc.filename,
+      Editor.getContent(docId)
+    );
+  },
+
+  /**
+   * Save a document if it has unsaved edits and a file to write to. Tabs
+   * with an unresolved change on disk wait for the user to decide.
+   * @param {string} docId
+   */
+  autosaveDocument(docId) {
+    const doc = DocumentManager.get(docId);
+    if (!doc || !doc.filePath || !doc.isDirty || doc.externalChange) return;
+
+    console.log(`Autosaving ${doc.filename}`);
+    IPCService.saveFile(docId, Editor.getContent(docId));
+  },
+
+  /**
+   * Update the preview pane once typing pauses
+   */
+  schedulePreviewUpdate() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(
+      () => this.updatePreview(),
+      PREVIEW_DELAY_MS
+    );
+  },
+
+  /**
+   * Update the preview pane. Rendering happens in a worker; a result that
+   * a newer update overtook is dropped.
+   */
+  async updatePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = null;
+
+    const blocks = await RenderService.render(
+      Editor.getContent(),
+      DocumentManager.activeId
+    );
+    if (blocks) {
+      Preview.render(blocks);
+      ScrollSync.previewUpdated();
+      FindBar.previewRendered();
+    }
+  },
+
+  /**
+   * Rebuild the outline and window title once typing pauses
+   */
+  scheduleOutlineUpdate() {
+    clearTimeout(this.outlineTimer);
+    this.outlineTimer = setTimeout(() => {
+      this.updateTitle();
+      this.updateOutline();
+    }, PREVIEW_DELAY_MS);
+  },
+
+  /**
+   * Title the window after the active document: the title in its front
+   * matter, or its file name
+   */
+  updateTitle() {
+    const doc = DocumentManager.getActive();
+    if (!doc) return;
+
+    const frontMatter = MarkdownService.getFrontMatter(Editor.getContent());
+    const title =
+      frontMatter && frontMatter.data ? frontMatter.data.title : null;
+    document.title =
+      (typeof title === 'string' || typeof title === 'number') &&
+      String(title).trim()
+        ? String(title).trim()
+        : doc.filename;
+  },
+
+  /**
+   * Rebuild the outline from the active document, if it is shown
+   */
+  updateOutline() {
+    clearTimeout(this.outlineTimer);
+    this.outlineTimer = null;
+    if (!Outline.isVisible()) return;
+
+    Outline.update(MarkdownService.getOutline(Editor.getContent()));
+    this.updateOutlinePosition();
+  },
+
+  /**
+   * Tell the outline which line is at the top of the visible pane
+   */
+  updateOutlinePosition() {
+    if (!Outline.isVisible()) return;
+
+    Outline.setCurrentLine(
+      Toolbar.getMode() === 'preview'
+        ? Preview.getTopSourceLine()
+        : Editor.getTopLine()
+    );
+  },
+
+  /**
+   * Scroll the editor and preview to a source line and put the cursor there
+   * @param {number} line - Zero-based
+   */
+  revealLine(line) {
+    const mode = Toolbar.getMode();
+    Editor.setCursor({ line, ch: 0 });
+    if (mode !== 'preview') {
+      Editor.scrollToLine(line);
+      Editor.focus();
+    }
+    if (mode !== 'edit') {
+      Preview.scrollToSourceLine(line);
+    }
+  },
+
+  /**
+   * Scroll to a heading of a document, for a followed [[Page#Heading]]
+   * link
+   * @param {string} docId
+   * @param {string} headingId - Id as in MarkdownService.getOutline
+   */
+  async revealHeading(docId, headingId) {
+    if (!DocumentManager.get(docId)) return;
+
+    if (docId !== DocumentManager.activeId) {
+      this.activateDocument(docId);
+    }
+    // A tab that was just opened may not have a preview to scroll yet
+    if (Toolbar.getMode() !== 'edit') {
+      await this.updatePreview();
+    }
+    const heading = MarkdownService.getOutline(Editor.getContent(docId)).find(
+      (item) => item.id === headingId
+    );
+    if (heading && docId === DocumentManager.activeId) {
+      this.revealLine(heading.line);
+    }
+  },
+
+  /**
+   * List the documents that link to the active one, if the backlinks
+   * sidebar is shown. Requests can finish out of order, so only the newest
+   * one is shown.
+   */
+  async updateBacklinks() {
+    if (!BacklinksPanel.isVisible()) return;
+
+    this.backlinksRequest += 1;
+    const request = this.backlinksRequest;
+    const doc = DocumentManager.getActive();
+    if (!WikiPages.pages) {
+      BacklinksPanel.showMessage('Open a folder to see its links.');
+      return;
+    }
+    if (!doc || !doc.filePath) {
+      BacklinksPanel.showMessage('Save the document to see what links to it.');
+      return;
+    }
+
+    let result = null;
+    try {
+      result = await IPCService.listBacklinks(doc.id);
+    } catch (error) {
+      console.error('Unable to list backlinks:', error);
+    }
+    if (request !== this.backlinksRequest) return;
+
+    if (result) {
+      BacklinksPanel.update(result);
+    } else {
+      BacklinksPanel.showMessage('Backlinks could not be listed.');
+    }
+  },
+
+  /**
+   * Open a file found by the workspace search or listed as a backlink and
+   * select the match
+   * @param {string} filePath
+   * @param {{line: number, column: number, previewStart: number,
+   *   previewEnd: number}} match
+   */
+  async openSearchMatch(filePath, match) {
+    const result = await IPCService.workspaceOperation({
+      type: WORKSPACE_OPERATION_TYPES.OPEN,
+      path: filePath,
     });
+    // The tab was opened or focused before the answer arrived
+    const doc = DocumentManager.getAll().find(
+      (item) => item.filePath === filePath
+    );
+    if (!result.ok || !doc) return;
+
+    if (doc.id !== DocumentManager.activeId) {
+      this.activateDocument(doc.id);
+    }
+    this.revealLine(match.line);
+    Editor.setSelection(
+      { line: match.line, ch: match.column },
+      {
+        line: match.line,
+        ch: match.column + match.previewEnd - match.previewStart,
+      }
+    );
   },
 
   /**
-   * Update the preview pane
+   * Move a heading's whole section in front of another heading
+   * @param {string} id - Outline id of the heading to move
+   * @param {string|null} targetId - Heading to put it before; null for the
+   *   end of the document
    */
-  updatePreview() {
+  moveSection(id, targetId) {
+    // The outline may be a keystroke behind the editor
     const content = Editor.getContent();
-    Preview.update(content);
+    const headings = MarkdownService.getOutline(content);
+    const section = headings.find((heading) => heading.id === id);
+    const target = headings.find((heading) => heading.id === targetId);
+    if (!section || (targetId && !target)) return;
+
+    const move = Outline.getSectionMove(
+      content,
+      section,
+      target ? target.line : null
+    );
+    if (move) {
+      Editor.replaceRange(move.text, move.from, move.to);
+    }
   },
 
   /**
-   * Toggle dirty indicator on
+   * Toggle a tab's dirty indicator on
+   * @param {string} [docId] - Defaults to the active tab
    */
-  markDirty() {
-    if (!this.isDirty) {
-      this.isDirty = true;
-      IPCService.setDirtyState(true);
+  markDirty(docId = DocumentManager.activeId) {
+    const doc = DocumentManager.get(docId);
+    if (doc && !doc.isDirty) {
+      doc.isDirty = true;
+      IPCService.setDirtyState(docId, true);
+      AutosaveService.scheduleSnapshot(docId);
+      this.renderTabs();
     }
   },
 
   /**
-   * Toggle dirty indicator off
+   * Toggle a tab's dirty indicator off
+   * @param {string} [docId] - Defaults to the active tab
    */
-  markClean() {
-    if (this.isDirty) {
-      this.isDirty = false;
-      IPCService.setDirtyState(false);
+  markClean(docId = DocumentManager.activeId) {
+    const doc = DocumentManager.get(docId);
+    if (doc && doc.isDirty) {
+      doc.isDirty = false;
+      IPCService.setDirtyState(docId, false);
     }
+    this.renderTabs();
   },
 
   setupDragAndDrop() {
@@ -125,10 +909,11 @@ const App = {
     const handleDrop = (event) => {
       event.preventDefault();
 
-      const [file] = Array.from(event.dataTransfer.files || []);
-      if (file && file.path) {
-        IPCService.openPath(file.path);
-      }
+      Array.from(event.dataTransfer.files || []).forEach((file) => {
+        if (file.path) {
+          IPCService.openPath(file.path);
+        }
+      });
     };
 
     document.addEventListener('dragover', handleDragOver);
@@ -0,0 +1,165 @@
+/**
+ * Backlinks Panel Component
+ * Sidebar listing the documents of the open folder that link to the active
+ * document with [[Page]] links, each with the lines the links are on.
+ * Clicking a line opens that document there. The list itself comes from
+ * the main process, which reads the files.
+ */
+
+const BacklinksPanel = {
+  pane: null,
+  list: null,
+  message: null,
+
+  // Callbacks set by the app
+  onRefresh: null,
+  onOpenLink: null,
+
+  /**
+   * Initialize the backlinks panel
+   */
+  init() {
+    this.pane = document.getElementById('backlinksPane');
+    this.list = document.getElementById('backlinksList');
+    this.message = document.getElementById('backlinksMessage');
+
+    document
+      .getElementById('backlinksRefreshBtn')
+      .addEventListener('click', () => {
+        if (this.onRefresh) {
+          this.onRefresh();
+        }
+      });
+  },
+
+  /**
+   * Show or hide the sidebar
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.pane.classList.toggle('hidden', !visible);
+  },
+
+  /**
+   * Whether the sidebar is shown
+   * @returns {boolean}
+   */
+  isVisible() {
+    return !this.pane.classList.contains('hidden');
+  },
+
+  /**
+   * List the documents that link to the active one
+   * @param {{backlinks: Array<{filePath: string, relativePath: string,
+   *   matches: Array}>, truncated: boolean}} result - From the main process
+   */
+  update({ backlinks, truncated }) {
+    const count = backlinks.reduce(
+      (sum, backlink) => sum + backlink.matches.length,
+      0
+    );
+    const links = count === 1 ? '1 link' : `${count} links`;
+    const documents =
+      backlinks.length === 1 ? '1 document' : `${backlinks.length} documents`;
+    let message =
+      backlinks.length === 0
+        ? 'No documents link here.'
+        : `${links} from ${documents}`;
+    if (truncated) {
+      message += '\nThe folder has too many files to check them all.';
+    }
+    this.showMessage(message);
+
+    backlinks.forEach((backlink) => {
+      this.list.appendChild(this.createFileItem(backlink));
+    });
+  },
+
+  /**
+   * Empty the list and explain why
+   * @param {string} text
+   */
+  showMessage(text) {
+    this.list.innerHTML = '';
+    this.message.textContent = text;
+  },
+
+  createFileItem(backlink) {
+    const item = document.createElement('li');
+    item.className = 'search-file';
+
+    const header = document.createElement('div');
+    header.className = 'search-file-header';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-file-link';
+    button.title = backlink.relativePath;
+
+    const slash = backlink.relativePath.lastIndexOf('/');
+    const name = document.createElement('span');
+    name.className = 'search-file-name';
+    name.textContent = backlink.relativePath.slice(slash + 1);
+    const folder = document.createElement('span');
+    folder.className = 'search-file-folder';
+    folder.textContent =
+      slash === -1 ? '' : backlink.relativePath.slice(0, slash);
+    const count = document.createElement('span');
+    count.className = 'search-count';
+    count.textContent = String(backlink.matches.length);
+
+    button.append(name, folder, count);
+    button.addEventListener('click', () =>
+      this.openLink(backlink, backlink.matches[0])
+    );
+    header.appendChild(button);
+
+    const matches = document.createElement('ul');
+    matches.className = 'search-matches';
+    backlink.matches.forEach((match) => {
+      matches.appendChild(this.createMatchItem(backlink, match));
+    });
+    item.append(header, matches);
+    return item;
+  },
+
+  createMatchItem(backlink, match) {
+    const item = document.createElement('li');
+    item.className = 'search-match';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-match-link';
+    button.title = `Line ${match.line + 1}`;
+
+    const line = document.createElement('span');
+    line.className = 'search-line-number';
+    line.textContent = String(match.line + 1);
+
+    const { preview, previewStart, previewEnd } = match;
+    const context = document.createElement('span');
+    context.className = 'search-context';
+    const mark = document.createElement('mark');
+    mark.textContent = preview.slice(previewStart, previewEnd);
+    context.append(
+      (match.column > previewStart ? '…' : '') +
+        preview.slice(0, previewStart).trimStart(),
+      mark,
+      preview.slice(previewEnd)
+    );
+
+    button.append(line, context);
+    button.addEventListener('click', () => this.openLink(backlink, match));
+    item.appendChild(button);
+    return item;
+  },
+
+  openLink(backlink, match) {
+    if (this.onOpenLink) {
+      this.onOpenLink(backlink.filePath, match);
+    }
+  },
+};
+
+// Expose to window
+window.BacklinksPanel = BacklinksPanel;
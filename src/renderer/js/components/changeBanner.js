@@ -0,0 +1,90 @@
+/**
+ * Change Banner Component
+ * Non-modal notice shown when the open file changes on disk
+ */
+
+const ChangeBanner = {
+  element: null,
+  messageSpan: null,
+  reloadBtn: null,
+  keepBtn: null,
+  compareBtn: null,
+  dismissBtn: null,
+  kind: null,
+
+  /**
+   * Initialize the banner
+   */
+  init() {
+    this.element = document.getElementById('changeBanner');
+    this.messageSpan = document.getElementById('changeBannerMessage');
+    this.reloadBtn = document.getElementById('changeBannerReload');
+    this.keepBtn = document.getElementById('changeBannerKeep');
+    this.compareBtn = document.getElementById('changeBannerCompare');
+    this.dismissBtn = document.getElementById('changeBannerDismiss');
+
+    this.reloadBtn.addEventListener('click', () => this.notify('onReload'));
+    this.keepBtn.addEventListener('click', () => this.notify('onKeep'));
+    this.compareBtn.addEventListener('click', () => this.notify('onCompare'));
+    this.dismissBtn.addEventListener('click', () => {
+      this.notify('onDismiss');
+      this.hide();
+    });
+  },
+
+  /**
+   * Show the banner
+   * @param {string} kind - 'modified' or 'deleted'
+   * @param {string} filename - Name of the changed file
+   */
+  show(kind, filename) {
+    if (!this.element) return;
+
+    this.kind = kind;
+    const isDeleted = kind === 'deleted';
+
+    this.messageSpan.textContent = isDeleted
+      ? `${filename} was deleted on disk. Save to recreate it.`
+      : `${filename} changed on disk.`;
+    this.reloadBtn.classList.toggle('hidden', isDeleted);
+    this.keepBtn.classList.toggle('hidden', isDeleted);
+    this.compareBtn.classList.toggle('hidden', isDeleted);
+    this.dismissBtn.classList.toggle('hidden', !isDeleted);
+    this.element.classList.remove('hidden');
+  },
+
+  /**
+   * Hide the banner
+   */
+  hide() {
+    if (this.element) {
+      this.element.classList.add('hidden');
+    }
+    this.kind = null;
+  },
+
+  /**
+   * Whether the banner is currently shown
+   * @returns {boolean}
+   */
+  isVisible() {
+    return this.kind !== null;
+  },
+
+  notify(callbackName) {
+    if (this[callbackName]) {
+      this[callbackName]();
+    }
+  },
+
+  /**
+   * Callbacks for the banner buttons
+   */
+  onReload: null,
+  onKeep: null,
+  onCompare: null,
+  onDismiss: null,
+};
+
+// Expose to window
+window.ChangeBanner = ChangeBanner;
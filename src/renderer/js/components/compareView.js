@@ -0,0 +1,104 @@
+/**
+ * Compare View Component
+ * Overlay that shows a line diff between two versions of a document
+ */
+
+/* global DiffService */
+
+const CompareView = {
+  element: null,
+  titleSpan: null,
+  actionsContainer: null,
+  body: null,
+
+  /**
+   * Initialize the compare view
+   */
+  init() {
+    this.element = document.getElementById('compareView');
+    this.titleSpan = document.getElementById('compareTitle');
+    this.actionsContainer = document.getElementById('compareActions');
+    this.body = document.getElementById('compareBody');
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show a diff between two texts
+   * @param {Object} options
+   * @param {string} options.title - Heading shown above the diff
+   * @param {string} options.oldText - Text shown as removed lines
+   * @param {string} options.newText - Text shown as added lines
+   * @param {Array<{label: string, onClick: Function}>} [options.actions] -
+   *   Extra buttons; a Close button is always added
+   */
+  show({ title, oldText, newText, actions = [] }) {
+    if (!this.element) return;
+
+    this.titleSpan.textContent = title;
+    this.renderActions(actions);
+    this.renderDiff(DiffService.diffLines(oldText, newText));
+    this.element.classList.remove('hidden');
+  },
+
+  /**
+   * Hide the compare view
+   */
+  hide() {
+    if (this.element) {
+      this.element.classList.add('hidden');
+      this.body.textContent = '';
+    }
+  },
+
+  /**
+   * Whether the compare view is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  renderActions(actions) {
+    this.actionsContainer.textContent = '';
+
+    [...actions, { label: 'Close', onClick: () => this.hide() }].forEach(
+      ({ label, onClick }) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        this.actionsContainer.appendChild(button);
+      }
+    );
+  },
+
+  /**
+   * Fill an element with diff lines
+   * @param {Array<{type: string, lines: string[]}>} hunks - From
+   *   DiffService.diffLines
+   * @param {HTMLElement} [container] - Defaults to the compare view's body
+   */
+  renderDiff(hunks, container = this.body) {
+    const fragment = document.createDocumentFragment();
+    const markers = { equal: ' ', delete: '-', insert: '+' };
+
+    hunks.forEach((hunk) => {
+      hunk.lines.forEach((line) => {
+        const row = document.createElement('div');
+        row.className = `diff-line diff-${hunk.type}`;
+        row.textContent = `${markers[hunk.type]} ${line}`;
+        fragment.appendChild(row);
+      });
+    });
+
+    container.textContent = '';
+    container.appendChild(fragment);
+  },
+};
+
+// Expose to window
+window.CompareView = CompareView;
@@ -1,43 +1,447 @@
 /**
  * Editor Component
- * Manages the markdown text editor
+ * Manages the markdown text editor, a single CodeMirror instance shared by
+ * all tabs. Each open document gets its own CodeMirror.Doc session so undo
+ * history, selections and scroll position survive switching tabs.
+ *
+ * Positions use CodeMirror's convention: { line, ch }, both zero-based.
+ */
+
+/* global CodeMirror */
+
+/**
+ * @typedef {Object} EditorPosition
+ * @property {number} line - Zero-based line
+ * @property {number} ch - Zero-based column
+ */
+
+/**
+ * @typedef {Object} EditorChange
+ * @property {EditorPosition} from - Start of the replaced range
+ * @property {EditorPosition} to - End of the replaced range, before the edit
+ * @property {string} text - Inserted text
+ * @property {string} removed - Text that was replaced
+ * @property {string} origin - What made the change: '+input', '+delete',
+ *   'paste', 'undo', 'setValue' and so on
  */
 
 const Editor = {
-  element: null,
+  container: null,
+  view: null,
+  sessions: new Map(),
+  activeId: null,
+  inputCallbacks: [],
+  changeCallbacks: [],
+  scrollCallbacks: [],
+  // Highlights of find matches (see markMatches)
+  matchMarks: [],
+  // See setCompletionSource
+  completionSource: null,
+  completionOptions: {},
 
   /**
    * Initialize the editor
    */
   init() {
-    this.element = document.getElementById('editor');
+    this.container = document.getElementById('editorPane');
+    if (!this.container) return;
+
+    // The markup textarea only carries the placeholder text
+    const template = document.getElementById('editor');
+    const placeholder = template ? template.placeholder : '';
+    if (template) {
+      template.remove();
+    }
+
+    this.view = CodeMirror(this.container, {
+      value: '',
+      mode: 'gfm',
+      lineNumbers: true,
+      lineWrapping: true,
+      styleActiveLine: true,
+      matchBrackets: true,
+      placeholder,
+      inputStyle: 'contenteditable',
+      spellcheck: true,
+      extraKeys: {
+        Enter: 'newlineAndIndentContinueMarkdownList',
+      },
+    });
+    this.view.on('scroll', () => {
+      this.scrollCallbacks.forEach((callback) => callback());
+    });
+    this.view.on('inputRead', () => this.showCompletions());
   },
 
   /**
-   * Get current editor content
+   * Create an editing session for a document
+   * @param {string} id - Document id
+   * @param {string} [content] - Initial text
+   */
+  createSession(id, content = '') {
+    if (!this.view || this.sessions.has(id)) return;
+
+    const doc = new CodeMirror.Doc(content, 'gfm');
+    doc.on('change', (_doc, change) => this.handleChange(id, change));
+    this.sessions.set(id, doc);
+  },
+
+  /**
+   * Show a document's session
+   * @param {string} id - Document id
+   */
+  activateSession(id) {
+    const doc = this.sessions.get(id);
+    if (!doc) return;
+
+    if (this.view.getDoc() !== doc) {
+      this.view.swapDoc(doc);
+    }
+    this.activeId = id;
+  },
+
+  /**
+   * Remove a document's session
+   * @param {string} id - Document id
+   */
+  destroySession(id) {
+    const doc = this.sessions.get(id);
+    if (!doc) return;
+
+    this.sessions.delete(id);
+    if (this.activeId === id) {
+      this.view.swapDoc(new CodeMirror.Doc('', 'gfm'));
+      this.activeId = null;
+    }
+  },
+
+  /**
+   * Get editor content
+   * @param {string} [id] - Document id; defaults to the active session
    * @returns {string}
    */
-  getContent() {
-    return this.element ? this.element.value : '';
+  getContent(id = this.activeId) {
+    const doc = this.sessions.get(id);
+    return doc ? doc.getValue() : '';
   },
 
   /**
-   * Set editor content
+   * Set editor content. The cursor stays where it was, as far as the new
+   * text allows, and onInput listeners are not called.
    * @param {string} content
+   * @param {string} [id] - Document id; defaults to the active session
    */
-  setContent(content) {
-    if (this.element) {
-      this.element.value = content;
-    }
+  setContent(content, id = this.activeId) {
+    const doc = this.sessions.get(id);
+    if (!doc) return;
+
+    const cursor = doc.getCursor();
+    doc.setValue(content);
+    doc.setCursor(doc.clipPos(cursor));
   },
 
   /**
-   * Register input event listener
-   * @param {Function} callback
+   * Register input event listener. Only edits made by the user are
+   * reported, not setContent.
+   * @param {Function} callback - Called with the id of the edited document
    */
   onInput(callback) {
-    if (this.element) {
-      this.element.addEventListener('input', callback);
+    this.inputCallbacks.push(callback);
+  },
+
+  /**
+   * Register a listener for every change to any session, including
+   * setContent
+   * @param {Function} callback - Called with (id, EditorChange)
+   */
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  },
+
+  handleChange(id, change) {
+    const details = {
+      from: { line: change.from.line, ch: change.from.ch },
+      to: { line: change.to.line, ch: change.to.ch },
+      text: change.text.join('\n'),
+      removed: change.removed.join('\n'),
+      origin: change.origin || '',
+    };
+
+    this.changeCallbacks.forEach((callback) => callback(id, details));
+    if (details.origin !== 'setValue') {
+      this.inputCallbacks.forEach((callback) => callback(id));
+    }
+  },
+
+  /**
+   * Get the cursor of the active session (the head of the main selection)
+   * @returns {EditorPosition|null}
+   */
+  getCursor() {
+    return this.activeId ? toPosition(this.view.getCursor()) : null;
+  },
+
+  /**
+   * Move the cursor of the active session, clearing any selection
+   * @param {EditorPosition} position
+   */
+  setCursor(position) {
+    if (this.activeId) {
+      this.view.setCursor(position);
+    }
+  },
+
+  /**
+   * Get every selection of the active session. A cursor without a
+   * selection has anchor equal to head.
+   * @returns {Array<{anchor: EditorPosition, head: EditorPosition}>}
+   */
+  getSelections() {
+    if (!this.activeId) return [];
+
+    return this.view.listSelections().map((range) => ({
+      anchor: toPosition(range.anchor),
+      head: toPosition(range.head),
+    }));
+  },
+
+  /**
+   * Select a range in the active session, replacing other selections
+   * @param {EditorPosition} anchor
+   * @param {EditorPosition} [head] - Defaults to anchor
+   */
+  setSelection(anchor, head = anchor) {
+    if (this.activeId) {
+      this.view.setSelection(anchor, head, { scroll: true });
+    }
+  },
+
+  /**
+   * Replace all selections of the active session (multiple cursors)
+   * @param {Array<{anchor: EditorPosition, head: EditorPosition}>} ranges
+   */
+  setSelections(ranges) {
+    if (this.activeId && ranges.length > 0) {
+      this.view.setSelections(ranges, 0, { scroll: true });
+    }
+  },
+
+  /**
+   * Text of the main selection in the active session
+   * @returns {string}
+   */
+  getSelectedText() {
+    return this.activeId ? this.view.getSelection() : '';
+  },
+
+  /**
+   * Replace every selection in the active session with text, as one undo
+   * step
+   * @param {string} text
+   */
+  replaceSelection(text) {
+    if (this.activeId) {
+      this.view.replaceSelection(text);
+    }
+  },
+
+  /**
+   * Replace a range of the active session as one undoable edit. Unlike
+   * setContent this counts as user input.
+   * @param {string} text
+   * @param {EditorPosition} from
+   * @param {EditorPosition} [to] - Defaults to from (insert)
+   */
+  replaceRange(text, from, to = from) {
+    if (this.activeId) {
+      this.view.replaceRange(text, from, to, '+replace');
+    }
+  },
+
+  /**
+   * Replace several ranges of the active session as one undo step
+   * @param {Array<{from: EditorPosition, to: EditorPosition, text: string}>}
+   *   edits - Ranges as they are before any edit; they may not overlap
+   */
+  replaceRanges(edits) {
+    if (!this.activeId || edits.length === 0) return;
+
+    // Changes made in one operation are undone together. Going from the
+    // end keeps the positions of the edits still to come valid.
+    this.view.operation(() => {
+      [...edits].reverse().forEach(({ text, from, to }) => {
+        this.view.replaceRange(text, from, to, '+replace');
+      });
+    });
+  },
+
+  /**
+   * Position of a character offset in the active session's text
+   * @param {number} offset
+   * @returns {EditorPosition}
+   */
+  posFromOffset(offset) {
+    return toPosition(this.view.getDoc().posFromIndex(offset));
+  },
+
+  /**
+   * Character offset of a position in the active session's text
+   * @param {EditorPosition} position
+   * @returns {number}
+   */
+  offsetFromPos(position) {
+    return this.view.getDoc().indexFromPos(position);
+  },
+
+  /**
+   * Highlight find matches in the active session, replacing the previous
+   * highlights
+   * @param {Array<{from: EditorPosition, to: EditorPosition}>} ranges
+   * @param {number} [current] - Index of the range to emphasize; -1 for
+   *   none
+   */
+  markMatches(ranges, current = -1) {
+    if (!this.activeId) return;
+
+    this.view.operation(() => {
+      this.clearMatches();
+      const doc = this.view.getDoc();
+      this.matchMarks = ranges.map((range, index) =>
+        doc.markText(range.from, range.to, {
+          className:
+            index === current
+              ? 'cm-find-match cm-find-match-current'
+              : 'cm-find-match',
+        })
+      );
+    });
+  },
+
+  /**
+   * Remove the highlights added by markMatches
+   */
+  clearMatches() {
+    this.matchMarks.forEach((mark) => mark.clear());
+    this.matchMarks = [];
+  },
+
+  /**
+   * Scroll the active session so a line is at the top of the editor
+   * @param {number} line - Zero-based line; a fraction scrolls that far
+   *   into a wrapped line
+   */
+  scrollToLine(line) {
+    if (!this.activeId) return;
+
+    const lastLine = this.view.lineCount() - 1;
+    const target = Math.max(0, Math.min(Math.floor(line), lastLine));
+    const fraction = Math.max(0, Math.min(line - target, 1));
+    const lineTop = this.view.heightAtLine(target, 'local');
+    const lineHeight = this.view.getLineHandle(target).height;
+    this.view.scrollTo(null, lineTop + fraction * lineHeight);
+  },
+
+  /**
+   * The line at the top of the active session's viewport
+   * @returns {number} Zero-based line, with the fraction of it scrolled past
+   */
+  getTopLine() {
+    if (!this.activeId) return 0;
+
+    const top = this.view.getScrollInfo().top;
+    const line = this.view.lineAtHeight(top, 'local');
+    const lineTop = this.view.heightAtLine(line, 'local');
+    const lineHeight = this.view.getLineHandle(line).height || 1;
+    return line + Math.max(0, Math.min((top - lineTop) / lineHeight, 1));
+  },
+
+  /**
+   * Register a scroll listener for the editor
+   * @param {Function} callback - Called with no arguments
+   */
+  onScroll(callback) {
+    this.scrollCallbacks.push(callback);
+  },
+
+  /**
+   * Suggest completions while typing. The source is asked after each typed
+   * character, and again as the list of suggestions follows the cursor.
+   * @param {Function} source - Called with the text before and after the
+   *   cursor on its line; returns null for no suggestions, or {from, to,
+   *   list}: the columns the chosen item replaces (to defaults to the
+   *   cursor) and items of {text, displayText}
+   * @param {Object} [options]
+   * @param {RegExp} [options.closeCharacters] - Typing one of these closes
+   *   the list
+   */
+  setCompletionSource(source, options = {}) {
+    this.completionSource = source;
+    this.completionOptions = options;
+  },
+
+  showCompletions() {
+    if (!this.completionSource || this.view.state.completionActive) return;
+
+    const hint = (view) => {
+      const cursor = view.getCursor();
+      const line = view.getLine(cursor.line);
+      const result = this.completionSource(
+        line.slice(0, cursor.ch),
+        line.slice(cursor.ch)
+      );
+      if (!result || result.list.length === 0) return null;
+
+      return {
+        list: result.list,
+        from: CodeMirror.Pos(cursor.line, result.from),
+        to: CodeMirror.Pos(
+          cursor.line,
+          typeof result.to === 'number' ? result.to : cursor.ch
+        ),
+      };
+    };
+    if (hint(this.view)) {
+      this.view.showHint({
+        hint,
+        completeSingle: false,
+        ...this.completionOptions,
+      });
+    }
+  },
+
+  /**
+   * Get the scroll offset of the active session
+   * @returns {number}
+   */
+  getScrollTop() {
+    return this.view ? this.view.getScrollInfo().top : 0;
+  },
+
+  /**
+   * Restore the scroll offset of the active session
+   * @param {number} scrollTop
+   */
+  setScrollTop(scrollTop) {
+    if (this.view) {
+      this.view.scrollTo(null, scrollTop);
+    }
+  },
+
+  /**
+   * Re-measure the editor after its pane was hidden or resized
+   */
+  refresh() {
+    if (this.view) {
+      this.view.refresh();
+    }
+  },
+
+  /**
+   * Move keyboard focus into the active session
+   */
+  focus() {
+    if (this.view) {
+      this.view.focus();
     }
   },
 
@@ -49,5 +453,9 @@ const Editor = {
   },
 };
 
+function toPosition(pos) {
+  return { line: pos.line, ch: pos.ch };
+}
+
 // Expose to window
 window.Editor = Editor;
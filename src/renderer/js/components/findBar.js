@@ -0,0 +1,448 @@
+/**
+ * Find Bar Component
+ * Find and replace in the active document. In edit and split mode it
+ * searches the markdown source in the editor; in preview mode it searches
+ * the rendered text, where there is nothing to replace. Which match is
+ * current in the editor follows its selection, so the cursor decides where
+ * Next and Previous continue from.
+ */
+
+/* global Editor, Preview, SearchService */
+
+// Must match FIND_COMMANDS in src/shared/constants.js
+const FIND_COMMAND_NAMES = {
+  FIND: 'find',
+  REPLACE: 'replace',
+  FIND_NEXT: 'find-next',
+  FIND_PREVIOUS: 'find-previous',
+};
+
+// Edits re-run the search once typing pauses
+const REFRESH_DELAY_MS = 150;
+
+const FindBar = {
+  element: null,
+  findInput: null,
+  replaceInput: null,
+  replaceRow: null,
+  countLabel: null,
+  replaceBtn: null,
+  replaceAllBtn: null,
+  optionButtons: {},
+  options: { caseSensitive: false, wholeWord: false, regex: false },
+  inPreview: false,
+  pattern: null,
+  // Editor matches with their positions; the preview keeps its own ranges
+  matches: [],
+  matchCount: 0,
+  truncated: false,
+  current: -1,
+  refreshTimer: null,
+
+  /**
+   * Initialize the find bar
+   */
+  init() {
+    this.element = document.getElementById('findBar');
+    this.findInput = document.getElementById('findInput');
+    this.replaceInput = document.getElementById('replaceInput');
+    this.replaceRow = document.getElementById('replaceRow');
+    this.countLabel = document.getElementById('findCount');
+    this.replaceBtn = document.getElementById('replaceBtn');
+    this.replaceAllBtn = document.getElementById('replaceAllBtn');
+    this.optionButtons = {
+      caseSensitive: document.getElementById('findCaseBtn'),
+      wholeWord: document.getElementById('findWordBtn'),
+      regex: document.getElementById('findRegexBtn'),
+    };
+
+    this.findInput.addEventListener('input', () => this.search(true));
+    this.findInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.step(event.shiftKey ? -1 : 1);
+      }
+    });
+    this.replaceInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.replace();
+      }
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.hide();
+      }
+    });
+
+    Object.keys(this.optionButtons).forEach((option) => {
+      this.optionButtons[option].addEventListener('click', () =>
+        this.toggleOption(option)
+      );
+    });
+    document
+      .getElementById('findPreviousBtn')
+      .addEventListener('click', () => this.step(-1));
+    document
+      .getElementById('findNextBtn')
+      .addEventListener('click', () => this.step(1));
+    document
+      .getElementById('findCloseBtn')
+      .addEventListener('click', () => this.hide());
+    this.replaceBtn.addEventListener('click', () => this.replace());
+    this.replaceAllBtn.addEventListener('click', () => this.replaceAll());
+
+    Editor.onChange((id) => {
+      if (id === Editor.activeId && this.isVisible() && !this.inPreview) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+      }
+    });
+  },
+
+  /**
+   * Run a command from the Edit > Find menu
+   * @param {string} command - One of FIND_COMMAND_NAMES
+   */
+  handleCommand(command) {
+    switch (command) {
+      case FIND_COMMAND_NAMES.FIND:
+        this.show(false);
+        break;
+      case FIND_COMMAND_NAMES.REPLACE:
+        this.show(true);
+        break;
+      case FIND_COMMAND_NAMES.FIND_NEXT:
+      case FIND_COMMAND_NAMES.FIND_PREVIOUS:
+        if (!this.isVisible() || !this.findInput.value) {
+          this.show(false);
+        } else {
+          this.step(command === FIND_COMMAND_NAMES.FIND_NEXT ? 1 : -1);
+        }
+        break;
+    }
+  },
+
+  /**
+   * Show the bar and focus the query, filled in from a one-line selection
+   * @param {boolean} withReplace - Show the replace field too
+   */
+  show(withReplace) {
+    const wasVisible = this.isVisible();
+    this.element.classList.remove('hidden');
+    this.replaceRow.classList.toggle('hidden', !withReplace);
+
+    const selected = this.inPreview
+      ? String(window.getSelection())
+      : Editor.getSelectedText();
+    if (selected && !selected.includes('\n')) {
+      this.findInput.value = selected;
+      this.search(false);
+    } else if (!wasVisible) {
+      this.search(false);
+    }
+
+    this.findInput.focus();
+    this.findInput.select();
+  },
+
+  /**
+   * Hide the bar and remove the highlights
+   */
+  hide() {
+    if (!this.isVisible()) return;
+
+    clearTimeout(this.refreshTimer);
+    this.element.classList.add('hidden');
+    Editor.clearMatches();
+    Preview.clearMatches();
+    if (!this.inPreview) {
+      Editor.focus();
+    }
+  },
+
+  /**
+   * Whether the bar is shown
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  /**
+   * Search the preview instead of the editor, or back
+   * @param {boolean} inPreview - Whether only the preview is shown
+   */
+  setPreviewMode(inPreview) {
+    if (inPreview === this.inPreview) return;
+
+    this.inPreview = inPreview;
+    this.replaceBtn.disabled = inPreview;
+    this.replaceAllBtn.disabled = inPreview;
+    this.replaceInput.disabled = inPreview;
+    this.replaceInput.title = inPreview
+      ? 'Switch to Edit or Split to replace'
+      : '';
+    if (inPreview) {
+      Editor.clearMatches();
+    } else {
+      Preview.clearMatches();
+    }
+    this.refresh();
+  },
+
+  /**
+   * Search again after the document, the active tab or the preview
+   * changed, without moving to a match
+   */
+  refresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    if (this.isVisible()) {
+      this.search(false);
+    }
+  },
+
+  /**
+   * The preview was re-rendered; matches found in it before are gone
+   */
+  previewRendered() {
+    if (this.inPreview) {
+      this.refresh();
+    }
+  },
+
+  toggleOption(option) {
+    this.options[option] = !this.options[option];
+    this.optionButtons[option].setAttribute(
+      'aria-pressed',
+      String(this.options[option])
+    );
+    this.search(true);
+  },
+
+  /**
+   * Find the query's matches and highlight them
+   * @param {boolean} reveal - Select the first match from the cursor on (or
+   *   the first in the preview), as when the query is typed
+   */
+  search(reveal) {
+    this.setError(null);
+    this.matches = [];
+    this.matchCount = 0;
+    this.truncated = false;
+    this.current = -1;
+
+    try {
+      this.pattern = SearchService.createPattern(
+        this.findInput.value,
+        this.options
+      );
+    } catch (error) {
+      this.pattern = null;
+      this.setError(error.message);
+    }
+
+    if (this.inPreview) {
+      const { count, truncated } = Preview.findMatches(this.pattern);
+      this.matchCount = count;
+      this.truncated = truncated;
+      if (reveal && count > 0) {
+        this.current = 0;
+        Preview.showMatch(0);
+      }
+    } else {
+      this.findInEditor();
+      if (reveal && this.matches.length > 0) {
+        const start = Editor.offsetFromPos(this.getSelection().from);
+        const index = this.matches.findIndex((match) => match.start >= start);
+        this.select(index === -1 ? 0 : index);
+        return;
+      }
+      this.current = this.findSelectedMatch();
+      Editor.markMatches(this.matches, this.current);
+    }
+    this.updateCount();
+  },
+
+  findInEditor(limit) {
+    if (!this.pattern) {
+      Editor.clearMatches();
+      return;
+    }
+
+    const { matches, truncated } = SearchService.findMatches(
+      Editor.getContent(),
+      this.pattern,
+      limit
+    );
+    this.matches = matches.map((match) => ({
+      ...match,
+      from: Editor.posFromOffset(match.start),
+      to: Editor.posFromOffset(match.end),
+    }));
+    this.matchCount = this.matches.length;
+    this.truncated = truncated;
+  },
+
+  /**
+   * Move to the next or previous match, wrapping around the document
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  step(direction) {
+    if (this.refreshTimer) {
+      this.refresh();
+    }
+    if (this.matchCount === 0) return;
+
+    if (this.inPreview) {
+      this.current =
+        (this.current + direction + this.matchCount) % this.matchCount;
+      Preview.showMatch(this.current);
+      this.updateCount();
+      return;
+    }
+
+    const { from, to } = this.getSelection();
+    let index;
+    if (direction > 0) {
+      const end = Editor.offsetFromPos(to);
+      index = this.matches.findIndex((match) => match.start >= end);
+      if (index === -1) index = 0;
+    } else {
+      const start = Editor.offsetFromPos(from);
+      index = this.matches.findLastIndex((match) => match.end <= start);
+      if (index === -1) index = this.matches.length - 1;
+    }
+    this.select(index);
+  },
+
+  /**
+   * Select a match in the editor and scroll to it
+   * @param {number} index
+   */
+  select(index) {
+    const match = this.matches[index];
+    this.current = index;
+    Editor.setSelection(match.from, match.to);
+    Editor.markMatches(this.matches, index);
+    this.updateCount();
+  },
+
+  /**
+   * Replace the selected match and move to the next one. When the
+   * selection is not a match, only move to the next one.
+   */
+  replace() {
+    if (this.inPreview) return;
+    if (this.refreshTimer) {
+      this.refresh();
+    }
+
+    const index = this.findSelectedMatch();
+    if (index === -1) {
+      this.step(1);
+      return;
+    }
+
+    const match = this.matches[index];
+    Editor.replaceRange(
+      SearchService.expandReplacement(
+        this.replaceInput.value,
+        match,
+        this.options.regex
+      ),
+      match.from,
+      match.to
+    );
+    // The cursor is now after the replacement; continue from there
+    this.refresh();
+    this.step(1);
+  },
+
+  /**
+   * Replace every match as one undo step
+   */
+  replaceAll() {
+    if (this.inPreview || !this.pattern) return;
+
+    // Every match, not only as many as are counted
+    this.findInEditor(Infinity);
+    const count = this.matches.length;
+    Editor.replaceRanges(
+      this.matches.map((match) => ({
+        from: match.from,
+        to: match.to,
+        text: SearchService.expandReplacement(
+          this.replaceInput.value,
+          match,
+          this.options.regex
+        ),
+      }))
+    );
+    this.refresh();
+    if (count > 0) {
+      this.countLabel.textContent = `Replaced ${count}`;
+    }
+  },
+
+  /**
+   * Index of the match the editor's selection covers exactly
+   * @returns {number} -1 when the selection is not a match
+   */
+  findSelectedMatch() {
+    const { from, to } = this.getSelection();
+    const start = Editor.offsetFromPos(from);
+    const end = Editor.offsetFromPos(to);
+    return this.matches.findIndex(
+      (match) => match.start === start && match.end === end
+    );
+  },
+
+  /**
+   * The editor's main selection, start first
+   * @returns {{from: EditorPosition, to: EditorPosition}}
+   */
+  getSelection() {
+    const [selection] = Editor.getSelections();
+    if (!selection) {
+      return { from: { line: 0, ch: 0 }, to: { line: 0, ch: 0 } };
+    }
+
+    const { anchor, head } = selection;
+    const headFirst =
+      head.line < anchor.line ||
+      (head.line === anchor.line && head.ch < anchor.ch);
+    return headFirst ? { from: head, to: anchor } : { from: anchor, to: head };
+  },
+
+  updateCount() {
+    const total = `${this.matchCount}${this.truncated ? '+' : ''}`;
+    let text = '';
+    if (!this.pattern) {
+      text = this.findInput.classList.contains('invalid')
+        ? 'Invalid pattern'
+        : '';
+    } else if (this.matchCount === 0) {
+      text = 'No results';
+    } else if (this.current >= 0) {
+      text = `${this.current + 1} of ${total}`;
+    } else {
+      text = this.matchCount === 1 ? '1 match' : `${total} matches`;
+    }
+    this.countLabel.textContent = text;
+    this.findInput.classList.toggle(
+      'no-results',
+      Boolean(this.pattern) && this.matchCount === 0
+    );
+  },
+
+  setError(message) {
+    this.findInput.classList.toggle('invalid', Boolean(message));
+    this.findInput.title = message || '';
+  },
+};
+
+// Expose to window
+window.FindBar = FindBar;
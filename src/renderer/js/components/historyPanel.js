@@ -0,0 +1,216 @@
+/**
+ * History Panel Component
+ * Overlay listing the saved versions of a document with their time and
+ * size change, and a diff of the selected version against the text in the
+ * editor. Restoring hands the version's text to the app, which applies it
+ * as an ordinary edit.
+ */
+
+/* global CompareView, DiffService */
+
+const HistoryPanel = {
+  element: null,
+  titleSpan: null,
+  list: null,
+  summary: null,
+  diff: null,
+  restoreBtn: null,
+  revisions: [],
+  currentText: '',
+  loadRevision: null,
+  selectedId: null,
+  selectedContent: null,
+  // Versions load asynchronously; only the newest request is shown
+  request: 0,
+
+  // Callbacks set by the app
+  onRestore: null,
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.element = document.getElementById('historyPanel');
+    this.titleSpan = document.getElementById('historyTitle');
+    this.list = document.getElementById('historyList');
+    this.summary = document.getElementById('historySummary');
+    this.diff = document.getElementById('historyDiff');
+    this.restoreBtn = document.getElementById('historyRestoreBtn');
+
+    if (!this.element) return;
+
+    this.restoreBtn.addEventListener('click', () => this.restore());
+    document
+      .getElementById('historyCloseBtn')
+      .addEventListener('click', () => this.hide());
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show a document's versions, newest first, and select the newest
+   * @param {Object} options
+   * @param {string} options.filename - Shown in the title
+   * @param {Array<{id: string, savedAt: number, size: number}>}
+   *   options.revisions
+   * @param {string} options.currentText - Text the versions are compared to
+   * @param {Function} options.loadRevision - Called with a version id;
+   *   returns a promise of its text
+   */
+  show({ filename, revisions, currentText, loadRevision }) {
+    if (!this.element) return;
+
+    this.revisions = revisions;
+    this.currentText = currentText;
+    this.loadRevision = loadRevision;
+    this.selectedId = null;
+    this.selectedContent = null;
+    this.titleSpan.textContent = `Version History — ${filename}`;
+    this.diff.textContent = '';
+    this.restoreBtn.disabled = true;
+    this.renderList();
+    this.element.classList.remove('hidden');
+
+    if (revisions.length > 0) {
+      this.select(revisions[0].id);
+    } else {
+      this.summary.textContent =
+        'No versions yet. A version is kept every time the document is saved.';
+    }
+  },
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    if (!this.element) return;
+
+    this.request += 1;
+    this.element.classList.add('hidden');
+    this.list.textContent = '';
+    this.diff.textContent = '';
+    this.revisions = [];
+    this.currentText = '';
+    this.selectedContent = null;
+  },
+
+  /**
+   * Whether the panel is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  renderList() {
+    const fragment = document.createDocumentFragment();
+
+    this.revisions.forEach((revision, index) => {
+      const older = this.revisions[index + 1];
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      const name = document.createElement('span');
+      const description = document.createElement('span');
+
+      button.className = 'template-item history-item';
+      button.dataset.revisionId = revision.id;
+      name.className = 'template-name';
+      name.textContent = new Date(revision.savedAt).toLocaleString();
+      description.className = 'template-description';
+      description.textContent = older
+        ? `${formatSize(revision.size)} (${formatSizeChange(revision.size - older.size)})`
+        : formatSize(revision.size);
+
+      button.append(name, description);
+      button.addEventListener('click', () => this.select(revision.id));
+      item.appendChild(button);
+      fragment.appendChild(item);
+    });
+
+    this.list.textContent = '';
+    this.list.appendChild(fragment);
+  },
+
+  /**
+   * Load a version and show how the current text differs from it
+   * @param {string} revisionId
+   */
+  async select(revisionId) {
+    const request = this.request + 1;
+    this.request = request;
+    this.selectedId = revisionId;
+    this.selectedContent = null;
+    this.restoreBtn.disabled = true;
+    this.list.querySelectorAll('.history-item').forEach((button) => {
+      const selected = button.dataset.revisionId === revisionId;
+      button.classList.toggle('selected', selected);
+      button.setAttribute('aria-pressed', String(selected));
+    });
+
+    let content;
+    try {
+      content = await this.loadRevision(revisionId);
+    } catch (error) {
+      if (request === this.request) {
+        this.summary.textContent = 'This version could not be read.';
+        this.diff.textContent = '';
+      }
+      console.error('Unable to load the version:', error);
+      return;
+    }
+    if (request !== this.request) return;
+
+    const hunks = DiffService.diffLines(content, this.currentText);
+    this.selectedContent = content;
+    this.restoreBtn.disabled = content === this.currentText;
+    this.summary.textContent = describeChanges(hunks);
+    CompareView.renderDiff(hunks, this.diff);
+    this.diff.scrollTop = 0;
+  },
+
+  restore() {
+    if (this.selectedContent === null) return;
+
+    const content = this.selectedContent;
+    this.hide();
+    if (this.onRestore) {
+      this.onRestore(content);
+    }
+  },
+};
+
+/**
+ * Sum up a diff from a version to the current text
+ * @param {Array<{type: string, lines: string[]}>} hunks
+ * @returns {string}
+ */
+function describeChanges(hunks) {
+  const count = (type) =>
+    hunks
+      .filter((hunk) => hunk.type === type)
+      .reduce((total, hunk) => total + hunk.lines.length, 0);
+  const added = count('insert');
+  const removed = count('delete');
+
+  if (added === 0 && removed === 0) {
+    return 'Same as the current text.';
+  }
+  const lines = (n) => (n === 1 ? '1 line' : `${n} lines`);
+  return `Since this version: ${lines(added)} added, ${lines(removed)} removed.`;
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function formatSizeChange(bytes) {
+  if (bytes === 0) return 'same size';
+  return `${bytes > 0 ? '+' : '−'}${formatSize(Math.abs(bytes))}`;
+}
+
+// Expose to window
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,358 @@
+/**
+ * Outline Component
+ * Sidebar listing the active document's headings (MarkdownService.getOutline).
+ * Highlights the section in view, jumps to a heading on click, filters by
+ * text, folds by depth or per heading, and moves whole sections by drag and
+ * drop. Edits to the document are left to the onMoveSection callback.
+ */
+
+const Outline = {
+  pane: null,
+  list: null,
+  emptyMessage: null,
+  filterInput: null,
+  depthSelect: null,
+  headings: [],
+  // Ids of headings whose subsections are folded away
+  collapsed: new Set(),
+  currentLine: 0,
+  currentId: null,
+  draggedId: null,
+
+  /**
+   * Initialize the outline
+   */
+  init() {
+    this.pane = document.getElementById('outlinePane');
+    this.list = document.getElementById('outlineList');
+    this.emptyMessage = document.getElementById('outlineEmpty');
+    this.filterInput = document.getElementById('outlineFilter');
+    this.depthSelect = document.getElementById('outlineDepth');
+
+    this.filterInput.addEventListener('input', () => this.render());
+    this.depthSelect.addEventListener('change', () => this.render());
+    this.setupDragAndDrop();
+  },
+
+  /**
+   * Show or hide the sidebar
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.pane.classList.toggle('hidden', !visible);
+  },
+
+  /**
+   * Whether the sidebar is shown
+   * @returns {boolean}
+   */
+  isVisible() {
+    return !this.pane.classList.contains('hidden');
+  },
+
+  /**
+   * Replace the listed headings
+   * @param {Array<{level: number, text: string, id: string, line: number,
+   *   end: number}>} headings - From MarkdownService.getOutline
+   */
+  update(headings) {
+    this.headings = headings;
+    this.render();
+  },
+
+  /**
+   * Highlight the section that contains a source line
+   * @param {number} line - Zero-based, possibly fractional
+   */
+  setCurrentLine(line) {
+    this.currentLine = line;
+    this.markCurrent();
+  },
+
+  render() {
+    const query = this.filterInput.value.trim().toLowerCase();
+    const depth = Number(this.depthSelect.value);
+    const items = this.headings.map((heading, index) => {
+      const next = this.headings[index + 1];
+      const hasChildren =
+        Boolean(next) && next.level > heading.level && next.level <= depth;
+      return {
+        heading,
+        hasChildren,
+        visible: query
+          ? heading.text.toLowerCase().includes(query)
+          : this.isShown(index),
+      };
+    });
+
+    this.list.innerHTML = '';
+    items
+      .filter((item) => item.visible)
+      .forEach((item) => this.list.appendChild(this.createItem(item, query)));
+
+    this.emptyMessage.textContent =
+      this.headings.length === 0 ? 'No headings' : 'No matching headings';
+    this.emptyMessage.classList.toggle(
+      'hidden',
+      this.list.childElementCount > 0
+    );
+    this.markCurrent();
+  },
+
+  /**
+   * Whether a heading is within the depth limit and not folded into one of
+   * its parents
+   * @param {number} index
+   * @returns {boolean}
+   */
+  isShown(index) {
+    const heading = this.headings[index];
+    if (heading.level > Number(this.depthSelect.value)) return false;
+
+    let level = heading.level;
+    for (let i = index - 1; i >= 0 && level > 1; i -= 1) {
+      const parent = this.headings[i];
+      if (parent.level < level) {
+        if (this.collapsed.has(parent.id)) return false;
+        level = parent.level;
+      }
+    }
+    return true;
+  },
+
+  createItem({ heading, hasChildren }, query) {
+    const item = document.createElement('li');
+    item.className = `outline-item outline-level-${heading.level}`;
+    item.dataset.id = heading.id;
+    // Sections keep their place in the document while filtered
+    item.draggable = !query;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'outline-toggle';
+    if (hasChildren && !query) {
+      const collapsed = this.collapsed.has(heading.id);
+      toggle.textContent = collapsed ? '▸' : '▾';
+      toggle.title = collapsed ? 'Expand' : 'Collapse';
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      toggle.addEventListener('click', () => this.toggleCollapsed(heading.id));
+    } else {
+      toggle.disabled = true;
+      toggle.setAttribute('aria-hidden', 'true');
+    }
+
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'outline-link';
+    link.textContent = heading.text;
+    link.title = heading.text;
+    link.addEventListener('click', () => {
+      if (this.onSelect) {
+        this.onSelect(heading);
+      }
+    });
+
+    item.appendChild(toggle);
+    item.appendChild(link);
+    return item;
+  },
+
+  toggleCollapsed(id) {
+    if (this.collapsed.has(id)) {
+      this.collapsed.delete(id);
+    } else {
+      this.collapsed.add(id);
+    }
+    this.render();
+  },
+
+  /**
+   * Mark the heading of the section in view, or its nearest listed parent
+   * when the heading itself is folded away
+   */
+  markCurrent() {
+    let index = -1;
+    this.headings.forEach((heading, i) => {
+      if (heading.line <= this.currentLine) {
+        index = i;
+      }
+    });
+
+    const listed = new Set(
+      Array.from(this.list.children).map((item) => item.dataset.id)
+    );
+    let level = index === -1 ? 0 : this.headings[index].level + 1;
+    let currentId = null;
+    for (let i = index; i >= 0; i -= 1) {
+      const heading = this.headings[i];
+      if (heading.level < level && listed.has(heading.id)) {
+        currentId = heading.id;
+        break;
+      }
+      level = Math.min(level, heading.level);
+    }
+
+    Array.from(this.list.children).forEach((item) => {
+      const current = item.dataset.id === currentId;
+      item.classList.toggle('current', current);
+      if (current && currentId !== this.currentId) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+    this.currentId = currentId;
+  },
+
+  /**
+   * Dropping a heading onto another moves its section in front of that
+   * one; dropping below the last item moves it to the end
+   */
+  setupDragAndDrop() {
+    this.list.addEventListener('dragstart', (event) => {
+      const item = event.target.closest('.outline-item');
+      if (!item) return;
+
+      this.draggedId = item.dataset.id;
+      item.classList.add('dragging');
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', item.textContent);
+    });
+
+    this.list.addEventListener('dragend', (event) => {
+      this.draggedId = null;
+      this.clearDropTarget();
+      event.target.classList.remove('dragging');
+    });
+
+    // Handled here so the window's file drop handling never sees them
+    this.pane.addEventListener('dragover', (event) => {
+      if (!this.draggedId) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = 'move';
+      this.showDropTarget(event.target.closest('.outline-item'));
+    });
+
+    this.pane.addEventListener('drop', (event) => {
+      if (!this.draggedId) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      const item = event.target.closest('.outline-item');
+      const targetId = item ? item.dataset.id : null;
+      const draggedId = this.draggedId;
+      this.draggedId = null;
+      this.clearDropTarget();
+
+      if (targetId !== draggedId && this.onMoveSection) {
+        this.onMoveSection(draggedId, targetId);
+      }
+    });
+  },
+
+  showDropTarget(item) {
+    this.clearDropTarget();
+    if (item) {
+      item.classList.add('drop-before');
+    } else {
+      this.list.classList.add('drop-at-end');
+    }
+  },
+
+  clearDropTarget() {
+    this.list.classList.remove('drop-at-end');
+    this.list.querySelectorAll('.drop-before').forEach((item) => {
+      item.classList.remove('drop-before');
+    });
+  },
+
+  /**
+   * Work out the edit that moves a section (see moveSection)
+   * @param {string} markdown
+   * @param {Object} section - Outline entry of the heading being moved
+   * @param {number|null} targetLine - Line to move it in front of; null
+   *   moves it to the end
+   * @returns {Object|null}
+   */
+  getSectionMove(markdown, section, targetLine) {
+    return moveSection(markdown, section, targetLine);
+  },
+
+  /**
+   * Register heading click callback
+   * @param {Function} callback - Called with the heading
+   */
+  onSelect: null,
+
+  /**
+   * Register section move callback
+   * @param {Function} callback - Called with the id of the moved heading
+   *   and the id of the heading to put it before (null for the end)
+   */
+  onMoveSection: null,
+};
+
+/**
+ * Work out the edit that moves a heading's section in front of another
+ * heading, or to the end of the document
+ * @param {string} markdown
+ * @param {{line: number, end: number}} section - Outline entry of the
+ *   heading being moved
+ * @param {number|null} targetLine - Line to move it in front of; null moves
+ *   it to the end
+ * @returns {{from: EditorPosition, to: EditorPosition, text: string}|null}
+ *   Replacement for the range from..to, or null when the move changes
+ *   nothing or would put the section inside itself
+ */
+function moveSection(markdown, section, targetLine) {
+  // The final newline stays where it is; everything else is lines
+  const lines = markdown.replace(/\n$/, '').split('\n');
+  const start = section.line;
+  const end = Math.min(section.end, lines.length);
+  const target = targetLine === null ? lines.length : targetLine;
+  if (target >= start && target <= end) return null;
+
+  const moved = withTrailingBlank(lines.slice(start, end));
+  const from = Math.min(start, target);
+  const to = Math.max(end, target);
+  let replacement =
+    target < start
+      ? [...moved, ...lines.slice(target, start)]
+      : [...withTrailingBlank(lines.slice(end, target)), ...moved];
+
+  if (to < lines.length) {
+    return {
+      from: { line: from, ch: 0 },
+      to: { line: to, ch: 0 },
+      text: `${replacement.join('\n')}\n`,
+    };
+  }
+
+  // Sections keep a blank line after them, but the document does not
+  while (
+    replacement.length > 1 &&
+    isBlank(replacement[replacement.length - 1])
+  ) {
+    replacement = replacement.slice(0, -1);
+  }
+  return {
+    from: { line: from, ch: 0 },
+    to: { line: lines.length - 1, ch: lines[lines.length - 1].length },
+    text: replacement.join('\n'),
+  };
+}
+
+// A section that ended the document may lack the blank line that keeps it
+// apart from what follows it now
+function withTrailingBlank(lines) {
+  return lines.length === 0 || isBlank(lines[lines.length - 1])
+    ? lines
+    : [...lines, ''];
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+// Expose to window
+window.Outline = Outline;
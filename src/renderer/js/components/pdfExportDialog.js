@@ -0,0 +1,92 @@
+/**
+ * PDF Export Dialog Component
+ * Page setup for File > Export > PDF. The form keeps its values between
+ * exports, so the last choices are offered again.
+ */
+
+const PdfExportDialog = {
+  element: null,
+  form: null,
+  cancelBtn: null,
+
+  // Callback set by the app, called with the page setup
+  onExport: null,
+
+  /**
+   * Initialize the dialog
+   */
+  init() {
+    this.element = document.getElementById('pdfExportDialog');
+    this.form = document.getElementById('pdfExportForm');
+    this.cancelBtn = document.getElementById('pdfExportCancelBtn');
+
+    if (!this.element) return;
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.confirm();
+    });
+    this.cancelBtn.addEventListener('click', () => this.hide());
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show the dialog
+   */
+  show() {
+    if (!this.element) return;
+
+    this.element.classList.remove('hidden');
+    this.form.elements.pageSize.focus();
+  },
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    if (this.element) {
+      this.element.classList.add('hidden');
+    }
+  },
+
+  /**
+   * Whether the dialog is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  /**
+   * Page setup currently chosen in the form
+   * @returns {Object}
+   */
+  getOptions() {
+    const fields = this.form.elements;
+    return {
+      pageSize: fields.pageSize.value,
+      landscape: fields.orientation.value === 'landscape',
+      margins: fields.margins.value,
+      showTitle: fields.showTitle.checked,
+      showDate: fields.showDate.checked,
+      showPageNumbers: fields.showPageNumbers.checked,
+      includeToc: fields.includeToc.checked,
+    };
+  },
+
+  confirm() {
+    const options = this.getOptions();
+    this.hide();
+    if (this.onExport) {
+      this.onExport(options);
+    }
+  },
+};
+
+// Expose to window
+window.PdfExportDialog = PdfExportDialog;
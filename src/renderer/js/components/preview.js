@@ -3,26 +3,434 @@
  * Manages the markdown preview pane
  */
 
-/* global MarkdownService */
+/* global MarkdownService, DiagramService, SearchService, Highlight, WikiPages */
+
+// Must match ASSET_PROTOCOL.SCHEME in src/shared/constants.js
+const ASSET_SCHEME = 'md-asset';
+
+// Shown for an empty document, as MarkdownService.parseMarkdown does
+const EMPTY_PREVIEW_HTML = '<p>No preview available</p>';
+
+// Elements whose text find keeps apart from the text around them
+const TEXT_BLOCKS =
+  'p, li, dt, dd, h1, h2, h3, h4, h5, h6, pre, blockquote, td, th, summary, div, details, math';
 
 const Preview = {
   element: null,
+  pane: null,
+  baseDirectory: null,
+  // Host of the document's asset URLs, chosen by the main process
+  assetHost: null,
+  // What is on screen: each block's unsanitized HTML and its DOM nodes
+  blocks: [],
+  themeSheet: null,
+  // Ranges of the find matches on screen (see findMatches)
+  matchRanges: [],
 
   /**
    * Initialize the preview
    */
   init() {
     this.element = document.getElementById('preview');
+    this.pane = document.getElementById('previewPane');
+
+    // Diagrams are drawn in the theme's colors
+    window
+      .matchMedia('(prefers-color-scheme: dark)')
+      .addEventListener('change', () => this.renderDiagrams(this.element));
   },
 
   /**
-   * Update preview with markdown content
-   * @param {string} markdown - Markdown text to render
+   * Apply a preview theme on top of preview.css. The sheet is constructed
+   * rather than a <style> element so the page's CSP still forbids inline
+   * styles; @import rules in it are ignored.
+   * @param {string} css - Theme stylesheet; empty for the base look
    */
-  update(markdown) {
-    if (this.element) {
-      const html = MarkdownService.parseMarkdown(markdown);
-      this.element.innerHTML = html;
+  setThemeStyles(css) {
+    if (!this.themeSheet) {
+      this.themeSheet = new CSSStyleSheet();
+      document.adoptedStyleSheets = [
+        ...document.adoptedStyleSheets,
+        this.themeSheet,
+      ];
+    }
+    this.themeSheet.replaceSync(css);
+  },
+
+  /**
+   * Show rendered blocks, keeping the DOM of blocks that did not change so
+   * typing in a long document only rebuilds what was edited. New blocks are
+   * sanitized here before they are inserted.
+   * @param {Array<{html: string, line: number, end: number}>} blocks - From
+   *   MarkdownService.renderBlocks
+   */
+  render(blocks) {
+    if (!this.element) return;
+
+    // Blank or whitespace-only documents have no blocks at all
+    if (blocks.length === 0) {
+      this.clear();
+      this.element.innerHTML = EMPTY_PREVIEW_HTML;
+      return;
+    }
+
+    const previous = this.blocks;
+    let start = 0;
+    while (
+      start < previous.length &&
+      start < blocks.length &&
+      previous[start].html === blocks[start].html
+    ) {
+      start += 1;
+    }
+
+    let previousEnd = previous.length;
+    let end = blocks.length;
+    while (
+      previousEnd > start &&
+      end > start &&
+      previous[previousEnd - 1].html === blocks[end - 1].html
+    ) {
+      previousEnd -= 1;
+      end -= 1;
+    }
+
+    // Whatever is there without being a tracked block (cleared or error
+    // content) is replaced
+    if (previous.length === 0) {
+      this.element.innerHTML = '';
+    }
+
+    const anchor =
+      previousEnd < previous.length ? previous[previousEnd].nodes[0] : null;
+    previous
+      .slice(start, previousEnd)
+      .forEach((block) => block.nodes.forEach((node) => node.remove()));
+
+    const inserted = blocks.slice(start, end).map((block) => {
+      const nodes = this.createBlockNodes(block.html);
+      nodes.forEach((node) => this.element.insertBefore(node, anchor));
+      return { html: block.html, nodes };
+    });
+
+    this.blocks = [
+      ...previous.slice(0, start),
+      ...inserted,
+      ...previous.slice(previousEnd),
+    ];
+    // Line numbers move whenever lines are added above a block, so they are
+    // set on every block rather than being part of what is compared
+    this.blocks.forEach((block, index) =>
+      setSourceLines(block.nodes, blocks[index])
+    );
+  },
+
+  /**
+   * Turn one block's HTML into sanitized nodes ready for the preview
+   * @param {string} html - Unsanitized block HTML
+   * @returns {Array<Node>}
+   */
+  createBlockNodes(html) {
+    const template = document.createElement('template');
+    template.innerHTML = MarkdownService.sanitizeHtml(html);
+    const nodes = Array.from(template.content.childNodes);
+    if (nodes.length === 0) {
+      // Keep a node so the block still has a place in the preview
+      nodes.push(document.createTextNode(''));
+    }
+
+    nodes
+      .filter((node) => node.nodeType === Node.ELEMENT_NODE)
+      .forEach((node) => {
+        this.resolveRelativeUrls(node);
+        this.markMissingPages(node);
+        this.addCopyButtons(node);
+        this.renderDiagrams(node);
+      });
+    return nodes;
+  },
+
+  /**
+   * Draw the Mermaid diagrams in an element. Each keeps its source, shown
+   * with the error when the diagram cannot be drawn.
+   * @param {Element} root - Element to search, itself included
+   */
+  renderDiagrams(root) {
+    if (!root || typeof DiagramService === 'undefined') return;
+
+    findAll(root, '.mermaid-diagram').forEach((diagram) => {
+      const source = diagram.querySelector('.mermaid-source').textContent;
+      DiagramService.render(source)
+        .then((drawing) => this.showDiagram(diagram, drawing))
+        .catch((error) => showDiagramError(diagram, error));
+    });
+  },
+
+  showDiagram(diagram, drawing) {
+    const figure = document.createElement('div');
+    figure.className = 'mermaid-figure';
+
+    const image = document.createElement('img');
+    image.src = DiagramService.toDataUrl(drawing);
+    image.width = drawing.width;
+    image.height = drawing.height;
+    image.alt = 'Diagram';
+
+    const actions = document.createElement('div');
+    actions.className = 'mermaid-actions';
+    actions.appendChild(
+      createDiagramButton('Copy as SVG', (button) =>
+        copyText(drawing.svg, button, 'Copy as SVG')
+      )
+    );
+    actions.appendChild(
+      createDiagramButton('Save as PNG', () => this.saveDiagram(drawing))
+    );
+
+    figure.appendChild(image);
+    figure.appendChild(actions);
+    replaceDiagramOutput(diagram, figure);
+    diagram.classList.add('rendered');
+  },
+
+  async saveDiagram(drawing) {
+    try {
+      const data = await DiagramService.toPng(drawing);
+      if (this.onSaveDiagram) {
+        this.onSaveDiagram(data);
+      }
+    } catch (error) {
+      console.error('Unable to draw the diagram as PNG:', error);
+    }
+  },
+
+  /**
+   * Register callback for saving a diagram
+   * @param {Function} callback - Called with the PNG file contents
+   *   (Uint8Array)
+   */
+  onSaveDiagram: null,
+
+  /**
+   * Give every highlighted code block a button that copies its text
+   * @param {Element} root - Element to search, itself included
+   */
+  addCopyButtons(root) {
+    findAll(root, 'pre.code-block').forEach((block) => {
+      const code = block.querySelector('code');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'copy-code';
+      button.textContent = 'Copy';
+      button.addEventListener('click', () => copyCode(code, button));
+      block.appendChild(button);
+    });
+  },
+
+  /**
+   * Set the folder that relative image and link paths resolve against
+   * @param {string|null} directory - Absolute directory of the document
+   * @param {string|null} assetHost - Host of the document's asset URLs
+   */
+  setBaseDirectory(directory, assetHost) {
+    const baseDirectory = (assetHost && directory) || null;
+    if (
+      baseDirectory !== this.baseDirectory ||
+      (assetHost || null) !== this.assetHost
+    ) {
+      // Rendered links point at the old folder; rebuild every block
+      this.reset();
+    }
+    this.baseDirectory = baseDirectory;
+    this.assetHost = assetHost || null;
+  },
+
+  /**
+   * Rewrite relative src/href values to the asset protocol so they load
+   * from the document's folder. Untitled documents are left untouched.
+   * @param {Element} root - Element to search, itself included
+   */
+  resolveRelativeUrls(root) {
+    if (!this.baseDirectory) return;
+
+    const baseUrl = toAssetUrl(this.baseDirectory, this.assetHost);
+    findAll(root, 'img[src]').forEach((img) => {
+      rewriteAttribute(img, 'src', baseUrl);
+    });
+    findAll(root, 'a[href]').forEach((link) => {
+      rewriteAttribute(link, 'href', baseUrl);
+    });
+  },
+
+  /**
+   * Mark the wiki links whose page does not exist yet (see WikiPages)
+   * @param {Element} [root] - Element to search, itself included; the
+   *   whole preview when omitted, after the folder's files changed
+   */
+  markMissingPages(root = this.element) {
+    if (!root) return;
+
+    findAll(root, 'a.wiki-link').forEach((link) => {
+      const target = getWikiTarget(link.getAttribute('href'));
+      link.classList.toggle(
+        'missing',
+        Boolean(target) && WikiPages.isMissing(target)
+      );
+    });
+  },
+
+  /**
+   * Top-level blocks that carry source line numbers, with their position in
+   * the pane's scrollable content
+   * @returns {Array<{line: number, end: number, top: number,
+   *   bottom: number}>} Sorted by position
+   */
+  getSourceBlocks() {
+    if (!this.element || !this.pane) return [];
+
+    const paneTop = this.pane.getBoundingClientRect().top - this.pane.scrollTop;
+    return Array.from(this.element.querySelectorAll('[data-source-line]'))
+      .map((block) => {
+        const rect = block.getBoundingClientRect();
+        return {
+          line: Number(block.dataset.sourceLine),
+          end: Number(block.dataset.sourceEnd),
+          top: rect.top - paneTop,
+          bottom: rect.bottom - paneTop,
+        };
+      })
+      .filter(
+        (block) =>
+          Number.isFinite(block.line) &&
+          Number.isFinite(block.end) &&
+          block.end > block.line
+      );
+  },
+
+  /**
+   * Scroll the pane so the block rendered from a source line is at the top
+   * @param {number} line - Zero-based line where a block starts
+   */
+  scrollToSourceLine(line) {
+    const block = this.getSourceBlocks().find((entry) => entry.line === line);
+    if (block) {
+      this.setScrollTop(block.top);
+    }
+  },
+
+  /**
+   * Source line of the block at the top of the pane
+   * @returns {number} Zero-based line; 0 above the first block
+   */
+  getTopSourceLine() {
+    const scrollTop = this.getScrollTop();
+    let line = 0;
+    this.getSourceBlocks().forEach((block) => {
+      if (block.top <= scrollTop + 1) {
+        line = block.line;
+      }
+    });
+    return line;
+  },
+
+  /**
+   * Register a scroll listener for the preview pane
+   * @param {Function} callback - Called with no arguments
+   */
+  onScroll(callback) {
+    if (this.pane) {
+      this.pane.addEventListener('scroll', () => callback());
+    }
+  },
+
+  /**
+   * Get the scroll offset of the preview pane
+   * @returns {number}
+   */
+  getScrollTop() {
+    return this.pane ? this.pane.scrollTop : 0;
+  },
+
+  /**
+   * Restore the scroll offset of the preview pane
+   * @param {number} scrollTop
+   */
+  setScrollTop(scrollTop) {
+    if (this.pane) {
+      this.pane.scrollTop = scrollTop;
+    }
+  },
+
+  /**
+   * Find and highlight the matches of a pattern in the visible text of the
+   * preview. Matches may cross element boundaries (**bold** words, links).
+   * The highlights use the CSS Custom Highlight API, so the DOM is left
+   * alone; they go stale when the preview re-renders.
+   * @param {RegExp|null} pattern - From SearchService.createPattern; null
+   *   clears the highlights
+   * @returns {{count: number, truncated: boolean}}
+   */
+  findMatches(pattern) {
+    this.clearMatches();
+    if (!pattern || !this.element) return { count: 0, truncated: false };
+
+    const nodes = getSearchableTextNodes(this.element);
+    const starts = [];
+    let text = '';
+    let block = null;
+    nodes.forEach((node) => {
+      // Words in separate paragraphs, cells or list items do not run
+      // together into one
+      const nodeBlock = node.parentElement.closest(TEXT_BLOCKS);
+      if (text && nodeBlock !== block) {
+        text += '\n';
+      }
+      block = nodeBlock;
+      starts.push(text.length);
+      text += node.data;
+    });
+
+    const { matches, truncated } = SearchService.findMatches(text, pattern);
+    this.matchRanges = matches.map((match) => {
+      const range = document.createRange();
+      const start = locateOffset(nodes, starts, match.start, false);
+      const end = locateOffset(nodes, starts, match.end, true);
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset);
+      return range;
+    });
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.set('find-match', new Highlight(...this.matchRanges));
+    }
+    return { count: this.matchRanges.length, truncated };
+  },
+
+  /**
+   * Emphasize one of the matches from findMatches and scroll it into view
+   * @param {number} index
+   */
+  showMatch(index) {
+    const range = this.matchRanges[index];
+    if (!range || !this.pane) return;
+
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.set('find-match-current', new Highlight(range));
+    }
+    const rect = range.getBoundingClientRect();
+    const paneRect = this.pane.getBoundingClientRect();
+    if (rect.top < paneRect.top || rect.bottom > paneRect.bottom) {
+      this.pane.scrollTop += rect.top - paneRect.top - paneRect.height / 3;
+    }
+  },
+
+  /**
+   * Remove the highlights added by findMatches
+   */
+  clearMatches() {
+    this.matchRanges = [];
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete('find-match');
+      CSS.highlights.delete('find-match-current');
     }
   },
 
@@ -30,11 +438,173 @@ const Preview = {
    * Clear preview content
    */
   clear() {
+    this.reset();
     if (this.element) {
       this.element.innerHTML = '';
     }
   },
+
+  /**
+   * Forget the rendered blocks so the next render rebuilds all of them
+   */
+  reset() {
+    this.blocks = [];
+  },
 };
 
+/**
+ * Text nodes a reader sees, in document order. Buttons the preview adds
+ * and content that is not displayed (closed details, the source of a drawn
+ * diagram) are left out.
+ * @param {Element} root
+ * @returns {Array<Text>}
+ */
+function getSearchableTextNodes(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || parent.closest('button')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return parent.checkVisibility()
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT;
+    },
+  });
+
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+/**
+ * Text node and offset in it of an offset in the nodes' joined text
+ * @param {Array<Text>} nodes
+ * @param {Array<number>} starts - Offset of each node in the joined text
+ * @param {number} offset
+ * @param {boolean} isEnd - Ends that fall between two nodes belong to the
+ *   first, starts to the second
+ * @returns {{node: Text, offset: number}}
+ */
+function locateOffset(nodes, starts, offset, isEnd) {
+  let low = 0;
+  let high = nodes.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    const before = isEnd ? starts[middle] < offset : starts[middle] <= offset;
+    if (before) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return { node: nodes[low], offset: offset - starts[low] };
+}
+
+function findAll(root, selector) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  return root.matches(selector) ? [root, ...matches] : matches;
+}
+
+function setSourceLines(nodes, block) {
+  const element = nodes.find((node) => node.nodeType === Node.ELEMENT_NODE);
+  if (!element) return;
+
+  if (block.line === -1) {
+    delete element.dataset.sourceLine;
+    delete element.dataset.sourceEnd;
+  } else {
+    element.dataset.sourceLine = block.line;
+    element.dataset.sourceEnd = block.end;
+  }
+}
+
+function copyCode(code, button) {
+  copyText(code.textContent, button, 'Copy');
+}
+
+function copyText(text, button, label) {
+  navigator.clipboard
+    .writeText(text)
+    .then(() => showCopyResult(button, 'Copied', label))
+    .catch((error) => {
+      console.error('Unable to copy:', error);
+      showCopyResult(button, 'Copy failed', label);
+    });
+}
+
+function showCopyResult(button, result, label) {
+  button.textContent = result;
+  setTimeout(() => {
+    button.textContent = label;
+  }, 1500);
+}
+
+function createDiagramButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+function showDiagramError(diagram, error) {
+  const message = document.createElement('pre');
+  message.className = 'mermaid-error';
+  message.textContent = `Diagram error: ${(error && error.message) || error}`;
+  replaceDiagramOutput(diagram, message);
+  diagram.classList.remove('rendered');
+}
+
+// Whatever was drawn before (an older drawing or error) goes
+function replaceDiagramOutput(diagram, output) {
+  diagram
+    .querySelectorAll('.mermaid-figure, .mermaid-error')
+    .forEach((node) => node.remove());
+  diagram.appendChild(output);
+}
+
+function isRelativeUrl(value) {
+  return (
+    Boolean(value) &&
+    !value.startsWith('#') &&
+    !value.startsWith('/') &&
+    !value.startsWith('\\') &&
+    !/^[a-z][a-z0-9+.-]*:/i.test(value)
+  );
+}
+
+function rewriteAttribute(node, attribute, baseUrl) {
+  const value = node.getAttribute(attribute);
+  if (!isRelativeUrl(value)) return;
+
+  try {
+    node.setAttribute(attribute, new URL(value, baseUrl).toString());
+  } catch {
+    node.removeAttribute(attribute);
+  }
+}
+
+// Page a wiki: link names; empty for links to a heading of this document
+function getWikiTarget(href) {
+  if (!href || !href.startsWith('wiki:')) return '';
+  try {
+    return decodeURIComponent(href.slice('wiki:'.length).split('#')[0]);
+  } catch {
+    return '';
+  }
+}
+
+function toAssetUrl(directory, host) {
+  const segments = directory
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => encodeURIComponent(segment));
+  return `${ASSET_SCHEME}://${host}/${segments.join('/')}/`;
+}
+
 // Expose to window
 window.Preview = Preview;
@@ -0,0 +1,176 @@
+/**
+ * Recovery Dialog Component
+ * Lists the unsaved documents a crashed session left behind, with a preview
+ * of the selected one's text, and lets the user restore or discard each.
+ * Closing the dialog keeps the rest for the next launch.
+ */
+
+const RecoveryDialog = {
+  element: null,
+  list: null,
+  preview: null,
+  restoreBtn: null,
+  discardBtn: null,
+  snapshots: [],
+  selectedId: null,
+
+  // Callbacks set by the app
+  onRestore: null,
+  onDiscard: null,
+
+  /**
+   * Initialize the dialog
+   */
+  init() {
+    this.element = document.getElementById('recoveryDialog');
+    this.list = document.getElementById('recoveryList');
+    this.preview = document.getElementById('recoveryPreview');
+    this.restoreBtn = document.getElementById('recoveryRestoreBtn');
+    this.discardBtn = document.getElementById('recoveryDiscardBtn');
+
+    if (!this.element) return;
+
+    this.restoreBtn.addEventListener('click', () => {
+      if (this.selectedId) {
+        this.restore(this.selectedId);
+      }
+    });
+    this.discardBtn.addEventListener('click', () => {
+      if (this.selectedId) {
+        this.discard(this.selectedId);
+      }
+    });
+    document
+      .getElementById('recoveryRestoreAllBtn')
+      .addEventListener('click', () => {
+        this.snapshots
+          .map((snapshot) => snapshot.id)
+          .forEach((id) => this.restore(id));
+      });
+    document
+      .getElementById('recoveryLaterBtn')
+      .addEventListener('click', () => this.hide());
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show the recovered documents, newest first
+   * @param {Array<{id: string, filePath: string|null, filename: string,
+   *   content: string, savedAt: number}>} snapshots
+   */
+  show(snapshots) {
+    if (!this.element || snapshots.length === 0) return;
+
+    this.snapshots = snapshots.slice();
+    this.element.classList.remove('hidden');
+    this.renderList();
+    this.select(this.snapshots[0].id);
+  },
+
+  /**
+   * Hide the dialog; documents not restored or discarded are offered again
+   * on the next launch
+   */
+  hide() {
+    if (!this.element) return;
+
+    this.element.classList.add('hidden');
+    this.list.textContent = '';
+    this.preview.textContent = '';
+    this.snapshots = [];
+    this.selectedId = null;
+  },
+
+  /**
+   * Whether the dialog is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  renderList() {
+    const fragment = document.createDocumentFragment();
+
+    this.snapshots.forEach((snapshot) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      const name = document.createElement('span');
+      const description = document.createElement('span');
+
+      button.className = 'template-item recovery-item';
+      button.dataset.snapshotId = snapshot.id;
+      name.className = 'template-name';
+      name.textContent = snapshot.filename || 'Untitled';
+      description.className = 'template-description';
+      description.textContent = `${snapshot.filePath || 'Never saved'} · ${new Date(snapshot.savedAt).toLocaleString()}`;
+
+      button.append(name, description);
+      button.addEventListener('click', () => this.select(snapshot.id));
+      item.appendChild(button);
+      fragment.appendChild(item);
+    });
+
+    this.list.textContent = '';
+    this.list.appendChild(fragment);
+  },
+
+  /**
+   * Preview a recovered document's text
+   * @param {string} snapshotId
+   */
+  select(snapshotId) {
+    const snapshot = this.snapshots.find(({ id }) => id === snapshotId);
+    if (!snapshot) return;
+
+    this.selectedId = snapshotId;
+    this.list.querySelectorAll('.recovery-item').forEach((button) => {
+      const selected = button.dataset.snapshotId === snapshotId;
+      button.classList.toggle('selected', selected);
+      button.setAttribute('aria-pressed', String(selected));
+    });
+    this.preview.textContent = snapshot.content || '(empty document)';
+    this.preview.scrollTop = 0;
+  },
+
+  restore(snapshotId) {
+    if (this.onRestore) {
+      this.onRestore(snapshotId);
+    }
+    this.remove(snapshotId);
+  },
+
+  discard(snapshotId) {
+    if (this.onDiscard) {
+      this.onDiscard(snapshotId);
+    }
+    this.remove(snapshotId);
+  },
+
+  /**
+   * Take a handled document off the list, closing the dialog after the last
+   * @param {string} snapshotId
+   */
+  remove(snapshotId) {
+    const index = this.snapshots.findIndex(({ id }) => id === snapshotId);
+    if (index === -1) return;
+
+    this.snapshots.splice(index, 1);
+    if (this.snapshots.length === 0) {
+      this.hide();
+      return;
+    }
+
+    this.renderList();
+    const next = this.snapshots[Math.min(index, this.snapshots.length - 1)];
+    this.select(next.id);
+  },
+};
+
+// Expose to window
+window.RecoveryDialog = RecoveryDialog;
@@ -0,0 +1,190 @@
+/**
+ * Scroll Sync Component
+ * Keeps the editor and preview showing the same part of the document in
+ * split mode. The preview's top-level blocks carry the source lines they
+ * came from (see markdownService.js); positions between two known points
+ * are interpolated.
+ */
+
+/* global Editor, Preview */
+
+const ScrollSync = {
+  enabled: true,
+  splitMode: false,
+  // Pane whose scroll position the other one follows
+  leader: 'editor',
+  // Pane being scrolled by us; its next scroll event is not the user's
+  following: null,
+  blocks: null,
+  resizeObserver: null,
+
+  /**
+   * Initialize scroll listeners
+   */
+  init() {
+    Editor.onScroll(() => this.handleScroll('editor'));
+    Preview.onScroll(() => this.handleScroll('preview'));
+
+    // Images that finish loading, font changes and window resizes all
+    // move the preview's blocks; keep the leading pane where it is
+    const preview = document.getElementById('preview');
+    if (preview && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.layoutChanged());
+      this.resizeObserver.observe(preview);
+    }
+  },
+
+  /**
+   * Turn syncing on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (this.isActive()) {
+      this.sync('editor');
+    }
+  },
+
+  /**
+   * Tell the component whether both panes are visible
+   * @param {boolean} splitMode
+   */
+  setSplitMode(splitMode) {
+    this.splitMode = Boolean(splitMode);
+    this.blocks = null;
+    if (this.isActive()) {
+      this.sync('editor');
+    }
+  },
+
+  /**
+   * Whether the panes are currently kept in sync
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.enabled && this.splitMode;
+  },
+
+  /**
+   * Re-align after the preview was re-rendered, following the editor
+   */
+  previewUpdated() {
+    this.blocks = null;
+    if (this.isActive()) {
+      this.sync('editor');
+    }
+  },
+
+  layoutChanged() {
+    this.blocks = null;
+    if (this.isActive()) {
+      this.sync(this.leader);
+    }
+  },
+
+  handleScroll(pane) {
+    if (!this.isActive()) return;
+    if (this.following === pane) return;
+
+    this.leader = pane;
+    this.sync(pane);
+  },
+
+  /**
+   * Move the other pane to match the given one
+   * @param {string} leader - 'editor' or 'preview'
+   */
+  sync(leader) {
+    const blocks = this.getBlocks();
+    if (blocks.length === 0) return;
+
+    if (leader === 'editor') {
+      const top = lineToOffset(blocks, Editor.getTopLine());
+      this.follow('preview', () => Preview.setScrollTop(top));
+    } else {
+      const line = offsetToLine(blocks, Preview.getScrollTop());
+      this.follow('editor', () => Editor.scrollToLine(line));
+    }
+  },
+
+  follow(pane, scroll) {
+    this.following = pane;
+    scroll();
+    // Scroll events for the change above fire before the next frame
+    requestAnimationFrame(() => {
+      if (this.following === pane) {
+        this.following = null;
+      }
+    });
+  },
+
+  getBlocks() {
+    if (!this.blocks) {
+      this.blocks = Preview.getSourceBlocks();
+    }
+    return this.blocks;
+  },
+};
+
+/**
+ * Preview offset for a source line
+ * @param {Array<Object>} blocks - From Preview.getSourceBlocks
+ * @param {number} line - Zero-based, possibly fractional
+ * @returns {number}
+ */
+function lineToOffset(blocks, line) {
+  if (line <= blocks[0].line) {
+    return (blocks[0].top * line) / Math.max(blocks[0].line, 1);
+  }
+
+  for (let i = 0; i < blocks.length; i += 1) {
+    const block = blocks[i];
+    const next = blocks[i + 1];
+
+    if (line < block.end) {
+      const fraction = (line - block.line) / (block.end - block.line);
+      return block.top + fraction * (block.bottom - block.top);
+    }
+    if (!next || line < next.line) {
+      // Blank lines between two blocks map onto the gap between them
+      const gapEnd = next ? next.line : block.end + 1;
+      const gapTop = next ? next.top : block.bottom;
+      const fraction = (line - block.end) / Math.max(gapEnd - block.end, 1);
+      return block.bottom + Math.min(fraction, 1) * (gapTop - block.bottom);
+    }
+  }
+  return blocks[blocks.length - 1].bottom;
+}
+
+/**
+ * Source line for a preview offset
+ * @param {Array<Object>} blocks - From Preview.getSourceBlocks
+ * @param {number} offset - Scroll offset of the preview pane
+ * @returns {number} Zero-based, possibly fractional
+ */
+function offsetToLine(blocks, offset) {
+  if (offset <= blocks[0].top) {
+    return (blocks[0].line * offset) / Math.max(blocks[0].top, 1);
+  }
+
+  for (let i = 0; i < blocks.length; i += 1) {
+    const block = blocks[i];
+    const next = blocks[i + 1];
+
+    if (offset < block.bottom) {
+      const height = Math.max(block.bottom - block.top, 1);
+      const fraction = (offset - block.top) / height;
+      return block.line + fraction * (block.end - block.line);
+    }
+    if (!next || offset < next.top) {
+      const gapLines = next ? next.line - block.end : 0;
+      const gapHeight = next ? next.top - block.bottom : 1;
+      const fraction = (offset - block.bottom) / Math.max(gapHeight, 1);
+      return block.end + Math.min(fraction, 1) * gapLines;
+    }
+  }
+  return blocks[blocks.length - 1].end;
+}
+
+// Expose to window
+window.ScrollSync = ScrollSync;
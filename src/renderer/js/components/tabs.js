@@ -0,0 +1,88 @@
+/**
+ * Tabs Component
+ * Renders the document tab strip in the toolbar
+ */
+
+const Tabs = {
+  element: null,
+  newTabBtn: null,
+
+  /**
+   * Initialize the tab strip
+   */
+  init() {
+    this.element = document.getElementById('tabs');
+    this.newTabBtn = document.getElementById('newTabBtn');
+
+    this.newTabBtn.addEventListener('click', () => {
+      if (this.onNew) this.onNew();
+    });
+  },
+
+  /**
+   * Redraw the tabs
+   * @param {Array<{id: string, filename: string, filePath: string|null,
+   *   isDirty: boolean}>} documents - Documents in tab order
+   * @param {string|null} activeId - Id of the front tab
+   */
+  render(documents, activeId) {
+    if (!this.element) return;
+
+    const fragment = document.createDocumentFragment();
+    documents.forEach((doc) => {
+      fragment.appendChild(this.createTab(doc, doc.id === activeId));
+    });
+
+    this.element.textContent = '';
+    this.element.appendChild(fragment);
+
+    const activeTab = this.element.querySelector('.tab.active');
+    if (activeTab) {
+      activeTab.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+  },
+
+  createTab(doc, isActive) {
+    const tab = document.createElement('div');
+    tab.className = 'tab';
+    tab.classList.toggle('active', isActive);
+    tab.classList.toggle('dirty', doc.isDirty);
+    tab.title = doc.filePath || doc.filename;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-selected', String(isActive));
+
+    const title = document.createElement('span');
+    title.className = 'tab-title';
+    title.textContent = doc.filename;
+
+    const close = document.createElement('button');
+    close.className = 'tab-close';
+    close.title = 'Close Tab';
+    close.textContent = '×';
+
+    tab.addEventListener('click', () => {
+      if (this.onSelect) this.onSelect(doc.id);
+    });
+    tab.addEventListener('auxclick', (event) => {
+      if (event.button === 1 && this.onClose) this.onClose(doc.id);
+    });
+    close.addEventListener('click', (event) => {
+      event.stopPropagation();
+      if (this.onClose) this.onClose(doc.id);
+    });
+
+    tab.appendChild(title);
+    tab.appendChild(close);
+    return tab;
+  },
+
+  /**
+   * Tab strip callbacks
+   */
+  onSelect: null,
+  onClose: null,
+  onNew: null,
+};
+
+// Expose to window
+window.Tabs = Tabs;
@@ -0,0 +1,113 @@
+/**
+ * Template Gallery Component
+ * Overlay for picking a template to start a new document from
+ */
+
+const TemplateGallery = {
+  element: null,
+  list: null,
+  titleInput: null,
+  folderBtn: null,
+  cancelBtn: null,
+
+  // Callbacks set by the app
+  onSelect: null,
+  onOpenFolder: null,
+
+  /**
+   * Initialize the gallery
+   */
+  init() {
+    this.element = document.getElementById('templateGallery');
+    this.list = document.getElementById('templateList');
+    this.titleInput = document.getElementById('templateTitleInput');
+    this.folderBtn = document.getElementById('templateFolderBtn');
+    this.cancelBtn = document.getElementById('templateCancelBtn');
+
+    if (!this.element) return;
+
+    this.folderBtn.addEventListener('click', () => {
+      if (this.onOpenFolder) {
+        this.onOpenFolder();
+      }
+    });
+    this.cancelBtn.addEventListener('click', () => this.hide());
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show the available templates
+   * @param {Array<{id: string, name: string, description: string,
+   *   builtIn: boolean}>} templates
+   */
+  show(templates) {
+    if (!this.element) return;
+
+    this.renderList(templates);
+    this.titleInput.value = 'Untitled';
+    this.element.classList.remove('hidden');
+    this.titleInput.select();
+    this.titleInput.focus();
+  },
+
+  /**
+   * Hide the gallery
+   */
+  hide() {
+    if (this.element) {
+      this.element.classList.add('hidden');
+      this.list.textContent = '';
+    }
+  },
+
+  /**
+   * Whether the gallery is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.element) && !this.element.classList.contains('hidden');
+  },
+
+  renderList(templates) {
+    const fragment = document.createDocumentFragment();
+
+    templates.forEach((template) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      const name = document.createElement('span');
+      const description = document.createElement('span');
+
+      button.className = 'template-item';
+      name.className = 'template-name';
+      name.textContent = template.builtIn
+        ? `${template.name} (built-in)`
+        : template.name;
+      description.className = 'template-description';
+      description.textContent = template.description;
+
+      button.append(name, description);
+      button.addEventListener('click', () => this.select(template.id));
+      item.appendChild(button);
+      fragment.appendChild(item);
+    });
+
+    this.list.textContent = '';
+    this.list.appendChild(fragment);
+  },
+
+  select(templateId) {
+    const title = this.titleInput.value.trim();
+    this.hide();
+    if (this.onSelect) {
+      this.onSelect(templateId, title);
+    }
+  },
+};
+
+// Expose to window
+window.TemplateGallery = TemplateGallery;
@@ -1,13 +1,15 @@
 /**
  * Toolbar Component
- * Manages view mode buttons and file name display
+ * Manages view mode buttons; the tab strip lives in tabs.js
  */
 
 const Toolbar = {
   editBtn: null,
   previewBtn: null,
   splitBtn: null,
-  filenameSpan: null,
+  syncScrollBtn: null,
+  outlineBtn: null,
+  backlinksBtn: null,
   editorPane: null,
   previewPane: null,
   currentMode: 'edit',
@@ -19,7 +21,9 @@ const Toolbar = {
     this.editBtn = document.getElementById('editBtn');
     this.previewBtn = document.getElementById('previewBtn');
     this.splitBtn = document.getElementById('splitBtn');
-    this.filenameSpan = document.getElementById('filename');
+    this.syncScrollBtn = document.getElementById('syncScrollBtn');
+    this.outlineBtn = document.getElementById('outlineBtn');
+    this.backlinksBtn = document.getElementById('backlinksBtn');
     this.editorPane = document.getElementById('editorPane');
     this.previewPane = document.getElementById('previewPane');
 
@@ -27,6 +31,72 @@ const Toolbar = {
     this.editBtn.addEventListener('click', () => this.setMode('edit'));
     this.previewBtn.addEventListener('click', () => this.setMode('preview'));
     this.splitBtn.addEventListener('click', () => this.setMode('split'));
+    this.syncScrollBtn.addEventListener('click', () => {
+      if (this.onSyncScrollToggle) {
+        this.onSyncScrollToggle(!this.isSyncScrollOn());
+      }
+    });
+    this.outlineBtn.addEventListener('click', () => {
+      if (this.onOutlineToggle) {
+        this.onOutlineToggle(!this.isOutlineOn());
+      }
+    });
+    this.backlinksBtn.addEventListener('click', () => {
+      if (this.onBacklinksToggle) {
+        this.onBacklinksToggle(!this.isBacklinksOn());
+      }
+    });
+  },
+
+  /**
+   * Show whether scroll sync is on
+   * @param {boolean} enabled
+   */
+  setSyncScroll(enabled) {
+    this.syncScrollBtn.classList.toggle('active', enabled);
+    this.syncScrollBtn.setAttribute('aria-pressed', String(enabled));
+  },
+
+  /**
+   * Whether the scroll sync toggle is on
+   * @returns {boolean}
+   */
+  isSyncScrollOn() {
+    return this.syncScrollBtn.getAttribute('aria-pressed') === 'true';
+  },
+
+  /**
+   * Show whether the outline sidebar is open
+   * @param {boolean} visible
+   */
+  setOutline(visible) {
+    this.outlineBtn.classList.toggle('active', visible);
+    this.outlineBtn.setAttribute('aria-pressed', String(visible));
+  },
+
+  /**
+   * Whether the outline toggle is on
+   * @returns {boolean}
+   */
+  isOutlineOn() {
+    return this.outlineBtn.getAttribute('aria-pressed') === 'true';
+  },
+
+  /**
+   * Show whether the backlinks sidebar is open
+   * @param {boolean} visible
+   */
+  setBacklinks(visible) {
+    this.backlinksBtn.classList.toggle('active', visible);
+    this.backlinksBtn.setAttribute('aria-pressed', String(visible));
+  },
+
+  /**
+   * Whether the backlinks toggle is on
+   * @returns {boolean}
+   */
+  isBacklinksOn() {
+    return this.backlinksBtn.getAttribute('aria-pressed') === 'true';
   },
 
   /**
@@ -79,21 +149,29 @@ const Toolbar = {
     return this.currentMode;
   },
 
-  /**
-   * Update filename display
-   * @param {string} filename
-   */
-  setFilename(filename) {
-    if (this.filenameSpan) {
-      this.filenameSpan.textContent = filename;
-    }
-  },
-
   /**
    * Register mode change callback
    * @param {Function} callback
    */
   onModeChange: null,
+
+  /**
+   * Register scroll sync toggle callback
+   * @param {Function} callback - Called with the requested state
+   */
+  onSyncScrollToggle: null,
+
+  /**
+   * Register outline toggle callback
+   * @param {Function} callback - Called with the requested state
+   */
+  onOutlineToggle: null,
+
+  /**
+   * Register backlinks toggle callback
+   * @param {Function} callback - Called with the requested state
+   */
+  onBacklinksToggle: null,
 };
 
 // Expose to window
@@ -0,0 +1,534 @@
+/**
+ * Workspace Search Component
+ * Sidebar that searches every markdown file of the open folder, with the
+ * find bar's options and globs for the files to include and exclude. The
+ * main process reads the files and sends results a few files at a time, so
+ * the list fills in while a large folder is searched. Matches are grouped
+ * by file with their line; clicking one opens the file there. With the
+ * replace field shown, every match previews its replacement, and matches
+ * or whole files can be dismissed before Replace All.
+ */
+
+/* global Editor, SearchService */
+
+// Typing pauses this long before the folder is searched again
+const SEARCH_DELAY_MS = 300;
+
+// Replacement previews follow the replace field once typing pauses
+const REPLACE_PREVIEW_DELAY_MS = 150;
+
+const WorkspaceSearch = {
+  pane: null,
+  queryInput: null,
+  replaceInput: null,
+  replaceRow: null,
+  replaceToggle: null,
+  replaceAllBtn: null,
+  includeInput: null,
+  excludeInput: null,
+  summary: null,
+  notice: null,
+  list: null,
+  optionButtons: {},
+  options: { caseSensitive: false, wholeWord: false, regex: false },
+  root: null,
+  searchId: 0,
+  // Query and options of the search the results came from
+  search: null,
+  // File results from the main process, each with a collapsed flag
+  results: [],
+  searching: false,
+  truncated: false,
+  error: null,
+  searchTimer: null,
+  previewTimer: null,
+
+  // Callbacks set by the app
+  onSearch: null,
+  onCancel: null,
+  onOpenMatch: null,
+  onReplace: null,
+
+  /**
+   * Initialize the search panel
+   */
+  init() {
+    this.pane = document.getElementById('searchPane');
+    this.queryInput = document.getElementById('searchQuery');
+    this.replaceInput = document.getElementById('searchReplace');
+    this.replaceRow = document.getElementById('searchReplaceRow');
+    this.replaceToggle = document.getElementById('searchReplaceToggle');
+    this.replaceAllBtn = document.getElementById('searchReplaceAllBtn');
+    this.includeInput = document.getElementById('searchInclude');
+    this.excludeInput = document.getElementById('searchExclude');
+    this.summary = document.getElementById('searchSummary');
+    this.notice = document.getElementById('searchNotice');
+    this.list = document.getElementById('searchResults');
+    this.optionButtons = {
+      caseSensitive: document.getElementById('searchCaseBtn'),
+      wholeWord: document.getElementById('searchWordBtn'),
+      regex: document.getElementById('searchRegexBtn'),
+    };
+
+    if (!this.pane) return;
+
+    [this.queryInput, this.includeInput, this.excludeInput].forEach((input) => {
+      input.addEventListener('input', () => this.scheduleSearch());
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          this.runSearch();
+        }
+      });
+    });
+    this.replaceInput.addEventListener('input', () => {
+      clearTimeout(this.previewTimer);
+      this.previewTimer = setTimeout(
+        () => this.render(),
+        REPLACE_PREVIEW_DELAY_MS
+      );
+    });
+    this.replaceInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.replaceAll();
+      }
+    });
+
+    Object.keys(this.optionButtons).forEach((option) => {
+      this.optionButtons[option].addEventListener('click', () =>
+        this.toggleOption(option)
+      );
+    });
+    this.replaceToggle.addEventListener('click', () => this.toggleReplace());
+    this.replaceAllBtn.addEventListener('click', () => this.replaceAll());
+    document
+      .getElementById('searchCloseBtn')
+      .addEventListener('click', () => this.hide());
+    this.pane.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.hide();
+      }
+    });
+  },
+
+  /**
+   * Show the panel and focus the query, filled in from a one-line selection
+   */
+  show() {
+    if (!this.pane) return;
+
+    const wasVisible = this.isVisible();
+    this.pane.classList.remove('hidden');
+
+    const selected = Editor.getSelectedText();
+    if (selected && !selected.includes('\n')) {
+      this.queryInput.value = selected;
+      this.runSearch();
+    } else if (!wasVisible) {
+      this.runSearch();
+    }
+
+    this.queryInput.focus();
+    this.queryInput.select();
+  },
+
+  /**
+   * Hide the panel and stop a running search
+   */
+  hide() {
+    if (!this.isVisible()) return;
+
+    this.cancelSearch();
+    this.pane.classList.add('hidden');
+    Editor.focus();
+  },
+
+  /**
+   * Whether the panel is shown
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.pane) && !this.pane.classList.contains('hidden');
+  },
+
+  /**
+   * Follow the window's workspace. Results are dropped when another folder
+   * opens, and the panel closes with the folder.
+   * @param {{root: string}|null} workspace
+   */
+  setWorkspace(workspace) {
+    const root = workspace ? workspace.root : null;
+    if (root === this.root) return;
+
+    this.root = root;
+    if (!root) {
+      this.hide();
+      this.clearResults();
+    } else if (this.isVisible()) {
+      this.runSearch();
+    }
+  },
+
+  toggleOption(option) {
+    this.options[option] = !this.options[option];
+    this.optionButtons[option].setAttribute(
+      'aria-pressed',
+      String(this.options[option])
+    );
+    this.runSearch();
+    this.queryInput.focus();
+  },
+
+  /**
+   * Show or hide the replace field; replacement previews show with it
+   */
+  toggleReplace() {
+    const show = this.replaceRow.classList.contains('hidden');
+    this.replaceRow.classList.toggle('hidden', !show);
+    this.replaceToggle.setAttribute('aria-expanded', String(show));
+    this.replaceToggle.title = show ? 'Hide Replace' : 'Show Replace';
+    this.render();
+    if (show) {
+      this.replaceInput.focus();
+    }
+  },
+
+  isReplacing() {
+    return !this.replaceRow.classList.contains('hidden');
+  },
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DELAY_MS);
+  },
+
+  /**
+   * Start searching with the current fields, replacing any running search
+   * @param {boolean} [keepNotice] - Keep the outcome of the last Replace All
+   *   on show
+   */
+  runSearch(keepNotice = false) {
+    clearTimeout(this.searchTimer);
+    this.cancelSearch();
+    this.clearResults();
+    if (!keepNotice) {
+      this.showNotice('');
+    }
+
+    const query = this.queryInput.value;
+    if (!query) {
+      this.updateSummary();
+      return;
+    }
+    if (!this.root) {
+      this.error = 'Open a folder to search its files.';
+      this.updateSummary();
+      return;
+    }
+
+    this.searchId += 1;
+    this.search = {
+      query,
+      ...this.options,
+      include: this.includeInput.value,
+      exclude: this.excludeInput.value,
+    };
+    this.searching = true;
+    this.updateSummary();
+    if (this.onSearch) {
+      this.onSearch(this.searchId, this.search);
+    }
+  },
+
+  cancelSearch() {
+    if (this.searching && this.onCancel) {
+      this.onCancel();
+    }
+    this.searching = false;
+  },
+
+  clearResults() {
+    this.results = [];
+    this.truncated = false;
+    this.error = null;
+    this.list.textContent = '';
+    this.queryInput.classList.remove('invalid');
+  },
+
+  /**
+   * Add files with matches from the running search
+   * @param {number} searchId
+   * @param {Array<Object>} results - FileResult objects
+   */
+  addResults(searchId, results) {
+    if (searchId !== this.searchId || !this.searching) return;
+
+    results.forEach((result) => {
+      const entry = { ...result, collapsed: false };
+      this.results.push(entry);
+      this.list.appendChild(this.createFileItem(entry));
+    });
+    this.updateSummary();
+  },
+
+  /**
+   * End the running search
+   * @param {number} searchId
+   * @param {{truncated?: boolean, error?: string}} summary
+   */
+  finishSearch(searchId, summary) {
+    if (searchId !== this.searchId || !this.searching) return;
+
+    this.searching = false;
+    this.truncated = Boolean(summary.truncated);
+    this.error = summary.error || null;
+    this.queryInput.classList.toggle('invalid', Boolean(this.error));
+    this.updateSummary();
+  },
+
+  render() {
+    const fragment = document.createDocumentFragment();
+    this.results.forEach((result) => {
+      fragment.appendChild(this.createFileItem(result));
+    });
+    this.list.textContent = '';
+    this.list.appendChild(fragment);
+    this.updateSummary();
+  },
+
+  createFileItem(result) {
+    const item = document.createElement('li');
+    item.className = 'search-file';
+    item.classList.toggle('collapsed', result.collapsed);
+
+    const header = document.createElement('div');
+    header.className = 'search-file-header';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'search-file-link';
+    toggle.title = result.relativePath;
+    toggle.setAttribute('aria-expanded', String(!result.collapsed));
+
+    const twisty = document.createElement('span');
+    twisty.className = 'workspace-twisty';
+    twisty.setAttribute('aria-hidden', 'true');
+    twisty.textContent = result.collapsed ? '▸' : '▾';
+
+    const slash = result.relativePath.lastIndexOf('/');
+    const name = document.createElement('span');
+    name.className = 'search-file-name';
+    name.textContent = result.relativePath.slice(slash + 1);
+    const folder = document.createElement('span');
+    folder.className = 'search-file-folder';
+    folder.textContent =
+      slash === -1 ? '' : result.relativePath.slice(0, slash);
+    const count = document.createElement('span');
+    count.className = 'search-count';
+    count.textContent = String(result.matches.length);
+
+    toggle.append(twisty, name, folder, count);
+    toggle.addEventListener('click', () => {
+      result.collapsed = !result.collapsed;
+      this.render();
+    });
+    header.append(
+      toggle,
+      this.createDismissButton('Leave this file out', () =>
+        this.dismiss(result)
+      )
+    );
+    item.appendChild(header);
+
+    if (!result.collapsed) {
+      const matches = document.createElement('ul');
+      matches.className = 'search-matches';
+      result.matches.forEach((match) => {
+        matches.appendChild(this.createMatchItem(result, match));
+      });
+      item.appendChild(matches);
+    }
+    return item;
+  },
+
+  createMatchItem(result, match) {
+    const item = document.createElement('li');
+    item.className = 'search-match';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-match-link';
+    button.title = `Line ${match.line + 1}`;
+
+    const line = document.createElement('span');
+    line.className = 'search-line-number';
+    line.textContent = String(match.line + 1);
+    const context = document.createElement('span');
+    context.className = 'search-context';
+    context.appendChild(this.createContext(match));
+
+    button.append(line, context);
+    button.addEventListener('click', () => {
+      if (this.onOpenMatch) {
+        this.onOpenMatch(result.filePath, match);
+      }
+    });
+    item.append(
+      button,
+      this.createDismissButton('Leave this match out', () =>
+        this.dismiss(result, match)
+      )
+    );
+    return item;
+  },
+
+  /**
+   * The line around a match, with the match marked or, while the replace
+   * field is shown, struck out and followed by its replacement
+   * @param {Object} match - LineMatch from the main process
+   * @returns {DocumentFragment}
+   */
+  createContext(match) {
+    const { preview, previewStart, previewEnd } = match;
+    const fragment = document.createDocumentFragment();
+    const clipped = match.column > previewStart;
+    fragment.append(
+      (clipped ? '…' : '') + preview.slice(0, previewStart).trimStart()
+    );
+
+    const matched = preview.slice(previewStart, previewEnd);
+    if (this.isReplacing()) {
+      const removed = document.createElement('del');
+      removed.textContent = matched;
+      fragment.appendChild(removed);
+
+      const replacement = SearchService.expandReplacement(
+        this.replaceInput.value,
+        match,
+        this.search.regex
+      );
+      if (replacement) {
+        const inserted = document.createElement('ins');
+        inserted.textContent = replacement;
+        fragment.appendChild(inserted);
+      }
+    } else {
+      const mark = document.createElement('mark');
+      mark.textContent = matched;
+      fragment.appendChild(mark);
+    }
+
+    fragment.append(preview.slice(previewEnd));
+    return fragment;
+  },
+
+  createDismissButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-dismiss';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.textContent = '×';
+    button.addEventListener('click', onClick);
+    return button;
+  },
+
+  /**
+   * Drop a match, or a whole file, from the results and from Replace All
+   * @param {Object} result - File result
+   * @param {Object} [match] - Leave out to drop the file
+   */
+  dismiss(result, match) {
+    if (match) {
+      result.matches = result.matches.filter((other) => other !== match);
+    }
+    if (!match || result.matches.length === 0) {
+      this.results = this.results.filter((other) => other !== result);
+    }
+    this.render();
+  },
+
+  updateSummary() {
+    const matchCount = this.results.reduce(
+      (sum, result) => sum + result.matches.length,
+      0
+    );
+    const fileCount = this.results.length;
+    const counts = `${matchCount === 1 ? '1 result' : `${matchCount} results`} in ${
+      fileCount === 1 ? '1 file' : `${fileCount} files`
+    }`;
+
+    let text = '';
+    if (this.error) {
+      text = this.error;
+    } else if (this.searching) {
+      text = matchCount > 0 ? `Searching… ${counts}` : 'Searching…';
+    } else if (this.search && this.queryInput.value) {
+      text = matchCount > 0 ? counts : 'No results';
+      if (this.truncated) {
+        text += '. The search stopped early; narrow it down to see the rest.';
+      }
+    }
+    this.summary.textContent = text;
+    this.summary.classList.toggle('hidden', !text);
+
+    this.replaceAllBtn.disabled = this.searching || matchCount === 0;
+  },
+
+  showNotice(text) {
+    this.notice.textContent = text;
+    this.notice.classList.toggle('hidden', !text);
+  },
+
+  /**
+   * Replace every match left in the results; the main process asks first
+   */
+  async replaceAll() {
+    if (!this.isReplacing() || this.searching || !this.onReplace) return;
+
+    const files = this.results.map((result) => ({
+      filePath: result.filePath,
+      hash: result.hash,
+      starts: result.matches.map((match) => match.start),
+    }));
+    if (files.length === 0) return;
+
+    let outcome;
+    try {
+      outcome = await this.onReplace({
+        search: this.search,
+        replacement: this.replaceInput.value,
+        files,
+      });
+    } catch (error) {
+      outcome = { ok: false, error: error.message };
+    }
+    if (!outcome.ok) {
+      if (outcome.error) {
+        this.showNotice(outcome.error);
+      }
+      return;
+    }
+
+    const names = new Map(
+      this.results.map((result) => [result.filePath, result.relativePath])
+    );
+    const lines = [
+      `Replaced ${
+        outcome.matchCount === 1 ? '1 match' : `${outcome.matchCount} matches`
+      } in ${outcome.fileCount === 1 ? '1 file' : `${outcome.fileCount} files`}.`,
+    ];
+    outcome.skipped.forEach(({ filePath, error }) => {
+      lines.push(`Skipped ${names.get(filePath) || filePath}: ${error}`);
+    });
+    this.showNotice(lines.join('\n'));
+
+    // What is left to replace, if anything
+    this.runSearch(true);
+  },
+};
+
+// Expose to window
+window.WorkspaceSearch = WorkspaceSearch;
@@ -0,0 +1,721 @@
+/**
+ * Workspace Tree Component
+ * Sidebar listing the files of the folder open as the window's workspace.
+ * Folders expand and collapse, markdown files open in a tab, and files and
+ * folders can be created, renamed, deleted and moved by drag and drop. The
+ * changes themselves are made by the main process through the onOperation
+ * callback; the tree is redrawn from the listing it sends back.
+ */
+
+// Must match WORKSPACE_OPERATIONS in src/shared/constants.js
+const WORKSPACE_OPERATION_TYPES = {
+  OPEN: 'open',
+  CREATE_FILE: 'create-file',
+  CREATE_FOLDER: 'create-folder',
+  RENAME: 'rename',
+  MOVE: 'move',
+  DELETE: 'delete',
+};
+
+// Must match WORKSPACE_COMMANDS in src/shared/constants.js
+const WORKSPACE_COMMAND_NAMES = {
+  NEW_FILE: 'new-file',
+  NEW_FOLDER: 'new-folder',
+  RENAME: 'rename',
+};
+
+// Drags inside the tree carry this type, so dropped files from other apps
+// still reach the window's file drop handling
+const WORKSPACE_DRAG_TYPE = 'application/x-workspace-path';
+
+const WorkspaceTree = {
+  pane: null,
+  title: null,
+  list: null,
+  message: null,
+  allFilesBtn: null,
+  workspace: null,
+  // Paths of the folders that are open
+  expanded: new Set(),
+  selectedPath: null,
+  activePath: null,
+  // Name being typed: { type, path, input, busy }; the path is the parent
+  // folder when creating
+  editing: null,
+  draggedPath: null,
+  showAllFiles: false,
+  rendering: false,
+
+  // Callbacks set by the app
+  onOperation: null,
+  onContextMenu: null,
+  onShowAllFilesToggle: null,
+  onSearch: null,
+  onClose: null,
+
+  /**
+   * Initialize the sidebar
+   */
+  init() {
+    this.pane = document.getElementById('workspacePane');
+    this.title = document.getElementById('workspaceTitle');
+    this.list = document.getElementById('workspaceList');
+    this.message = document.getElementById('workspaceMessage');
+    this.allFilesBtn = document.getElementById('workspaceAllFilesBtn');
+
+    if (!this.pane) return;
+
+    document
+      .getElementById('workspaceNewFileBtn')
+      .addEventListener('click', () =>
+        this.startCreate(
+          WORKSPACE_OPERATION_TYPES.CREATE_FILE,
+          this.getTargetFolder()
+        )
+      );
+    document
+      .getElementById('workspaceNewFolderBtn')
+      .addEventListener('click', () =>
+        this.startCreate(
+          WORKSPACE_OPERATION_TYPES.CREATE_FOLDER,
+          this.getTargetFolder()
+        )
+      );
+    document
+      .getElementById('workspaceSearchBtn')
+      .addEventListener('click', () => {
+        if (this.onSearch) {
+          this.onSearch();
+        }
+      });
+    document
+      .getElementById('workspaceCloseBtn')
+      .addEventListener('click', () => {
+        if (this.onClose) {
+          this.onClose();
+        }
+      });
+    this.allFilesBtn.addEventListener('click', () => {
+      const showAll = this.allFilesBtn.getAttribute('aria-pressed') !== 'true';
+      if (this.onShowAllFilesToggle) {
+        this.onShowAllFilesToggle(showAll);
+      }
+    });
+
+    this.list.addEventListener('keydown', (event) => this.handleKeydown(event));
+    this.pane.addEventListener('contextmenu', (event) => {
+      if (!this.workspace || event.target.closest('input')) return;
+
+      event.preventDefault();
+      const entry = this.getEntryForElement(event.target);
+      if (entry) {
+        this.select(entry.path);
+      }
+      if (this.onContextMenu) {
+        this.onContextMenu(
+          entry ? entry.path : this.workspace.root,
+          entry ? entry.type === 'directory' : true
+        );
+      }
+    });
+    this.setupDragAndDrop();
+  },
+
+  /**
+   * Show a workspace listing, or hide the sidebar when the folder is closed
+   * @param {{root: string, name: string, tree: Array, truncated: boolean}|null}
+   *   workspace
+   */
+  update(workspace) {
+    if (!this.pane) return;
+
+    if (!workspace) {
+      this.workspace = null;
+      this.editing = null;
+      this.expanded.clear();
+      this.list.textContent = '';
+      this.pane.classList.add('hidden');
+      return;
+    }
+
+    if (!this.workspace || this.workspace.root !== workspace.root) {
+      this.expanded.clear();
+      this.selectedPath = null;
+      this.revealPath(this.activePath, workspace.root);
+    }
+    this.workspace = workspace;
+    this.title.textContent = workspace.name;
+    this.title.title = workspace.root;
+    this.pane.classList.remove('hidden');
+
+    // A listing that arrives while a name is typed waits for it
+    if (!this.editing) {
+      this.render();
+    }
+  },
+
+  /**
+   * Whether a workspace is open
+   * @returns {boolean}
+   */
+  isVisible() {
+    return Boolean(this.pane) && !this.pane.classList.contains('hidden');
+  },
+
+  /**
+   * Reflect the "All Files" setting in its toggle
+   * @param {boolean} showAll
+   */
+  setShowAllFiles(showAll) {
+    this.showAllFiles = showAll;
+    if (this.allFilesBtn) {
+      this.allFilesBtn.setAttribute('aria-pressed', String(showAll));
+      this.allFilesBtn.classList.toggle('active', showAll);
+    }
+  },
+
+  /**
+   * Highlight the file shown in the active tab, opening its folders
+   * @param {string|null} filePath
+   */
+  setActiveFile(filePath) {
+    if (filePath === this.activePath) return;
+
+    this.activePath = filePath;
+    if (!this.workspace) return;
+
+    if (this.revealPath(filePath, this.workspace.root) && !this.editing) {
+      this.render();
+      return;
+    }
+    this.list.querySelectorAll('.workspace-item').forEach((item) => {
+      item.classList.toggle('active', item.dataset.path === filePath);
+    });
+  },
+
+  /**
+   * Carry out a context menu item from the main process
+   * @param {string} command - One of WORKSPACE_COMMAND_NAMES
+   * @param {string} targetPath - Folder to create in, or entry to rename
+   */
+  handleCommand(command, targetPath) {
+    if (command === WORKSPACE_COMMAND_NAMES.NEW_FILE) {
+      this.startCreate(WORKSPACE_OPERATION_TYPES.CREATE_FILE, targetPath);
+    } else if (command === WORKSPACE_COMMAND_NAMES.NEW_FOLDER) {
+      this.startCreate(WORKSPACE_OPERATION_TYPES.CREATE_FOLDER, targetPath);
+    } else if (command === WORKSPACE_COMMAND_NAMES.RENAME) {
+      this.startRename(targetPath);
+    }
+  },
+
+  render() {
+    const fragment = document.createDocumentFragment();
+    const addFolder = (folderPath, entries, depth) => {
+      // New entries are named at the top of their folder
+      if (this.isCreatingIn(folderPath)) {
+        fragment.appendChild(this.createNameRow(depth));
+      }
+      entries.forEach((entry) => {
+        fragment.appendChild(this.createItem(entry, depth));
+        if (entry.type === 'directory' && this.expanded.has(entry.path)) {
+          addFolder(entry.path, entry.children, depth + 1);
+        }
+      });
+    };
+    // Redrawing moves the name field, which must not count as leaving it
+    this.rendering = true;
+    addFolder(this.workspace.root, this.workspace.tree, 0);
+    this.list.textContent = '';
+    this.list.appendChild(fragment);
+    this.rendering = false;
+
+    if (this.workspace.truncated) {
+      this.message.textContent =
+        'This folder has too many files to list them all.';
+    } else if (this.workspace.tree.length === 0 && !this.editing) {
+      this.message.textContent = this.showAllFiles
+        ? 'This folder is empty'
+        : 'No markdown files';
+    } else {
+      this.message.textContent = '';
+    }
+    this.message.classList.toggle('hidden', !this.message.textContent);
+
+    if (this.editing) {
+      this.editing.input.focus();
+    }
+  },
+
+  createItem(entry, depth) {
+    const isDirectory = entry.type === 'directory';
+    const item = document.createElement('li');
+    item.className = `workspace-item workspace-${entry.type}`;
+    item.dataset.path = entry.path;
+    item.style.setProperty('--depth', String(depth));
+    item.classList.toggle('selected', entry.path === this.selectedPath);
+    item.classList.toggle('active', entry.path === this.activePath);
+
+    if (this.isRenaming(entry.path)) {
+      item.appendChild(this.editing.input);
+      return item;
+    }
+    item.draggable = true;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'workspace-link';
+    button.title = entry.path;
+
+    const twisty = document.createElement('span');
+    twisty.className = 'workspace-twisty';
+    twisty.setAttribute('aria-hidden', 'true');
+    if (isDirectory) {
+      const open = this.expanded.has(entry.path);
+      twisty.textContent = open ? '▾' : '▸';
+      button.setAttribute('aria-expanded', String(open));
+    }
+
+    const name = document.createElement('span');
+    name.className = 'workspace-name';
+    name.textContent = entry.name;
+
+    button.append(twisty, name);
+    button.addEventListener('click', () => {
+      this.select(entry.path);
+      this.activate(entry);
+    });
+    item.appendChild(button);
+    return item;
+  },
+
+  createNameRow(depth) {
+    const item = document.createElement('li');
+    item.className = 'workspace-item editing';
+    item.style.setProperty('--depth', String(depth));
+    item.appendChild(this.editing.input);
+    return item;
+  },
+
+  isCreatingIn(folderPath) {
+    return (
+      Boolean(this.editing) &&
+      this.editing.type !== WORKSPACE_OPERATION_TYPES.RENAME &&
+      this.editing.path === folderPath
+    );
+  },
+
+  isRenaming(entryPath) {
+    return (
+      Boolean(this.editing) &&
+      this.editing.type === WORKSPACE_OPERATION_TYPES.RENAME &&
+      this.editing.path === entryPath
+    );
+  },
+
+  /**
+   * Open a file, or expand or collapse a folder
+   * @param {{path: string, type: string}} entry
+   */
+  activate(entry) {
+    if (entry.type === 'directory') {
+      if (this.expanded.has(entry.path)) {
+        this.expanded.delete(entry.path);
+      } else {
+        this.expanded.add(entry.path);
+      }
+      this.render();
+      this.focusItem(entry.path);
+      return;
+    }
+
+    this.runOperation({
+      type: WORKSPACE_OPERATION_TYPES.OPEN,
+      path: entry.path,
+    });
+  },
+
+  select(entryPath) {
+    this.selectedPath = entryPath;
+    this.list.querySelectorAll('.workspace-item').forEach((item) => {
+      item.classList.toggle('selected', item.dataset.path === entryPath);
+    });
+  },
+
+  /**
+   * Show a name field for a new file or folder
+   * @param {string} type - CREATE_FILE or CREATE_FOLDER
+   * @param {string} folderPath - Folder to create it in
+   */
+  startCreate(type, folderPath) {
+    if (!this.workspace) return;
+
+    if (folderPath !== this.workspace.root) {
+      this.expanded.add(folderPath);
+    }
+    this.startEditing(type, folderPath, '');
+  },
+
+  /**
+   * Show a name field in place of an entry's name
+   * @param {string} entryPath
+   */
+  startRename(entryPath) {
+    const entry = this.findEntry(entryPath);
+    if (!entry) return;
+
+    this.select(entryPath);
+    this.startEditing(WORKSPACE_OPERATION_TYPES.RENAME, entryPath, entry.name);
+    // Select the name without its extension, like Finder does
+    const extension = entry.name.lastIndexOf('.');
+    if (entry.type === 'file' && extension > 0) {
+      this.editing.input.setSelectionRange(0, extension);
+    } else {
+      this.editing.input.select();
+    }
+  },
+
+  startEditing(type, entryPath, value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'workspace-name-input';
+    input.value = value;
+    input.spellcheck = false;
+    input.setAttribute(
+      'aria-label',
+      type === WORKSPACE_OPERATION_TYPES.RENAME
+        ? 'New name'
+        : type === WORKSPACE_OPERATION_TYPES.CREATE_FILE
+          ? 'File name'
+          : 'Folder name'
+    );
+    input.addEventListener('keydown', (event) => {
+      event.stopPropagation();
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.commitEdit();
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        this.cancelEdit();
+      }
+    });
+    input.addEventListener('blur', () => {
+      if (!this.rendering && this.editing && this.editing.input === input) {
+        this.commitEdit();
+      }
+    });
+
+    this.editing = { type, path: entryPath, input, busy: false };
+    this.render();
+  },
+
+  async commitEdit() {
+    const editing = this.editing;
+    if (!editing || editing.busy) return;
+
+    const name = editing.input.value.trim();
+    const entry = this.findEntry(editing.path);
+    const unchanged =
+      editing.type === WORKSPACE_OPERATION_TYPES.RENAME &&
+      entry &&
+      entry.name === name;
+    if (!name || unchanged) {
+      this.cancelEdit();
+      return;
+    }
+
+    editing.busy = true;
+    editing.input.disabled = true;
+    const result = await this.runOperation({
+      type: editing.type,
+      path: editing.path,
+      name,
+    });
+    if (this.editing !== editing) return;
+
+    if (result.ok) {
+      this.editing = null;
+      if (editing.type === WORKSPACE_OPERATION_TYPES.RENAME) {
+        this.renameExpanded(editing.path, result.path);
+      }
+      this.selectedPath = result.path || this.selectedPath;
+      this.render();
+      this.focusItem(this.selectedPath);
+      return;
+    }
+
+    editing.busy = false;
+    editing.input.disabled = false;
+    editing.input.classList.add('invalid');
+    editing.input.title = result.error || '';
+    this.message.textContent = result.error || '';
+    this.message.classList.toggle('hidden', !result.error);
+    editing.input.focus();
+  },
+
+  cancelEdit() {
+    if (!this.editing) return;
+
+    const { type, path } = this.editing;
+    this.editing = null;
+    this.render();
+    this.focusItem(type === WORKSPACE_OPERATION_TYPES.RENAME ? path : null);
+  },
+
+  /**
+   * Ask to move an entry to the trash (the main process confirms first)
+   * @param {string} entryPath
+   */
+  deleteEntry(entryPath) {
+    this.runOperation({
+      type: WORKSPACE_OPERATION_TYPES.DELETE,
+      path: entryPath,
+    });
+  },
+
+  async runOperation(operation) {
+    if (!this.onOperation) return { ok: false };
+
+    try {
+      return (await this.onOperation(operation)) || { ok: false };
+    } catch (error) {
+      console.error('Workspace operation failed:', error);
+      return { ok: false, error: error.message };
+    }
+  },
+
+  handleKeydown(event) {
+    const entry = this.getEntryForElement(event.target);
+    if (!entry) return;
+
+    if (event.key === 'F2') {
+      event.preventDefault();
+      this.startRename(entry.path);
+    } else if (
+      event.key === 'Delete' ||
+      (event.key === 'Backspace' && event.metaKey)
+    ) {
+      event.preventDefault();
+      this.deleteEntry(entry.path);
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const buttons = Array.from(this.list.querySelectorAll('.workspace-link'));
+      const index = buttons.indexOf(event.target.closest('.workspace-link'));
+      const next = buttons[index + (event.key === 'ArrowDown' ? 1 : -1)];
+      if (next) {
+        next.focus();
+        this.select(next.closest('.workspace-item').dataset.path);
+      }
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+      const open = this.expanded.has(entry.path);
+      if (entry.type === 'directory' && open === (event.key === 'ArrowLeft')) {
+        event.preventDefault();
+        this.activate(entry);
+      }
+    }
+  },
+
+  /**
+   * Dropping an entry onto a folder, or onto a file in it, moves it there;
+   * dropping it on empty space moves it to the top of the workspace
+   */
+  setupDragAndDrop() {
+    this.list.addEventListener('dragstart', (event) => {
+      const item = event.target.closest('.workspace-item');
+      if (!item) return;
+
+      this.draggedPath = item.dataset.path;
+      item.classList.add('dragging');
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData(WORKSPACE_DRAG_TYPE, this.draggedPath);
+    });
+
+    this.list.addEventListener('dragend', (event) => {
+      this.draggedPath = null;
+      this.clearDropTarget();
+      event.target.classList.remove('dragging');
+    });
+
+    // Handled here so the window's file drop handling never sees them
+    this.pane.addEventListener('dragover', (event) => {
+      if (!this.draggedPath) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = 'move';
+      this.showDropTarget(this.getDropFolder(event.target));
+    });
+
+    this.pane.addEventListener('drop', (event) => {
+      if (!this.draggedPath) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      const draggedPath = this.draggedPath;
+      const destination = this.getDropFolder(event.target);
+      this.draggedPath = null;
+      this.clearDropTarget();
+
+      this.runOperation({
+        type: WORKSPACE_OPERATION_TYPES.MOVE,
+        path: draggedPath,
+        destination,
+      }).then((result) => {
+        if (result.ok && result.path) {
+          this.renameExpanded(draggedPath, result.path);
+          this.select(result.path);
+        }
+      });
+    });
+  },
+
+  getDropFolder(target) {
+    const entry = this.getEntryForElement(target);
+    if (!entry) return this.workspace.root;
+    return entry.type === 'directory'
+      ? entry.path
+      : this.getParentFolder(entry.path);
+  },
+
+  showDropTarget(folderPath) {
+    this.clearDropTarget();
+    const item = Array.from(this.list.children).find(
+      (candidate) => candidate.dataset.path === folderPath
+    );
+    if (item) {
+      item.classList.add('drop-target');
+    } else {
+      this.list.classList.add('drop-target');
+    }
+  },
+
+  clearDropTarget() {
+    this.list.classList.remove('drop-target');
+    this.list.querySelectorAll('.drop-target').forEach((item) => {
+      item.classList.remove('drop-target');
+    });
+  },
+
+  /**
+   * Folder that New File and New Folder create in: the selected folder, or
+   * the folder of the selected file
+   * @returns {string}
+   */
+  getTargetFolder() {
+    const entry = this.selectedPath ? this.findEntry(this.selectedPath) : null;
+    if (!entry) return this.workspace.root;
+    return entry.type === 'directory'
+      ? entry.path
+      : this.getParentFolder(entry.path);
+  },
+
+  getParentFolder(entryPath) {
+    let parent = this.workspace.root;
+    this.walk((entry, ancestors) => {
+      if (entry.path === entryPath && ancestors.length > 0) {
+        parent = ancestors[ancestors.length - 1].path;
+      }
+    });
+    return parent;
+  },
+
+  getEntryForElement(element) {
+    const item = element.closest && element.closest('.workspace-item');
+    return item && item.dataset.path ? this.findEntry(item.dataset.path) : null;
+  },
+
+  findEntry(entryPath) {
+    let found = null;
+    this.walk((entry) => {
+      if (entry.path === entryPath) {
+        found = entry;
+      }
+    });
+    return found;
+  },
+
+  /**
+   * Visit every listed entry with the folders that contain it
+   * @param {Function} visit - Called with (entry, ancestors)
+   */
+  walk(visit) {
+    if (!this.workspace) return;
+
+    const visitAll = (entries, ancestors) => {
+      entries.forEach((entry) => {
+        visit(entry, ancestors);
+        if (entry.children) {
+          visitAll(entry.children, ancestors.concat(entry));
+        }
+      });
+    };
+    visitAll(this.workspace.tree, []);
+  },
+
+  /**
+   * Open the folders that contain a file
+   * @param {string|null} filePath
+   * @param {string} root - Workspace folder
+   * @returns {boolean} Whether a folder was opened
+   */
+  revealPath(filePath, root) {
+    if (!filePath || filePath === root || !isSameOrInside(filePath, root)) {
+      return false;
+    }
+
+    let opened = false;
+    const separator = filePath.charAt(root.length);
+    const parts = filePath.slice(root.length + 1).split(separator);
+    let folder = root;
+    parts.slice(0, -1).forEach((part) => {
+      folder = `${folder}${separator}${part}`;
+      if (!this.expanded.has(folder)) {
+        this.expanded.add(folder);
+        opened = true;
+      }
+    });
+    return opened;
+  },
+
+  /**
+   * Keep open folders open after they, or a folder above them, moved
+   * @param {string} fromPath
+   * @param {string} toPath
+   */
+  renameExpanded(fromPath, toPath) {
+    if (!toPath || fromPath === toPath) return;
+
+    Array.from(this.expanded)
+      .filter((folder) => isSameOrInside(folder, fromPath))
+      .forEach((folder) => {
+        this.expanded.delete(folder);
+        this.expanded.add(`${toPath}${folder.slice(fromPath.length)}`);
+      });
+  },
+
+  focusItem(entryPath) {
+    const item = Array.from(this.list.children).find(
+      (candidate) => candidate.dataset.path === entryPath
+    );
+    const button = item && item.querySelector('.workspace-link');
+    if (button) {
+      button.focus();
+    }
+  },
+};
+
+/**
+ * Whether a path is a folder or inside it, with either path separator
+ * @param {string} entryPath
+ * @param {string} folderPath
+ * @returns {boolean}
+ */
+function isSameOrInside(entryPath, folderPath) {
+  return (
+    entryPath === folderPath ||
+    entryPath.startsWith(`${folderPath}/`) ||
+    entryPath.startsWith(`${folderPath}\\`)
+  );
+}
+
+// Expose to window
+window.WorkspaceTree = WorkspaceTree;
@@ -0,0 +1,146 @@
+/**
+ * Preferences Controller
+ * Binds the form fields in preferences.html to the settings store. Every
+ * field carries a data-setting attribute naming the setting it edits.
+ */
+
+/* global preferencesAPI */
+
+const Preferences = {
+  fields: [],
+  settings: null,
+  previewThemes: [],
+
+  /**
+   * Initialize the preferences form
+   */
+  async init() {
+    this.fields = Array.from(document.querySelectorAll('[data-setting]'));
+
+    this.fields.forEach((field) => {
+      field.addEventListener('change', () => this.save(field));
+    });
+
+    document
+      .getElementById('preferencesForm')
+      .addEventListener('submit', (event) => event.preventDefault());
+
+    document
+      .getElementById('resetSettingsBtn')
+      .addEventListener('click', () => {
+        this.clearErrors();
+        preferencesAPI.resetSettings();
+      });
+
+    document
+      .getElementById('openThemesFolderBtn')
+      .addEventListener('click', () => preferencesAPI.openThemesFolder());
+
+    preferencesAPI.onSettingsChanged((settings) => this.render(settings));
+    preferencesAPI.onPreviewThemesChanged(() => this.loadPreviewThemes());
+    await this.loadPreviewThemes();
+    this.render(await preferencesAPI.getSettings());
+  },
+
+  /**
+   * Refresh the preview theme choices from the themes folder
+   */
+  async loadPreviewThemes() {
+    try {
+      this.previewThemes = await preferencesAPI.listPreviewThemes();
+    } catch (error) {
+      console.error('Unable to list preview themes:', error);
+    }
+    if (this.settings) {
+      this.render(this.settings);
+    }
+  },
+
+  /**
+   * Fill the preview theme menu. A selected custom theme whose file is gone
+   * stays listed so the menu still shows what is stored.
+   * @param {string} selected - Current previewTheme setting
+   */
+  renderPreviewThemes(selected) {
+    const select = document.getElementById('previewThemeSelect');
+    const themes = [...this.previewThemes];
+    if (selected && !themes.some((theme) => theme.id === selected)) {
+      themes.push({ id: selected, name: selected, missing: true });
+    }
+
+    select.innerHTML = '';
+    themes.forEach((theme) => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = getThemeLabel(theme);
+      select.appendChild(option);
+    });
+  },
+
+  /**
+   * Show the current settings in the form
+   * @param {Object} settings
+   */
+  render(settings) {
+    this.settings = settings;
+    this.renderPreviewThemes(settings.previewTheme);
+    this.fields.forEach((field) => {
+      const value = settings[field.dataset.setting];
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else {
+        field.value = value;
+      }
+    });
+  },
+
+  /**
+   * Send one field's value to the settings store. Rejected values are
+   * reported next to the field and the stored value is put back.
+   * @param {HTMLElement} field
+   */
+  async save(field) {
+    const key = field.dataset.setting;
+    const result = await preferencesAPI.setSetting(key, readField(field));
+
+    this.showError(key, result.ok ? '' : result.error);
+    if (!result.ok) {
+      this.render(result.settings);
+    }
+  },
+
+  showError(key, message) {
+    const error = document.querySelector(`[data-error-for="${key}"]`);
+    if (error) {
+      error.textContent = message;
+    }
+  },
+
+  clearErrors() {
+    document.querySelectorAll('[data-error-for]').forEach((error) => {
+      error.textContent = '';
+    });
+  },
+};
+
+function getThemeLabel(theme) {
+  if (theme.missing) return `${theme.name} (missing)`;
+  return theme.builtIn ? theme.name : `${theme.name} (custom)`;
+}
+
+function readField(field) {
+  if (field.type === 'checkbox') {
+    return field.checked;
+  }
+  if (field.type === 'number') {
+    return field.value === '' ? NaN : Number(field.value);
+  }
+  return field.value;
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => Preferences.init());
+} else {
+  Preferences.init();
+}
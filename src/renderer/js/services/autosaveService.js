@@ -0,0 +1,109 @@
+/**
+ * Autosave Service
+ * Decides when documents are saved without the user asking, and when their
+ * unsaved text is copied for crash recovery. The app decides which
+ * documents are eligible and performs the save or the copy.
+ */
+
+// Unsaved text is copied for crash recovery at most this often
+const SNAPSHOT_DELAY_MS = 5000;
+
+const AutosaveService = {
+  mode: 'off',
+  delayMs: 30000,
+  timers: new Map(),
+  snapshotTimers: new Map(),
+
+  // Callbacks set by the app
+  onSave: null,
+  onSaveAll: null,
+  onSnapshot: null,
+
+  /**
+   * Apply the autosave preferences
+   * @param {Object} settings
+   * @param {string} settings.autosave - 'off', 'afterDelay' or 'onFocusChange'
+   * @param {number} settings.autosaveDelay - Seconds of inactivity
+   */
+  configure({ autosave, autosaveDelay }) {
+    this.mode = autosave;
+    this.delayMs = autosaveDelay * 1000;
+
+    if (this.mode !== 'afterDelay') {
+      this.timers.forEach((timer) => clearTimeout(timer));
+      this.timers.clear();
+    }
+  },
+
+  /**
+   * Note an edit; in afterDelay mode the document is saved once typing
+   * pauses for the configured delay
+   * @param {string} docId
+   */
+  documentChanged(docId) {
+    this.scheduleSnapshot(docId);
+    if (this.mode !== 'afterDelay') return;
+
+    // Only the save waits for typing to pause; the recovery copy keeps its
+    // own timer
+    clearTimeout(this.timers.get(docId));
+    this.timers.set(
+      docId,
+      setTimeout(() => {
+        this.timers.delete(docId);
+        if (this.onSave) {
+          this.onSave(docId);
+        }
+      }, this.delayMs)
+    );
+  },
+
+  /**
+   * Note that the window lost focus; in onFocusChange mode every document
+   * is saved
+   */
+  focusLost() {
+    if (this.mode === 'onFocusChange' && this.onSaveAll) {
+      this.onSaveAll();
+    }
+  },
+
+  /**
+   * Copy a document for crash recovery a few seconds from now. Edits made
+   * meanwhile are part of that copy, so steady typing is copied every few
+   * seconds rather than on every key.
+   * @param {string} docId
+   */
+  scheduleSnapshot(docId) {
+    if (this.snapshotTimers.has(docId)) return;
+
+    this.snapshotTimers.set(
+      docId,
+      setTimeout(() => {
+        this.snapshotTimers.delete(docId);
+        if (this.onSnapshot) {
+          this.onSnapshot(docId);
+        }
+      }, SNAPSHOT_DELAY_MS)
+    );
+  },
+
+  /**
+   * Drop a pending autosave and recovery copy, e.g. after a manual save or
+   * closing the tab
+   * @param {string} docId
+   */
+  cancel(docId) {
+    if (this.timers.has(docId)) {
+      clearTimeout(this.timers.get(docId));
+      this.timers.delete(docId);
+    }
+    if (this.snapshotTimers.has(docId)) {
+      clearTimeout(this.snapshotTimers.get(docId));
+      this.snapshotTimers.delete(docId);
+    }
+  },
+};
+
+// Expose to window
+window.AutosaveService = AutosaveService;
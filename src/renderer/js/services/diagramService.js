@@ -0,0 +1,193 @@
+/**
+ * Diagram Service
+ * Draws ```mermaid blocks as SVG with the bundled Mermaid, loaded the first
+ * time a document contains a diagram. Mermaid measures text in the page's
+ * DOM, so unlike the rest of the preview it cannot run in the worker.
+ * Drawings are cached by source and color scheme: typing elsewhere in a
+ * document never redraws its diagrams.
+ */
+
+/* global mermaid */
+
+const MERMAID_URL = '../../node_modules/mermaid/dist/mermaid.min.js';
+const MAX_CACHED_DIAGRAMS = 50;
+// Saved PNGs are drawn at twice the on-screen size so they stay sharp
+const PNG_SCALE = 2;
+
+const DiagramService = {
+  loading: null,
+  // scheme + source -> Promise of the drawing, oldest first
+  cache: new Map(),
+  // Mermaid draws one diagram at a time
+  queue: Promise.resolve(),
+  configuredScheme: null,
+  sandbox: null,
+  nextId: 1,
+
+  /**
+   * Draw a diagram
+   * @param {string} source - Mermaid source
+   * @returns {Promise<{svg: string, width: number, height: number}>}
+   *   Rejects with Mermaid's message when the source is invalid
+   */
+  render(source) {
+    const scheme = getColorScheme();
+    const key = `${scheme}\n${source}`;
+
+    let drawing = this.cache.get(key);
+    if (drawing) {
+      // Most recently used entries are kept longest
+      this.cache.delete(key);
+    } else {
+      drawing = this.enqueue(() => this.draw(source, scheme));
+    }
+    this.cache.set(key, drawing);
+    if (this.cache.size > MAX_CACHED_DIAGRAMS) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return drawing;
+  },
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  },
+
+  async draw(source, scheme) {
+    await this.load();
+    if (scheme !== this.configuredScheme) {
+      mermaid.initialize({
+        startOnLoad: false,
+        securityLevel: 'strict',
+        theme: scheme === 'dark' ? 'dark' : 'default',
+        // Plain SVG text; HTML labels need foreignObject, which would keep
+        // the PNG export from reading the canvas back
+        htmlLabels: false,
+        flowchart: { htmlLabels: false },
+        suppressErrorRendering: true,
+      });
+      this.configuredScheme = scheme;
+    }
+
+    const { svg } = await mermaid.render(
+      `mermaid-${this.nextId++}`,
+      source,
+      this.getSandbox()
+    );
+    return withIntrinsicSize(svg);
+  },
+
+  /**
+   * Load Mermaid on first use
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = MERMAID_URL;
+        script.addEventListener('load', () => resolve());
+        script.addEventListener('error', () => {
+          this.loading = null;
+          script.remove();
+          reject(new Error('Unable to load the diagram renderer'));
+        });
+        document.head.appendChild(script);
+      });
+    }
+    return this.loading;
+  },
+
+  /**
+   * Off-screen element Mermaid lays diagrams out in. The page's CSP blocks
+   * the styles Mermaid adds there, so main.css gives it the font the
+   * finished SVG uses.
+   * @returns {HTMLElement}
+   */
+  getSandbox() {
+    if (!this.sandbox) {
+      this.sandbox = document.createElement('div');
+      this.sandbox.className = 'diagram-sandbox';
+      this.sandbox.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(this.sandbox);
+    }
+    return this.sandbox;
+  },
+
+  /**
+   * Draw a diagram as PNG on the preview's background color
+   * @param {{svg: string, width: number, height: number}} drawing - From
+   *   render
+   * @returns {Promise<Uint8Array>} PNG file contents
+   */
+  async toPng({ svg, width, height }) {
+    const image = new Image();
+    image.src = toDataUrl(svg);
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * PNG_SCALE);
+    canvas.height = Math.ceil(height * PNG_SCALE);
+    const context = canvas.getContext('2d');
+    context.fillStyle = getComputedStyle(document.documentElement)
+      .getPropertyValue('--preview-background')
+      .trim();
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, 'image/png')
+    );
+    if (!blob) {
+      throw new Error('Unable to draw the diagram');
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+  },
+
+  /**
+   * URL that shows a drawing in an <img>
+   * @param {{svg: string}} drawing - From render
+   * @returns {string}
+   */
+  toDataUrl({ svg }) {
+    return toDataUrl(svg);
+  },
+};
+
+function getColorScheme() {
+  return window.matchMedia('(prefers-color-scheme: dark)').matches
+    ? 'dark'
+    : 'light';
+}
+
+/**
+ * Mermaid sizes its SVG to the container (width="100%" and a max-width
+ * style); give it the size of its view box instead, so it has one as an
+ * image too
+ * @param {string} svg
+ * @returns {{svg: string, width: number, height: number}}
+ */
+function withIntrinsicSize(svg) {
+  const parsed = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  const root = parsed.documentElement;
+  const viewBox = root.viewBox && root.viewBox.baseVal;
+  const width = viewBox && viewBox.width ? viewBox.width : 800;
+  const height = viewBox && viewBox.height ? viewBox.height : 600;
+
+  root.setAttribute('width', String(width));
+  root.setAttribute('height', String(height));
+  root.style.removeProperty('max-width');
+  return {
+    svg: new XMLSerializer().serializeToString(root),
+    width,
+    height,
+  };
+}
+
+function toDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Expose to window
+window.DiagramService = DiagramService;
@@ -0,0 +1,139 @@
+/**
+ * Diff service
+ * Line-based text diff used to compare document versions
+ */
+
+// Above this many cells the LCS table gets too large; fall back to a
+// coarse replace of the whole changed region.
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{type: string, lines: string[]}>} Hunks typed
+ *   'equal', 'delete' or 'insert', in document order
+ */
+function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const hunks = [];
+  pushHunk(hunks, 'equal', oldLines.slice(0, start));
+  diffMiddle(
+    oldLines.slice(start, oldEnd),
+    newLines.slice(start, newEnd)
+  ).forEach((hunk) => pushHunk(hunks, hunk.type, hunk.lines));
+  pushHunk(hunks, 'equal', oldLines.slice(oldEnd));
+
+  return hunks;
+}
+
+/**
+ * Summarize a diff as counts of added and removed lines
+ * @param {Array<{type: string, lines: string[]}>} hunks
+ * @returns {{added: number, removed: number}}
+ */
+function countChanges(hunks) {
+  return hunks.reduce(
+    (totals, hunk) => {
+      if (hunk.type === 'insert') totals.added += hunk.lines.length;
+      if (hunk.type === 'delete') totals.removed += hunk.lines.length;
+      return totals;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+function diffMiddle(oldLines, newLines) {
+  if (oldLines.length === 0 || newLines.length === 0) {
+    return [
+      { type: 'delete', lines: oldLines },
+      { type: 'insert', lines: newLines },
+    ];
+  }
+
+  if (oldLines.length * newLines.length > MAX_LCS_CELLS) {
+    return [
+      { type: 'delete', lines: oldLines },
+      { type: 'insert', lines: newLines },
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        oldLines[i] === newLines[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      pushHunk(hunks, 'equal', [oldLines[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      pushHunk(hunks, 'delete', [oldLines[i]]);
+      i++;
+    } else {
+      pushHunk(hunks, 'insert', [newLines[j]]);
+      j++;
+    }
+  }
+  pushHunk(hunks, 'delete', oldLines.slice(i));
+  pushHunk(hunks, 'insert', newLines.slice(j));
+
+  return hunks;
+}
+
+function pushHunk(hunks, type, lines) {
+  if (lines.length === 0) return;
+
+  const last = hunks[hunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    hunks.push({ type, lines: [...lines] });
+  }
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+// Expose to window for use by other modules
+window.DiffService = {
+  diffLines,
+  countChanges,
+};
@@ -0,0 +1,130 @@
+/**
+ * Document Manager
+ * Keeps the per-tab document state for the renderer
+ */
+
+const UNTITLED_BASENAME = 'untitled';
+
+/**
+ * @typedef {Object} DocumentState
+ * @property {string} id - Document id shared with the main process
+ * @property {string|null} filePath - Path on disk, null while untitled
+ * @property {string} filename - Name shown in the tab
+ * @property {string|null} directory - Folder relative paths resolve against
+ * @property {string|null} assetHost - Host of the document's asset URLs,
+ *   which only reach its folder
+ * @property {boolean} isDirty - Unsaved changes
+ * @property {string} viewMode - 'edit', 'preview' or 'split'
+ * @property {number} editorScrollTop - Saved editor scroll offset
+ * @property {number} previewScrollTop - Saved preview scroll offset
+ * @property {{kind: string, diskContent: string|null}|null} externalChange -
+ *   Unresolved change made on disk by another program
+ */
+
+const DocumentManager = {
+  documents: new Map(),
+  activeId: null,
+  nextUntitledNumber: 1,
+
+  /**
+   * Register a document
+   * @param {Object} options
+   * @param {string} [options.id] - Id from the main process; generated for
+   *   untitled documents
+   * @param {string|null} [options.filePath]
+   * @param {string} [options.filename]
+   * @param {string|null} [options.directory]
+   * @param {string|null} [options.assetHost]
+   * @param {string} [options.viewMode]
+   * @returns {DocumentState}
+   */
+  create({
+    id,
+    filePath = null,
+    filename,
+    directory = null,
+    assetHost = null,
+    viewMode = 'edit',
+  } = {}) {
+    const untitledNumber = id ? null : this.nextUntitledNumber++;
+    const doc = {
+      id: id || `untitled-${untitledNumber}`,
+      filePath,
+      filename: filename || getUntitledName(untitledNumber),
+      directory,
+      assetHost,
+      isDirty: false,
+      viewMode,
+      editorScrollTop: 0,
+      previewScrollTop: 0,
+      externalChange: null,
+    };
+
+    this.documents.set(doc.id, doc);
+    return doc;
+  },
+
+  /**
+   * Get a document by id
+   * @param {string} id
+   * @returns {DocumentState|null}
+   */
+  get(id) {
+    return this.documents.get(id) || null;
+  },
+
+  /**
+   * Get the document in the front tab
+   * @returns {DocumentState|null}
+   */
+  getActive() {
+    return this.get(this.activeId);
+  },
+
+  /**
+   * List documents in tab order
+   * @returns {DocumentState[]}
+   */
+  getAll() {
+    return Array.from(this.documents.values());
+  },
+
+  /**
+   * Make a document the front tab
+   * @param {string} id
+   */
+  setActive(id) {
+    if (this.documents.has(id)) {
+      this.activeId = id;
+    }
+  },
+
+  /**
+   * Forget a document
+   * @param {string} id
+   * @returns {string|null} Id of the neighbouring tab to show next
+   */
+  remove(id) {
+    const ids = Array.from(this.documents.keys());
+    const index = ids.indexOf(id);
+    if (index === -1) return this.activeId;
+
+    this.documents.delete(id);
+    const remaining = ids.filter((candidate) => candidate !== id);
+
+    if (this.activeId === id) {
+      this.activeId = null;
+      return remaining[Math.min(index, remaining.length - 1)] || null;
+    }
+    return this.activeId;
+  },
+};
+
+function getUntitledName(number) {
+  return !number || number === 1
+    ? `${UNTITLED_BASENAME}.md`
+    : `${UNTITLED_BASENAME}-${number}.md`;
+}
+
+// Expose to window for use by other modules
+window.DocumentManager = DocumentManager;
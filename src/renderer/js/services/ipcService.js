@@ -6,25 +6,28 @@
 /* global electronAPI */
 
 /**
- * Save file content
+ * Save a document's content
+ * @param {string} docId - Document being saved
  * @param {string} content - Content to save
  */
-function saveFile(content) {
-  electronAPI.saveFile(content);
+function saveFile(docId, content) {
+  electronAPI.saveFile(docId, content);
 }
 
 /**
- * Save file with new path
+ * Save a document with a new path
+ * @param {string} docId - Document being saved
  * @param {string} content - Content to save
  * @param {string} filePath - Path to save to
  */
-function saveFileAs(content, filePath) {
-  electronAPI.saveFileAs(content, filePath);
+function saveFileAs(docId, content, filePath) {
+  electronAPI.saveFileAs(docId, content, filePath);
 }
 
 /**
  * Register callback for file opened event
- * @param {Function} callback - Called with (content, filename)
+ * @param {Function} callback - Called with
+ *   (docId, content, filename, directory, filePath, recovered, assetHost)
  */
 function onFileOpened(callback) {
   electronAPI.onFileOpened(callback);
@@ -32,7 +35,7 @@ function onFileOpened(callback) {
 
 /**
  * Register callback for save file event
- * @param {Function} callback - Called when save is requested
+ * @param {Function} callback - Called with (docId)
  */
 function onSaveFile(callback) {
   electronAPI.onSaveFile(callback);
@@ -40,7 +43,7 @@ function onSaveFile(callback) {
 
 /**
  * Register callback for save file as event
- * @param {Function} callback - Called with (filePath)
+ * @param {Function} callback - Called with (docId, filePath)
  */
 function onSaveFileAs(callback) {
   electronAPI.onSaveFileAs(callback);
@@ -48,18 +51,378 @@ function onSaveFileAs(callback) {
 
 /**
  * Register callback for file saved confirmation
- * @param {Function} callback - Called with (filePath, filename)
+ * @param {Function} callback - Called with
+ *   (docId, filePath, filename, directory, assetHost)
  */
 function onFileSaved(callback) {
   electronAPI.onFileSaved(callback);
 }
 
+/**
+ * Register the provider the main process queries for document state
+ * @param {Function} callback - Returns [{ docId, isDirty, filename }]
+ */
+function onDocumentStateRequest(callback) {
+  electronAPI.onDocumentStateRequest(callback);
+}
+
+/**
+ * Register callback for the PDF page setup request
+ * @param {Function} callback - Called with no arguments
+ */
+function onShowPdfExportDialog(callback) {
+  electronAPI.onShowPdfExportDialog(callback);
+}
+
+/**
+ * Register callback for Edit > Find menu commands
+ * @param {Function} callback - Called with the command
+ */
+function onFindCommand(callback) {
+  electronAPI.onFindCommand(callback);
+}
+
+/**
+ * Export a document as PDF
+ * @param {string} docId - Document id
+ * @param {Object} options - Page setup from the export dialog
+ */
+function exportPdf(docId, options) {
+  electronAPI.exportPdf(docId, options);
+}
+
+/**
+ * Register the provider the main process queries when exporting
+ * @param {Function} callback - Called with (docId); returns
+ *   { markdown, html, filename } or null
+ */
+function onExportContentRequest(callback) {
+  electronAPI.onExportContentRequest(callback);
+}
+
+/**
+ * Register callback for changes made to a file by other programs
+ * @param {Function} callback - Called with (docId, kind, diskContent)
+ */
+function onFileChangedOnDisk(callback) {
+  electronAPI.onFileChangedOnDisk(callback);
+}
+
+/**
+ * Register callback for a file being renamed on disk
+ * @param {Function} callback - Called with
+ *   (docId, filePath, filename, directory, assetHost)
+ */
+function onFileRenamed(callback) {
+  electronAPI.onFileRenamed(callback);
+}
+
+/**
+ * Register callback for requests to bring a tab to the front
+ * @param {Function} callback - Called with (docId)
+ */
+function onFocusDocument(callback) {
+  electronAPI.onFocusDocument(callback);
+}
+
+/**
+ * Register callback for tabs closed by the main process
+ * @param {Function} callback - Called with (docId)
+ */
+function onCloseDocument(callback) {
+  electronAPI.onCloseDocument(callback);
+}
+
+/**
+ * Register callback for requests to open a new untitled tab
+ * @param {Function} callback - Called with (content)
+ */
+function onNewDocument(callback) {
+  electronAPI.onNewDocument(callback);
+}
+
+/**
+ * Register callback for requests to show the template gallery
+ * @param {Function} callback - Called with ([{ id, name, description,
+ *   builtIn }])
+ */
+function onShowTemplateGallery(callback) {
+  electronAPI.onShowTemplateGallery(callback);
+}
+
+/**
+ * Create a document from a template
+ * @param {string} templateId
+ * @param {string} title - Value for the {{title}} placeholder
+ */
+function createFromTemplate(templateId, title) {
+  electronAPI.createFromTemplate(templateId, title);
+}
+
+/**
+ * Reveal the user templates folder
+ */
+function openTemplatesFolder() {
+  electronAPI.openTemplatesFolder();
+}
+
+/**
+ * Register callback for unsaved documents recovered after a crash
+ * @param {Function} callback - Called with ([{ id, filePath, filename,
+ *   content, savedAt }])
+ */
+function onShowRecoveryDialog(callback) {
+  electronAPI.onShowRecoveryDialog(callback);
+}
+
+/**
+ * Keep a copy of an unsaved document in case the app crashes
+ * @param {string} docId
+ * @param {string} filename
+ * @param {string} content
+ */
+function saveRecoverySnapshot(docId, filename, content) {
+  electronAPI.saveRecoverySnapshot(docId, filename, content);
+}
+
+/**
+ * Reopen a recovered document in a new tab
+ * @param {string} snapshotId
+ */
+function restoreRecoverySnapshot(snapshotId) {
+  electronAPI.restoreRecoverySnapshot(snapshotId);
+}
+
+/**
+ * Delete a recovered document without opening it
+ * @param {string} snapshotId
+ */
+function discardRecoverySnapshot(snapshotId) {
+  electronAPI.discardRecoverySnapshot(snapshotId);
+}
+
+/**
+ * Read a preview theme's stylesheet
+ * @param {string} themeId - Value of the previewTheme setting
+ * @returns {Promise<string>}
+ */
+function getPreviewThemeCss(themeId) {
+  return electronAPI.getPreviewThemeCss(themeId);
+}
+
+/**
+ * Register callback for changes to the custom themes folder
+ * @param {Function} callback
+ */
+function onPreviewThemesChanged(callback) {
+  electronAPI.onPreviewThemesChanged(callback);
+}
+
+/**
+ * Save a diagram drawn as PNG where the user chooses
+ * @param {string} docId - Document the diagram belongs to
+ * @param {Uint8Array} data - PNG file contents
+ * @returns {Promise<boolean>} Whether a file was written
+ */
+function saveDiagramPng(docId, data) {
+  return electronAPI.saveDiagramPng(docId, data);
+}
+
+/**
+ * Register callback for File > Version History
+ * @param {Function} callback - Called with no arguments
+ */
+function onShowVersionHistory(callback) {
+  electronAPI.onShowVersionHistory(callback);
+}
+
+/**
+ * List the saved versions of a document's file, newest first
+ * @param {string} docId
+ * @returns {Promise<Array<{id: string, savedAt: number, size: number}>>}
+ */
+function listRevisions(docId) {
+  return electronAPI.listRevisions(docId);
+}
+
+/**
+ * Read the text of a saved version
+ * @param {string} docId
+ * @param {string} revisionId
+ * @returns {Promise<string>}
+ */
+function getRevision(docId, revisionId) {
+  return electronAPI.getRevision(docId, revisionId);
+}
+
+/**
+ * Register callback for workspace changes
+ * @param {Function} callback - Called with
+ *   ({ root, name, tree, truncated }), or null once it is closed
+ */
+function onWorkspaceChanged(callback) {
+  electronAPI.onWorkspaceChanged(callback);
+}
+
+/**
+ * Register callback for workspace context menu items
+ * @param {Function} callback - Called with (command, path)
+ */
+function onWorkspaceCommand(callback) {
+  electronAPI.onWorkspaceCommand(callback);
+}
+
+/**
+ * Change a file or folder in the workspace
+ * @param {{type: string, path: string, name?: string,
+ *   destination?: string}} operation
+ * @returns {Promise<{ok: boolean, error?: string, path?: string}>}
+ */
+function workspaceOperation(operation) {
+  return electronAPI.workspaceOperation(operation);
+}
+
+/**
+ * Show the context menu for a workspace entry
+ * @param {string} targetPath
+ * @param {boolean} isDirectory
+ */
+function showWorkspaceMenu(targetPath, isDirectory) {
+  electronAPI.showWorkspaceMenu(targetPath, isDirectory);
+}
+
+/**
+ * Close the workspace folder
+ */
+function closeWorkspace() {
+  electronAPI.closeWorkspace();
+}
+
+/**
+ * Register callback for Edit > Find > Find in Folder
+ * @param {Function} callback - Called with no arguments
+ */
+function onShowWorkspaceSearch(callback) {
+  electronAPI.onShowWorkspaceSearch(callback);
+}
+
+/**
+ * Search the markdown files of the workspace
+ * @param {number} searchId - Sent back with the results
+ * @param {Object} search - Query, options and include/exclude globs
+ */
+function searchWorkspace(searchId, search) {
+  electronAPI.searchWorkspace(searchId, search);
+}
+
+/**
+ * Stop the running workspace search
+ */
+function cancelWorkspaceSearch() {
+  electronAPI.cancelWorkspaceSearch();
+}
+
+/**
+ * Register callback for files with matches from a workspace search
+ * @param {Function} callback - Called with (searchId, results)
+ */
+function onWorkspaceSearchResults(callback) {
+  electronAPI.onWorkspaceSearchResults(callback);
+}
+
+/**
+ * Register callback for the end of a workspace search
+ * @param {Function} callback - Called with (searchId, summary)
+ */
+function onWorkspaceSearchDone(callback) {
+  electronAPI.onWorkspaceSearchDone(callback);
+}
+
+/**
+ * Replace search matches across the workspace
+ * @param {{search: Object, replacement: string, files: Array}} request
+ * @returns {Promise<{ok: boolean, error?: string, fileCount?: number,
+ *   matchCount?: number, skipped?: Array}>}
+ */
+function replaceInWorkspace(request) {
+  return electronAPI.replaceInWorkspace(request);
+}
+
+/**
+ * Listen for a followed wiki link that should scroll to a heading
+ * @param {Function} callback - Called with (docId, headingId)
+ */
+function onRevealHeading(callback) {
+  electronAPI.onRevealHeading(callback);
+}
+
+/**
+ * List the workspace documents that link to a document
+ * @param {string} docId
+ * @returns {Promise<{backlinks: Array, truncated: boolean}|null>}
+ */
+function listBacklinks(docId) {
+  return electronAPI.listBacklinks(docId);
+}
+
+/**
+ * Read every setting
+ * @returns {Promise<Object>}
+ */
+function getSettings() {
+  return electronAPI.getSettings();
+}
+
+/**
+ * Change a setting
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<{ok: boolean, error: string|null, settings: Object}>}
+ */
+function setSetting(key, value) {
+  return electronAPI.setSetting(key, value);
+}
+
+/**
+ * Register callback for settings changes
+ * @param {Function} callback - Called with the full settings object
+ */
+function onSettingsChanged(callback) {
+  electronAPI.onSettingsChanged(callback);
+}
+
+/**
+ * Resolve an external change
+ * @param {string} docId - Document the change belongs to
+ * @param {string} action - 'reload' or 'keep'
+ */
+function resolveExternalChange(docId, action) {
+  electronAPI.resolveExternalChange(docId, action);
+}
+
+/**
+ * Report the front tab to the main process
+ * @param {string} docId
+ */
+function setActiveDocument(docId) {
+  electronAPI.setActiveDocument(docId);
+}
+
+/**
+ * Ask the main process to close a tab
+ * @param {string} docId
+ */
+function requestCloseDocument(docId) {
+  electronAPI.requestCloseDocument(docId);
+}
+
 /**
  * Update dirty state indicator
+ * @param {string} docId
  * @param {boolean} isDirty
  */
-function setDirtyState(isDirty) {
-  electronAPI.setDirtyState(isDirty);
+function setDirtyState(docId, isDirty) {
+  electronAPI.setDirtyState(docId, isDirty);
 }
 
 /**
@@ -78,6 +441,48 @@ window.IPCService = {
   onSaveFile,
   onSaveFileAs,
   onFileSaved,
+  onDocumentStateRequest,
+  onExportContentRequest,
+  onShowPdfExportDialog,
+  onFindCommand,
+  exportPdf,
+  onFileChangedOnDisk,
+  onFileRenamed,
+  onFocusDocument,
+  onCloseDocument,
+  onNewDocument,
+  onShowTemplateGallery,
+  createFromTemplate,
+  openTemplatesFolder,
+  onShowRecoveryDialog,
+  saveRecoverySnapshot,
+  restoreRecoverySnapshot,
+  discardRecoverySnapshot,
+  getPreviewThemeCss,
+  onPreviewThemesChanged,
+  saveDiagramPng,
+  onShowVersionHistory,
+  listRevisions,
+  getRevision,
+  onWorkspaceChanged,
+  onWorkspaceCommand,
+  workspaceOperation,
+  showWorkspaceMenu,
+  closeWorkspace,
+  onShowWorkspaceSearch,
+  searchWorkspace,
+  cancelWorkspaceSearch,
+  onWorkspaceSearchResults,
+  onWorkspaceSearchDone,
+  replaceInWorkspace,
+  onRevealHeading,
+  listBacklinks,
+  getSettings,
+  setSetting,
+  onSettingsChanged,
+  resolveExternalChange,
+  setActiveDocument,
+  requestCloseDocument,
   setDirtyState,
   openPath,
 };
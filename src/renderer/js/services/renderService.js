@@ -0,0 +1,127 @@
+/**
+ * Render Service
+ * Runs markdown rendering in a Web Worker so typing never waits for it.
+ * Only one render runs at a time; requests made meanwhile replace each
+ * other, so at most one waits and stale ones never start. Without a worker
+ * (or after it fails) rendering falls back to the page's MarkdownService.
+ */
+
+/* global MarkdownService */
+
+const WORKER_URL = 'js/workers/markdownWorker.js';
+
+const RenderService = {
+  worker: null,
+  nextId: 1,
+  inFlight: null,
+  pending: null,
+  // Document the newest request was for; results for others are dropped
+  latestKey: null,
+
+  /**
+   * Start the worker
+   */
+  init() {
+    if (typeof Worker === 'undefined') return;
+
+    try {
+      this.worker = new Worker(WORKER_URL);
+    } catch (error) {
+      console.error('Unable to start the markdown worker:', error);
+      return;
+    }
+
+    this.worker.addEventListener('message', (event) =>
+      this.handleReply(event.data)
+    );
+    this.worker.addEventListener('error', (event) => {
+      console.error('Markdown worker failed:', event.message);
+      this.stopWorker();
+    });
+  },
+
+  /**
+   * Render markdown into blocks
+   * @param {string} markdown
+   * @param {string} key - Document the markdown belongs to
+   * @returns {Promise<Array<{html: string, line: number, end: number}>|null>}
+   *   Unsanitized blocks (see MarkdownService.renderBlocks), or null when a
+   *   newer request made this one pointless
+   */
+  render(markdown, key) {
+    this.latestKey = key;
+
+    return new Promise((resolve) => {
+      if (this.pending) {
+        this.pending.resolve(null);
+      }
+      this.pending = { id: this.nextId++, markdown, key, resolve };
+      this.pump();
+    });
+  },
+
+  pump() {
+    if (this.inFlight || !this.pending) return;
+
+    const request = this.pending;
+    this.pending = null;
+
+    if (!this.worker) {
+      this.finish(request, renderOnPage(request.markdown));
+      this.pump();
+      return;
+    }
+
+    this.inFlight = request;
+    this.worker.postMessage({
+      id: request.id,
+      markdown: request.markdown,
+      options: MarkdownService.getRenderOptions(),
+    });
+  },
+
+  handleReply({ id, blocks, error }) {
+    const request = this.inFlight;
+    if (!request || request.id !== id) return;
+
+    this.inFlight = null;
+    if (error) {
+      console.error('Error rendering markdown:', error);
+      this.finish(request, renderOnPage(request.markdown));
+    } else {
+      this.finish(request, blocks);
+    }
+    this.pump();
+  },
+
+  finish(request, blocks) {
+    // An older render of the same document still beats what is on screen
+    request.resolve(request.key === this.latestKey ? blocks : null);
+  },
+
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    const request = this.inFlight;
+    this.inFlight = null;
+    if (request) {
+      this.finish(request, renderOnPage(request.markdown));
+    }
+    this.pump();
+  },
+};
+
+function renderOnPage(markdown) {
+  try {
+    return MarkdownService.renderBlocks(markdown);
+  } catch (error) {
+    console.error('Error rendering markdown:', error);
+    return [];
+  }
+}
+
+// Expose to window
+window.RenderService = RenderService;
@@ -0,0 +1,96 @@
+/**
+ * Wiki Pages
+ * The markdown files of the open folder, as the pages [[Page]] links name.
+ * Tells the preview which links have no page yet and suggests page names
+ * while a link is typed.
+ */
+
+/* global MarkdownService */
+
+// An unclosed [[ before the cursor, up to a | or #
+const WIKI_LINK_PREFIX = /\[\[([^[\]|#\n]*)$/;
+
+// Suggestions listed at once
+const MAX_SUGGESTIONS = 50;
+
+const WikiPages = {
+  // Paths relative to the workspace, without extension; null without one
+  pages: null,
+  // False when the workspace listing stopped early
+  complete: false,
+
+  /**
+   * Take the pages from a workspace snapshot
+   * @param {Object|null} workspace - From onWorkspaceChanged; null when the
+   *   folder was closed
+   */
+  setWorkspace(workspace) {
+    this.pages = workspace ? workspace.pages : null;
+    this.complete = Boolean(workspace) && !workspace.truncated;
+  },
+
+  /**
+   * Whether a link target is known to have no page. Without a workspace, or
+   * when it was too big to list, nothing is reported missing.
+   * @param {string} target
+   * @returns {boolean}
+   */
+  isMissing(target) {
+    if (!this.pages || !this.complete) return false;
+    return !this.pages.some((page) =>
+      MarkdownService.matchesWikiPage(target, page)
+    );
+  },
+
+  /**
+   * Completions for a link being typed (see Editor.setCompletionSource).
+   * Pages that share a name are offered by their path.
+   * @param {string} before - Text before the cursor on its line
+   * @param {string} after - Text after it
+   * @returns {{from: number, to: number, list: Array<{text: string,
+   *   displayText: string}>}|null}
+   */
+  getCompletions(before, after) {
+    const match = before.match(WIKI_LINK_PREFIX);
+    if (!match || !this.pages) return null;
+
+    const query = match[1].trim().toLowerCase();
+    const names = this.pages.map((page) => page.split('/').pop());
+    const counts = new Map();
+    names.forEach((name) => {
+      const key = name.toLowerCase();
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const list = this.pages
+      .map((page, index) => ({ page, name: names[index] }))
+      .filter(({ page }) => page.toLowerCase().includes(query))
+      // Names that start with what was typed come first
+      .sort(
+        (a, b) =>
+          Number(!a.name.toLowerCase().startsWith(query)) -
+            Number(!b.name.toLowerCase().startsWith(query)) ||
+          a.name.localeCompare(b.name) ||
+          a.page.localeCompare(b.page)
+      )
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ page, name }) => {
+        const shared = counts.get(name.toLowerCase()) > 1;
+        return {
+          text: `${shared ? page : name}]]`,
+          displayText: shared ? page : name,
+        };
+      });
+
+    // Complete over the brackets when the link is already closed
+    const closed = after.startsWith(']]');
+    return {
+      from: before.length - match[1].length,
+      to: before.length + (closed ? 2 : 0),
+      list,
+    };
+  },
+};
+
+// Expose to window for use by other modules
+window.WikiPages = WikiPages;
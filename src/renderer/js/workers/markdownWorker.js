@@ -0,0 +1,38 @@
+/**
+ * Markdown Worker
+ * Parses, highlights and typesets markdown off the UI thread. Replies with
+ * unsanitized HTML per top-level block; the page sanitizes what it inserts,
+ * since DOMPurify needs a DOM.
+ *
+ * Request: { id, markdown, options: { gfm, breaks, strict } }
+ * Reply: { id, blocks: [{ html, line, end, frontMatter? }] } or { id, error }
+ */
+
+/* global importScripts, marked, hljs, katex, jsyaml, createMarkdownService */
+
+importScripts(
+  '../../../../node_modules/marked/marked.min.js',
+  '../../../../node_modules/@highlightjs/cdn-assets/highlight.min.js',
+  '../../../../node_modules/katex/dist/katex.min.js',
+  '../../../../node_modules/js-yaml/dist/js-yaml.min.js',
+  '../../../shared/markdownService.js'
+);
+
+const service = createMarkdownService(marked, null, {
+  highlighter: hljs,
+  typesetter: katex,
+  yaml: jsyaml,
+});
+
+self.addEventListener('message', (event) => {
+  const { id, markdown, options } = event.data;
+
+  try {
+    service.setMarkdownOptions(options);
+    service.setStrictMode(options.strict);
+    const blocks = service.renderBlocks(markdown);
+    self.postMessage({ id, blocks });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -9,12 +9,100 @@ const IPC_CHANNELS = {
   SAVE_FILE: 'save-file',
   SAVE_FILE_AS: 'save-file-as',
   FILE_SAVED: 'file-saved',
+  REQUEST_DOCUMENT_STATE: 'request-document-state',
+  FILE_CHANGED_ON_DISK: 'file-changed-on-disk',
+  FILE_RENAMED: 'file-renamed',
+  FOCUS_DOCUMENT: 'focus-document',
+  CLOSE_DOCUMENT: 'close-document',
+  NEW_DOCUMENT: 'new-document',
+  SHOW_TEMPLATE_GALLERY: 'show-template-gallery',
+  REQUEST_EXPORT_CONTENT: 'request-export-content',
+  SHOW_PDF_EXPORT_DIALOG: 'show-pdf-export-dialog',
+  FIND_COMMAND: 'find-command',
+  SHOW_RECOVERY_DIALOG: 'show-recovery-dialog',
+  SHOW_VERSION_HISTORY: 'show-version-history',
+  WORKSPACE_CHANGED: 'workspace-changed',
+  WORKSPACE_COMMAND: 'workspace-command',
+  SHOW_WORKSPACE_SEARCH: 'show-workspace-search',
+  WORKSPACE_SEARCH_RESULTS: 'workspace-search-results',
+  WORKSPACE_SEARCH_DONE: 'workspace-search-done',
+  REVEAL_HEADING: 'reveal-heading',
 
   // Renderer -> Main
   FILE_CONTENT: 'file-content',
   FILE_CONTENT_SAVE_AS: 'file-content-save-as',
   SET_DIRTY_STATE: 'set-dirty-state',
   REQUEST_OPEN_PATH: 'request-open-path',
+  RENDERER_RESPONSE: 'renderer-response',
+  RESOLVE_EXTERNAL_CHANGE: 'resolve-external-change',
+  SET_ACTIVE_DOCUMENT: 'set-active-document',
+  REQUEST_CLOSE_DOCUMENT: 'request-close-document',
+  CREATE_FROM_TEMPLATE: 'create-from-template',
+  OPEN_TEMPLATES_FOLDER: 'open-templates-folder',
+  OPEN_THEMES_FOLDER: 'open-themes-folder',
+  RESET_SETTINGS: 'reset-settings',
+  EXPORT_PDF: 'export-pdf',
+  SAVE_RECOVERY_SNAPSHOT: 'save-recovery-snapshot',
+  RESTORE_RECOVERY_SNAPSHOT: 'restore-recovery-snapshot',
+  DISCARD_RECOVERY_SNAPSHOT: 'discard-recovery-snapshot',
+  SHOW_WORKSPACE_MENU: 'show-workspace-menu',
+  CLOSE_WORKSPACE: 'close-workspace',
+  SEARCH_WORKSPACE: 'search-workspace',
+  CANCEL_WORKSPACE_SEARCH: 'cancel-workspace-search',
+
+  // Renderer -> Main, answered through ipcRenderer.invoke
+  GET_SETTINGS: 'get-settings',
+  SET_SETTING: 'set-setting',
+  LIST_PREVIEW_THEMES: 'list-preview-themes',
+  GET_PREVIEW_THEME_CSS: 'get-preview-theme-css',
+  SAVE_DIAGRAM_PNG: 'save-diagram-png',
+  LIST_REVISIONS: 'list-revisions',
+  GET_REVISION: 'get-revision',
+  WORKSPACE_OPERATION: 'workspace-operation',
+  REPLACE_IN_WORKSPACE: 'replace-in-workspace',
+  LIST_BACKLINKS: 'list-backlinks',
+
+  // Main -> every window
+  SETTINGS_CHANGED: 'settings-changed',
+  PREVIEW_THEMES_CHANGED: 'preview-themes-changed',
+};
+
+// Edit > Find menu commands, sent with FIND_COMMAND
+const FIND_COMMANDS = {
+  FIND: 'find',
+  REPLACE: 'replace',
+  FIND_NEXT: 'find-next',
+  FIND_PREVIOUS: 'find-previous',
+};
+
+// Changes to workspace files, sent with WORKSPACE_OPERATION
+const WORKSPACE_OPERATIONS = {
+  OPEN: 'open',
+  CREATE_FILE: 'create-file',
+  CREATE_FOLDER: 'create-folder',
+  RENAME: 'rename',
+  MOVE: 'move',
+  DELETE: 'delete',
+};
+
+// Workspace context menu items the sidebar carries out, sent with
+// WORKSPACE_COMMAND
+const WORKSPACE_COMMANDS = {
+  NEW_FILE: 'new-file',
+  NEW_FOLDER: 'new-folder',
+  RENAME: 'rename',
+};
+
+// What happened to the open file outside the app
+const EXTERNAL_CHANGE_KINDS = {
+  MODIFIED: 'modified',
+  DELETED: 'deleted',
+};
+
+// How the user resolved an external change
+const EXTERNAL_CHANGE_ACTIONS = {
+  RELOAD: 'reload',
+  KEEP: 'keep',
 };
 
 // View Modes
@@ -30,6 +118,18 @@ const FILE_FILTERS = {
     name: 'Markdown Files',
     extensions: ['md', 'markdown', 'mdown', 'mkd', 'mkdn'],
   },
+  HTML: {
+    name: 'HTML Files',
+    extensions: ['html', 'htm'],
+  },
+  PDF: {
+    name: 'PDF Files',
+    extensions: ['pdf'],
+  },
+  PNG: {
+    name: 'PNG Images',
+    extensions: ['png'],
+  },
   ALL: {
     name: 'All Files',
     extensions: ['*'],
@@ -42,6 +142,60 @@ const WINDOW_CONFIG = {
   DEFAULT_HEIGHT: 800,
   MIN_WIDTH: 800,
   MIN_HEIGHT: 600,
+  // Offset applied to each new window so it does not cover the last one
+  CASCADE_OFFSET: 24,
+};
+
+// Where files opened from the command line or Finder go
+const OPEN_FILES_IN = {
+  FOCUSED_WINDOW: 'focused-window',
+  NEW_WINDOW: 'new-window',
+};
+
+// Color scheme preference
+const THEMES = {
+  SYSTEM: 'system',
+  LIGHT: 'light',
+  DARK: 'dark',
+};
+
+// highlight.js styles used for code blocks in each appearance
+const CODE_THEMES = {
+  LIGHT: 'stackoverflow-light',
+  DARK: 'stackoverflow-dark',
+};
+
+// Built-in preview themes; each has a stylesheet in src/renderer/css/themes
+const PREVIEW_THEMES = {
+  GITHUB: 'github',
+  ACADEMIC: 'academic',
+  HIGH_CONTRAST: 'high-contrast',
+};
+
+// Preview theme ids for CSS files in the user's themes folder start with this
+const CUSTOM_THEME_PREFIX = 'custom:';
+
+// When documents that already have a file are saved automatically
+const AUTOSAVE_MODES = {
+  OFF: 'off',
+  AFTER_DELAY: 'afterDelay',
+  ON_FOCUS_CHANGE: 'onFocusChange',
+};
+
+// Paper sizes offered when exporting to PDF (names printToPDF accepts)
+const PDF_PAGE_SIZES = ['A4', 'A3', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+// PDF margin presets, in inches
+const PDF_MARGINS = {
+  none: 0,
+  narrow: 0.4,
+  normal: 0.75,
+  wide: 1,
+};
+
+// Custom protocol that serves files relative to the open document
+const ASSET_PROTOCOL = {
+  SCHEME: 'md-asset',
 };
 
 // Application Info
@@ -52,8 +206,22 @@ const APP_INFO = {
 
 module.exports = {
   IPC_CHANNELS,
+  EXTERNAL_CHANGE_KINDS,
+  EXTERNAL_CHANGE_ACTIONS,
+  FIND_COMMANDS,
+  WORKSPACE_OPERATIONS,
+  WORKSPACE_COMMANDS,
   VIEW_MODES,
   FILE_FILTERS,
   WINDOW_CONFIG,
+  OPEN_FILES_IN,
+  THEMES,
+  CODE_THEMES,
+  PREVIEW_THEMES,
+  CUSTOM_THEME_PREFIX,
+  AUTOSAVE_MODES,
+  PDF_PAGE_SIZES,
+  PDF_MARGINS,
   APP_INFO,
+  ASSET_PROTOCOL,
 };
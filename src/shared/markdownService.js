@@ -0,0 +1,1120 @@
+/**
+ * Markdown service
+ * Handles parsing markdown to HTML using marked.js and sanitizing the
+ * result with DOMPurify before it is handed to the preview. Fenced code
+ * blocks are highlighted with highlight.js, $…$ / $$…$$ math is typeset
+ * with KaTeX and YAML front matter is parsed with js-yaml when they are
+ * available; Mermaid blocks are left for the preview to draw. [[Page]]
+ * wiki links become wiki: links that the main process resolves against
+ * the open folder.
+ *
+ * Loaded by the renderer as a plain script (exposing window.MarkdownService),
+ * by the preview worker through importScripts (which creates its own
+ * instance without DOMPurify), and by Node code through require(), which
+ * gets createMarkdownService so it can supply its own marked module and
+ * DOMPurify instance.
+ */
+
+/* global marked, DOMPurify, hljs, katex, jsyaml */
+
+// Guessing the language is slow on big blocks; those stay plain
+const MAX_AUTO_DETECT_LENGTH = 20000;
+
+// Block tokens that never render anything
+const EMPTY_TOKENS = ['space', 'def'];
+
+// Weaker guesses are usually wrong, and plain text reads better than
+// wrong colors
+const MIN_AUTO_DETECT_RELEVANCE = 3;
+
+// Languages considered when a block has none; guessing among every
+// bundled grammar picks obscure ones for short snippets
+const AUTO_DETECT_LANGUAGES = [
+  'bash',
+  'c',
+  'cpp',
+  'csharp',
+  'css',
+  'diff',
+  'go',
+  'java',
+  'javascript',
+  'json',
+  'kotlin',
+  'markdown',
+  'php',
+  'python',
+  'ruby',
+  'rust',
+  'sql',
+  'swift',
+  'typescript',
+  'xml',
+  'yaml',
+];
+
+// KaTeX renders MathML only: the browser lays it out, so it needs no inline
+// styles (which the preview's CSP blocks) and no web fonts
+const MATH_OPTIONS = {
+  output: 'mathml',
+  throwOnError: true,
+  strict: 'ignore',
+  trust: false,
+};
+
+// $$…$$ on lines of its own
+const BLOCK_MATH_PATTERN =
+  /^ {0,3}\$\$((?:[^$]|\$(?!\$))+?)\$\$[ \t]*(?:\n+|$)/;
+const BLOCK_MATH_START = /^ {0,3}\$\$(?:[^$]|\$(?!\$))+?\$\$[ \t]*$/m;
+// $$…$$ within a paragraph
+const DISPLAY_MATH_PATTERN = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$/;
+// $…$ that neither starts nor ends with a space and is not followed by a
+// digit, so prices like "$5 and $10" stay text
+const INLINE_MATH_PATTERN = /^\$(?!\s)((?:\\[\s\S]|[^\\$])+?)(?<!\s)\$(?!\d)/;
+
+// [[Page]], [[Page#Heading]], [[#Heading]], each with an optional |label
+const WIKI_LINK_PATTERN = /^\[\[([^[\]\n]+?)\]\]/;
+const WIKI_LINK_SEARCH = /\[\[([^[\]\n]+?)\]\]/g;
+// Page names leave the extension out. Must match FILE_FILTERS.MARKDOWN in
+// src/shared/constants.js
+const WIKI_PAGE_EXTENSION = /\.(?:md|markdown|mdown|mkd|mkdn)$/i;
+// Fences and code spans, which wiki links are not looked for in
+const FENCE_OPEN_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const FENCE_CLOSE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const CODE_SPAN_PATTERN = /(`+).*?\1/g;
+
+// Front matter: '---' on the first line, not followed by a blank line (that
+// is a horizontal rule), up to a line with '---' or '...'
+const FRONT_MATTER_PATTERN =
+  /^\uFEFF?---[ \t]*\n(?![ \t]*\n)((?:.*\n)*?)(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+
+// Fields static-site generators agree on: [check, what the value should be]
+const TEXT = [isText, 'text'];
+const TEXT_OR_LIST = [
+  (value) => isText(value) || isTextList(value),
+  'text or a list of text',
+];
+const DATE = [isDate, 'a date such as 2024-01-31'];
+const FRONT_MATTER_FIELDS = {
+  title: TEXT,
+  description: TEXT,
+  author: TEXT_OR_LIST,
+  date: DATE,
+  lastmod: DATE,
+  tags: TEXT_OR_LIST,
+  categories: TEXT_OR_LIST,
+  keywords: TEXT_OR_LIST,
+  draft: [(value) => typeof value === 'boolean', 'true or false'],
+};
+
+// DOMPurify instances that have the keepInputsInert hook
+const inertInputPurifiers = new WeakSet();
+
+/**
+ * Default sanitizer allowlist. Anything not listed here is removed from the
+ * rendered HTML, so markdown from untrusted sources cannot run script.
+ */
+const DEFAULT_SANITIZER_CONFIG = {
+  allowedTags: [
+    'a',
+    'abbr',
+    'b',
+    'blockquote',
+    'br',
+    'code',
+    'dd',
+    'del',
+    'details',
+    'div',
+    'dl',
+    'dt',
+    'em',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'hr',
+    'i',
+    'img',
+    'input',
+    'ins',
+    'kbd',
+    'li',
+    'mark',
+    'ol',
+    'p',
+    'pre',
+    'q',
+    's',
+    'samp',
+    'small',
+    'span',
+    'strong',
+    'sub',
+    'summary',
+    'sup',
+    'table',
+    'tbody',
+    'td',
+    'tfoot',
+    'th',
+    'thead',
+    'tr',
+    'u',
+    'ul',
+    // MathML produced by KaTeX
+    'math',
+    'menclose',
+    'merror',
+    'mfrac',
+    'mi',
+    'mlabeledtr',
+    'mmultiscripts',
+    'mn',
+    'mo',
+    'mover',
+    'mpadded',
+    'mphantom',
+    'mroot',
+    'mrow',
+    'ms',
+    'mspace',
+    'msqrt',
+    'mstyle',
+    'msub',
+    'msubsup',
+    'msup',
+    'mtable',
+    'mtd',
+    'mtext',
+    'mtr',
+    'munder',
+    'munderover',
+  ],
+  allowedAttributes: [
+    'accent',
+    'accentunder',
+    'align',
+    'alt',
+    'checked',
+    'class',
+    'colspan',
+    'columnalign',
+    'columnlines',
+    'columnspacing',
+    'depth',
+    'disabled',
+    'display',
+    'displaystyle',
+    'fence',
+    'height',
+    'href',
+    'id',
+    'lang',
+    'largeop',
+    'linethickness',
+    'lspace',
+    'mathbackground',
+    'mathcolor',
+    'mathvariant',
+    'maxsize',
+    'minsize',
+    'movablelimits',
+    'notation',
+    'open',
+    'rowalign',
+    'rowlines',
+    'rowspacing',
+    'rowspan',
+    'rspace',
+    'scriptlevel',
+    'separator',
+    'src',
+    'start',
+    'stretchy',
+    'symmetric',
+    'title',
+    'type',
+    'voffset',
+    'width',
+    'xmlns',
+  ],
+  allowedSchemes: ['http', 'https', 'mailto', 'wiki'],
+  strict: false,
+};
+
+/**
+ * Create a markdown service
+ * @param {Object} markedLib - The marked module (needs the Marked class)
+ * @param {Object|null} purify - A DOMPurify instance bound to a DOM
+ *   window; null where there is no DOM (workers), which leaves only
+ *   renderBlocks usable
+ * @param {Object} [libraries] - Optional renderers
+ * @param {Object} [libraries.highlighter] - highlight.js; code blocks stay
+ *   plain without it
+ * @param {Object} [libraries.typesetter] - KaTeX; dollar signs stay text
+ *   without it
+ * @param {Object} [libraries.yaml] - js-yaml; front matter is still hidden
+ *   from the body without it, but shown unparsed
+ * @returns {Object} The service API
+ */
+function createMarkdownService(
+  markedLib,
+  purify,
+  { highlighter = null, typesetter = null, yaml = null } = {}
+) {
+  let sanitizerConfig = cloneConfig(DEFAULT_SANITIZER_CONFIG);
+  // Heading ids handed out by the current render, to keep them unique
+  let usedHeadingIds = new Set();
+
+  const parser = new markedLib.Marked({
+    gfm: true, // GitHub Flavored Markdown
+    breaks: false, // Don't convert \n to <br>
+    mangle: false,
+  });
+
+  parser.use({
+    renderer: {
+      // Strict mode drops raw HTML blocks and inline tags entirely instead of
+      // relying on the sanitizer to clean them up.
+      html(html) {
+        return sanitizerConfig.strict ? '' : html;
+      },
+      code(code, infostring) {
+        if (getFenceLanguage(infostring) === 'mermaid') {
+          return renderDiagramSource(code);
+        }
+        return highlighter
+          ? renderCodeBlock(code, infostring, highlighter)
+          : false;
+      },
+      // Ids follow the same rules as getOutline so outline entries and
+      // #fragment links find their heading
+      heading(text, level) {
+        const id = slugify(htmlToText(text), usedHeadingIds);
+        return `<h${level} id="${escapeHtml(id)}">${text}</h${level}>\n`;
+      },
+    },
+  });
+
+  parser.use({ extensions: [wikiLinkExtension] });
+
+  if (typesetter) {
+    parser.use({ extensions: createMathExtensions(typesetter) });
+  }
+
+  // Services sharing a DOMPurify instance share its hooks, so the hook is
+  // added once per instance
+  if (purify && !inertInputPurifiers.has(purify)) {
+    purify.addHook('afterSanitizeAttributes', keepInputsInert);
+    inertInputPurifiers.add(purify);
+  }
+
+  /**
+   * Parse markdown text to sanitized HTML
+   * @param {string} markdown - The markdown text
+   * @returns {string} HTML string
+   */
+  function parseMarkdown(markdown) {
+    if (!markdown || markdown.trim() === '') {
+      return '<p>No preview available</p>';
+    }
+
+    try {
+      // The front matter card belongs to the preview, not the document
+      const blocks = renderBlocks(markdown).filter(
+        (block) => !block.frontMatter
+      );
+      return sanitizeHtml(blocks.map((block) => block.html).join(''));
+    } catch (error) {
+      console.error('Error parsing markdown:', error);
+      return '<p>Error parsing markdown</p>';
+    }
+  }
+
+  /**
+   * Render each top-level block separately, with the source lines it came
+   * from (see locateTokens). Needs no DOM, so it also runs in the preview
+   * worker.
+   * @param {string} markdown
+   * @returns {Array<{html: string, line: number, end: number,
+   *   frontMatter?: boolean}>} Unsanitized HTML; lines are zero-based and
+   *   end is exclusive (-1 when unknown). Front matter comes first, as a
+   *   properties card flagged with frontMatter.
+   */
+  function renderBlocks(markdown) {
+    const blocks = [];
+    usedHeadingIds = new Set();
+
+    const frontMatter = getFrontMatter(markdown);
+    if (frontMatter) {
+      blocks.push({
+        html: renderFrontMatter(frontMatter),
+        line: 0,
+        end: frontMatter.lines,
+        frontMatter: true,
+      });
+    }
+
+    locateTokens(markdown).forEach(({ token, line, end }) => {
+      if (EMPTY_TOKENS.includes(token.type)) return;
+
+      const html = parser.parser([token]);
+      if (html.trim() !== '') {
+        blocks.push({ html, line, end });
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Top-level headings with their ids (as rendered) and the source lines of
+   * the section each one starts
+   * @param {string} markdown
+   * @returns {Array<{level: number, text: string, id: string, line: number,
+   *   end: number}>} Lines are zero-based; end is exclusive and is where
+   *   the next heading of the same or a higher level starts
+   */
+  function getOutline(markdown) {
+    const located = locateTokens(markdown);
+    const lineCount = countNewlines(normalizeNewlines(markdown)) + 1;
+    const topLevel = new Set(located.map(({ token }) => token));
+    const used = new Set();
+    const headings = [];
+
+    // Nested headings (in lists, quotes) take ids too, in document order
+    parser.walkTokens(
+      located.map(({ token }) => token),
+      (token) => {
+        if (token.type !== 'heading') return;
+
+        const text = getHeadingText(token);
+        const id = slugify(text, used);
+        if (topLevel.has(token)) {
+          const { line } = located.find((entry) => entry.token === token);
+          headings.push({ level: token.depth, text, id, line });
+        }
+      }
+    );
+
+    return headings
+      .filter((heading) => heading.line !== -1)
+      .map((heading, index, list) => {
+        const next = list
+          .slice(index + 1)
+          .find((other) => other.level <= heading.level);
+        return { ...heading, end: next ? next.line : lineCount };
+      });
+  }
+
+  /**
+   * Parse the document's front matter
+   * @param {string} markdown
+   * @returns {{data: Object|null, yaml: string, errors: string[],
+   *   lines: number}|null} Null without front matter. data is null when
+   *   the YAML cannot be read; lines is how many source lines the block
+   *   takes, fences included.
+   */
+  function getFrontMatter(markdown) {
+    const block = splitFrontMatter(markdown);
+    if (!block) return null;
+
+    const result = {
+      data: null,
+      yaml: block.yaml,
+      errors: [],
+      lines: block.lines,
+    };
+    if (!yaml) return result;
+
+    let data;
+    try {
+      // The core schema keeps dates as the text that was written
+      data = yaml.load(block.yaml, { schema: yaml.CORE_SCHEMA });
+    } catch (error) {
+      // Lines are counted from the opening '---'
+      const line = error.mark ? ` on line ${error.mark.line + 2}` : '';
+      result.errors.push(
+        `Invalid YAML${line}: ${error.reason || error.message}`
+      );
+      return result;
+    }
+
+    if (data === null || data === undefined) {
+      result.data = {};
+    } else if (typeof data !== 'object' || Array.isArray(data)) {
+      result.errors.push('Front matter must be a list of key: value pairs');
+    } else {
+      result.data = data;
+      result.errors = validateFrontMatter(data);
+    }
+    return result;
+  }
+
+  /**
+   * Lex markdown and find the source lines of each top-level token. Tokens
+   * are located by searching for their raw text, because some (link
+   * definitions) are dropped from the token list. Front matter is skipped,
+   * but lines still count from the top of the file.
+   * @param {string} markdown
+   * @returns {Array<{token: Object, line: number, end: number}>} Lines are
+   *   zero-based and end is exclusive (-1 when unknown)
+   */
+  function locateTokens(markdown) {
+    let source = normalizeNewlines(markdown);
+    let offset = 0;
+    let line = 0;
+
+    const frontMatter = splitFrontMatter(source);
+    if (frontMatter) {
+      source = source.slice(frontMatter.raw.length);
+      line = frontMatter.lines;
+    }
+
+    return parser.lexer(source).map((token) => {
+      const start = token.raw ? source.indexOf(token.raw, offset) : -1;
+      if (start === -1) {
+        return { token, line: -1, end: -1 };
+      }
+
+      line += countNewlines(source.slice(offset, start));
+      offset = start + token.raw.length;
+      const startLine = line;
+      line += countNewlines(token.raw);
+      return {
+        token,
+        line: startLine,
+        end: startLine + countNewlines(token.raw.replace(/\n+$/, '')) + 1,
+      };
+    });
+  }
+
+  /**
+   * Plain text of a heading, from the same HTML the heading renderer gets
+   * @param {Object} token - A heading token
+   * @returns {string}
+   */
+  function getHeadingText(token) {
+    const inlineParser = new markedLib.Parser(parser.defaults);
+    return htmlToText(inlineParser.parseInline(token.tokens));
+  }
+
+  /**
+   * Strip everything outside the sanitizer allowlist from an HTML string
+   * @param {string} html - Untrusted HTML
+   * @returns {string} Safe HTML string
+   */
+  function sanitizeHtml(html) {
+    if (!purify) {
+      throw new Error('Sanitizing needs a DOMPurify instance');
+    }
+    return purify.sanitize(html, {
+      ALLOWED_TAGS: sanitizerConfig.allowedTags,
+      ALLOWED_ATTR: sanitizerConfig.allowedAttributes,
+      ALLOWED_URI_REGEXP: buildSchemePattern(sanitizerConfig.allowedSchemes),
+      ALLOW_DATA_ATTR: false,
+      ALLOW_UNKNOWN_PROTOCOLS: false,
+    });
+  }
+
+  /**
+   * Update the sanitizer allowlist. Omitted keys keep their current value.
+   * @param {Object} options
+   * @param {string[]} [options.allowedTags] - Element names to keep
+   * @param {string[]} [options.allowedAttributes] - Attribute names to keep
+   * @param {string[]} [options.allowedSchemes] - URL schemes allowed in
+   *   href/src
+   * @param {boolean} [options.strict] - Strip all raw HTML from the markdown
+   */
+  function configureSanitizer(options = {}) {
+    sanitizerConfig = {
+      ...sanitizerConfig,
+      ...cloneConfig(options),
+    };
+  }
+
+  /**
+   * Restore the built-in sanitizer allowlist
+   */
+  function resetSanitizer() {
+    sanitizerConfig = cloneConfig(DEFAULT_SANITIZER_CONFIG);
+  }
+
+  /**
+   * Get a copy of the active sanitizer configuration
+   * @returns {Object}
+   */
+  function getSanitizerConfig() {
+    return cloneConfig(sanitizerConfig);
+  }
+
+  /**
+   * Toggle strict mode (all raw HTML removed)
+   * @param {boolean} enabled
+   */
+  function setStrictMode(enabled) {
+    sanitizerConfig.strict = Boolean(enabled);
+  }
+
+  /**
+   * Update the marked options that users can change in preferences
+   * @param {Object} options
+   * @param {boolean} [options.gfm] - GitHub Flavored Markdown
+   * @param {boolean} [options.breaks] - Convert single newlines to <br>
+   */
+  function setMarkdownOptions({ gfm, breaks } = {}) {
+    const options = {};
+    if (typeof gfm === 'boolean') options.gfm = gfm;
+    if (typeof breaks === 'boolean') options.breaks = breaks;
+    parser.setOptions(options);
+  }
+
+  /**
+   * Options that change the rendered HTML, for handing to another instance
+   * (the preview worker)
+   * @returns {{gfm: boolean, breaks: boolean, strict: boolean}}
+   */
+  function getRenderOptions() {
+    const { gfm, breaks } = parser.defaults;
+    return { gfm, breaks, strict: sanitizerConfig.strict };
+  }
+
+  /**
+   * Split markdown into block tokens with the current options
+   * @param {string} markdown
+   * @returns {Array<Object>} marked tokens
+   */
+  function lex(markdown) {
+    return parser.lexer(markdown || '');
+  }
+
+  return {
+    parseMarkdown,
+    renderBlocks,
+    getOutline,
+    getFrontMatter,
+    sanitizeHtml,
+    configureSanitizer,
+    resetSanitizer,
+    getSanitizerConfig,
+    setStrictMode,
+    setMarkdownOptions,
+    getRenderOptions,
+    lex,
+    matchesWikiPage,
+  };
+}
+
+/**
+ * DOMPurify hook: GFM task lists are the only reason inputs are allowed,
+ * so anything but a checkbox is dropped and checkboxes are disabled
+ * @param {Element} node
+ */
+function keepInputsInert(node) {
+  if (node.nodeName !== 'INPUT') return;
+
+  if (node.getAttribute('type') !== 'checkbox') {
+    node.remove();
+    return;
+  }
+  node.setAttribute('disabled', '');
+}
+
+/**
+ * Render a fenced code block with syntax highlighting and one span per line
+ * (numbered by CSS). Blocks without a language are detected automatically;
+ * languages highlight.js does not know stay plain.
+ * @param {string} code - Code block text
+ * @param {string} infostring - Text after the opening fence
+ * @param {Object} highlighter - highlight.js
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, infostring, highlighter) {
+  const requested = getFenceLanguage(infostring);
+  let result = null;
+
+  try {
+    if (requested && highlighter.getLanguage(requested)) {
+      result = highlighter.highlight(code, {
+        language: requested,
+        ignoreIllegals: true,
+      });
+    } else if (!requested && code.length <= MAX_AUTO_DETECT_LENGTH) {
+      const guess = highlighter.highlightAuto(code, AUTO_DETECT_LANGUAGES);
+      if (guess.relevance >= MIN_AUTO_DETECT_RELEVANCE) {
+        result = guess;
+      }
+    }
+  } catch (error) {
+    console.error('Error highlighting code block:', error);
+  }
+
+  const language = (result && result.language) || '';
+  const html = result ? result.value : escapeHtml(code);
+  const languageClass = language ? ` language-${language}` : '';
+  const lines = splitHighlightedLines(html)
+    .map((line) => `<span class="code-line">${line}</span>`)
+    .join('\n');
+
+  return `<pre class="code-block"><code class="hljs${languageClass}">${lines}</code></pre>\n`;
+}
+
+/**
+ * marked extensions for $$…$$ blocks, $$…$$ within text and $…$ inline
+ * math. Code spans and blocks are tokenized before they are reached, and
+ * escaped dollars (\$) never start math.
+ * @param {Object} typesetter - KaTeX
+ * @returns {Array<Object>}
+ */
+function createMathExtensions(typesetter) {
+  return [
+    {
+      name: 'blockMath',
+      level: 'block',
+      start(src) {
+        const match = src.match(BLOCK_MATH_START);
+        return match ? match.index : undefined;
+      },
+      tokenizer(src) {
+        const match = BLOCK_MATH_PATTERN.exec(src);
+        if (!match) return undefined;
+        return { type: 'blockMath', raw: match[0], text: match[1].trim() };
+      },
+      renderer(token) {
+        return `<div class="math-display">${renderMath(typesetter, token.text, true)}</div>\n`;
+      },
+    },
+    {
+      name: 'inlineMath',
+      level: 'inline',
+      start: findMathStart,
+      tokenizer(src) {
+        const display = DISPLAY_MATH_PATTERN.exec(src);
+        if (display) {
+          return {
+            type: 'inlineMath',
+            raw: display[0],
+            text: display[1].trim(),
+            displayMode: true,
+          };
+        }
+
+        const inline = INLINE_MATH_PATTERN.exec(src);
+        if (!inline) return undefined;
+        return {
+          type: 'inlineMath',
+          raw: inline[0],
+          text: inline[1],
+          displayMode: false,
+        };
+      },
+      renderer(token) {
+        const html = renderMath(typesetter, token.text, token.displayMode);
+        return token.displayMode
+          ? `<span class="math-display">${html}</span>`
+          : html;
+      },
+    },
+  ];
+}
+
+/**
+ * marked extension for [[Page]] links. Same-document links ([[#Heading]])
+ * become fragment links; the rest use the wiki: scheme, which the main
+ * process resolves against the open folder when the link is followed.
+ */
+const wikiLinkExtension = {
+  name: 'wikiLink',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('[[');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = WIKI_LINK_PATTERN.exec(src);
+    const link = match && parseWikiLink(match[1]);
+    if (!link) return undefined;
+    return { type: 'wikiLink', raw: match[0], ...link };
+  },
+  renderer({ target, heading, label }) {
+    // Fragments use heading ids, as rendered and as in getOutline
+    const fragment = heading ? `#${slugify(heading, new Set())}` : '';
+    const href = target
+      ? `wiki:${encodeURIComponent(target)}${fragment}`
+      : fragment;
+    const text = label || [target, heading].filter(Boolean).join(' › ');
+    return `<a class="wiki-link" href="${escapeHtml(href)}">${escapeHtml(text)}</a>`;
+  },
+};
+
+/**
+ * Split the text between [[ and ]] into its parts
+ * @param {string} text - e.g. "Page#Heading|label"
+ * @returns {{target: string, heading: string, label: string}|null} target
+ *   is empty for a heading of the same document; null when there is
+ *   neither a target nor a heading
+ */
+function parseWikiLink(text) {
+  const [reference, ...labelParts] = text.split('|');
+  const hashIndex = reference.indexOf('#');
+  const target = (
+    hashIndex === -1 ? reference : reference.slice(0, hashIndex)
+  ).trim();
+  const heading = hashIndex === -1 ? '' : reference.slice(hashIndex + 1).trim();
+  if (!target && !heading) return null;
+
+  return { target, heading, label: labelParts.join('|').trim() };
+}
+
+/**
+ * Find the wiki links in a document without rendering it. Fenced code
+ * blocks and code spans are skipped, as when rendering.
+ * @param {string} markdown
+ * @returns {Array<{target: string, heading: string, label: string,
+ *   line: number, column: number, length: number}>} Zero-based line and
+ *   column of the opening brackets; length covers both pairs
+ */
+function findWikiLinks(markdown) {
+  const links = [];
+  let fence = null;
+
+  normalizeNewlines(markdown)
+    .split('\n')
+    .forEach((line, index) => {
+      if (fence) {
+        const closing = line.match(FENCE_CLOSE_PATTERN);
+        if (
+          closing &&
+          closing[1][0] === fence[0] &&
+          closing[1].length >= fence.length
+        ) {
+          fence = null;
+        }
+        return;
+      }
+
+      const opening = line.match(FENCE_OPEN_PATTERN);
+      if (opening) {
+        fence = opening[1];
+        return;
+      }
+
+      // Blank out code spans so columns still line up
+      const text = line.replace(CODE_SPAN_PATTERN, (code) =>
+        ' '.repeat(code.length)
+      );
+      for (const match of text.matchAll(WIKI_LINK_SEARCH)) {
+        const link = parseWikiLink(match[1]);
+        if (link) {
+          links.push({
+            ...link,
+            line: index,
+            column: match.index,
+            length: match[0].length,
+          });
+        }
+      }
+    });
+  return links;
+}
+
+/**
+ * Check whether a wiki link target names a page. Names match without
+ * regard to case or extension; a target with folders ("notes/Idea") has
+ * to match the end of the page's path.
+ * @param {string} target - Link target, e.g. "Idea" or "notes/Idea"
+ * @param {string} pagePath - Path of the page relative to the open
+ *   folder, "/" separators
+ * @returns {boolean}
+ */
+function matchesWikiPage(target, pagePath) {
+  const key = getWikiPageKey(target);
+  const pageKey = getWikiPageKey(pagePath);
+  return Boolean(key) && (pageKey === key || pageKey.endsWith(`/${key}`));
+}
+
+function getWikiPageKey(name) {
+  return name
+    .replace(/\\/g, '/')
+    .replace(WIKI_PAGE_EXTENSION, '')
+    .split('/')
+    .map((part) => part.trim())
+    .filter((part) => part && part !== '.')
+    .join('/')
+    .toLowerCase();
+}
+
+/**
+ * Index of the first dollar sign that is not escaped with a backslash
+ * @param {string} src
+ * @returns {number|undefined}
+ */
+function findMathStart(src) {
+  for (let i = src.indexOf('$'); i !== -1; i = src.indexOf('$', i + 1)) {
+    let backslashes = 0;
+    while (src[i - 1 - backslashes] === '\\') {
+      backslashes += 1;
+    }
+    if (backslashes % 2 === 0) return i;
+  }
+  return undefined;
+}
+
+/**
+ * Typeset TeX as MathML. Invalid input is shown as its source with the
+ * error, so one typo does not break the rest of the document.
+ * @param {Object} typesetter - KaTeX
+ * @param {string} tex
+ * @param {boolean} displayMode - Centered display style rather than inline
+ * @returns {string} HTML
+ */
+function renderMath(typesetter, tex, displayMode) {
+  try {
+    const html = typesetter.renderToString(tex, {
+      ...MATH_OPTIONS,
+      displayMode,
+    });
+    // The sanitizer drops <semantics> and would leave the TeX source from
+    // <annotation> behind as text
+    return html
+      .replace(/<annotation[\s\S]*?<\/annotation>/g, '')
+      .replace(/<\/?semantics>/g, '');
+  } catch (error) {
+    const message = escapeHtml(
+      `Math error: ${error.rawMessage || error.message}`
+    );
+    const delimiter = displayMode ? '$$' : '$';
+    const source = escapeHtml(`${delimiter}${tex}${delimiter}`);
+    return displayMode
+      ? `<span class="math-error"><code>${source}</code><span class="math-error-message">${message}</span></span>`
+      : `<code class="math-error" title="${message}">${source}</code>`;
+  }
+}
+
+/**
+ * Placeholder for a Mermaid diagram. Mermaid needs the page's DOM, so the
+ * preview draws it after sanitizing (see DiagramService); elsewhere the
+ * source shows as a code block.
+ * @param {string} code - Diagram source
+ * @returns {string} HTML
+ */
+function renderDiagramSource(code) {
+  return `<div class="mermaid-diagram"><pre class="mermaid-source"><code>${escapeHtml(code)}</code></pre></div>\n`;
+}
+
+function getFenceLanguage(infostring) {
+  return ((infostring || '').match(/^\S*/) || [''])[0];
+}
+
+/**
+ * Find the front matter block at the top of a document
+ * @param {string} markdown
+ * @returns {{yaml: string, raw: string, lines: number}|null} raw is the
+ *   whole block with its fences; lines is how many source lines it takes
+ */
+function splitFrontMatter(markdown) {
+  const match = FRONT_MATTER_PATTERN.exec(normalizeNewlines(markdown));
+  if (!match) return null;
+
+  const raw = match[0];
+  return {
+    yaml: match[1],
+    raw,
+    lines: countNewlines(raw) + (raw.endsWith('\n') ? 0 : 1),
+  };
+}
+
+/**
+ * Check the fields in FRONT_MATTER_FIELDS; other fields can hold anything
+ * @param {Object} data - Parsed front matter
+ * @returns {string[]} Problems found
+ */
+function validateFrontMatter(data) {
+  return Object.keys(FRONT_MATTER_FIELDS)
+    .filter((field) => field in data && data[field] !== null)
+    .filter((field) => !FRONT_MATTER_FIELDS[field][0](data[field]))
+    .map((field) => `${field} should be ${FRONT_MATTER_FIELDS[field][1]}`);
+}
+
+/**
+ * Collapsible card listing the front matter, open when it has problems
+ * @param {{data: Object|null, yaml: string, errors: string[]}} frontMatter
+ * @returns {string} HTML
+ */
+function renderFrontMatter({ data, yaml, errors }) {
+  let content;
+  if (data) {
+    const rows = Object.keys(data).map(
+      (key) =>
+        `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(formatFrontMatterValue(data[key]))}</td></tr>`
+    );
+    content = rows.length
+      ? `<table><tbody>${rows.join('')}</tbody></table>`
+      : '<p class="front-matter-empty">No properties</p>';
+  } else {
+    content = `<pre><code>${escapeHtml(yaml)}</code></pre>`;
+  }
+
+  const problems = errors.length
+    ? `<ul class="front-matter-errors">${errors
+        .map((error) => `<li>${escapeHtml(error)}</li>`)
+        .join('')}</ul>`
+    : '';
+  const open = errors.length ? ' open' : '';
+  return `<details class="front-matter"${open}><summary>Properties</summary>${problems}${content}</details>\n`;
+}
+
+function formatFrontMatterValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(formatFrontMatterValue).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isText(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function isTextList(value) {
+  return Array.isArray(value) && value.every(isText);
+}
+
+function isDate(value) {
+  return isText(value) && !Number.isNaN(Date.parse(String(value)));
+}
+
+/**
+ * Split highlighted HTML into lines, closing spans that are open at the end
+ * of a line and reopening them on the next so every line is well formed
+ * @param {string} html - highlight.js output (text and span tags only)
+ * @returns {string[]}
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let line = '';
+
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach((part) => {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+    } else if (part.startsWith('<span')) {
+      open.push(part);
+      line += part;
+    } else if (part === '</span>') {
+      open.pop();
+      line += part;
+    } else {
+      line += part;
+    }
+  });
+  lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Turn heading text into an id that is not in used yet (and add it): lower
+ * case, punctuation dropped, spaces as hyphens, numbered when repeated
+ * @param {string} text - Plain heading text
+ * @param {Set<string>} used - Ids taken so far
+ * @returns {string}
+ */
+function slugify(text, used) {
+  const base =
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .trim()
+      .replace(/\s+/g, '-') || 'section';
+
+  let slug = base;
+  for (let n = 1; used.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+function normalizeNewlines(text) {
+  return (text || '').replace(/\r\n|\r/g, '\n');
+}
+
+function countNewlines(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    count += 1;
+  }
+  return count;
+}
+
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the DOMPurify URI pattern for the allowed schemes. Relative URLs,
+ * fragments and query strings are always allowed.
+ * @param {string[]} schemes
+ * @returns {RegExp}
+ */
+function buildSchemePattern(schemes) {
+  const escaped = schemes.map((scheme) =>
+    scheme.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  );
+  const schemeGroup = escaped.length ? `(?:${escaped.join('|')}):|` : '';
+  return new RegExp(
+    `^(?:${schemeGroup}[^a-z]|[a-z+.-]+(?:[^a-z+.\\-:]|$))`,
+    'i'
+  );
+}
+
+function cloneConfig(config) {
+  const copy = { ...config };
+  ['allowedTags', 'allowedAttributes', 'allowedSchemes'].forEach((key) => {
+    if (Array.isArray(copy[key])) {
+      copy[key] = [...copy[key]];
+    }
+  });
+  return copy;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createMarkdownService,
+    slugify,
+    splitFrontMatter,
+    findWikiLinks,
+    matchesWikiPage,
+    DEFAULT_SANITIZER_CONFIG,
+  };
+} else if (typeof window !== 'undefined') {
+  // Expose to window for use by other modules
+  window.MarkdownService = createMarkdownService(marked, DOMPurify, {
+    highlighter: typeof hljs === 'undefined' ? null : hljs,
+    typesetter: typeof katex === 'undefined' ? null : katex,
+    yaml: typeof jsyaml === 'undefined' ? null : jsyaml,
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * Search Service
+ * Builds the regular expression behind a find query and lists its matches
+ * in plain text. The find bar uses it for the editor's source and for the
+ * text of the rendered preview; the main process uses it to search the
+ * files of a workspace.
+ */
+
+// Counting stops here so a query like "e" cannot stall a huge document
+const MAX_MATCHES = 10000;
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {boolean} caseSensitive
+ * @property {boolean} wholeWord - Matches may not touch a word character
+ *   (\w) on either side
+ * @property {boolean} regex - The query is a JavaScript regular expression
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} start - Offset of the first matched character
+ * @property {number} end - Offset after the last matched character
+ * @property {Array<string|undefined>} captures - The matched text followed
+ *   by its capture groups, as from RegExp.exec
+ * @property {Object<string, string|undefined>} namedGroups
+ */
+
+const SearchService = {
+  /**
+   * Build the pattern for a query
+   * @param {string} query
+   * @param {SearchOptions} options
+   * @returns {RegExp|null} Null for an empty query
+   * @throws {SyntaxError} When options.regex is set and the query is not a
+   *   valid regular expression
+   */
+  createPattern(query, { caseSensitive, wholeWord, regex }) {
+    if (!query) return null;
+
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) {
+      source = `(?<!\\w)(?:${source})(?!\\w)`;
+    }
+    return new RegExp(source, caseSensitive ? 'gm' : 'gim');
+  },
+
+  /**
+   * Find every non-empty match of a pattern
+   * @param {string} text
+   * @param {RegExp} pattern - From createPattern
+   * @param {number} [limit] - Stop after this many
+   * @returns {{matches: SearchMatch[], truncated: boolean}} truncated is
+   *   set when there were more than limit
+   */
+  findMatches(text, pattern, limit = MAX_MATCHES) {
+    const matches = [];
+    pattern.lastIndex = 0;
+
+    let result = pattern.exec(text);
+    while (result) {
+      if (result[0] === '') {
+        // Empty matches (^, a*) mark no text; step past them
+        pattern.lastIndex += 1;
+      } else {
+        if (matches.length === limit) {
+          return { matches, truncated: true };
+        }
+        matches.push({
+          start: result.index,
+          end: result.index + result[0].length,
+          captures: Array.from(result),
+          namedGroups: result.groups || {},
+        });
+      }
+      result = pattern.exec(text);
+    }
+    return { matches, truncated: false };
+  },
+
+  /**
+   * Text that replaces a match. With regex on, $1…$99, $<name>, $& and $$
+   * work as in String.prototype.replace.
+   * @param {string} replacement - What the user typed
+   * @param {SearchMatch} match
+   * @param {boolean} regex
+   * @returns {string}
+   */
+  expandReplacement(replacement, match, regex) {
+    if (!regex) return replacement;
+
+    return replacement.replace(
+      /\$(?:(\$)|(&)|(\d{1,2})|<([^>]*)>)/g,
+      (token, dollar, whole, number, name) => {
+        if (dollar) return '$';
+        const { captures, namedGroups } = match;
+        if (whole) return captures[0];
+        if (name !== undefined) {
+          return name in namedGroups ? namedGroups[name] || '' : token;
+        }
+        // $12 falls back to $1 followed by 2 when there are fewer groups
+        let index = Number(number);
+        let rest = '';
+        if (index >= captures.length && number.length === 2) {
+          index = Number(number[0]);
+          rest = number[1];
+        }
+        if (index === 0 || index >= captures.length) return token;
+        return (captures[index] || '') + rest;
+      }
+    );
+  },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchService;
+} else if (typeof window !== 'undefined') {
+  // Expose to window for use by other modules
+  window.SearchService = SearchService;
+}
@@ -0,0 +1,77 @@
+/**
+ * Autosave and crash-recovery timing. The renderer service is a plain
+ * script, so it is run in a context of its own with the test's timers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = fs.readFileSync(
+  path.join(__dirname, '../src/renderer/js/services/autosaveService.js'),
+  'utf8'
+);
+
+/**
+ * A fresh AutosaveService that records what it asks the app to do
+ * @returns {{service: Object, calls: string[]}}
+ */
+function loadService() {
+  const window = {};
+  vm.runInNewContext(SCRIPT, {
+    window,
+    // Looked up on each call so the mocked timers are used
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: (...args) => clearTimeout(...args),
+  });
+
+  const service = window.AutosaveService;
+  const calls = [];
+  service.onSave = (docId) => calls.push(`save ${docId}`);
+  service.onSnapshot = (docId) => calls.push(`snapshot ${docId}`);
+  return { service, calls };
+}
+
+test('typing in afterDelay mode still takes recovery snapshots', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { service, calls } = loadService();
+  service.configure({ autosave: 'afterDelay', autosaveDelay: 30 });
+
+  // A key every second, for longer than the snapshot delay
+  for (let second = 0; second < 8; second += 1) {
+    service.documentChanged('doc');
+    t.mock.timers.tick(1000);
+  }
+  assert.deepStrictEqual(calls, ['snapshot doc']);
+
+  t.mock.timers.tick(30000);
+  assert.strictEqual(calls[calls.length - 1], 'save doc');
+});
+
+test('the save waits for typing to pause', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { service, calls } = loadService();
+  service.configure({ autosave: 'afterDelay', autosaveDelay: 2 });
+
+  service.documentChanged('doc');
+  t.mock.timers.tick(1500);
+  service.documentChanged('doc');
+  t.mock.timers.tick(1500);
+  assert.ok(!calls.includes('save doc'));
+
+  t.mock.timers.tick(500);
+  assert.ok(calls.includes('save doc'));
+});
+
+test('cancel drops both the save and the snapshot', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { service, calls } = loadService();
+  service.configure({ autosave: 'afterDelay', autosaveDelay: 2 });
+
+  service.documentChanged('doc');
+  service.cancel('doc');
+  t.mock.timers.tick(60000);
+  assert.deepStrictEqual(calls, []);
+});
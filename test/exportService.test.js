@@ -0,0 +1,140 @@
+/**
+ * Headless HTML export: renderHtmlDocument with a markdown service built on
+ * jsdom, the way a script or the main process exports without a window.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const marked = require('marked');
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+const { createMarkdownService } = require('../src/shared/markdownService');
+const exportService = require('../src/main/services/exportService');
+
+const PREVIEW_CSS = fs.readFileSync(
+  path.join(__dirname, '../src/renderer/css/preview.css'),
+  'utf8'
+);
+
+const MARKDOWN = `# Export Test
+
+Some *text* and a [link](https://example.com).
+
+<img src="x.png" onerror="alert(1)">
+
+<script>alert('export')</script>
+
+[bad link](javascript:alert(1))
+`;
+
+function createService() {
+  return createMarkdownService(marked, createDOMPurify(new JSDOM('').window));
+}
+
+/**
+ * Parse an exported file
+ * @param {string} html
+ * @returns {Document}
+ */
+function parse(html) {
+  return new JSDOM(html).window.document;
+}
+
+test('renders a complete page from markdown without a window', async () => {
+  const html = await exportService.renderHtmlDocument({
+    markdown: MARKDOWN,
+    markdownService: createService(),
+  });
+  const document = parse(html);
+
+  assert.strictEqual(document.title, 'Export Test');
+  assert.strictEqual(
+    document.querySelector('#preview h1').textContent,
+    'Export Test'
+  );
+  assert.strictEqual(
+    document.querySelector('#preview a[href="https://example.com"]')
+      .textContent,
+    'link'
+  );
+});
+
+test('sanitizes the exported document', async () => {
+  const html = await exportService.renderHtmlDocument({
+    markdown: MARKDOWN,
+    markdownService: createService(),
+  });
+  const document = parse(html);
+
+  assert.strictEqual(document.querySelectorAll('script').length, 0);
+  assert.strictEqual(
+    document.querySelector('img').hasAttribute('onerror'),
+    false
+  );
+  assert.ok(
+    Array.from(document.querySelectorAll('a')).every(
+      (link) => !/^javascript:/i.test(link.getAttribute('href') || '')
+    )
+  );
+  assert.match(
+    document
+      .querySelector('meta[http-equiv="Content-Security-Policy"]')
+      .getAttribute('content'),
+    /default-src 'none'/
+  );
+});
+
+test('embeds the preview and code styles', async () => {
+  const html = await exportService.renderHtmlDocument({
+    markdown: MARKDOWN,
+    markdownService: createService(),
+    // Left as written, unlike a fixed light or dark theme
+    theme: 'system',
+    themeStyles: '#preview { --theme-marker: 1; }',
+  });
+  const styles = parse(html).querySelector('head style').textContent;
+
+  assert.ok(styles.includes(PREVIEW_CSS));
+  assert.ok(styles.includes('--theme-marker: 1'));
+  assert.match(styles, /\.hljs/);
+  assert.strictEqual(parse(html).querySelectorAll('link').length, 0);
+});
+
+test('fixes the color scheme for a chosen theme', async () => {
+  const html = await exportService.renderHtmlDocument({
+    markdown: MARKDOWN,
+    markdownService: createService(),
+    theme: 'dark',
+  });
+
+  assert.doesNotMatch(html, /prefers-color-scheme/);
+  assert.strictEqual(
+    parse(html)
+      .querySelector('meta[name="color-scheme"]')
+      .getAttribute('content'),
+    'dark'
+  );
+});
+
+test('embeds images from the document folder', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+  try {
+    fs.writeFileSync(path.join(folder, 'x.png'), Buffer.from('png'));
+    const html = await exportService.renderHtmlDocument({
+      markdown: MARKDOWN,
+      markdownService: createService(),
+      baseDirectory: folder,
+      embedImages: true,
+    });
+
+    assert.strictEqual(
+      parse(html).querySelector('img').getAttribute('src'),
+      `data:image/png;base64,${Buffer.from('png').toString('base64')}`
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
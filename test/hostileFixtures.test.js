@@ -0,0 +1,87 @@
+/**
+ * Runs the hostile markdown fixtures through the preview sanitizer and
+ * checks that nothing able to run script survives, with and without strict
+ * mode. See fixtures/hostile/README.md for what each fixture covers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const marked = require('marked');
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+const { createMarkdownService } = require('../src/shared/markdownService');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'hostile');
+
+// Attributes that take a URL
+const URL_ATTRIBUTES = [
+  'href',
+  'src',
+  'action',
+  'formaction',
+  'xlink:href',
+  'background',
+  'poster',
+];
+
+const UNSAFE_URL = /^\s*(?:javascript|data|vbscript):/i;
+
+const fixtures = fs
+  .readdirSync(FIXTURES_DIR)
+  .filter((name) => name.endsWith('.md') && name !== 'README.md');
+
+/**
+ * Describe everything in rendered HTML that could run script
+ * @param {string} html
+ * @returns {string[]} Empty when the HTML is safe
+ */
+function findUnsafeMarkup(html) {
+  const { document } = new JSDOM('').window;
+  const container = document.createElement('div');
+  container.innerHTML = html;
+
+  const problems = [];
+  container.querySelectorAll('*').forEach((element) => {
+    const name = element.nodeName.toLowerCase();
+    if (name === 'script') {
+      problems.push('<script> element');
+    }
+    Array.from(element.attributes).forEach((attribute) => {
+      if (attribute.name.toLowerCase().startsWith('on')) {
+        problems.push(`${attribute.name} attribute on <${name}>`);
+      }
+      if (
+        URL_ATTRIBUTES.includes(attribute.name.toLowerCase()) &&
+        UNSAFE_URL.test(attribute.value)
+      ) {
+        problems.push(`${attribute.name}="${attribute.value}" on <${name}>`);
+      }
+    });
+  });
+  return problems;
+}
+
+test('hostile fixtures are present', () => {
+  assert.ok(fixtures.length > 0);
+});
+
+[false, true].forEach((strict) => {
+  const mode = strict ? 'strict mode' : 'default mode';
+  const service = createMarkdownService(
+    marked,
+    createDOMPurify(new JSDOM('').window)
+  );
+  service.setStrictMode(strict);
+
+  fixtures.forEach((name) => {
+    test(`${name} renders without script in ${mode}`, () => {
+      const markdown = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+      assert.deepStrictEqual(
+        findUnsafeMarkup(service.parseMarkdown(markdown)),
+        []
+      );
+    });
+  });
+});
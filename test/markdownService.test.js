@@ -0,0 +1,44 @@
+/**
+ * Markdown service behaviour that needs no window: sanitizer hooks shared
+ * between services.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const marked = require('marked');
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+const { createMarkdownService } = require('../src/shared/markdownService');
+
+test('services sharing a DOMPurify instance add its hook once', () => {
+  const purify = createDOMPurify(new JSDOM('').window);
+  const addHook = purify.addHook;
+  const added = [];
+  purify.addHook = (entryPoint, hook) => {
+    added.push(entryPoint);
+    addHook.call(purify, entryPoint, hook);
+  };
+
+  createMarkdownService(marked, purify);
+  createMarkdownService(marked, purify);
+
+  assert.deepStrictEqual(added, ['afterSanitizeAttributes']);
+});
+
+test('task list checkboxes stay inert and other inputs are removed', () => {
+  const purify = createDOMPurify(new JSDOM('').window);
+  createMarkdownService(marked, purify);
+  const service = createMarkdownService(marked, purify);
+
+  const html = service.parseMarkdown(
+    '- [x] done\n- [ ] todo\n\n<input type="text" value="x">'
+  );
+  const { document } = new JSDOM(html).window;
+  const inputs = Array.from(document.querySelectorAll('input'));
+
+  assert.strictEqual(inputs.length, 2);
+  inputs.forEach((input) => {
+    assert.strictEqual(input.type, 'checkbox');
+    assert.ok(input.disabled);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Folder containment, as used to keep workspace operations inside the open
+ * folder.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isInsideFolder,
+  resolveInsideFolder,
+} = require('../src/main/utils/paths');
+
+const ROOT = path.resolve('/workspace/notes');
+
+test('names starting with two dots are inside', () => {
+  assert.ok(isInsideFolder(ROOT, path.join(ROOT, '..notes')));
+  assert.ok(isInsideFolder(ROOT, path.join(ROOT, '..notes', 'a.md')));
+});
+
+test('the folder itself is inside', () => {
+  assert.ok(isInsideFolder(ROOT, ROOT));
+  assert.ok(isInsideFolder(ROOT, `${ROOT}${path.sep}`));
+});
+
+test('parent folders are outside', () => {
+  assert.ok(!isInsideFolder(ROOT, path.join(ROOT, '..')));
+  assert.ok(!isInsideFolder(ROOT, path.join(ROOT, '..', 'x')));
+  assert.ok(!isInsideFolder(ROOT, `${ROOT}${path.sep}..${path.sep}x`));
+});
+
+test('absolute paths elsewhere are outside', () => {
+  assert.ok(!isInsideFolder(ROOT, path.resolve('/etc/passwd')));
+  assert.ok(!isInsideFolder(ROOT, path.resolve('/workspace/notes-old/a.md')));
+});
+
+test('symlinks that lead out of the folder are refused', async () => {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'paths-test-'));
+  try {
+    const root = path.join(base, 'root');
+    const outside = path.join(base, 'outside');
+    fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.symlinkSync(outside, path.join(root, 'link'), 'dir');
+
+    const inside = path.join(root, 'sub', 'new.md');
+    assert.strictEqual(await resolveInsideFolder(root, inside), inside);
+    assert.strictEqual(
+      await resolveInsideFolder(root, path.join(root, 'link', 'new.md')),
+      null
+    );
+    assert.strictEqual(
+      await resolveInsideFolder(root, path.join(root, 'link')),
+      null
+    );
+  } finally {
+    fs.rmSync(base, { recursive: true, force: true });
+  }
+});
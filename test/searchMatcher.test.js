@@ -0,0 +1,67 @@
+/**
+ * Workspace search patterns run in a worker thread: a pattern that
+ * backtracks badly is stopped instead of hanging the search.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createMatcher,
+  TIMEOUT_MESSAGE,
+} = require('../src/main/services/searchMatcher');
+
+// Backtracks exponentially on a run of "a" that does not end the text
+const PATHOLOGICAL = {
+  query: '(a+)+$',
+  caseSensitive: true,
+  wholeWord: false,
+  regex: true,
+};
+const LONG_LINE = `${'a'.repeat(40)}!`;
+
+test('matches text in the worker', async () => {
+  const matcher = createMatcher({
+    query: 'b+',
+    caseSensitive: true,
+    wholeWord: false,
+    regex: true,
+  });
+  try {
+    const { matches, truncated } = await matcher.findMatches('abba b', 10);
+    assert.deepStrictEqual(
+      matches.map(({ start, end }) => [start, end]),
+      [
+        [1, 3],
+        [5, 6],
+      ]
+    );
+    assert.strictEqual(truncated, false);
+  } finally {
+    matcher.stop();
+  }
+});
+
+test('a pattern that takes too long is reported', async () => {
+  const matcher = createMatcher(PATHOLOGICAL, undefined, { timeoutMs: 500 });
+  try {
+    await assert.rejects(matcher.findMatches(LONG_LINE, 10), {
+      message: TIMEOUT_MESSAGE,
+    });
+  } finally {
+    matcher.stop();
+  }
+});
+
+test('cancelling stops a pattern that is still running', async () => {
+  let cancelled = false;
+  const matcher = createMatcher(PATHOLOGICAL, () => cancelled);
+  try {
+    const found = matcher.findMatches(LONG_LINE, 10);
+    setTimeout(() => {
+      cancelled = true;
+    }, 200);
+    assert.strictEqual(await found, null);
+  } finally {
+    matcher.stop();
+  }
+});